@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * Manage the accounts and API tokens of Caspar Autosync.
+ *
+ * Usage:
+ *   node bin/users.js add-user <name> <role>
+ *   node bin/users.js add-token <name> <role>
+ *   node bin/users.js remove <name>
+ *   node bin/users.js list
+ *
+ * Roles are viewer, operator and admin.  `add-user` asks for the password
+ * without echoing it, or reads the first line of standard input when that
+ * is not a terminal; it is never taken from the command line, where other
+ * users and the shell history would see it.  `add-token` prints the new
+ * token once; only its hash is stored.  The file is AUTH_FILE (default
+ * users.json); restart the server after changing it.
+ */
+
+import path from 'path';
+import { ROLES, hashPassword, generateToken, hashToken, loadCredentials, saveCredentials } from '../lib/auth.js';
+
+const file = path.resolve(process.env.AUTH_FILE || 'users.json');
+const [command, name, role, ...extra] = process.argv.slice(2);
+
+/**
+ * Print a message and the usage, then exit with an error.
+ *
+ * @param {string} message What was wrong.
+ */
+function fail(message) {
+  console.error(`${message}\nUsage: users.js add-user <name> <role> | add-token <name> <role> | remove <name> | list`);
+  process.exit(1);
+}
+
+/**
+ * Read the first line of standard input.
+ *
+ * @returns {Promise<string>} The line, without its line ending.
+ */
+async function readLine() {
+  let text = '';
+  for await (const chunk of process.stdin) text += chunk;
+  return text.split(/\r?\n/)[0];
+}
+
+/**
+ * Ask for a password on the terminal without echoing it.
+ *
+ * @param {string} prompt The prompt, written to stderr.
+ * @returns {Promise<string>} What was typed.  Ctrl‑C exits.
+ */
+function promptHidden(prompt) {
+  const { stdin } = process;
+  process.stderr.write(prompt);
+  stdin.setRawMode(true);
+  stdin.setEncoding('utf8');
+  stdin.resume();
+  return new Promise(resolve => {
+    let typed = '';
+    const onData = text => {
+      for (const ch of text) {
+        if (ch === '\u0003') {
+          process.stderr.write('\n');
+          process.exit(130);
+        }
+        if (ch === '\r' || ch === '\n') {
+          stdin.off('data', onData);
+          stdin.setRawMode(false);
+          stdin.pause();
+          process.stderr.write('\n');
+          return resolve(typed);
+        }
+        typed = ch === '\u007f' || ch === '\b' ? typed.slice(0, -1) : typed + ch;
+      }
+    };
+    stdin.on('data', onData);
+  });
+}
+
+/**
+ * The password for `add-user`: asked twice on a terminal, else read from
+ * standard input.
+ *
+ * @returns {Promise<string>} The password.
+ */
+async function readPassword() {
+  if (!process.stdin.isTTY) return readLine();
+  const password = await promptHidden('Password: ');
+  if (password !== await promptHidden('Repeat password: ')) fail('The passwords do not match');
+  return password;
+}
+
+const creds = await loadCredentials(file);
+
+/**
+ * Drop any account or token with the given name.
+ *
+ * @returns {boolean} True if one was removed.
+ */
+function remove() {
+  const before = creds.users.length + creds.tokens.length;
+  creds.users = creds.users.filter(u => u.name !== name);
+  creds.tokens = creds.tokens.filter(t => t.name !== name);
+  return creds.users.length + creds.tokens.length < before;
+}
+
+switch (command) {
+  case 'add-user':
+  case 'add-token': {
+    if (!name) fail('A name is required');
+    if (!ROLES.includes(role)) fail(`role must be ${ROLES.join('|')}`);
+    if (extra.length) fail('Passwords are not taken on the command line');
+    remove();
+    if (command === 'add-user') {
+      const password = await readPassword();
+      if (!password) fail('A password is required');
+      creds.users.push({ name, role, ...hashPassword(password) });
+      console.log(`User ${name} (${role}) saved to ${file}`);
+    } else {
+      const token = generateToken();
+      creds.tokens.push({ name, role, hash: hashToken(token) });
+      console.log(`Token ${name} (${role}) saved to ${file}.  It is shown only once:\n${token}`);
+    }
+    await saveCredentials(file, creds);
+    break;
+  }
+  case 'remove':
+    if (!name) fail('A name is required');
+    if (!remove()) fail(`No user or token named ${name}`);
+    await saveCredentials(file, creds);
+    console.log(`Removed ${name}`);
+    break;
+  case 'list':
+    for (const user of creds.users) console.log(`user   ${user.name}  ${user.role}`);
+    for (const token of creds.tokens) console.log(`token  ${token.name}  ${token.role}`);
+    break;
+  default:
+    fail(command ? `Unknown command ${command}` : 'A command is required');
+}
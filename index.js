@@ -1,676 +1,662 @@
 /**
  * Main entry point for the Caspar Autosync server.
  *
- * This file implements a Node.js service that acts as a central controller
- * for synchronising multiple CasparCG servers.  It loads a configuration
- * describing up to twenty playback slots, connects to each specified host,
- * and exposes a simple REST API plus a WebSocket for status updates.
+ * This file is a thin web layer over one `SyncEngine` (lib/sync-engine.js),
+ * which does the actual work of synchronising multiple CasparCG servers.
+ * It exposes the engine through a simple REST API, forwards the engine's
+ * events to WebSocket clients, serves Prometheus metrics at `/metrics` and
+ * serves the dark‑themed web UI from the `public/` folder.
  *
- * Key responsibilities:
- *  - Loading and persisting configuration (config.json)
- *  - Managing AMCP connections to each remote CasparCG server
- *  - Computing target frames based on a common start time (`t0`)
- *  - Performing preload, start, pause and resync operations on all active slots
- *  - Tracking per‑slot active/standby layers for seamless resyncs
- *  - Periodically checking for drift and initiating automatic resyncs when needed
- *  - Serving a static dark‑themed web UI from the `public/` folder
+ * Environment:
+ *  - PORT            HTTP/WebSocket port (default 8080)
+ *  - CONFIG_FILE     Configuration file (default config.json)
+ *  - STATE_FILE      Runtime state file used for restart recovery (default state.json)
+ *  - EVENT_LOG_FILE  JSON‑lines event log, rotated as it grows (default logs/events.jsonl)
+ *  - AUTH_FILE       Hashed accounts and API tokens; authentication is off while it has none (default users.json)
+ *  - PRESETS_FILE    Show presets and the cue list (default presets.json)
  */
 
-import fs from 'fs/promises';
 import path from 'path';
 import express from 'express';
 import { WebSocketServer } from 'ws';
-import { CasparCG } from 'casparcg-connection';
+import { SyncEngine, START_LEAD_MS, AUTOSYNC_MODES, RESYNC_POLICIES, RESYNC_MODES } from './lib/sync-engine.js';
+import { Auth, SESSION_COOKIE, SESSION_TTL_MS, readCookie, roleAllows } from './lib/auth.js';
+import { METRICS_CONTENT_TYPE } from './lib/metrics.js';
+
+// CONFIG_FILE and STATE_FILE may point elsewhere (the test suite uses a
+// temporary directory).  OSC_PORT turns on the OSC frame receiver.
+const engine = new SyncEngine({
+  configFile: path.resolve(process.env.CONFIG_FILE || 'config.json'),
+  stateFile: path.resolve(process.env.STATE_FILE || 'state.json'),
+  eventLogFile: path.resolve(process.env.EVENT_LOG_FILE || path.join('logs', 'events.jsonl')),
+  presetsFile: path.resolve(process.env.PRESETS_FILE || 'presets.json'),
+  oscPort: process.env.OSC_PORT ? Number(process.env.OSC_PORT) : null
+});
+await engine.init();
+
+// Accounts and tokens are read once; restart after changing them with bin/users.js
+const auth = await new Auth({ file: path.resolve(process.env.AUTH_FILE || 'users.json') }).load();
 
 // -----------------------------------------------------------------------------
-// Configuration and state
-//
-// The configuration file holds all user‑definable settings, including global
-// parameters (fps, autosync interval, drift tolerance, resync mode, etc.) and
-// per‑slot definitions.  Each slot describes a remote CasparCG server and the
-// media file to play.
+// Express server and API endpoints
 
-const CONFIG_FILE = path.resolve('config.json');
-const SAMPLE_FILE = path.resolve('config.sample.json');
+const app = express();
+app.use(express.json());
 
-/**
- * Load the current configuration from disk.  If `config.json` does not exist
- * the sample configuration is used instead.  Any missing top‑level fields or
- * slot properties are filled in from the sample to ensure a complete object.
- *
- * @returns {Promise<Object>} A promise resolving to the configuration object.
- */
-async function loadConfig() {
-  let base;
-  try {
-    const data = await fs.readFile(CONFIG_FILE, 'utf8');
-    base = JSON.parse(data);
-  } catch {
-    // Fall back to sample if no custom config exists
-    const sampleData = await fs.readFile(SAMPLE_FILE, 'utf8');
-    base = JSON.parse(sampleData);
-  }
-  // Fill in defaults from sample for any missing keys
-  const sample = JSON.parse(await fs.readFile(SAMPLE_FILE, 'utf8'));
-  // Merge top‑level keys
-  const merged = { ...sample, ...base };
-  // Ensure slots array has the correct length
-  merged.slots = merged.slots || sample.slots;
-  // Deep merge each slot with sample slot to fill missing props
-  merged.slots = merged.slots.map((s, idx) => {
-    const def = sample.slots[idx] || {};
-    return { ...def, ...s };
+// Request fields that never go into the event log
+const SECRET_FIELDS = /password|token|secret/i;
+
+// Record every state‑changing API call in the event log once it has been
+// answered.  Configuration updates are large, so only the changed keys are kept.
+app.use('/api', (req, res, next) => {
+  if (req.method === 'GET') return next();
+  res.on('finish', () => {
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const details = /^\/(config|settings)$/.test(req.path)
+      ? { fields: Object.keys(body) }
+      : { body: Object.fromEntries(Object.entries(body).filter(([key]) => !SECRET_FIELDS.test(key))) };
+    const user = req.user ? { user: req.user.name } : {};
+    engine.logEvent('api', { method: req.method, path: req.originalUrl, ip: req.ip, ...user, status: res.statusCode, ...details });
   });
-  return merged;
-}
+  next();
+});
+
+// API routes anyone may call, so that the UI can log in
+const PUBLIC_ROUTES = new Set(['POST /login', 'POST /logout', 'GET /session']);
+
+// Changes that need an admin, including saving and deleting presets and
+// editing the cue list; every other change (recalling a preset too) needs
+// an operator and every read a viewer
+const ADMIN_ROUTES = [/^POST \/(config|settings|presets|cues)$/, /^POST \/presets\/[^/]+\/delete$/];
 
 /**
- * Persist the configuration to disk.  This is called whenever the client
- * updates settings via the API.  The file will be formatted with two‑space
- * indentation for readability.
+ * The least role allowed to make an API request.
  *
- * @param {Object} cfg The configuration object to save.
+ * @param {express.Request} req The request, with `path` relative to `/api`.
+ * @returns {string|null} `viewer`, `operator` or `admin`; null for public routes.
  */
-async function saveConfig(cfg) {
-  await fs.writeFile(CONFIG_FILE, JSON.stringify(cfg, null, 2), 'utf8');
+function requiredRole(req) {
+  const route = `${req.method} ${req.path}`;
+  if (PUBLIC_ROUTES.has(route)) return null;
+  if (ADMIN_ROUTES.some(pattern => pattern.test(route))) return 'admin';
+  return req.method === 'GET' ? 'viewer' : 'operator';
 }
 
-// The in‑memory configuration.  Populated at startup and mutated when
-// receiving updates via the API.  Use `loadConfig()` and `saveConfig()` to
-// persist changes.
-let config = await loadConfig();
+// Identify the caller and check their role.  Without any accounts or tokens
+// everything is allowed.  Scraping /metrics needs a viewer, like any read.
+app.use(['/api', '/metrics'], (req, res, next) => {
+  if (!auth.enabled) return next();
+  req.user = auth.authenticate(req.headers);
+  const role = requiredRole(req);
+  if (!role) return next();
+  if (!req.user) {
+    return res.status(401).json({ ok: false, error: 'Login required' });
+  }
+  if (!roleAllows(req.user.role, role)) {
+    return res.status(403).json({ ok: false, error: `Requires the ${role} role` });
+  }
+  next();
+});
+app.use(express.static(path.join(process.cwd(), 'public')));
 
-// -----------------------------------------------------------------------------
-// AMCP connections and per‑slot state
-//
-// Each unique host/port combination is mapped to a `CasparCG` connection.  If
-// multiple slots reference the same host we reuse the same connection object.
-const connections = new Map(); // key: `${host}:${port}` -> CasparCG instance
+// Whether authentication is on and who is logged in
+app.get('/api/session', (req, res) => {
+  const user = req.user ? { name: req.user.name, role: req.user.role } : null;
+  res.json({ enabled: auth.enabled, user });
+});
 
-/**
- * Ensure a connection exists for the given host/port pair.  If a connection
- * already exists it is returned; otherwise a new one is created and stored.
- *
- * @param {string} host The hostname or IP address of the CasparCG server.
- * @param {number} port The AMCP control port (default 5250).
- * @returns {CasparCG} A connected CasparCG instance.
- */
-function getConnection(host, port) {
-  const key = `${host}:${port}`;
-  if (connections.has(key)) return connections.get(key);
-  const conn = new CasparCG({
-    host,
-    port,
-    autoConnect: true,
-    autoReconnect: true,
-    queueMode: 'sequential'
-  });
-  connections.set(key, conn);
-  return conn;
-}
+// Log in with a name and password.  The session id is set as an HTTP‑only cookie.
+app.post('/api/login', (req, res) => {
+  const session = auth.login(req.body?.name, req.body?.password);
+  if (!session) {
+    return res.status(401).json({ ok: false, error: 'Wrong name or password' });
+  }
+  req.user = session;
+  res.cookie(SESSION_COOKIE, session.id, { httpOnly: true, sameSite: 'strict', maxAge: SESSION_TTL_MS });
+  res.json({ ok: true, user: { name: session.name, role: session.role } });
+});
 
-// Each slot maintains a pair of layers: `active` and `standby`.  When the
-// application starts, the active layer equals `baseLayer` from config and
-// standby is `baseLayer + 10`.  During resync operations the roles swap.
-const pairState = new Map(); // key: slot index -> { active: number, standby: number }
+// End the current session
+app.post('/api/logout', (req, res) => {
+  const id = readCookie(req.headers.cookie, SESSION_COOKIE);
+  if (id) auth.logout(id);
+  res.clearCookie(SESSION_COOKIE);
+  res.json({ ok: true });
+});
 
 /**
- * Retrieve or initialise the pairState for a given slot.  If the slot does
- * not yet exist in the map, it is initialised with `active = baseLayer` and
- * `standby = baseLayer + 10`.  Calling this after updating `baseLayer` in
- * config ensures the pair layers remain aligned with the latest settings.
+ * Reply to a failed operation.  Missing clips are for the operator to fix
+ * and answer 409 with the affected slots, as does cancelling a scheduled
+ * start that is already under way (with the groups starting) or an armed
+ * recall that has already begun (with the preset).  An invalid
+ * configuration (e.g. of a preset) answers 400 with the errors; anything
+ * else is a server error.
  *
- * @param {number} idx The index of the slot in `config.slots`.
- * @returns {{ active: number, standby: number }} The current pair for the slot.
+ * @param {express.Response} res The response.
+ * @param {Error} err The error.
  */
-function getPair(idx) {
-  const slot = config.slots[idx];
-  let pair = pairState.get(idx);
-  if (!pair || pair.baseLayer !== slot.baseLayer) {
-    pair = { active: slot.baseLayer, standby: slot.baseLayer + 10, baseLayer: slot.baseLayer };
-    pairState.set(idx, pair);
-  }
-  return pair;
+function sendError(res, err) {
+  if (err.starting) {
+    return res.status(409).json({ ok: false, error: err.message, starting: err.starting });
+  }
+  if (err.recalling) {
+    return res.status(409).json({ ok: false, error: err.message, recalling: err.recalling });
+  }
+  if (err.missing) {
+    return res.status(409).json({ ok: false, error: err.message, missing: err.missing });
+  }
+  if (err.errors) {
+    return res.status(400).json({ ok: false, error: err.message, errors: err.errors });
+  }
+  res.status(500).json({ ok: false, error: err.message });
 }
 
-// -----------------------------------------------------------------------------
-// Timecode utilities
-//
-// Functions to convert between human‑readable timecodes (HH:MM:SS:FF) and
-// frame numbers.  CasparCG uses integer frame indices starting at 0.
+// Fetch current status (rows, global params, modes)
+app.get('/api/status', async (req, res) => {
+  try {
+    res.json(await engine.snapshotStatus());
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-/**
- * Convert a timecode string to an absolute frame number, given a frame rate.
- * If the string is malformed it returns zero.  The frames component (FF)
- * should be less than the fps value; any overflow wraps into the next second.
- *
- * @param {string} tc Timecode in the format `HH:MM:SS:FF`.
- * @param {number} fps Frames per second.
- * @returns {number} Total frames from start of file.
- */
-function timecodeToFrames(tc, fps) {
-  if (!tc || typeof tc !== 'string') return 0;
-  const parts = tc.trim().split(':');
-  if (parts.length !== 4) return 0;
-  const [hh, mm, ss, ff] = parts.map(v => parseInt(v, 10));
-  if ([hh, mm, ss, ff].some(n => Number.isNaN(n))) return 0;
-  const totalSeconds = hh * 3600 + mm * 60 + ss;
-  const frame = Math.floor(totalSeconds * fps + ff);
-  return frame;
-}
+// Prometheus metrics, served from cached state so scraping adds no AMCP load
+app.get('/metrics', (req, res) => {
+  res.type(METRICS_CONTENT_TYPE).send(engine.metricsText());
+});
+
+// List the clips on a configured server (host:port, or a bare host) with
+// CLS, or look up one with ?clip=NAME (CINF)
+app.get('/api/hosts/:host/media', async (req, res) => {
+  try {
+    const clip = req.query.clip ? String(req.query.clip) : undefined;
+    const result = await engine.hostMedia(req.params.host, { clip });
+    if (!result) {
+      return res.status(404).json({ ok: false, error: `No slot uses host ${req.params.host}` });
+    }
+    res.json(result);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Fetch current configuration (no sensitive information)
+app.get('/api/config', (req, res) => {
+  res.json(engine.config);
+});
 
 /**
- * Compute the target frame relative to the global start time (`t0`).  This
- * function calculates how many frames have elapsed since `t0` at the current
- * frame rate and wraps the result by `config.frames` to avoid overflow.  It
- * returns an integer frame index.  If `t0` has not been set (no start
- * triggered yet) it returns zero.
+ * Apply a configuration update from the request body and reply.
  *
- * @returns {number} The expected frame number at the current time.
+ * @param {express.Request} req The request.
+ * @param {express.Response} res The response.
  */
-function targetFrame() {
-  if (!t0) return 0;
-  const elapsedSec = (Date.now() - t0) / 1000;
-  const frame = Math.floor((elapsedSec * config.fps) % config.frames);
-  return frame;
+async function updateConfig(req, res) {
+  try {
+    const errors = await engine.updateConfig(req.body || {});
+    if (errors.length) {
+      return res.status(400).json({ ok: false, error: 'Invalid configuration', errors });
+    }
+    res.json({ ok: true, config: engine.config });
+  } catch (err) {
+    sendError(res, err);
+  }
 }
 
-// Global state for playback and autosync
-let t0 = null;               // Timestamp (ms) when `startAll` was last called
-let autosyncMode = 'off';    // 'off' | 'manual' | 'auto'
-let autosyncTimer = null;    // Interval timer handle for automatic resync
+// Update configuration.  Accepts partial updates; missing fields are ignored.
+app.post('/api/config', updateConfig);
 
-// -----------------------------------------------------------------------------
-// Caspar command helpers
-//
-// To keep the business logic readable, helper functions wrap common AMCP
-// patterns (e.g. `DEFER`, `RESUME`, load/seek/play, fade/cut transitions).
+// Preload all clips
+app.post('/api/preload', async (req, res) => {
+  try {
+    await engine.preloadAll();
+    res.json({ ok: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-/**
- * Send a DEFER command on a connection.  DEFER collects subsequent commands
- * until a matching RESUME is issued, batching them into a single render cycle.
- *
- * @param {CasparCG} conn The connection.
- * @returns {Promise<unknown>} Resolves when the command is acknowledged.
- */
-function defer(conn) { return conn.do('DEFER'); }
+// Start all clips and set t0 of every sync group.  An immediate start
+// replaces any armed start.
+app.post('/api/start', async (req, res) => {
+  try {
+    await engine.cancelScheduledStart();
+    const t0 = await engine.startAll();
+    res.json({ ok: true, t0 });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-/**
- * Send a RESUME command on a connection.  RESUME executes all deferred
- * commands.  It must be called after one or more DEFER calls.
- *
- * @param {CasparCG} conn The connection.
- * @returns {Promise<unknown>} Resolves when the command is acknowledged.
- */
-function resume(conn) { return conn.do('RESUME'); }
+// Arm a start of every sync group at an ISO time or time-of-day timecode
+app.post('/api/schedule', async (req, res) => {
+  const at = requestedStartTime(req, res);
+  if (at == null) return;
+  try {
+    await engine.armStart(at, { preload: req.body?.preload !== false });
+    res.json({ ok: true, scheduledStart: engine.scheduleInfo() });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-/**
- * Issue a `LOADBG` followed by `PAUSE` on the given layer.  This preloads a
- * clip into memory and parks it on the specified frame without showing it.
- *
- * @param {CasparCG} conn The connection to use.
- * @param {number} ch The channel number on the remote CasparCG server.
- * @param {number} layer The layer number (active or standby).
- * @param {string} clip The file name (including extension) to load.
- * @param {number} frame The frame to seek to before pausing.
- */
-async function loadAndPause(conn, ch, layer, clip, frame) {
-  await defer(conn);
-  await conn.do(`LOADBG ${ch}-${layer} "${clip}" SEEK ${frame} LOOP`);
-  await conn.do(`PAUSE ${ch}-${layer}`);
-  await conn.do(`MIXER ${ch}-${layer} OPACITY 0 0`);
-  await conn.do(`MIXER ${ch}-${layer} VOLUME 0.0 0`);
-  await resume(conn);
-}
+// Cancel every armed start
+app.post('/api/schedule/cancel', async (req, res) => {
+  try {
+    const cancelled = await engine.cancelScheduledStart();
+    res.json({ ok: true, cancelled });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Pause all playback
+app.post('/api/pause', async (req, res) => {
+  try {
+    await engine.pauseAll();
+    res.json({ ok: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
 /**
- * Perform a seamless cut transition from the active layer to the standby layer.
- * The standby layer must already be loaded on the correct frame.  This
- * function makes the standby layer visible and the active layer invisible in
- * the same render cycle, then pauses the old layer.  After the cut the
- * returned pair reflects the new active/standby assignments.
+ * Resync the running slots of some sync groups for a resync request.  An
+ * explicit `frame` moves every slot there; otherwise the request's `policy`
+ * (or each group's `resyncPolicy`) decides which slots are swapped.
  *
- * @param {CasparCG} conn The CasparCG connection.
- * @param {number} ch The channel.
- * @param {{active:number, standby:number}} pair The current pair.
- * @returns {{active:number, standby:number}} The updated pair after swap.
+ * @param {Object} [body] The request body: `mode`, `policy` and `frame` are all optional.
+ * @param {string[]} [groups] The sync groups.  Defaults to every group.
+ * @returns {Promise<number[]>} The slot indices that were resynced.
  */
-async function cutTransition(conn, ch, pair) {
-  await defer(conn);
-  // Start the standby layer and immediately make it visible
-  await conn.do(`PLAY ${ch}-${pair.standby}`);
-  await conn.do(`MIXER ${ch}-${pair.standby} OPACITY 1 0`);
-  await conn.do(`MIXER ${ch}-${pair.standby} VOLUME 1.0 0`);
-  // Hide and mute the active layer
-  await conn.do(`MIXER ${ch}-${pair.active} OPACITY 0 0`);
-  await conn.do(`MIXER ${ch}-${pair.active} VOLUME 0.0 0`);
-  await resume(conn);
-  // Pause the old layer to stop decoding
-  await defer(conn);
-  await conn.do(`PAUSE ${ch}-${pair.active}`);
-  await resume(conn);
-  // Swap roles
-  return { active: pair.standby, standby: pair.active, baseLayer: pair.baseLayer };
+async function resyncRequest(body, groups = engine.syncGroupIds()) {
+  const mode = body?.mode || undefined;
+  // An explicit frame is a position on the shared clock; slot offsets are added per slot
+  if (Number.isFinite(body?.frame)) {
+    const indices = engine.runningSlots().filter(i => groups.includes(engine.slotGroup(i)));
+    await engine.resyncAll(mode, body.frame, indices);
+    return indices;
+  }
+  return engine.resyncByPolicy(mode, { policy: body?.policy || undefined, groups });
 }
 
+// Trigger an immediate resync.  Without a mode or policy each sync group uses its own.
+app.post('/api/resync', async (req, res) => {
+  const policy = req.body?.policy;
+  if (policy && !RESYNC_POLICIES.includes(policy)) {
+    return res.status(400).json({ ok: false, error: `policy must be ${RESYNC_POLICIES.join('|')}` });
+  }
+  try {
+    const slots = await resyncRequest(req.body);
+    const tf = Number.isFinite(req.body?.frame) ? req.body.frame : undefined;
+    res.json({
+      ok: true,
+      frame: tf ?? engine.targetFrame(),
+      mode: req.body?.mode || engine.config.resyncMode,
+      policy: policy || engine.config.resyncPolicy,
+      slots
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Operations that can also be applied to one slot or a named group of slots.
+// Each receives the slot indices and the request body.
+const SLOT_OPERATIONS = {
+  preload: indices => engine.preloadAll(indices),
+  start: indices => engine.startSlots(indices),
+  pause: indices => engine.pauseAll(indices),
+  resync: (indices, body) => {
+    const tf = Number.isFinite(body?.frame) ? body.frame : undefined;
+    return engine.resyncAll(body?.mode || undefined, tf, indices);
+  }
+};
+
 /**
- * Perform a cross‑fade transition from the active layer to the standby layer.
- * Both layers will play simultaneously while their opacities cross over
- * linearly over `fadeFrames` frames.  After the fade, the old layer is
- * paused.  Returns the updated pair after swap.
+ * Run one of `SLOT_OPERATIONS` on the given slots and reply.
  *
- * @param {CasparCG} conn The CasparCG connection.
- * @param {number} ch The channel.
- * @param {{active:number, standby:number}} pair The current pair.
- * @param {number} fadeFrames Duration of the fade, in frames.
- * @returns {{active:number, standby:number}} The updated pair.
+ * @param {express.Request} req The request; `req.params.op` names the operation.
+ * @param {express.Response} res The response.
+ * @param {number[]} indices Slot indices to act on.
  */
-async function fadeTransition(conn, ch, pair, fadeFrames) {
-  await defer(conn);
-  await conn.do(`PLAY ${ch}-${pair.standby}`);
-  // Fade in standby and fade out active over fadeFrames frames
-  await conn.do(`MIXER ${ch}-${pair.standby} OPACITY 1 ${fadeFrames} LINEAR`);
-  await conn.do(`MIXER ${ch}-${pair.standby} VOLUME 1.0 ${fadeFrames} LINEAR`);
-  await conn.do(`MIXER ${ch}-${pair.active} OPACITY 0 ${fadeFrames} LINEAR`);
-  await conn.do(`MIXER ${ch}-${pair.active} VOLUME 0.0 ${fadeFrames} LINEAR`);
-  await resume(conn);
-  // Allow the fade to finish before pausing the old layer
-  await defer(conn);
-  await conn.do(`PAUSE ${ch}-${pair.active}`);
-  await resume(conn);
-  return { active: pair.standby, standby: pair.active, baseLayer: pair.baseLayer };
+async function runSlotOperation(req, res, indices) {
+  const operation = SLOT_OPERATIONS[req.params.op];
+  if (!operation) {
+    return res.status(404).json({ ok: false, error: `Unknown operation ${req.params.op}` });
+  }
+  try {
+    await operation(indices, req.body);
+    res.json({ ok: true, slots: indices });
+  } catch (err) {
+    sendError(res, err);
+  }
 }
 
+// Preload, start, pause or resync a single slot (its index in the status rows)
+app.post('/api/slots/:id/:op', async (req, res) => {
+  const idx = Number(req.params.id);
+  if (!engine.activeSlots().includes(idx)) {
+    return res.status(404).json({ ok: false, error: `Slot ${req.params.id} is not an active slot` });
+  }
+  await runSlotOperation(req, res, [idx]);
+});
+
+// List the named slot groups
+app.get('/api/groups', (req, res) => {
+  res.json(engine.slotGroups());
+});
+
+// Preload, start, pause or resync every slot in a named group
+app.post('/api/groups/:name/:op', async (req, res) => {
+  const indices = engine.groupSlots(req.params.name);
+  if (!indices.length) {
+    return res.status(404).json({ ok: false, error: `No active slots in group ${req.params.name}` });
+  }
+  await runSlotOperation(req, res, indices);
+});
+
+// List the sync groups with their settings and clocks
+app.get('/api/sync-groups', async (req, res) => {
+  try {
+    const { syncGroups } = await engine.snapshotStatus();
+    res.json(syncGroups);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
 /**
- * Query the current frame of a given playing layer.  If the layer is not
- * currently playing the command may fail; in that case it returns null.
+ * Parse and validate a requested start time for a sync group.  Replies with
+ * 400 and returns null if it is unusable.
  *
- * @param {CasparCG} conn The connection.
- * @param {number} ch Channel number.
- * @param {number} layer Layer number.
- * @returns {Promise<number|null>} The current frame index or null on failure.
+ * @param {express.Request} req The request; `req.body.at` holds the time.
+ * @param {express.Response} res The response.
+ * @param {string} [group] The sync group whose frame rate is used.
+ * @returns {number|null} The aligned start time.
  */
-async function getCurrentFrame(conn, ch, layer) {
-  try {
-    const res = await conn.do(`CALL ${ch}-${layer} FRAME`);
-    const line = String(res).trim();
-    const val = parseInt(line, 10);
-    return Number.isFinite(val) ? val : null;
-  } catch {
+function requestedStartTime(req, res, group) {
+  const requested = engine.parseStartTime(req.body?.at, Date.now(), group);
+  if (requested == null) {
+    res.status(400).json({ ok: false, error: 'at must be an ISO date/time or a time-of-day timecode (HH:MM:SS:FF)' });
     return null;
   }
+  const at = engine.alignToFrameBoundary(requested, group);
+  if (at - Date.now() < START_LEAD_MS) {
+    res.status(400).json({ ok: false, error: `start time must be at least ${START_LEAD_MS / 1000}s in the future` });
+    return null;
+  }
+  return at;
 }
 
-// -----------------------------------------------------------------------------
-// Core operations: preload, start, pause, resync
+// Operations on one sync group's clock.  Each receives the group id and the
+// request body and returns the fields to add to the reply.
+const SYNC_GROUP_OPERATIONS = {
+  preload: async id => { await engine.preloadAll(engine.syncGroupSlots(id)); },
+  start: async id => {
+    await engine.cancelScheduledStart([id]);
+    return { t0: await engine.startAll(undefined, [id]) };
+  },
+  pause: async id => { await engine.pauseAll(engine.syncGroupSlots(id)); },
+  resync: async (id, body) => ({ slots: await resyncRequest(body, [id]) }),
+  'reset-clock': async id => ({ t0: await engine.resetClock(id) }),
+  'schedule-cancel': async id => ({ cancelled: await engine.cancelScheduledStart([id]) })
+};
+
+// Preload, start, pause, resync, reset the clock of or cancel the armed
+// start of one sync group
+app.post('/api/sync-groups/:id/:op', async (req, res, next) => {
+  const { id, op } = req.params;
+  if (!engine.syncGroupIds().includes(id)) {
+    return res.status(404).json({ ok: false, error: `Unknown sync group ${id}` });
+  }
+  // Mode and schedule have their own handlers below
+  if (op === 'mode' || op === 'schedule') return next();
+  const operation = SYNC_GROUP_OPERATIONS[op];
+  if (!operation) {
+    return res.status(404).json({ ok: false, error: `Unknown operation ${op}` });
+  }
+  try {
+    res.json({ ok: true, group: id, ...await operation(id, req.body) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-/**
- * Preload all active slots.  For every slot with both `host` and `clip` set,
- * this function loads both the active and standby layers with the selected
- * clip, seeks to frame 0, pauses, hides, and mutes them.  Preloading warms
- * up the file caches on each server so that the initial start is glitch‑free.
- */
-async function preloadAll() {
-  // Group commands per host to minimise network latency.  For each host we
-  // issue a DEFER/RESUME around multiple LOADBG/PAUSE commands.
-  const grouped = new Map(); // hostPort -> array of commands
-  for (let i = 0; i < config.slots.length; i++) {
-    const slot = config.slots[i];
-    // Skip disabled slots entirely.  A slot is considered disabled when the
-    // user clears the enabled checkbox in the UI or when `enabled === false`
-    // is present in the configuration.  Blank host or missing clip also
-    // indicates a slot should be skipped.
-    if (slot.enabled === false) continue;
-    if (!slot.host || !slot.clip) continue; // skip if host or clip missing
-    const { host, port, channel, clip } = slot;
-    const pair = getPair(i);
-    const key = `${host}:${port}`;
-    if (!grouped.has(key)) grouped.set(key, []);
-    grouped.get(key).push({ slotIndex: i, channel, clip, pair });
-  }
-  for (const [key, items] of grouped.entries()) {
-    const [host, portStr] = key.split(':');
-    const port = parseInt(portStr, 10);
-    const conn = getConnection(host, port);
-    await defer(conn);
-    for (const item of items) {
-      const { channel, clip, pair } = item;
-      // Preload active layer at frame 0
-      await conn.do(`LOADBG ${channel}-${pair.active} "${clip}" SEEK 0 LOOP`);
-      await conn.do(`PAUSE ${channel}-${pair.active}`);
-      await conn.do(`MIXER ${channel}-${pair.active} OPACITY 0 0`);
-      await conn.do(`MIXER ${channel}-${pair.active} VOLUME 1.0 0`);
-      // Preload standby layer at frame 0
-      await conn.do(`LOADBG ${channel}-${pair.standby} "${clip}" SEEK 0 LOOP`);
-      await conn.do(`PAUSE ${channel}-${pair.standby}`);
-      await conn.do(`MIXER ${channel}-${pair.standby} OPACITY 0 0`);
-      await conn.do(`MIXER ${channel}-${pair.standby} VOLUME 0.0 0`);
-    }
-    await resume(conn);
+// Set one sync group's autosync mode
+app.post('/api/sync-groups/:id/mode', async (req, res) => {
+  const mode = (req.body?.mode || '').toLowerCase();
+  if (!AUTOSYNC_MODES.includes(mode)) {
+    return res.status(400).json({ ok: false, error: 'mode must be off|manual|auto' });
   }
-}
+  try {
+    await engine.setMode(mode, req.params.id);
+    res.json({ ok: true, group: req.params.id, mode });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-/**
- * Start playback on all active slots.  This function calculates the start
- * frame for each slot based on its configured timecode and the global fps,
- * loads both layers on that frame, pauses them, then starts the active layer
- * and makes it visible.  It also records the current time as `t0`.
- */
-async function startAll() {
-  t0 = Date.now();
-  // Reset pair layers to ensure active/standby align with baseLayer for each slot
-  for (let i = 0; i < config.slots.length; i++) {
-    const slot = config.slots[i];
-    pairState.set(i, { active: slot.baseLayer, standby: slot.baseLayer + 10, baseLayer: slot.baseLayer });
-  }
-  const grouped = new Map();
-  for (let i = 0; i < config.slots.length; i++) {
-    const slot = config.slots[i];
-    if (slot.enabled === false) continue;
-    if (!slot.host || !slot.clip) continue;
-    const { host, port, channel, clip, timecode } = slot;
-    const pair = getPair(i);
-    const startFrame = timecodeToFrames(timecode, config.fps);
-    const key = `${host}:${port}`;
-    if (!grouped.has(key)) grouped.set(key, []);
-    grouped.get(key).push({ channel, clip, pair, startFrame });
-  }
-  for (const [key, items] of grouped.entries()) {
-    const [host, portStr] = key.split(':');
-    const port = parseInt(portStr, 10);
-    const conn = getConnection(host, port);
-    await defer(conn);
-    for (const item of items) {
-      const { channel, clip, pair, startFrame } = item;
-      // Load active layer at timecode and park it
-      await conn.do(`LOADBG ${channel}-${pair.active} "${clip}" SEEK ${startFrame} LOOP`);
-      await conn.do(`PAUSE ${channel}-${pair.active}`);
-      // Load standby layer at timecode and park it
-      await conn.do(`LOADBG ${channel}-${pair.standby} "${clip}" SEEK ${startFrame} LOOP`);
-      await conn.do(`PAUSE ${channel}-${pair.standby}`);
-      // Reset visibility and volume
-      await conn.do(`MIXER ${channel}-${pair.active} OPACITY 0 0`);
-      await conn.do(`MIXER ${channel}-${pair.standby} OPACITY 0 0`);
-      await conn.do(`MIXER ${channel}-${pair.active} VOLUME 1.0 0`);
-      await conn.do(`MIXER ${channel}-${pair.standby} VOLUME 0.0 0`);
-      // Now start the active layer and make it visible
-      await conn.do(`PLAY ${channel}-${pair.active}`);
-      await conn.do(`MIXER ${channel}-${pair.active} OPACITY 1 0`);
-    }
-    await resume(conn);
+// Arm a start of one sync group
+app.post('/api/sync-groups/:id/schedule', async (req, res) => {
+  const { id } = req.params;
+  const at = requestedStartTime(req, res, id);
+  if (at == null) return;
+  try {
+    await engine.armStart(at, { preload: req.body?.preload !== false, groups: [id] });
+    res.json({ ok: true, group: id, scheduledStart: engine.scheduleInfo(id) });
+  } catch (err) {
+    sendError(res, err);
   }
-}
+});
 
-/**
- * Pause playback on all active and standby layers.  This stops decoding on
- * both layers but does not reset timecodes.  After pausing you can call
- * `startAll()` again to rearm the start time.
- */
-async function pauseAll() {
-  const grouped = new Map();
-  for (let i = 0; i < config.slots.length; i++) {
-    const slot = config.slots[i];
-    if (slot.enabled === false) continue;
-    if (!slot.host || !slot.clip) continue;
-    const { host, port, channel } = slot;
-    const pair = getPair(i);
-    const key = `${host}:${port}`;
-    if (!grouped.has(key)) grouped.set(key, []);
-    grouped.get(key).push({ channel, pair });
-  }
-  for (const [key, items] of grouped.entries()) {
-    const [host, portStr] = key.split(':');
-    const port = parseInt(portStr, 10);
-    const conn = getConnection(host, port);
-    await defer(conn);
-    for (const item of items) {
-      const { channel, pair } = item;
-      await conn.do(`PAUSE ${channel}-${pair.active}`);
-      await conn.do(`PAUSE ${channel}-${pair.standby}`);
-    }
-    await resume(conn);
+// List the show presets (without their configuration) and the cue list
+app.get('/api/presets', (req, res) => {
+  res.json({
+    presets: engine.presets.summary(),
+    cues: engine.presets.cues,
+    currentCue: engine.currentCue,
+    nextCue: engine.nextCue(),
+    scheduledRecall: engine.scheduledRecall
+  });
+});
+
+// Fetch one preset with its configuration
+app.get('/api/presets/:name', (req, res) => {
+  const preset = engine.presets.get(req.params.name);
+  if (!preset) {
+    return res.status(404).json({ ok: false, error: `Unknown preset ${req.params.name}` });
   }
-}
+  res.json(preset);
+});
 
-/**
- * Perform a resync across all active slots.  The target frame is either
- * computed based on `t0` or passed explicitly when called by the autosync
- * loop.  Standby layers are prepared on that frame and then swapped in via
- * cut or fade transitions.  After the swap the pair roles are swapped.
- *
- * @param {string} mode Either `"cut"` or `"fade"`.  Uses `config.resyncMode` if omitted.
- * @param {number} [tf] The target frame.  If not provided, it will call `targetFrame()`.
- */
-async function resyncAll(mode = config.resyncMode, tf = targetFrame()) {
-  // Prepare standby layers on the correct frame first
-  for (let i = 0; i < config.slots.length; i++) {
-    const slot = config.slots[i];
-    if (slot.enabled === false) continue;
-    if (!slot.host || !slot.clip) continue;
-    const { host, port, channel, clip } = slot;
-    const conn = getConnection(host, port);
-    const pair = getPair(i);
-    // Preload standby on target frame and pause it, invisibly
-    await loadAndPause(conn, channel, pair.standby, clip, tf);
-  }
-  // Now transition each slot
-  for (let i = 0; i < config.slots.length; i++) {
-    const slot = config.slots[i];
-    if (slot.enabled === false) continue;
-    if (!slot.host || !slot.clip) continue;
-    const { host, port, channel } = slot;
-    const conn = getConnection(host, port);
-    const pair = getPair(i);
-    let newPair;
-    if (mode === 'fade') {
-      newPair = await fadeTransition(conn, channel, pair, config.fadeFrames);
-    } else {
-      newPair = await cutTransition(conn, channel, pair);
+// Save the current configuration as a preset, replacing one of the same
+// name.  An optional `config` (a partial update, as for POST /api/config)
+// is applied to the snapshot only.
+app.post('/api/presets', async (req, res) => {
+  const name = req.body?.name;
+  try {
+    const errors = await engine.savePreset(name, req.body?.config);
+    if (errors.length) {
+      return res.status(400).json({ ok: false, error: 'Invalid preset', errors });
     }
-    pairState.set(i, newPair);
+    res.json({ ok: true, preset: engine.presets.summary().find(p => p.name === name) });
+  } catch (err) {
+    sendError(res, err);
   }
-}
+});
 
-// -----------------------------------------------------------------------------
-// Status snapshot and autosync loop
+// Delete a preset that no cue uses
+app.post('/api/presets/:name/delete', async (req, res) => {
+  const { name } = req.params;
+  if (!engine.presets.get(name)) {
+    return res.status(404).json({ ok: false, error: `Unknown preset ${name}` });
+  }
+  try {
+    await engine.presets.remove(name);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(409).json({ ok: false, error: err.message });
+  }
+});
+
+// A recall loads other clips, so it always swaps layers and cannot nudge
+const RECALL_MODES = RESYNC_MODES.filter(mode => mode !== 'nudge');
 
 /**
- * Collect a status snapshot.  Queries each slot's active layer for its
- * current frame and computes the drift relative to the expected frame.  Also
- * returns global parameters and the current autosync mode/resync mode.
+ * Read the optional switch time and transition of a recall request.  Replies
+ * with 400 and returns null if either is unusable.
  *
- * @returns {Promise<Object>} A structured status object for the UI and clients.
+ * @param {express.Request} req The request; `at` and `mode` are both optional.
+ * @param {express.Response} res The response.
+ * @returns {{at?: number, mode: string}|null} Options for `recallPreset()`.
  */
-async function snapshotStatus() {
-  const tf = targetFrame();
-  const rows = [];
-  for (let i = 0; i < config.slots.length; i++) {
-    const slot = config.slots[i];
-    // Skip disabled slots from the status.  We still include slots
-    // with missing host/clip if they are enabled to surface misconfigurations,
-    // but disabled slots are hidden from the status entirely.
-    if (slot.enabled === false) continue;
-    if (!slot.host || !slot.clip) continue;
-    const pair = getPair(i);
-    const conn = getConnection(slot.host, slot.port);
-    const current = await getCurrentFrame(conn, slot.channel, pair.active);
-    const drift = current != null ? current - tf : null;
-    rows.push({
-      index: i,
-      name: slot.name || `Slot ${i + 1}`,
-      host: slot.host,
-      port: slot.port,
-      channel: slot.channel,
-      baseLayer: slot.baseLayer,
-      activeLayer: pair.active,
-      standbyLayer: pair.standby,
-      clip: slot.clip,
-      timecode: slot.timecode,
-      currentFrame: current,
-      targetFrame: tf,
-      drift
-    });
+function recallOptions(req, res) {
+  const mode = req.body?.mode || 'cut';
+  if (!RECALL_MODES.includes(mode)) {
+    res.status(400).json({ ok: false, error: `mode must be ${RECALL_MODES.join('|')}` });
+    return null;
   }
-  return {
-    mode: autosyncMode,
-    resyncMode: config.resyncMode,
-    fadeFrames: config.fadeFrames,
-    t0,
-    fps: config.fps,
-    frames: config.frames,
-    autosyncIntervalSec: config.autosyncIntervalSec,
-    driftToleranceFrames: config.driftToleranceFrames,
-    rows
-  };
+  if (req.body?.at == null || req.body.at === '') return { mode };
+  const at = requestedStartTime(req, res);
+  return at == null ? null : { at, mode };
 }
 
 /**
- * Start the automatic resync loop.  This interval checks each slot's drift
- * against the tolerance and triggers `resyncAll` when any slot exceeds it.
+ * Recall a preset or cue and reply with what was switched.  With a switch
+ * time the recall is armed instead and the reply is the armed recall.
+ *
+ * @param {express.Response} res The response.
+ * @param {string} name The preset.
+ * @param {{at?: number, mode: string, cue?: number}} opts Options for `recallPreset()`.
  */
-function startAutosyncLoop() {
-  stopAutosyncLoop();
-  autosyncTimer = setInterval(async () => {
-    if (autosyncMode !== 'auto') return;
-    const status = await snapshotStatus();
-    let need = false;
-    for (const row of status.rows) {
-      if (row.drift == null) continue;
-      if (Math.abs(row.drift) > config.driftToleranceFrames) {
-        need = true;
-        break;
-      }
-    }
-    if (need) {
-      await resyncAll(config.resyncMode, status.rows[0]?.targetFrame ?? targetFrame());
+async function sendRecall(res, name, opts) {
+  try {
+    if (opts.at != null) {
+      return res.json({ ok: true, scheduledRecall: engine.armRecall(name, opts) });
     }
-    // Broadcast fresh status on each tick
-    broadcast({ type: 'status', payload: await snapshotStatus() });
-  }, config.autosyncIntervalSec * 1000);
-}
-
-/**
- * Stop the automatic resync loop if running.
- */
-function stopAutosyncLoop() {
-  if (autosyncTimer) {
-    clearInterval(autosyncTimer);
-    autosyncTimer = null;
+    res.json({ ok: true, ...await engine.recallPreset(name, opts) });
+  } catch (err) {
+    sendError(res, err);
   }
 }
 
-// -----------------------------------------------------------------------------
-// Express server and API endpoints
-
-const app = express();
-app.use(express.json());
-app.use(express.static(path.join(process.cwd(), 'public')));
-
-// Fetch current status (rows, global params, modes)
-app.get('/api/status', async (req, res) => {
-  res.json(await snapshotStatus());
+// Put a preset on air, optionally at a given time and with a fade
+app.post('/api/presets/:name/recall', async (req, res) => {
+  const { name } = req.params;
+  if (!engine.presets.get(name)) {
+    return res.status(404).json({ ok: false, error: `Unknown preset ${name}` });
+  }
+  const opts = recallOptions(req, res);
+  if (opts) await sendRecall(res, name, opts);
 });
 
-// Fetch current configuration (no sensitive information)
-app.get('/api/config', (req, res) => {
-  res.json(config);
+// Cancel the armed recall, unless it has already begun
+app.post('/api/recall/cancel', (req, res) => {
+  try {
+    res.json({ ok: true, cancelled: engine.cancelScheduledRecall() });
+  } catch (err) {
+    sendError(res, err);
+  }
 });
 
-// Update configuration.  Accepts partial updates; missing fields are ignored.
-app.post('/api/config', async (req, res) => {
-  const body = req.body || {};
-  // Only update whitelisted keys to avoid arbitrary injection
-  const allowedGlobals = ['fps','frames','autosyncIntervalSec','driftToleranceFrames','resyncMode','fadeFrames'];
-  for (const key of allowedGlobals) {
-    if (key in body && typeof body[key] !== 'undefined') {
-      config[key] = body[key];
-    }
-  }
-  if (Array.isArray(body.slots)) {
-    // Replace entire slots array; ensure length stays at most 20
-    config.slots = body.slots.slice(0, 20).map((s, idx) => {
-      const def = config.slots[idx] || {};
-      return { ...def, ...s };
-    });
-  }
-  // Update pairState for any changed baseLayer
-  for (let i = 0; i < config.slots.length; i++) {
-    const slot = config.slots[i];
-    const pair = pairState.get(i);
-    if (!pair || pair.baseLayer !== slot.baseLayer) {
-      pairState.set(i, { active: slot.baseLayer, standby: slot.baseLayer + 10, baseLayer: slot.baseLayer });
+// Replace the cue list: { cues: [{ preset, label }] }
+app.post('/api/cues', async (req, res) => {
+  try {
+    const errors = await engine.setCues(req.body?.cues);
+    if (errors.length) {
+      return res.status(400).json({ ok: false, error: 'Invalid cue list', errors });
     }
+    res.json({ ok: true, cues: engine.presets.cues });
+  } catch (err) {
+    sendError(res, err);
   }
-  await saveConfig(config);
-  // Restart autosync loop if interval changed or resyncMode changed
-  if (autosyncMode === 'auto') startAutosyncLoop();
-  res.json({ ok: true, config });
 });
 
-// Preload all clips
-app.post('/api/preload', async (req, res) => {
-  try {
-    await preloadAll();
-    res.json({ ok: true });
-  } catch (err) {
-    res.status(500).json({ ok: false, error: err.message });
+// Recall the next cue
+app.post('/api/cues/go', async (req, res) => {
+  const index = engine.nextCue();
+  if (index == null) {
+    return res.status(409).json({ ok: false, error: 'No cue left in the cue list' });
   }
+  const opts = recallOptions(req, res);
+  if (opts) await sendRecall(res, engine.presets.cues[index].preset, { ...opts, cue: index });
 });
 
-// Start all clips and set t0
-app.post('/api/start', async (req, res) => {
-  try {
-    await startAll();
-    res.json({ ok: true, t0 });
-  } catch (err) {
-    res.status(500).json({ ok: false, error: err.message });
+// Recall any cue by its index, e.g. to go back
+app.post('/api/cues/:index/recall', async (req, res) => {
+  const index = Number(req.params.index);
+  if (!engine.presets.cues[index]) {
+    return res.status(404).json({ ok: false, error: `No cue ${req.params.index}` });
   }
+  const opts = recallOptions(req, res);
+  if (opts) await sendRecall(res, engine.presets.cues[index].preset, { ...opts, cue: index });
 });
 
-// Pause all playback
-app.post('/api/pause', async (req, res) => {
+// Reset the start clock (t0) of every sync group.  Does not affect current
+// playback, but changes targetFrame.
+app.post('/api/reset-clock', async (req, res) => {
   try {
-    await pauseAll();
-    res.json({ ok: true });
+    res.json({ ok: true, t0: await engine.resetClock() });
   } catch (err) {
-    res.status(500).json({ ok: false, error: err.message });
+    sendError(res, err);
   }
 });
 
-// Trigger an immediate resync
-app.post('/api/resync', async (req, res) => {
+// Set the autosync mode of every sync group: off, manual, auto
+app.post('/api/mode', async (req, res) => {
+  const mode = (req.body?.mode || '').toLowerCase();
+  if (!AUTOSYNC_MODES.includes(mode)) {
+    return res.status(400).json({ ok: false, error: 'mode must be off|manual|auto' });
+  }
   try {
-    const mode = req.body?.mode || config.resyncMode;
-    const tf = Number.isFinite(req.body?.frame) ? req.body.frame : targetFrame();
-    await resyncAll(mode, tf);
-    res.json({ ok: true, frame: tf, mode });
+    await engine.setMode(mode);
+    res.json({ ok: true, mode });
   } catch (err) {
-    res.status(500).json({ ok: false, error: err.message });
+    sendError(res, err);
   }
 });
 
-// Reset the start clock (t0).  Does not affect current playback, but changes targetFrame.
-app.post('/api/reset-clock', (req, res) => {
-  t0 = Date.now();
-  res.json({ ok: true, t0 });
+// Longest history window that can be requested, and the default
+const MAX_HISTORY_WINDOW_SEC = 24 * 3600;
+const DEFAULT_HISTORY_WINDOW_SEC = 600;
+
+/**
+ * The history window requested with `?windowSec=`, clamped to a day.
+ *
+ * @param {express.Request} req The request.
+ * @returns {number} Window length in seconds.
+ */
+function historyWindow(req) {
+  const windowSec = Number(req.query.windowSec);
+  if (!Number.isFinite(windowSec) || windowSec <= 0) return DEFAULT_HISTORY_WINDOW_SEC;
+  return Math.min(windowSec, MAX_HISTORY_WINDOW_SEC);
+}
+
+// Drift statistics, resync counts and samples per slot over a window
+app.get('/api/history', (req, res) => {
+  res.json(engine.historyReport(historyWindow(req)));
+});
+
+// The same samples and resyncs as CSV for a spreadsheet
+app.get('/api/history.csv', (req, res) => {
+  res.type('text/csv').attachment('drift-history.csv').send(engine.historyCsv(historyWindow(req)));
 });
 
-// Set the autosync mode: off, manual, auto
-app.post('/api/mode', (req, res) => {
-  const mode = (req.body?.mode || '').toLowerCase();
-  if (!['off','manual','auto'].includes(mode)) {
-    return res.status(400).json({ ok: false, error: 'mode must be off|manual|auto' });
+// Query the event log: ?type=resync,autosync&since=<ISO or ms>&limit=200
+app.get('/api/events', (req, res) => {
+  const types = req.query.type ? String(req.query.type).split(',').filter(Boolean) : undefined;
+  const since = req.query.since == null ? undefined
+    : (Number.isFinite(Number(req.query.since)) ? Number(req.query.since) : Date.parse(req.query.since));
+  if (Number.isNaN(since)) {
+    return res.status(400).json({ ok: false, error: 'since must be an ISO date/time or milliseconds since the epoch' });
   }
-  autosyncMode = mode;
-  if (mode === 'auto') startAutosyncLoop(); else stopAutosyncLoop();
-  res.json({ ok: true, mode: autosyncMode });
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit, 10) || 200), 1000);
+  res.json(engine.events.query({ types, since, limit }));
 });
 
 // Update global runtime settings (identical to POST /api/config for backwards compatibility)
-app.post('/api/settings', async (req, res) => {
-  // Delegates to config update
-  await app._router.handle({ ...req, method: 'POST', url: '/api/config' }, res, () => {});
-});
+app.post('/api/settings', updateConfig);
 
 // -----------------------------------------------------------------------------
 // WebSocket server for live updates
@@ -679,7 +665,15 @@ const server = app.listen(process.env.PORT || 8080, () => {
   console.log(`Caspar Autosync server listening on port ${process.env.PORT || 8080}`);
 });
 
-const wss = new WebSocketServer({ server });
+// With authentication on, only callers that may read the status get updates
+const wss = new WebSocketServer({
+  server,
+  verifyClient: ({ req }) => {
+    if (!auth.enabled) return true;
+    const user = auth.authenticate(req.headers);
+    return Boolean(user && roleAllows(user.role, 'viewer'));
+  }
+});
 
 function broadcast(msgObj) {
   const data = JSON.stringify(msgObj);
@@ -690,14 +684,24 @@ function broadcast(msgObj) {
   }
 }
 
+// Forward engine events to every client
+engine.on('status', payload => broadcast({ type: 'status', payload }));
+engine.on('schedule', payload => broadcast({ type: 'schedule', payload }));
+engine.on('connection', payload => broadcast({ type: 'connection', payload }));
+engine.on('log', payload => broadcast({ type: 'event', payload }));
+
+// Resume where we left off if the process was restarted mid‑show.  This runs
+// in the background so the UI is reachable while servers are being checked.
+engine.recoverState().catch(err => console.error(`Recovery failed: ${err.message}`));
+
 // Send initial status to new clients
 wss.on('connection', async (socket) => {
-  socket.send(JSON.stringify({ type: 'status', payload: await snapshotStatus() }));
+  socket.send(JSON.stringify({ type: 'status', payload: await engine.snapshotStatus() }));
 });
 
 // Cleanly handle process termination
 process.on('SIGINT', () => {
   console.log('Shutting down...');
-  stopAutosyncLoop();
+  engine.close();
   server.close(() => process.exit(0));
-});
\ No newline at end of file
+});
@@ -0,0 +1,174 @@
+/**
+ * AMCP client for Caspar Autosync.
+ *
+ * The engine speaks AMCP as plain command strings (`PLAY 1-10`,
+ * `CALL 1-10 FRAME`, ...) and parses the replies itself (see lib/amcp.js).
+ * `AmcpClient` is the small TCP client that carries them: one connection
+ * per server, commands sent one at a time in order, replies read according
+ * to their status code, and automatic reconnects.
+ *
+ *   200 <cmd> OK    data lines follow, ended by an empty line
+ *   201 <cmd> OK    one data line follows
+ *   202 <cmd> OK    no data
+ *   4xx/5xx         the command failed
+ *
+ * Commands issued while the connection is down wait for the next connect
+ * attempt; if that attempt fails, or the connection drops with commands
+ * outstanding, they are rejected rather than sent late.
+ */
+
+import net from 'net';
+
+// Wait between reconnect attempts
+export const RECONNECT_DELAY_MS = 1000;
+
+// Longest wait for a reply before the connection is considered dead
+export const REPLY_TIMEOUT_MS = 5000;
+
+export class AmcpClient {
+  /**
+   * @param {Object} opts Options.
+   * @param {string} opts.host The server's host name or address.
+   * @param {number} [opts.port=5250] The AMCP port.
+   * @param {Function} [opts.onConnectionChanged] Called with true on every connect and false when the connection is lost.
+   * @param {Function} [opts.onError] Called with socket errors.
+   * @param {number} [opts.reconnectDelayMs] Wait between reconnect attempts.
+   * @param {number} [opts.replyTimeoutMs] Longest wait for a reply.
+   */
+  constructor({ host, port = 5250, onConnectionChanged = () => {}, onError = () => {}, reconnectDelayMs = RECONNECT_DELAY_MS, replyTimeoutMs = REPLY_TIMEOUT_MS }) {
+    this.host = host;
+    this.port = port;
+    this.onConnectionChanged = onConnectionChanged;
+    this.onError = onError;
+    this.reconnectDelayMs = reconnectDelayMs;
+    this.replyTimeoutMs = replyTimeoutMs;
+    this.socket = null;
+    this.connected = false;
+    this.closed = false;           // Set by `disconnect()`; no more reconnects
+    this.queue = [];               // { command, resolve, reject } waiting to be sent
+    this.current = null;           // The command awaiting its reply
+    this.buffer = '';              // Reply text received but not yet consumed
+    this.reconnectTimer = null;
+    this.replyTimer = null;
+    this.connect();
+  }
+
+  /**
+   * Open the socket.  Called on construction and after every loss.
+   */
+  connect() {
+    this.reconnectTimer = null;
+    const socket = net.connect(this.port, this.host);
+    this.socket = socket;
+    socket.setEncoding('utf8');
+    socket.setNoDelay(true);
+    socket.on('connect', () => {
+      this.connected = true;
+      this.onConnectionChanged(true);
+      this.sendNext();
+    });
+    socket.on('data', text => {
+      this.buffer += text;
+      this.readReplies();
+    });
+    socket.on('error', err => this.onError(err));
+    socket.on('close', () => this.handleClose(socket));
+  }
+
+  /**
+   * Fail everything outstanding, report the loss and schedule a reconnect.
+   *
+   * @param {net.Socket} socket The socket that closed.
+   */
+  handleClose(socket) {
+    if (socket !== this.socket) return;
+    const wasConnected = this.connected;
+    this.connected = false;
+    this.buffer = '';
+    clearTimeout(this.replyTimer);
+    const pending = [...(this.current ? [this.current] : []), ...this.queue];
+    this.current = null;
+    this.queue = [];
+    const err = new Error(`Connection to ${this.host}:${this.port} ${wasConnected ? 'lost' : 'failed'}`);
+    pending.forEach(entry => entry.reject(err));
+    if (wasConnected) this.onConnectionChanged(false);
+    if (!this.closed) this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelayMs);
+  }
+
+  /**
+   * Send a command.
+   *
+   * @param {string} command The AMCP command, without the line ending.
+   * @returns {Promise<string>} The reply data: the data lines of a 200 reply joined with newlines, the line of a 201 reply, or the status line of a 202 reply.
+   * @throws {Error} With the status line and `amcpCode` if the server reports an error, or if the connection fails first.
+   */
+  do(command) {
+    if (this.closed) return Promise.reject(new Error(`Connection to ${this.host}:${this.port} is closed`));
+    return new Promise((resolve, reject) => {
+      this.queue.push({ command, resolve, reject });
+      this.sendNext();
+    });
+  }
+
+  /**
+   * Send the next queued command if the connection is idle.
+   */
+  sendNext() {
+    if (!this.connected || this.current || !this.queue.length) return;
+    this.current = this.queue.shift();
+    this.replyTimer = setTimeout(() => {
+      this.onError(new Error(`No reply to ${this.current?.command} from ${this.host}:${this.port}`));
+      this.socket.destroy();
+    }, this.replyTimeoutMs);
+    this.socket.write(`${this.current.command}\r\n`);
+  }
+
+  /**
+   * Consume every complete reply in the buffer.
+   */
+  readReplies() {
+    while (this.current) {
+      const lines = this.buffer.split('\r\n');
+      // The last element is an incomplete line (or empty)
+      if (lines.length < 2) return;
+      const status = lines[0];
+      const code = parseInt(status, 10);
+      let used;
+      let data;
+      if (code === 200) {
+        const end = lines.indexOf('', 1);
+        if (end < 0 || end === lines.length - 1) return;
+        data = lines.slice(1, end).join('\n');
+        used = end + 1;
+      } else if (code === 201) {
+        if (lines.length < 3) return;
+        data = lines[1];
+        used = 2;
+      } else {
+        data = status;
+        used = 1;
+      }
+      this.buffer = lines.slice(used).join('\r\n');
+      clearTimeout(this.replyTimer);
+      const { resolve, reject } = this.current;
+      this.current = null;
+      if (!(code < 400)) {
+        const err = new Error(status);
+        err.amcpCode = Number.isFinite(code) ? code : null;
+        reject(err);
+      } else {
+        resolve(data);
+      }
+      this.sendNext();
+    }
+  }
+
+  /**
+   * Close the connection for good.  Outstanding commands are rejected.
+   */
+  disconnect() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.socket?.destroy();
+  }
+}
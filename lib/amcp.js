@@ -0,0 +1,287 @@
+/**
+ * AMCP command helpers for Caspar Autosync.
+ *
+ * To keep the sync logic readable, these functions wrap common AMCP patterns
+ * (`DEFER`/`RESUME` batches, load/seek/pause, cut and fade transitions,
+ * nudges) and parse the replies the engine relies on.  They hold no state
+ * of their own and work on any connection object with a `do(command)`
+ * method, such as an `AmcpClient` (lib/amcp-client.js).
+ */
+
+/**
+ * Send a DEFER command on a connection.  DEFER collects subsequent commands
+ * until a matching RESUME is issued, batching them into a single render cycle.
+ *
+ * @param {AmcpClient} conn The connection.
+ * @returns {Promise<unknown>} Resolves when the command is acknowledged.
+ */
+export function defer(conn) { return conn.do('DEFER'); }
+
+/**
+ * Send a RESUME command on a connection.  RESUME executes all deferred
+ * commands.  It must be called after one or more DEFER calls.
+ *
+ * @param {AmcpClient} conn The connection.
+ * @returns {Promise<unknown>} Resolves when the command is acknowledged.
+ */
+export function resume(conn) { return conn.do('RESUME'); }
+
+/**
+ * Issue a `LOADBG` followed by `PAUSE` on the given layer.  This preloads a
+ * clip into memory and parks it on the specified frame without showing it.
+ *
+ * @param {AmcpClient} conn The connection to use.
+ * @param {number} ch The channel number on the remote CasparCG server.
+ * @param {number} layer The layer number (active or standby).
+ * @param {string} clip The file name (including extension) to load.
+ * @param {number} frame The frame to seek to before pausing.
+ */
+export async function loadAndPause(conn, ch, layer, clip, frame) {
+  await defer(conn);
+  await conn.do(`LOADBG ${ch}-${layer} "${clip}" SEEK ${frame} LOOP`);
+  await conn.do(`PAUSE ${ch}-${layer}`);
+  await conn.do(`MIXER ${ch}-${layer} OPACITY 0 0`);
+  await conn.do(`MIXER ${ch}-${layer} VOLUME 0.0 0`);
+  await resume(conn);
+}
+
+// Commands sent by a transition up to and including the RESUME that starts
+// the standby layer: DEFER, SEEK, PLAY, four MIXER commands and RESUME.
+export const TRANSITION_COMMANDS = 8;
+
+/**
+ * Perform a seamless cut transition from the active layer to the standby layer.
+ * The standby layer must already be loaded on the correct frame, or a
+ * `seekFrame` is given to reposition it in the same render cycle it starts.
+ * This function makes the standby layer visible and the active layer
+ * invisible in the same render cycle, then pauses the old layer.  After the
+ * cut the returned pair reflects the new active/standby assignments.
+ *
+ * @param {AmcpClient} conn The connection.
+ * @param {number} ch The channel.
+ * @param {{active:number, standby:number}} pair The current pair.
+ * @param {number} [seekFrame] Frame to seek the standby layer to before it starts.
+ * @returns {{active:number, standby:number}} The updated pair after swap.
+ */
+export async function cutTransition(conn, ch, pair, seekFrame) {
+  await defer(conn);
+  if (seekFrame != null) await conn.do(`CALL ${ch}-${pair.standby} SEEK ${seekFrame}`);
+  // Start the standby layer and immediately make it visible
+  await conn.do(`PLAY ${ch}-${pair.standby}`);
+  await conn.do(`MIXER ${ch}-${pair.standby} OPACITY 1 0`);
+  await conn.do(`MIXER ${ch}-${pair.standby} VOLUME 1.0 0`);
+  // Hide and mute the active layer
+  await conn.do(`MIXER ${ch}-${pair.active} OPACITY 0 0`);
+  await conn.do(`MIXER ${ch}-${pair.active} VOLUME 0.0 0`);
+  await resume(conn);
+  // Pause the old layer to stop decoding
+  await defer(conn);
+  await conn.do(`PAUSE ${ch}-${pair.active}`);
+  await resume(conn);
+  // Swap roles
+  return { active: pair.standby, standby: pair.active, baseLayer: pair.baseLayer };
+}
+
+/**
+ * Perform a cross‑fade transition from the active layer to the standby layer.
+ * Both layers will play simultaneously while their opacities cross over
+ * linearly over `fadeFrames` frames.  After the fade, the old layer is
+ * paused.  Returns the updated pair after swap.
+ *
+ * @param {AmcpClient} conn The connection.
+ * @param {number} ch The channel.
+ * @param {{active:number, standby:number}} pair The current pair.
+ * @param {number} fadeFrames Duration of the fade, in frames.
+ * @param {number} [seekFrame] Frame to seek the standby layer to before it starts.
+ * @returns {{active:number, standby:number}} The updated pair.
+ */
+export async function fadeTransition(conn, ch, pair, fadeFrames, seekFrame) {
+  await defer(conn);
+  if (seekFrame != null) await conn.do(`CALL ${ch}-${pair.standby} SEEK ${seekFrame}`);
+  await conn.do(`PLAY ${ch}-${pair.standby}`);
+  // Fade in standby and fade out active over fadeFrames frames
+  await conn.do(`MIXER ${ch}-${pair.standby} OPACITY 1 ${fadeFrames} LINEAR`);
+  await conn.do(`MIXER ${ch}-${pair.standby} VOLUME 1.0 ${fadeFrames} LINEAR`);
+  await conn.do(`MIXER ${ch}-${pair.active} OPACITY 0 ${fadeFrames} LINEAR`);
+  await conn.do(`MIXER ${ch}-${pair.active} VOLUME 0.0 ${fadeFrames} LINEAR`);
+  await resume(conn);
+  // Allow the fade to finish before pausing the old layer
+  await defer(conn);
+  await conn.do(`PAUSE ${ch}-${pair.active}`);
+  await resume(conn);
+  return { active: pair.standby, standby: pair.active, baseLayer: pair.baseLayer };
+}
+
+/**
+ * Hold a playing layer for a while and let it continue, so that a layer
+ * running a few frames ahead falls back in step without a layer swap.  The
+ * layer shows its current frame for the duration of the hold.
+ *
+ * @param {AmcpClient} conn The connection.
+ * @param {number} ch The channel.
+ * @param {number} layer The playing layer.
+ * @param {number} holdMs How long to hold it, in milliseconds.
+ */
+export async function holdLayer(conn, ch, layer, holdMs) {
+  await conn.do(`PAUSE ${ch}-${layer}`);
+  await new Promise(resolve => setTimeout(resolve, holdMs));
+  await conn.do(`PLAY ${ch}-${layer}`);
+}
+
+/**
+ * Move a playing layer to another frame of the clip it is playing, without
+ * a layer swap.  Used to let a layer running a few frames behind catch up.
+ *
+ * @param {AmcpClient} conn The connection.
+ * @param {number} ch The channel.
+ * @param {number} layer The playing layer.
+ * @param {number} frame The frame to continue from.
+ */
+export async function seekLayer(conn, ch, layer, frame) {
+  await conn.do(`CALL ${ch}-${layer} SEEK ${frame}`);
+}
+
+/**
+ * Extract the frame number from a `CALL ch-layer FRAME` reply.
+ *
+ * @param {unknown} res The raw reply.
+ * @returns {number|null} The frame, or null if the reply is not a number.
+ */
+export function parseFrameReply(res) {
+  const val = parseInt(String(res).trim(), 10);
+  return Number.isFinite(val) ? val : null;
+}
+
+/**
+ * Extract the layer state from an `INFO ch-layer` reply.  The XML differs
+ * slightly between server versions, so only the two facts needed for
+ * recovery are extracted: whether a producer is loaded on the foreground and
+ * whether it is paused.
+ *
+ * @param {unknown} res The raw reply.
+ * @returns {{loaded: boolean, playing: boolean}} Layer state.
+ */
+export function parseLayerInfo(res) {
+  const xml = String(res);
+  const foreground = (xml.match(/<foreground>([\s\S]*?)<\/foreground>/i) || [])[1] || '';
+  const loaded = foreground !== '' && !/empty-producer/i.test(foreground);
+  const paused = /<paused>\s*true\s*<\/paused>/i.test(foreground);
+  return { loaded, playing: loaded && !paused };
+}
+
+/**
+ * A clip name as configured, without its extension.  CasparCG lists and
+ * loads clips by this name.
+ *
+ * @param {string} clip The clip name, e.g. `folder/intro.mov`.
+ * @returns {string} The name without extension, e.g. `folder/intro`.
+ */
+function clipName(clip) {
+  return clip.replace(/\.[^./\\]+$/, '');
+}
+
+/**
+ * A clip name in the form used to compare it with a listing: forward
+ * slashes and upper case, as CasparCG reports it.
+ *
+ * @param {string} name The clip name without extension.
+ * @returns {string} The comparable name.
+ */
+function mediaKey(name) {
+  return name.replace(/\\/g, '/').toUpperCase();
+}
+
+/**
+ * Parse the media lines of a `CLS` or `CINF` reply, such as
+ * `"AMB" MOVIE 6445960 20170413142321 268 1/25`: name, type, file size,
+ * modification time, frame count and time base.  Stills and audio files have
+ * no frame rate; `fps` and `durationSec` are null for them.  CasparCG does not
+ * report the picture size in these replies.
+ *
+ * @param {string} text The raw reply.
+ * @returns {Array<{name: string, type: string, size: number, modified: string, frames: number, fps: number|null, durationSec: number|null}>} One entry per media line.
+ */
+export function parseMediaList(text) {
+  const entries = [];
+  for (const line of text.split(/\r?\n/)) {
+    const m = line.match(/^"([^"]+)"\s+(\S+)\s+(\d+)\s+(\d+)\s+(\d+)\s+(\d+)\/(\d+)/);
+    if (!m) continue;
+    const [, name, type, size, stamp, count, num, den] = m;
+    const frames = parseInt(count, 10);
+    const rate = parseInt(num, 10) > 0 ? parseInt(den, 10) / parseInt(num, 10) : 0;
+    const fps = rate > 0 ? Math.round(rate * 1000) / 1000 : null;
+    entries.push({
+      name,
+      type,
+      size: parseInt(size, 10),
+      // Server local time, yyyymmddhhmmss
+      modified: stamp.replace(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/, '$1-$2-$3T$4:$5:$6'),
+      frames,
+      fps,
+      durationSec: fps && frames > 0 ? Math.round(frames / fps * 1000) / 1000 : null
+    });
+  }
+  return entries;
+}
+
+/**
+ * List every clip on the server with `CLS`.
+ *
+ * @param {AmcpClient} conn The connection.
+ * @returns {Promise<Array<Object>>} Media entries as returned by `parseMediaList()`.
+ */
+export async function listMedia(conn) {
+  return parseMediaList(String(await conn.do('CLS')));
+}
+
+/**
+ * Look up one clip on the server.  `CINF` is tried first; if it is rejected
+ * (older servers, or the clip does not exist) the full `CLS` listing is
+ * searched instead.  Names are compared case‑insensitively and without
+ * extension because CasparCG reports them in upper case.
+ *
+ * @param {AmcpClient} conn The connection.
+ * @param {string} clip The clip name as configured (extension optional).
+ * @returns {Promise<Object|null>} The media entry, or null if the server does not have the clip.
+ * @throws {Error} If the server could not be asked at all (the `CLS` failed).
+ */
+export async function findMedia(conn, clip) {
+  const name = clipName(clip);
+  const wanted = mediaKey(name);
+  try {
+    // Not an error worth logging: the listing below is the answer then
+    const entry = parseMediaList(String(await conn.do(`CINF "${name}"`, { mayFail: true }))).find(e => mediaKey(e.name) === wanted);
+    if (entry) return entry;
+  } catch {
+    // Fall through to the listing
+  }
+  return (await listMedia(conn)).find(e => mediaKey(e.name) === wanted) || null;
+}
+
+/**
+ * Look up a clip's length and frame rate on the server (see `findMedia()`).
+ *
+ * @param {AmcpClient} conn The connection.
+ * @param {string} clip The clip name as configured (extension optional).
+ * @returns {Promise<{fps: number, frames: number}|null>} Media info or null if unknown.
+ */
+export async function queryMediaInfo(conn, clip) {
+  try {
+    const entry = await findMedia(conn, clip);
+    return entry && entry.frames > 0 && entry.fps ? { fps: entry.fps, frames: entry.frames } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Ask a server for its version with `VERSION`.
+ *
+ * @param {AmcpClient} conn The connection.
+ * @returns {Promise<string|null>} The version string, e.g. `2.3.3.0 Stable`.
+ */
+export async function queryVersion(conn) {
+  const res = await conn.do('VERSION');
+  const lines = String(res).trim().split(/\r?\n/);
+  return lines[lines.length - 1].trim() || null;
+}
@@ -0,0 +1,221 @@
+/**
+ * Optional authentication for Caspar Autosync.
+ *
+ * Accounts and API tokens live in a local JSON file (`users.json` by
+ * default).  Passwords are stored as salted scrypt hashes and tokens as
+ * SHA‑256 hashes, so the file never holds a usable secret.  While the file
+ * is missing or empty authentication is off and everyone may do everything,
+ * as before.
+ *
+ * Every account and token has one of three roles, each including the ones
+ * before it:
+ *  - `viewer`    read status, configuration, history and events
+ *  - `operator`  preload, start, pause, resync, schedule and change modes
+ *  - `admin`     change the configuration
+ *
+ * People log in with a name and password and get a session id, carried by a
+ * cookie; tools send an API token as `Authorization: Bearer <token>`.
+ */
+
+import fs from 'fs/promises';
+import crypto from 'crypto';
+
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+// Name of the cookie that carries the session id
+export const SESSION_COOKIE = 'caspar_session';
+
+// How long a session stays valid after its last use
+export const SESSION_TTL_MS = 12 * 3600 * 1000;
+
+const SCRYPT_KEYLEN = 64;
+
+/**
+ * Hash a password with a random (or the given) salt.
+ *
+ * @param {string} password The password.
+ * @param {string} [salt] Hex salt; a new one is generated when omitted.
+ * @returns {{salt: string, hash: string}} Salt and hash, both hex.
+ */
+export function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN).toString('hex');
+  return { salt, hash };
+}
+
+/**
+ * Check a password against a stored salt and hash in constant time.
+ *
+ * @param {string} password The password to check.
+ * @param {{salt: string, hash: string}} stored The stored credentials.
+ * @returns {boolean} True if it matches.
+ */
+export function verifyPassword(password, { salt, hash }) {
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return expected.length > 0 && crypto.timingSafeEqual(actual, expected);
+}
+
+// Checked instead for unknown names, so that a login costs one scrypt run
+// whether or not the name exists
+const DUMMY_CREDENTIALS = hashPassword('');
+
+/**
+ * Create a new random API token.
+ *
+ * @returns {string} The token, 64 hex characters.
+ */
+export function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Hash an API token for storage.  Tokens are long and random, so a plain
+ * SHA‑256 is enough.
+ *
+ * @param {string} token The token.
+ * @returns {string} Hex hash.
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Whether a role includes the permissions of another.
+ *
+ * @param {string} role The role held.
+ * @param {string} required The role needed.
+ * @returns {boolean} True if `role` is at least `required`.
+ */
+export function roleAllows(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required) && ROLES.includes(role);
+}
+
+/**
+ * Read a credentials file.  A missing file means no credentials.
+ *
+ * @param {string} file Path to `users.json`.
+ * @returns {Promise<{users: Object[], tokens: Object[]}>} The credentials.
+ */
+export async function loadCredentials(file) {
+  let data = {};
+  try {
+    data = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  return { users: data.users || [], tokens: data.tokens || [] };
+}
+
+/**
+ * Write a credentials file.
+ *
+ * @param {string} file Path to `users.json`.
+ * @param {{users: Object[], tokens: Object[]}} creds The credentials.
+ */
+export async function saveCredentials(file, creds) {
+  await fs.writeFile(file, JSON.stringify(creds, null, 2), 'utf8');
+}
+
+/**
+ * Extract one cookie from a `Cookie` header.
+ *
+ * @param {string} [header] The header value.
+ * @param {string} name The cookie name.
+ * @returns {string|null} The value, or null if absent.
+ */
+export function readCookie(header, name) {
+  for (const part of String(header || '').split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(rest.join('='));
+  }
+  return null;
+}
+
+/**
+ * The credential store and the sessions of logged‑in users.
+ */
+export class Auth {
+  /**
+   * @param {Object} [opts] Options.
+   * @param {string} [opts.file] The credentials file.  Without it authentication is off.
+   */
+  constructor({ file = null } = {}) {
+    this.file = file;
+    this.users = [];
+    this.tokens = [];
+    this.sessions = new Map();   // session id -> { name, role, expires }
+  }
+
+  /**
+   * Read the credentials file.  Call again after the file was changed.
+   *
+   * @returns {Promise<Auth>} The store, for chaining.
+   */
+  async load() {
+    if (this.file) Object.assign(this, await loadCredentials(this.file));
+    return this;
+  }
+
+  /**
+   * Whether any account or token exists, i.e. whether requests must
+   * authenticate.
+   *
+   * @returns {boolean} True when authentication is on.
+   */
+  get enabled() {
+    return this.users.length > 0 || this.tokens.length > 0;
+  }
+
+  /**
+   * Check a name and password and open a session.
+   *
+   * @param {string} name The account name.
+   * @param {string} password The password.
+   * @returns {{id: string, name: string, role: string}|null} The session, or null if the credentials are wrong.
+   */
+  login(name, password) {
+    const user = this.users.find(u => u.name === name);
+    // Hash anyway for unknown names so the reply time does not reveal them
+    const ok = user ? verifyPassword(password, user) : (verifyPassword(password, DUMMY_CREDENTIALS), false);
+    if (!ok) return null;
+    const id = crypto.randomBytes(24).toString('hex');
+    this.sessions.set(id, { name: user.name, role: user.role, expires: Date.now() + SESSION_TTL_MS });
+    return { id, name: user.name, role: user.role };
+  }
+
+  /**
+   * End a session.
+   *
+   * @param {string} id The session id.
+   */
+  logout(id) {
+    this.sessions.delete(id);
+  }
+
+  /**
+   * Identify the caller of a request from its headers: an API token in the
+   * `Authorization` header or a session cookie.  Sessions are extended on
+   * every use.
+   *
+   * @param {Object} headers The request headers (lower‑case names).
+   * @returns {{name: string, role: string, via: string}|null} The caller, or null if unauthenticated.
+   */
+  authenticate(headers) {
+    const bearer = /^Bearer\s+(\S+)$/i.exec(headers.authorization || '');
+    if (bearer) {
+      const hash = hashToken(bearer[1]);
+      const token = this.tokens.find(t => t.hash.length === hash.length &&
+        crypto.timingSafeEqual(Buffer.from(t.hash), Buffer.from(hash)));
+      return token ? { name: token.name, role: token.role, via: 'token' } : null;
+    }
+    const id = readCookie(headers.cookie, SESSION_COOKIE);
+    const session = id && this.sessions.get(id);
+    if (!session) return null;
+    if (session.expires < Date.now()) {
+      this.sessions.delete(id);
+      return null;
+    }
+    session.expires = Date.now() + SESSION_TTL_MS;
+    return { name: session.name, role: session.role, via: 'session' };
+  }
+}
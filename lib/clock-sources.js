@@ -0,0 +1,564 @@
+/**
+ * External timecode clock sources for Caspar Autosync.
+ *
+ * A sync group normally runs on the control machine's clock from the moment
+ * it is started.  With its `clock` set to the id of one of the configured
+ * `clockSources` it chases house timecode instead: the group's clock is the
+ * source's time of day minus the group's `chaseTimecode`, so every slot
+ * shows its start frame when the house timecode reads `chaseTimecode`.
+ * The source types:
+ *
+ *   { "id": "house", "type": "ltc", "input": "-", "sampleRate": 48000, "channels": 1, "channel": 0, "fps": 25 }
+ *     LTC audio as raw signed 16‑bit little‑endian PCM, read from a named
+ *     pipe or device, or from stdin with `"input": "-"`, e.g.
+ *     `arecord -t raw -f S16_LE -r 48000 -c 1 | node index.js`
+ *   { "id": "desk", "type": "mtc", "input": "/dev/snd/midiC1D0" }
+ *     MIDI timecode, quarter frames and full‑frame messages, read from a raw
+ *     MIDI port such as one of the virtual ports of `snd-virmidi`
+ *   { "id": "feed", "type": "udp", "port": 9999, "fps": 25 }
+ *     Datagrams holding the current timecode as text, `HH:MM:SS:FF` or
+ *     `HH:MM:SS;FF` for drop‑frame
+ *   { "id": "tod", "type": "time-of-day", "fps": 25 }
+ *     The control machine's local time of day
+ *
+ * Every source keeps the latest timecode it received and when it arrived.
+ * Between updates, and after the signal is lost, it freewheels on the local
+ * clock from there.
+ */
+
+import dgram from 'dgram';
+import fs from 'fs';
+import { timecodeToFrames, framesToTimecode, parseTimecode, validateTimecode } from './timecode.js';
+
+export const CLOCK_SOURCE_TYPES = ['ltc', 'mtc', 'udp', 'time-of-day'];
+
+// A source whose last timecode is older than this is freewheeling
+export const TIMECODE_MAX_AGE_MS = 1000;
+
+const DAY_SEC = 24 * 3600;
+
+// Bits 64-79 of an LTC frame in the order they are sent
+const LTC_SYNC_WORD = [0, 0, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1];
+const LTC_BITS = 80;
+
+// Samples closer to zero than this do not change the level of an LTC signal
+const LTC_THRESHOLD = 1024;
+
+// Frame rates of the MTC rate codes 0-3; 29.97 is always drop‑frame
+const MTC_RATES = [24, 25, 29.97, 30];
+
+const pad = v => String(v).padStart(2, '0');
+
+/**
+ * Format timecode fields as a string.
+ *
+ * @param {{hh: number, mm: number, ss: number, ff: number, dropFrame: boolean}} tc The fields.
+ * @returns {string} `HH:MM:SS:FF`, or `HH:MM:SS;FF` for drop‑frame.
+ */
+function formatTimecode({ hh, mm, ss, ff, dropFrame }) {
+  return `${pad(hh)}:${pad(mm)}:${pad(ss)}${dropFrame ? ';' : ':'}${pad(ff)}`;
+}
+
+/**
+ * The 80 bits of an LTC frame, in the order they are sent: BCD time fields
+ * least significant bit first, user bits and flags left at zero, then the
+ * sync word.
+ *
+ * @param {string} tc The timecode.
+ * @returns {number[]} The bits.
+ */
+function ltcFrameBits(tc) {
+  const { hh, mm, ss, ff, dropFrame } = parseTimecode(tc);
+  const bits = new Array(LTC_BITS).fill(0);
+  const put = (from, count, value) => {
+    for (let i = 0; i < count; i++) bits[from + i] = (value >> i) & 1;
+  };
+  put(0, 4, ff % 10);
+  put(8, 2, Math.floor(ff / 10));
+  bits[10] = dropFrame ? 1 : 0;
+  put(16, 4, ss % 10);
+  put(24, 3, Math.floor(ss / 10));
+  put(32, 4, mm % 10);
+  put(40, 3, Math.floor(mm / 10));
+  put(48, 4, hh % 10);
+  put(56, 2, Math.floor(hh / 10));
+  LTC_SYNC_WORD.forEach((bit, i) => { bits[64 + i] = bit; });
+  return bits;
+}
+
+/**
+ * Encode consecutive frames of LTC as a square wave in mono 16‑bit PCM.
+ * Used by the test suite to feed the decoder.
+ *
+ * @param {string} start Timecode of the first frame.
+ * @param {number} count Number of frames.
+ * @param {Object} [opts] Options.
+ * @param {number} [opts.fps=25] Frame rate.
+ * @param {number} [opts.sampleRate=48000] Samples per second.
+ * @param {number} [opts.amplitude=16384] Peak sample value.
+ * @returns {Buffer} Signed 16‑bit little‑endian samples.
+ */
+export function encodeLtc(start, count, { fps = 25, sampleRate = 48000, amplitude = 16384 } = {}) {
+  const dropFrame = parseTimecode(start)?.dropFrame ?? false;
+  const first = timecodeToFrames(start, fps);
+  const halfBit = sampleRate / (LTC_BITS * fps) / 2;
+  const samples = [];
+  let level = 1;
+  let half = 0;
+  const hold = () => {
+    half++;
+    while (samples.length < Math.round(half * halfBit)) samples.push(level * amplitude);
+  };
+  for (let n = 0; n < count; n++) {
+    // Biphase mark: the level flips at every bit boundary and in the middle of a 1
+    for (const bit of ltcFrameBits(framesToTimecode(first + n, fps, dropFrame))) {
+      level = -level;
+      hold();
+      if (bit) level = -level;
+      hold();
+    }
+  }
+  const buf = Buffer.alloc(samples.length * 2);
+  samples.forEach((value, i) => buf.writeInt16LE(value, i * 2));
+  return buf;
+}
+
+/**
+ * Decodes LTC from audio samples.  The bit clock is recovered from the
+ * zero crossings of the biphase‑mark signal, starting from the length of a
+ * bit at the nominal frame rate and following the signal from there, and a
+ * frame is complete when its sync word has been read.
+ */
+export class LtcDecoder {
+  /**
+   * @param {Object} [opts] Options.
+   * @param {number} [opts.sampleRate=48000] Samples per second.
+   * @param {number} [opts.fps=25] Expected frame rate.
+   */
+  constructor({ sampleRate = 48000, fps = 25 } = {}) {
+    this.fps = fps;
+    this.halfBit = sampleRate / (LTC_BITS * fps) / 2; // Samples per half bit, adapted as the signal is read
+    this.level = 0;      // 1 or -1 once the signal has been seen
+    this.sinceEdge = 0;  // Samples since the last level change
+    this.short = false;  // A half‑bit interval was read and waits for its second half
+    this.bits = [];      // The bits read since the last complete frame
+  }
+
+  /**
+   * Read a block of samples.
+   *
+   * @param {ArrayLike<number>} samples Signed 16‑bit sample values of one channel.
+   * @returns {Array<{timecode: string, at: number}>} The frames completed in the block, with the index of the sample that ended each.
+   */
+  decode(samples) {
+    const frames = [];
+    for (let n = 0; n < samples.length; n++) {
+      this.sinceEdge++;
+      const value = samples[n];
+      const level = value > LTC_THRESHOLD ? 1 : value < -LTC_THRESHOLD ? -1 : this.level;
+      if (level === this.level) continue;
+      const interval = this.sinceEdge;
+      const first = this.level === 0;
+      this.level = level;
+      this.sinceEdge = 0;
+      if (first) continue;
+      const timecode = this.edge(interval);
+      if (timecode) frames.push({ timecode, at: n });
+    }
+    return frames;
+  }
+
+  /**
+   * Read the bit an interval between level changes ends.
+   *
+   * @param {number} interval Samples since the previous level change.
+   * @returns {string|null} The timecode of a frame this completes, or null.
+   */
+  edge(interval) {
+    const halves = interval / this.halfBit;
+    if (halves < 0.5 || halves > 2.5) {
+      // Noise or a gap in the signal: start looking for a sync word again
+      this.short = false;
+      this.bits = [];
+      return null;
+    }
+    if (halves > 1.5) {
+      // A 0 is a whole bit without a change in the middle; it also puts the
+      // pairing of half bits back in phase
+      this.halfBit += (interval / 2 - this.halfBit) / 16;
+      this.short = false;
+      return this.push(0);
+    }
+    this.halfBit += (interval - this.halfBit) / 16;
+    if (!this.short) {
+      this.short = true;
+      return null;
+    }
+    this.short = false;
+    return this.push(1);
+  }
+
+  /**
+   * Add a bit and check whether it completes a frame.
+   *
+   * @param {number} bit 0 or 1.
+   * @returns {string|null} The frame's timecode, or null.
+   */
+  push(bit) {
+    const { bits } = this;
+    bits.push(bit);
+    if (bits.length > LTC_BITS) bits.shift();
+    if (bits.length < LTC_BITS || LTC_SYNC_WORD.some((b, i) => bits[64 + i] !== b)) return null;
+    const value = (from, count) => {
+      let v = 0;
+      for (let i = 0; i < count; i++) v |= bits[from + i] << i;
+      return v;
+    };
+    const timecode = formatTimecode({
+      ff: value(0, 4) + 10 * value(8, 2),
+      ss: value(16, 4) + 10 * value(24, 3),
+      mm: value(32, 4) + 10 * value(40, 3),
+      hh: value(48, 4) + 10 * value(56, 2),
+      dropFrame: bits[10] === 1
+    });
+    this.bits = [];
+    return validateTimecode(timecode, this.fps) ? null : timecode;
+  }
+}
+
+/**
+ * Decodes MIDI timecode from a raw MIDI byte stream: quarter‑frame messages
+ * (`F1 0n`) and full‑frame SysEx (`F0 7F dd 01 01 hh mm ss ff F7`).  Other
+ * messages are skipped.
+ */
+export class MtcDecoder {
+  constructor() {
+    this.status = null;                   // The last status byte
+    this.sysex = null;                    // Bytes of a SysEx message being read
+    this.pieces = new Array(8).fill(null); // Quarter‑frame pieces of the current frame
+  }
+
+  /**
+   * Read a block of MIDI bytes.
+   *
+   * @param {Buffer} buf The bytes.
+   * @returns {Array<{timecode: string, fps: number, offsetFrames: number, at: number}>} The times completed in the block: the timecode, its frame rate, how many frames have passed since it and the index of the byte that completed it.
+   */
+  decode(buf) {
+    const times = [];
+    for (let n = 0; n < buf.length; n++) {
+      const byte = buf[n];
+      // Real‑time messages may appear anywhere, even inside a SysEx
+      if (byte >= 0xF8) continue;
+      if (byte & 0x80) {
+        if (byte === 0xF7 && this.sysex) {
+          const time = this.fullFrame(this.sysex);
+          if (time) times.push({ ...time, at: n });
+        }
+        this.sysex = byte === 0xF0 ? [] : null;
+        this.status = byte;
+        continue;
+      }
+      if (this.sysex) {
+        if (this.sysex.push(byte) > 8) this.sysex = null;
+        continue;
+      }
+      if (this.status !== 0xF1) continue;
+      this.status = null;
+      const time = this.quarterFrame(byte >> 4, byte & 0x0F);
+      if (time) times.push({ ...time, at: n });
+    }
+    return times;
+  }
+
+  /**
+   * Record one quarter‑frame piece.  The eight pieces of a time are sent
+   * over two frames; the time they carry is when piece 0 was sent, so once
+   * piece 7 arrives one and three quarter frames have passed since.
+   *
+   * @param {number} piece Piece number, 0-7.
+   * @param {number} value Its four bits.
+   * @returns {{timecode: string, fps: number, offsetFrames: number}|null} The time once piece 7 completes it.
+   */
+  quarterFrame(piece, value) {
+    if (piece === 0) this.pieces.fill(null);
+    this.pieces[piece] = value;
+    if (piece !== 7 || this.pieces.includes(null)) return null;
+    const [f0, f1, s0, s1, m0, m1, h0, h1] = this.pieces;
+    this.pieces.fill(null);
+    return this.time(f0 | (f1 & 1) << 4, s0 | (s1 & 3) << 4, m0 | (m1 & 3) << 4, h0 | (h1 & 1) << 4, (h1 >> 1) & 3, 1.75);
+  }
+
+  /**
+   * Read a full‑frame message, sent when a transport locates.
+   *
+   * @param {number[]} data The SysEx bytes between `F0` and `F7`.
+   * @returns {{timecode: string, fps: number, offsetFrames: number}|null} The time, or null for other SysEx.
+   */
+  fullFrame(data) {
+    if (data.length !== 8 || data[0] !== 0x7F || data[2] !== 0x01 || data[3] !== 0x01) return null;
+    const [, , , , hr, mm, ss, ff] = data;
+    return this.time(ff, ss, mm, hr & 0x1F, (hr >> 5) & 3, 0);
+  }
+
+  /**
+   * Build a time from decoded fields.
+   *
+   * @param {number} ff Frames.
+   * @param {number} ss Seconds.
+   * @param {number} mm Minutes.
+   * @param {number} hh Hours.
+   * @param {number} rate MTC rate code, 0-3.
+   * @param {number} offsetFrames Frames that have passed since the time.
+   * @returns {{timecode: string, fps: number, offsetFrames: number}|null} The time, or null if the fields are out of range.
+   */
+  time(ff, ss, mm, hh, rate, offsetFrames) {
+    const fps = MTC_RATES[rate];
+    const timecode = formatTimecode({ hh, mm, ss, ff, dropFrame: rate === 2 });
+    return validateTimecode(timecode, fps) ? null : { timecode, fps, offsetFrames };
+  }
+}
+
+/**
+ * What every clock source has in common: the latest time received and
+ * freewheeling from it.  Subclasses start and stop the input and call
+ * `record()` with every time they read.
+ */
+class ClockSource {
+  /**
+   * @param {Object} def The source's entry in `clockSources`.
+   * @param {Object} [opts] Options.
+   * @param {Object} [opts.logger=console] Receives `log()` and `error()` calls.
+   */
+  constructor(def, { logger = console } = {}) {
+    this.def = def;
+    this.id = def.id;
+    this.type = def.type;
+    this.fps = def.fps ?? 25;
+    this.logger = logger;
+    this.last = null;  // { timecode, fps, seconds, receivedAt }
+    this.received = 0;
+    this.malformed = 0;
+  }
+
+  /**
+   * Open the input.
+   *
+   * @returns {Promise<ClockSource>} The source, for chaining.
+   */
+  async start() {
+    return this;
+  }
+
+  /**
+   * Close the input.
+   */
+  close() {}
+
+  /**
+   * Note a time read from the input.
+   *
+   * @param {string} timecode The timecode.
+   * @param {number} fps Its frame rate.
+   * @param {number} offsetFrames Frames that have passed since `timecode` at `receivedAt`.
+   * @param {number} receivedAt When it was read, in milliseconds since the epoch.
+   */
+  record(timecode, fps, offsetFrames, receivedAt) {
+    this.last = { timecode, fps, seconds: (timecodeToFrames(timecode, fps) + offsetFrames) / fps, receivedAt };
+    this.received++;
+  }
+
+  /**
+   * The source's time of day at a given moment, freewheeling from the last
+   * time received.
+   *
+   * @param {number} ms Timestamp in milliseconds since the epoch.
+   * @returns {number|null} Seconds since midnight on the source's timecode, or null before anything was received.
+   */
+  secondsAt(ms) {
+    if (!this.last) return null;
+    const seconds = this.last.seconds + (ms - this.last.receivedAt) / 1000;
+    return ((seconds % DAY_SEC) + DAY_SEC) % DAY_SEC;
+  }
+
+  /**
+   * Describe the source for the status snapshot.
+   *
+   * @param {number} [now] Reference time, defaults to `Date.now()`.
+   * @returns {{id: string, type: string, fps: number, timecode: string|null, receiving: boolean, lastReceivedAt: number|null, received: number, malformed: number}} Source info; `timecode` is the current time on the source.
+   */
+  info(now = Date.now()) {
+    const seconds = this.secondsAt(now);
+    const fps = this.last?.fps ?? this.fps;
+    const dropFrame = parseTimecode(this.last?.timecode)?.dropFrame ?? false;
+    return {
+      id: this.id,
+      type: this.type,
+      fps,
+      timecode: seconds == null ? null : framesToTimecode(seconds * fps, fps, dropFrame),
+      receiving: this.last != null && now - this.last.receivedAt <= TIMECODE_MAX_AGE_MS,
+      lastReceivedAt: this.last?.receivedAt ?? null,
+      received: this.received,
+      malformed: this.malformed
+    };
+  }
+}
+
+/**
+ * A source reading a byte stream: a file, named pipe or device, or stdin.
+ */
+class StreamClockSource extends ClockSource {
+  async start() {
+    const { input } = this.def;
+    this.stream = input === '-' ? process.stdin : fs.createReadStream(input);
+    this.onData = chunk => this.read(chunk, Date.now());
+    this.stream.on('data', this.onData);
+    this.stream.on('error', err => this.logger.error(`Clock source ${this.id}: ${err.message}`));
+    this.stream.on('end', () => this.logger.log(`Clock source ${this.id}: end of input, freewheeling`));
+    return this;
+  }
+
+  close() {
+    if (!this.stream) return;
+    // stdin belongs to the process, so only stop listening to it
+    if (this.stream === process.stdin) {
+      this.stream.off('data', this.onData);
+      this.stream.pause();
+    } else {
+      this.stream.destroy();
+    }
+    this.stream = null;
+  }
+}
+
+/**
+ * LTC decoded from PCM audio.
+ */
+class LtcClockSource extends StreamClockSource {
+  constructor(def, opts) {
+    super(def, opts);
+    this.sampleRate = def.sampleRate ?? 48000;
+    this.channels = def.channels ?? 1;
+    this.channel = def.channel ?? 0;
+    this.decoder = new LtcDecoder({ sampleRate: this.sampleRate, fps: this.fps });
+    this.rest = Buffer.alloc(0); // Bytes of an incomplete sample frame
+  }
+
+  /**
+   * Decode a chunk of audio.  Each frame's time is dated by how many
+   * samples of the chunk came after it.
+   *
+   * @param {Buffer} chunk Interleaved 16‑bit samples.
+   * @param {number} receivedAt When the chunk arrived.
+   */
+  read(chunk, receivedAt) {
+    const buf = this.rest.length ? Buffer.concat([this.rest, chunk]) : chunk;
+    const frameBytes = 2 * this.channels;
+    const count = Math.floor(buf.length / frameBytes);
+    this.rest = buf.subarray(count * frameBytes);
+    const samples = new Int16Array(count);
+    for (let i = 0; i < count; i++) samples[i] = buf.readInt16LE(i * frameBytes + this.channel * 2);
+    // The word of a frame is sent during that frame, so the next frame has begun once it is read
+    for (const { timecode, at } of this.decoder.decode(samples)) {
+      this.record(timecode, this.fps, 1, receivedAt - (count - 1 - at) / this.sampleRate * 1000);
+    }
+  }
+}
+
+/**
+ * MIDI timecode from a raw MIDI port.
+ */
+class MtcClockSource extends StreamClockSource {
+  constructor(def, opts) {
+    super(def, opts);
+    this.decoder = new MtcDecoder();
+  }
+
+  read(chunk, receivedAt) {
+    for (const { timecode, fps, offsetFrames } of this.decoder.decode(chunk)) {
+      this.record(timecode, fps, offsetFrames, receivedAt);
+    }
+  }
+}
+
+/**
+ * Timecode as text in UDP datagrams.
+ */
+class UdpClockSource extends ClockSource {
+  async start() {
+    const socket = dgram.createSocket('udp4');
+    socket.on('message', buf => this.read(buf, Date.now()));
+    await new Promise((resolve, reject) => {
+      socket.once('error', reject);
+      socket.bind(this.def.port, this.def.address ?? '0.0.0.0', () => {
+        socket.off('error', reject);
+        resolve();
+      });
+    });
+    socket.on('error', err => this.logger.error(`Clock source ${this.id}: ${err.message}`));
+    this.socket = socket;
+    return this;
+  }
+
+  close() {
+    this.socket?.close();
+    this.socket = null;
+  }
+
+  /**
+   * The UDP port in use, or null before `start()`.
+   */
+  get port() {
+    return this.socket?.address().port ?? null;
+  }
+
+  /**
+   * Take the timecode from a datagram.
+   *
+   * @param {Buffer} buf The datagram.
+   * @param {number} receivedAt When it arrived.
+   */
+  read(buf, receivedAt) {
+    const timecode = buf.toString('ascii').trim();
+    if (validateTimecode(timecode, this.fps)) {
+      this.malformed++;
+      return;
+    }
+    this.record(timecode, this.fps, 0, receivedAt);
+  }
+}
+
+/**
+ * The control machine's local time of day.
+ */
+class TimeOfDayClockSource extends ClockSource {
+  secondsAt(ms) {
+    // Always current, so the latest time is simply the one asked for
+    const midnight = new Date(ms);
+    midnight.setHours(0, 0, 0, 0);
+    this.last = { timecode: null, fps: this.fps, seconds: (ms - midnight.getTime()) / 1000, receivedAt: ms };
+    return this.last.seconds;
+  }
+}
+
+const SOURCE_CLASSES = {
+  ltc: LtcClockSource,
+  mtc: MtcClockSource,
+  udp: UdpClockSource,
+  'time-of-day': TimeOfDayClockSource
+};
+
+/**
+ * Create a clock source from its configuration entry.  It reads nothing
+ * until `start()` is called.
+ *
+ * @param {Object} def The entry in `clockSources`, already validated.
+ * @param {Object} [opts] Options.
+ * @param {Object} [opts.logger=console] Receives `log()` and `error()` calls.
+ * @returns {ClockSource} The source.
+ */
+export function createClockSource(def, opts) {
+  const SourceClass = SOURCE_CLASSES[def.type];
+  if (!SourceClass) throw new Error(`Unknown clock source type ${def.type}`);
+  return new SourceClass(def, opts);
+}
@@ -0,0 +1,581 @@
+/**
+ * Configuration handling for Caspar Autosync.
+ *
+ * The configuration holds all user‑definable settings: global parameters
+ * (fps, autosync interval, drift tolerance, resync mode, etc.), optional
+ * sync groups and per‑slot definitions.  Each slot describes a remote
+ * CasparCG server and the media file to play.  Missing keys are always
+ * filled in from `config.sample.json`, which ships next to the package.
+ *
+ * Sync groups are independent timelines.  Every slot belongs to one, named
+ * by its `syncGroup`; slots without one (or naming an unknown group) belong
+ * to the `default` group.  A group takes its settings from its entry in
+ * `syncGroups` and falls back to the global values for anything it leaves
+ * out, so an installation without `syncGroups` runs exactly as one group.
+ *
+ * Instead of looping one `clip`, a slot may play a `playlist`: an ordered
+ * list of `{ clip, frames }` items, each shown for `frames` frames (at the
+ * slot's frame rate) before the next one starts.  The whole sequence loops
+ * and its position follows the sync group's clock like a single clip.
+ *
+ * A slot, and each playlist item, may list `safeWindows`: `{ from, to }`
+ * frame ranges, inclusive, where a drift correction is not noticed, e.g.
+ * black frames or the loop point.  Autosync holds a correction back until
+ * the slot reaches one.  A slot's windows are positions in its loop and
+ * may wrap round the loop point (`from` above `to`); an item's windows are
+ * frames of that item.
+ *
+ * One slot of a sync group may be its `master`: the group's clock then
+ * follows the frame that slot's playout is really on rather than the
+ * control machine's clock, and the other slots are corrected against it.
+ *
+ * A sync group's `clock` is `system`, the control machine's clock from the
+ * moment the group is started, or the id of one of the `clockSources`
+ * (house LTC, MTC, a UDP timecode feed or the time of day; see
+ * lib/clock-sources.js).  A group on a clock source chases its timecode:
+ * every slot is at its start timecode when the source reads the group's
+ * `chaseTimecode`.
+ */
+
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { parseTimecode, validateTimecode, isSupportedRate, SUPPORTED_RATES } from './timecode.js';
+import { CLOCK_SOURCE_TYPES } from './clock-sources.js';
+
+export const SAMPLE_FILE = fileURLToPath(new URL('../config.sample.json', import.meta.url));
+
+// Settings a sync group can override; the global values are the defaults
+export const GROUP_SETTINGS = ['fps', 'frames', 'autosyncIntervalSec', 'driftToleranceFrames', 'resyncMode', 'resyncPolicy', 'fadeFrames', 'nudgeMaxFrames', 'clock', 'chaseTimecode'];
+
+// How a resync corrects a slot: by swapping layers with a cut or a fade, or
+// by nudging the active layer when the drift is small (see `nudgeMaxFrames`).
+// And which slots a drift correction touches: every running slot of the
+// group, or only those outside the drift tolerance
+export const RESYNC_MODES = ['cut', 'fade', 'nudge'];
+export const RESYNC_POLICIES = ['all', 'drifted'];
+
+// Global keys that may be changed through `mergeConfigUpdate()`
+const ALLOWED_GLOBALS = [...GROUP_SETTINGS, 'syncGroups', 'clockSources'];
+
+// The group of every slot that does not name one
+export const DEFAULT_SYNC_GROUP = 'default';
+
+// The `clock` of a sync group that runs on the control machine's clock
+export const SYSTEM_CLOCK = 'system';
+
+// Upper bound on the number of slots
+export const MAX_SLOTS = 20;
+
+// The standby layer of a slot is this far above its base layer
+export const STANDBY_LAYER_OFFSET = 10;
+
+/**
+ * Fill in any missing top‑level fields or slot properties from the sample so
+ * that the result is a complete configuration object.
+ *
+ * @param {Object} base A possibly partial configuration.
+ * @returns {Promise<Object>} The completed configuration.
+ */
+export async function withDefaults(base) {
+  const sample = JSON.parse(await fs.readFile(SAMPLE_FILE, 'utf8'));
+  // Merge top‑level keys
+  const merged = { ...sample, ...base };
+  // Ensure slots array has the correct length
+  merged.slots = merged.slots || sample.slots;
+  // Deep merge each slot with sample slot to fill missing props
+  merged.slots = merged.slots.map((s, idx) => {
+    const def = sample.slots[idx] || {};
+    return { ...def, ...s };
+  });
+  return merged;
+}
+
+/**
+ * Load a configuration file.  If the file does not exist the sample
+ * configuration is used instead.
+ *
+ * @param {string} file Path to `config.json`.
+ * @returns {Promise<Object>} A promise resolving to the configuration object.
+ */
+export async function loadConfig(file) {
+  let base;
+  try {
+    const data = await fs.readFile(file, 'utf8');
+    base = JSON.parse(data);
+  } catch {
+    // Fall back to sample if no custom config exists
+    base = JSON.parse(await fs.readFile(SAMPLE_FILE, 'utf8'));
+  }
+  return withDefaults(base);
+}
+
+/**
+ * Persist a configuration to disk, formatted with two‑space indentation for
+ * readability.
+ *
+ * @param {string} file Path to `config.json`.
+ * @param {Object} cfg The configuration object to save.
+ */
+export async function saveConfig(file, cfg) {
+  await fs.writeFile(file, JSON.stringify(cfg, null, 2), 'utf8');
+}
+
+/**
+ * Build the configuration that results from applying a partial update.
+ * Only whitelisted global keys are taken over to avoid arbitrary injection;
+ * a `slots` array replaces the slots, each merged over the current one.
+ * The current configuration is not modified.
+ *
+ * @param {Object} current The current configuration.
+ * @param {Object} update Partial configuration, e.g. a request body.
+ * @returns {Object} The candidate configuration.
+ */
+export function mergeConfigUpdate(current, update) {
+  const next = { ...current };
+  for (const key of ALLOWED_GLOBALS) {
+    if (key in update && typeof update[key] !== 'undefined') {
+      next[key] = update[key];
+    }
+  }
+  if (Array.isArray(update.slots)) {
+    next.slots = update.slots.map((s, idx) => {
+      const def = current.slots[idx] || {};
+      return { ...def, ...s };
+    });
+  }
+  return next;
+}
+
+/**
+ * Ids of all sync groups, the default group first.
+ *
+ * @param {Object} cfg The configuration.
+ * @returns {string[]} Group ids.
+ */
+export function syncGroupIds(cfg) {
+  const ids = [DEFAULT_SYNC_GROUP];
+  for (const group of cfg.syncGroups || []) {
+    if (group?.id && !ids.includes(group.id)) ids.push(group.id);
+  }
+  return ids;
+}
+
+/**
+ * Effective settings of a sync group: its own values where set, otherwise
+ * the global ones.
+ *
+ * @param {Object} cfg The configuration.
+ * @param {string} id The group id.
+ * @returns {Object} `{ id, name, fps, frames, autosyncIntervalSec, driftToleranceFrames, resyncMode, resyncPolicy, fadeFrames, nudgeMaxFrames, clock, chaseTimecode }`.
+ */
+export function syncGroupSettings(cfg, id) {
+  const entry = (cfg.syncGroups || []).find(group => group?.id === id) || {};
+  const settings = { id, name: entry.name || (id === DEFAULT_SYNC_GROUP ? 'Default' : id) };
+  for (const key of GROUP_SETTINGS) {
+    settings[key] = entry[key] != null && entry[key] !== '' ? entry[key] : cfg[key];
+  }
+  return settings;
+}
+
+/**
+ * The sync group a slot belongs to.
+ *
+ * @param {Object} cfg The configuration.
+ * @param {number} idx The index of the slot in `cfg.slots`.
+ * @returns {string} The group id.
+ */
+export function slotSyncGroup(cfg, idx) {
+  const id = cfg.slots[idx]?.syncGroup;
+  return id && syncGroupIds(cfg).includes(id) ? id : DEFAULT_SYNC_GROUP;
+}
+
+/**
+ * The playlist of a slot, if it has one.
+ *
+ * @param {Object} slot The slot.
+ * @returns {Array<{clip: string, frames: number}>|null} The items, or null for a slot that loops one clip.
+ */
+export function slotPlaylist(slot) {
+  return Array.isArray(slot?.playlist) && slot.playlist.length ? slot.playlist : null;
+}
+
+/**
+ * Every clip a slot plays: its playlist items or its one clip.
+ *
+ * @param {Object} slot The slot.
+ * @returns {string[]} Clip names, without duplicates.
+ */
+export function slotClips(slot) {
+  const items = slotPlaylist(slot);
+  return items ? [...new Set(items.map(item => item.clip))] : [slot.clip];
+}
+
+/**
+ * Find the playlist item at a position in the sequence.
+ *
+ * @param {Array<{clip: string, frames: number}>} items The playlist.
+ * @param {number} frame Position in the whole sequence, from 0 to the sum of the item lengths.
+ * @returns {{item: number, clip: string, frame: number, start: number, frames: number}} The item's index and clip, the frame within it, and where it starts and how long it is in the sequence.
+ */
+export function playlistPosition(items, frame) {
+  let start = 0;
+  for (let item = 0; item < items.length; item++) {
+    const { clip, frames } = items[item];
+    if (frame < start + frames || item === items.length - 1) return { item, clip, frame: frame - start, start, frames };
+    start += frames;
+  }
+  return null;
+}
+
+/**
+ * Every safe window of a slot as a range of positions in its loop: the
+ * slot's own windows and those of its playlist items, moved to where each
+ * item starts.
+ *
+ * @param {Object} slot The slot.
+ * @returns {Array<{from: number, to: number}>} The windows; empty if the slot has none.
+ */
+export function slotSafeWindows(slot) {
+  const windows = Array.isArray(slot?.safeWindows) ? [...slot.safeWindows] : [];
+  let start = 0;
+  for (const item of slotPlaylist(slot) || []) {
+    for (const { from, to } of Array.isArray(item.safeWindows) ? item.safeWindows : []) {
+      windows.push({ from: start + from, to: start + to });
+    }
+    start += item.frames;
+  }
+  return windows;
+}
+
+/**
+ * How far a loop position is from the next safe window.
+ *
+ * @param {Array<{from: number, to: number}>} windows Safe windows, from `slotSafeWindows()`.
+ * @param {number} frame Position in the loop.
+ * @param {number} len Loop length in frames.
+ * @returns {number} Frames until the nearest window starts; 0 inside a window or when there are none.
+ */
+export function framesToSafeWindow(windows, frame, len) {
+  if (!windows.length) return 0;
+  const wrap = n => ((n % len) + len) % len;
+  let wait = Infinity;
+  for (const { from, to } of windows) {
+    const into = wrap(frame - from);
+    if (into <= wrap(to - from)) return 0;
+    wait = Math.min(wait, len - into);
+  }
+  return wait;
+}
+
+/**
+ * Check a list of safe windows.
+ *
+ * @param {unknown} windows The windows.
+ * @param {number} [limit] Frames of the playlist item they belong to; windows of an item may not wrap or pass its end.
+ * @returns {string|null} What is wrong with them, or null if they are fine.
+ */
+function safeWindowsError(windows, limit) {
+  if (!Array.isArray(windows)) return 'must be a list of { from, to } frame ranges';
+  for (const range of windows) {
+    if (!Number.isInteger(range?.from) || !Number.isInteger(range?.to) || range.from < 0 || range.to < 0) {
+      return 'must be ranges of whole frame numbers, at least 0';
+    }
+    if (limit != null && (range.from > range.to || range.to >= limit)) return `must be ranges within the item's ${limit} frames`;
+  }
+  return null;
+}
+
+/**
+ * Frame rate of a slot's clip.  A manual `fps` on the slot wins, then the
+ * rate discovered from CasparCG for the current clip, then the `fps` of the
+ * slot's sync group.  Playlist items are counted at the manual `fps` or the
+ * group's.
+ *
+ * @param {Object} cfg The configuration.
+ * @param {number} idx The index of the slot in `cfg.slots`.
+ * @returns {number} Frames per second.
+ */
+export function resolveSlotFps(cfg, idx) {
+  const slot = cfg.slots[idx];
+  if (slot.fps > 0) return slot.fps;
+  if (!slotPlaylist(slot) && slot.media?.clip === slot.clip && slot.media.fps > 0) return slot.media.fps;
+  return syncGroupSettings(cfg, slotSyncGroup(cfg, idx)).fps;
+}
+
+/**
+ * Loop length of a slot's clip in frames, resolved the same way as
+ * `resolveSlotFps()`: manual `frames`, then discovered length, then the
+ * `frames` of the slot's sync group.  A playlist loops after the sum of its
+ * item lengths.
+ *
+ * @param {Object} cfg The configuration.
+ * @param {number} idx The index of the slot in `cfg.slots`.
+ * @returns {number} Number of frames before the clip wraps.
+ */
+export function resolveSlotFrames(cfg, idx) {
+  const slot = cfg.slots[idx];
+  const items = slotPlaylist(slot);
+  if (items) return items.reduce((sum, item) => sum + item.frames, 0);
+  if (slot.frames > 0) return slot.frames;
+  if (slot.media?.clip === slot.clip && slot.media.frames > 0) return slot.media.frames;
+  return syncGroupSettings(cfg, slotSyncGroup(cfg, idx)).frames;
+}
+
+/**
+ * Check every slot's start timecode against the frame rate it will be
+ * counted in.  Used to reject configuration updates before they are applied.
+ *
+ * @param {Object} cfg Candidate configuration.
+ * @returns {Array<{field: string, message: string}>} One entry per invalid timecode.
+ */
+export function validateSlotTimecodes(cfg) {
+  const errors = [];
+  cfg.slots.forEach((slot, idx) => {
+    const tc = slot.timecode || '00:00:00:00';
+    const message = validateTimecode(tc, resolveSlotFps(cfg, idx));
+    if (message) errors.push({ field: `slots[${idx}].timecode`, message: `Slot ${idx + 1} timecode ${message}` });
+  });
+  return errors;
+}
+
+/**
+ * Check the options of a clock source (see lib/clock-sources.js).
+ *
+ * @param {Object} source The entry in `clockSources`.
+ * @returns {Array<{key: string, message: string}>} What is wrong, per option.
+ */
+function clockSourceErrors(source) {
+  const errors = [];
+  const { type } = source;
+  if (!CLOCK_SOURCE_TYPES.includes(type)) {
+    errors.push({ key: 'type', message: `type must be ${CLOCK_SOURCE_TYPES.slice(0, -1).join(', ')} or ${CLOCK_SOURCE_TYPES.at(-1)}` });
+  }
+  // MTC carries its own frame rate
+  if (type !== 'mtc' && !isUnset(source.fps) && !isSupportedRate(source.fps)) {
+    errors.push({ key: 'fps', message: `FPS must be one of ${SUPPORTED_RATES.join(', ')}` });
+  }
+  if ((type === 'ltc' || type === 'mtc') && (typeof source.input !== 'string' || !source.input)) {
+    errors.push({ key: 'input', message: 'needs an input: a file, pipe or device, or - for stdin' });
+  }
+  if (type === 'ltc') {
+    if (!isUnset(source.sampleRate) && (!Number.isInteger(source.sampleRate) || source.sampleRate < 8000)) {
+      errors.push({ key: 'sampleRate', message: 'sample rate must be a whole number, at least 8000' });
+    }
+    const channels = source.channels ?? 1;
+    if (!Number.isInteger(channels) || channels < 1) {
+      errors.push({ key: 'channels', message: 'channels must be a whole number, at least 1' });
+    } else if (!isUnset(source.channel) && (!Number.isInteger(source.channel) || source.channel < 0 || source.channel >= channels)) {
+      errors.push({ key: 'channel', message: `channel must be a whole number from 0 to ${channels - 1}` });
+    }
+  }
+  if (type === 'udp' && (!Number.isInteger(source.port) || source.port < 1 || source.port > 65535)) {
+    errors.push({ key: 'port', message: 'port must be a whole number from 1 to 65535' });
+  }
+  return errors;
+}
+
+/**
+ * Rules for the settings that exist both globally and per sync group.  Each
+ * returns an error message, or null if the value is fine.
+ */
+const SETTING_RULES = {
+  fps: v => isNumber(v) && v > 0 && v <= 240 ? null : 'must be a frame rate between 0 and 240',
+  frames: v => Number.isInteger(v) && v >= 1 ? null : 'must be a whole number of frames, at least 1',
+  autosyncIntervalSec: v => isNumber(v) && v > 0 ? null : 'must be a number of seconds above 0',
+  driftToleranceFrames: v => isNumber(v) && v >= 0 ? null : 'must be a number of frames, at least 0',
+  resyncMode: v => RESYNC_MODES.includes(v) ? null : `must be ${RESYNC_MODES.slice(0, -1).join(', ')} or ${RESYNC_MODES.at(-1)}`,
+  resyncPolicy: v => RESYNC_POLICIES.includes(v) ? null : `must be ${RESYNC_POLICIES.join(' or ')}`,
+  fadeFrames: v => Number.isInteger(v) && v >= 1 ? null : 'must be a whole number of frames, at least 1',
+  nudgeMaxFrames: v => Number.isInteger(v) && v >= 1 ? null : 'must be a whole number of frames, at least 1',
+  clock: v => typeof v === 'string' && v ? null : `must be ${SYSTEM_CLOCK} or the id of a clock source`,
+  chaseTimecode: v => parseTimecode(v) ? null : 'must be HH:MM:SS:FF (or HH:MM:SS;FF for drop-frame)'
+};
+
+// Human‑readable names of the settings, used in messages
+const SETTING_LABELS = {
+  fps: 'FPS',
+  frames: 'Frames',
+  autosyncIntervalSec: 'Auto interval',
+  driftToleranceFrames: 'Drift tolerance',
+  resyncMode: 'Resync mode',
+  resyncPolicy: 'Resync policy',
+  fadeFrames: 'Fade frames',
+  nudgeMaxFrames: 'Nudge limit',
+  clock: 'Clock',
+  chaseTimecode: 'Chase timecode'
+};
+
+/**
+ * Whether a value is a finite number (not a numeric string).
+ *
+ * @param {*} value The value.
+ * @returns {boolean} True for finite numbers.
+ */
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Whether an optional value was left out.  Empty strings count as left out
+ * so that blank form fields mean "use the default".
+ *
+ * @param {*} value The value.
+ * @returns {boolean} True for undefined, null and ''.
+ */
+function isUnset(value) {
+  return value == null || value === '';
+}
+
+/**
+ * Check the type and range of every field of a configuration, that sync
+ * group ids are unique and known, that no two active slots play on the same
+ * layers of one channel (counting each slot's standby layer at
+ * `baseLayer + 10`) and that every start timecode is valid.  Used to reject
+ * configuration updates before they are applied.
+ *
+ * @param {Object} cfg Candidate configuration.
+ * @returns {Array<{field: string, message: string}>} One entry per problem, with the path of the field, e.g. `slots[2].port`.
+ */
+export function validateConfig(cfg) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+  // A clock must also name a configured source
+  const sourceIds = Array.isArray(cfg.clockSources) ? cfg.clockSources.map(source => source?.id) : [];
+  const settingError = (key, value) => SETTING_RULES[key](value) ||
+    (key === 'clock' && value !== SYSTEM_CLOCK && !sourceIds.includes(value) ? `source ${value} does not exist` : null);
+
+  for (const key of Object.keys(SETTING_RULES)) {
+    const message = settingError(key, cfg[key]);
+    if (message) fail(key, `${SETTING_LABELS[key]} ${message}`);
+  }
+
+  if (!Array.isArray(cfg.clockSources ?? [])) {
+    fail('clockSources', 'Clock sources must be a list');
+  } else {
+    const seen = new Set();
+    (cfg.clockSources || []).forEach((source, idx) => {
+      const field = `clockSources[${idx}]`;
+      if (!source || typeof source !== 'object') return fail(field, `Clock source ${idx + 1} must be an object`);
+      if (typeof source.id !== 'string' || !/^[\w-]+$/.test(source.id) || source.id === SYSTEM_CLOCK) {
+        fail(`${field}.id`, `Clock source ${idx + 1} needs an id of letters, digits, - or _ other than ${SYSTEM_CLOCK}`);
+      } else if (seen.has(source.id)) {
+        fail(`${field}.id`, `Clock source id ${source.id} is used twice`);
+      }
+      seen.add(source.id);
+      for (const { key, message } of clockSourceErrors(source)) {
+        fail(`${field}.${key}`, `Clock source ${source.id || idx + 1} ${message}`);
+      }
+    });
+  }
+
+  if (!Array.isArray(cfg.syncGroups ?? [])) {
+    fail('syncGroups', 'Sync groups must be a list');
+  } else {
+    const seen = new Set();
+    (cfg.syncGroups || []).forEach((group, idx) => {
+      const field = `syncGroups[${idx}]`;
+      if (!group || typeof group !== 'object') return fail(field, `Sync group ${idx + 1} must be an object`);
+      if (typeof group.id !== 'string' || !/^[\w-]+$/.test(group.id)) {
+        fail(`${field}.id`, `Sync group ${idx + 1} needs an id of letters, digits, - or _`);
+      } else if (seen.has(group.id)) {
+        fail(`${field}.id`, `Sync group id ${group.id} is used twice`);
+      }
+      seen.add(group.id);
+      if (!isUnset(group.name) && typeof group.name !== 'string') fail(`${field}.name`, `Sync group ${idx + 1} name must be text`);
+      for (const key of Object.keys(SETTING_RULES)) {
+        const message = isUnset(group[key]) ? null : settingError(key, group[key]);
+        if (message) fail(`${field}.${key}`, `Sync group ${group.id || idx + 1} ${SETTING_LABELS[key].toLowerCase()} ${message}`);
+      }
+    });
+  }
+
+  if (!Array.isArray(cfg.slots)) {
+    fail('slots', 'Slots must be a list');
+    return errors;
+  }
+  if (cfg.slots.length > MAX_SLOTS) fail('slots', `At most ${MAX_SLOTS} slots are supported, not ${cfg.slots.length}`);
+  const groups = Array.isArray(cfg.syncGroups) ? syncGroupIds(cfg) : [DEFAULT_SYNC_GROUP];
+  cfg.slots.forEach((slot, idx) => {
+    const field = `slots[${idx}]`;
+    const label = `Slot ${idx + 1}`;
+    if (!slot || typeof slot !== 'object') return fail(field, `${label} must be an object`);
+    for (const key of ['name', 'group', 'syncGroup', 'host', 'clip', 'timecode']) {
+      if (!isUnset(slot[key]) && typeof slot[key] !== 'string') fail(`${field}.${key}`, `${label} ${key} must be text`);
+    }
+    for (const key of ['enabled', 'master']) {
+      if (slot[key] != null && typeof slot[key] !== 'boolean') fail(`${field}.${key}`, `${label} ${key} must be true or false`);
+    }
+    if (!Number.isInteger(slot.port) || slot.port < 1 || slot.port > 65535) fail(`${field}.port`, `${label} port must be a whole number from 1 to 65535`);
+    if (!Number.isInteger(slot.channel) || slot.channel < 1) fail(`${field}.channel`, `${label} channel must be a whole number, at least 1`);
+    if (!Number.isInteger(slot.baseLayer) || slot.baseLayer < 0) fail(`${field}.baseLayer`, `${label} base layer must be a whole number, at least 0`);
+    for (const key of ['fps', 'frames']) {
+      const message = isUnset(slot[key]) ? null : SETTING_RULES[key](slot[key]);
+      if (message) fail(`${field}.${key}`, `${label} ${SETTING_LABELS[key]} ${message}`);
+    }
+    if (typeof slot.syncGroup === 'string' && slot.syncGroup && !groups.includes(slot.syncGroup)) {
+      fail(`${field}.syncGroup`, `${label} sync group ${slot.syncGroup} does not exist`);
+    }
+    const windowsError = isUnset(slot.safeWindows) ? null : safeWindowsError(slot.safeWindows);
+    if (windowsError) fail(`${field}.safeWindows`, `${label} safe windows ${windowsError}`);
+    if (!isUnset(slot.playlist)) {
+      if (!Array.isArray(slot.playlist)) return fail(`${field}.playlist`, `${label} playlist must be a list`);
+      slot.playlist.forEach((item, n) => {
+        const itemField = `${field}.playlist[${n}]`;
+        if (typeof item?.clip !== 'string' || !item.clip) fail(`${itemField}.clip`, `${label} playlist item ${n + 1} needs a clip`);
+        if (!Number.isInteger(item?.frames) || item.frames < 1) fail(`${itemField}.frames`, `${label} playlist item ${n + 1} length must be a whole number of frames, at least 1`);
+        const itemError = isUnset(item?.safeWindows) ? null : safeWindowsError(item.safeWindows, item.frames);
+        if (itemError) fail(`${itemField}.safeWindows`, `${label} playlist item ${n + 1} safe windows ${itemError}`);
+      });
+    }
+  });
+
+  // Layer collisions and masters only matter between slots that will actually play
+  const active = cfg.slots
+    .map((slot, idx) => ({ slot, idx }))
+    .filter(({ slot }) => slot && slot.enabled !== false && slot.host && (slot.clip || slotPlaylist(slot)) &&
+      Number.isInteger(slot.baseLayer) && Number.isInteger(slot.channel));
+  active.forEach(({ slot, idx }, n) => {
+    for (const { slot: other, idx: otherIdx } of active.slice(0, n)) {
+      if (String(other.host).toLowerCase() !== String(slot.host).toLowerCase() ||
+          other.port !== slot.port || other.channel !== slot.channel) continue;
+      const gap = Math.abs(other.baseLayer - slot.baseLayer);
+      if (gap === 0) {
+        fail(`slots[${idx}].baseLayer`, `Slot ${idx + 1} uses the same host, channel and layer as slot ${otherIdx + 1}`);
+        break;
+      }
+      if (gap === STANDBY_LAYER_OFFSET) {
+        fail(`slots[${idx}].baseLayer`, `Slot ${idx + 1} layer ${slot.baseLayer} collides with the standby layer of slot ${otherIdx + 1} (base layer ${other.baseLayer} + ${STANDBY_LAYER_OFFSET})`);
+        break;
+      }
+    }
+  });
+
+  // A sync group can follow only one master
+  const masters = new Map();
+  for (const { slot, idx } of active) {
+    if (slot.master !== true) continue;
+    const id = slotSyncGroup(cfg, idx);
+    if (masters.has(id)) {
+      fail(`slots[${idx}].master`, `Slot ${idx + 1} cannot be a master: slot ${masters.get(id) + 1} is already the master of sync group ${id}`);
+    } else {
+      masters.set(id, idx);
+    }
+  }
+
+  // Timecodes are counted in the slot's frame rate, so only check them once
+  // the rates and the slots themselves are sound
+  if (!errors.some(e => /(^|\.)fps$|\.timecode$|^slots\[\d+\]$|^syncGroups$/.test(e.field))) {
+    errors.push(...validateSlotTimecodes(cfg));
+  }
+  // Likewise the timecode each sync group chases, in the group's frame rate
+  if (!errors.some(e => /^(syncGroups(\[\d+\])?\.)?(fps|chaseTimecode)$|^syncGroups(\[\d+\])?$/.test(e.field))) {
+    for (const id of syncGroupIds(cfg)) {
+      const { fps, chaseTimecode } = syncGroupSettings(cfg, id);
+      const message = validateTimecode(chaseTimecode, fps);
+      if (!message) continue;
+      const idx = (cfg.syncGroups || []).findIndex(group => group?.id === id && !isUnset(group.chaseTimecode));
+      fail(idx < 0 ? 'chaseTimecode' : `syncGroups[${idx}].chaseTimecode`, `Sync group ${id} chase timecode ${message}`);
+    }
+  }
+  return errors;
+}
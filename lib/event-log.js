@@ -0,0 +1,136 @@
+/**
+ * Event log for Caspar Autosync.
+ *
+ * An audit trail of everything that changes playback: operator actions on
+ * the API (with the client address), autosync decisions, resyncs, starts and
+ * pauses, connection changes and failed AMCP commands.  Each entry is one
+ * JSON object per line in the log file, so the file can be followed with
+ * `tail -f` or fed to any log shipper.  When the file grows beyond
+ * `maxBytes` it is rotated to `.1`, `.2` and so on, keeping `maxFiles` old
+ * files.  The most recent entries are also kept in memory for queries.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { RingBuffer } from './history.js';
+
+// Defaults for rotation and the in‑memory window
+export const EVENT_LOG_MAX_BYTES = 5 * 1024 * 1024;
+export const EVENT_LOG_MAX_FILES = 5;
+export const EVENT_LOG_MEMORY = 1000;
+
+export class EventLog {
+  /**
+   * @param {Object} [opts] Options.
+   * @param {string} [opts.file] The JSON‑lines file.  Without it entries are kept in memory only.
+   * @param {number} [opts.maxBytes] Size at which the file is rotated.
+   * @param {number} [opts.maxFiles] Number of rotated files kept.
+   * @param {number} [opts.memory] Number of recent entries kept for queries.
+   * @param {Object} [opts.logger=console] Receives `error()` calls when writing fails.
+   */
+  constructor({ file = null, maxBytes = EVENT_LOG_MAX_BYTES, maxFiles = EVENT_LOG_MAX_FILES, memory = EVENT_LOG_MEMORY, logger = console } = {}) {
+    this.file = file;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.logger = logger;
+    this.recent = new RingBuffer(memory);
+    this.nextId = 1;
+    this.size = 0;
+    // Writes are chained so lines land in order and rotation never races an append
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Read the current log file so that queries cover entries written before a
+   * restart.  Lines that are not valid JSON are skipped.
+   */
+  async load() {
+    if (!this.file) return;
+    let text;
+    try {
+      text = await fs.readFile(this.file, 'utf8');
+    } catch {
+      return;
+    }
+    this.size = Buffer.byteLength(text);
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        this.recent.push(entry);
+        if (entry.id >= this.nextId) this.nextId = entry.id + 1;
+      } catch {
+        // A partly written last line after a crash
+      }
+    }
+  }
+
+  /**
+   * Add an entry.  It is available to queries immediately and written to the
+   * file in the background.
+   *
+   * @param {string} type The kind of event, e.g. `api` or `resync`.
+   * @param {Object} [data] Event details.
+   * @returns {Object} The entry: `{ id, time, type, ...data }`.
+   */
+  append(type, data = {}) {
+    const entry = { id: this.nextId++, time: new Date().toISOString(), type, ...data };
+    this.recent.push(entry);
+    if (this.file) {
+      const line = JSON.stringify(entry) + '\n';
+      this.writing = this.writing
+        .then(() => this.write(line))
+        .catch(err => this.logger.error(`Failed to write event log: ${err.message}`));
+    }
+    return entry;
+  }
+
+  /**
+   * Append a line to the file, rotating first if it would grow too large.
+   *
+   * @param {string} line The serialised entry including the newline.
+   */
+  async write(line) {
+    const bytes = Buffer.byteLength(line);
+    if (this.size > 0 && this.size + bytes > this.maxBytes) await this.rotate();
+    if (this.size === 0) await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.appendFile(this.file, line, 'utf8');
+    this.size += bytes;
+  }
+
+  /**
+   * Shift `file.N-1` to `file.N` … `file` to `file.1`.  The rename onto
+   * `file.N` replaces the oldest file.
+   */
+  async rotate() {
+    for (let n = this.maxFiles - 1; n >= 0; n--) {
+      const from = n === 0 ? this.file : `${this.file}.${n}`;
+      // Missing files in the chain are fine
+      await fs.rename(from, `${this.file}.${n + 1}`).catch(() => {});
+    }
+    this.size = 0;
+  }
+
+  /**
+   * Wait until every appended entry has been written.
+   */
+  flush() {
+    return this.writing;
+  }
+
+  /**
+   * Recent entries, oldest first.
+   *
+   * @param {Object} [filter] Filter.
+   * @param {string[]} [filter.types] Only entries of these types.
+   * @param {number} [filter.since] Only entries at or after this time (ms since the epoch).
+   * @param {number} [filter.limit] At most this many of the newest matching entries.
+   * @returns {Object[]} The entries.
+   */
+  query({ types, since, limit } = {}) {
+    let entries = this.recent.toArray();
+    if (types?.length) entries = entries.filter(entry => types.includes(entry.type));
+    if (since != null) entries = entries.filter(entry => Date.parse(entry.time) >= since);
+    return limit ? entries.slice(-limit) : entries;
+  }
+}
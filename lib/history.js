@@ -0,0 +1,182 @@
+/**
+ * Drift history for Caspar Autosync.
+ *
+ * Every time the engine measures a slot's drift the sample is kept in a
+ * fixed‑size ring buffer per slot, together with the times at which the slot
+ * was resynced.  From these the history answers how a slot behaved over a
+ * recent window: whether a server slowly gains frames (a steadily growing
+ * mean) or jumps now and then (a large spread with few resyncs).
+ *
+ * Slots are identified by their index in `config.slots`.  The history lives
+ * in memory only and starts empty after a restart.
+ */
+
+// Samples kept per slot before the oldest are overwritten
+export const HISTORY_SAMPLES = 3600;
+
+/**
+ * A fixed‑capacity buffer that overwrites its oldest entry when full.
+ */
+export class RingBuffer {
+  /**
+   * @param {number} capacity Maximum number of entries.
+   */
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.items = [];
+    this.next = 0;
+  }
+
+  /**
+   * Append an entry, dropping the oldest once the buffer is full.
+   *
+   * @param {*} item The entry.
+   */
+  push(item) {
+    if (this.items.length < this.capacity) {
+      this.items.push(item);
+    } else {
+      this.items[this.next] = item;
+    }
+    this.next = (this.next + 1) % this.capacity;
+  }
+
+  /**
+   * All entries, oldest first.
+   *
+   * @returns {Array} A copy of the entries.
+   */
+  toArray() {
+    if (this.items.length < this.capacity) return this.items.slice();
+    return [...this.items.slice(this.next), ...this.items.slice(0, this.next)];
+  }
+}
+
+/**
+ * Summary statistics of a list of drift values.
+ *
+ * @param {number[]} values Drift in frames.
+ * @returns {{count: number, min: number|null, max: number|null, mean: number|null, stddev: number|null}} Statistics; null when there are no values.
+ */
+export function driftStats(values) {
+  const count = values.length;
+  if (!count) return { count, min: null, max: null, mean: null, stddev: null };
+  const mean = values.reduce((sum, v) => sum + v, 0) / count;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / count;
+  return {
+    count,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    mean: Math.round(mean * 1000) / 1000,
+    stddev: Math.round(Math.sqrt(variance) * 1000) / 1000
+  };
+}
+
+/**
+ * Quote a CSV field if it contains a separator, quote or line break.
+ *
+ * @param {*} value The field.
+ * @returns {string} The CSV representation.
+ */
+function csvField(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Per‑slot drift samples and resync times.
+ */
+export class DriftHistory {
+  /**
+   * @param {number} [capacity] Samples kept per slot.
+   */
+  constructor(capacity = HISTORY_SAMPLES) {
+    this.capacity = capacity;
+    this.samples = new Map();   // slot index -> RingBuffer of [time, drift]
+    this.resyncs = new Map();   // slot index -> RingBuffer of times
+  }
+
+  /**
+   * The buffer of a slot in one of the maps, created when first needed.
+   *
+   * @param {Map<number, RingBuffer>} map `samples` or `resyncs`.
+   * @param {number} index The slot index.
+   * @returns {RingBuffer} The buffer.
+   */
+  buffer(map, index) {
+    if (!map.has(index)) map.set(index, new RingBuffer(this.capacity));
+    return map.get(index);
+  }
+
+  /**
+   * Record a drift measurement.
+   *
+   * @param {number} index The slot index.
+   * @param {number} time When the frame was sampled, in milliseconds since the epoch.
+   * @param {number} drift Drift in frames.
+   */
+  record(index, time, drift) {
+    this.buffer(this.samples, index).push([time, drift]);
+  }
+
+  /**
+   * Record that a slot was resynced.
+   *
+   * @param {number} index The slot index.
+   * @param {number} [time] When it happened.  Defaults to now.
+   */
+  recordResync(index, time = Date.now()) {
+    this.buffer(this.resyncs, index).push(time);
+  }
+
+  /**
+   * Forget the history of one slot, or of every slot.
+   *
+   * @param {number} [index] The slot index.
+   */
+  clear(index) {
+    if (index == null) {
+      this.samples.clear();
+      this.resyncs.clear();
+    } else {
+      this.samples.delete(index);
+      this.resyncs.delete(index);
+    }
+  }
+
+  /**
+   * A slot's samples and statistics since the given time.
+   *
+   * @param {number} index The slot index.
+   * @param {number} since Start of the window in milliseconds since the epoch.
+   * @returns {{count: number, min: number|null, max: number|null, mean: number|null, stddev: number|null, resyncs: number, resyncTimes: number[], samples: Array<[number, number]>}} The slot's history.
+   */
+  slotHistory(index, since) {
+    const samples = (this.samples.get(index)?.toArray() ?? []).filter(([time]) => time >= since);
+    const resyncs = (this.resyncs.get(index)?.toArray() ?? []).filter(time => time >= since);
+    return { ...driftStats(samples.map(([, drift]) => drift)), resyncs: resyncs.length, resyncTimes: resyncs, samples };
+  }
+
+  /**
+   * Export samples and resyncs since the given time as CSV, one line per
+   * event in time order: `time,slot,name,event,drift`.
+   *
+   * @param {Array<{index: number, name: string}>} slots The slots to include.
+   * @param {number} since Start of the window in milliseconds since the epoch.
+   * @returns {string} The CSV text, with a header line.
+   */
+  toCsv(slots, since) {
+    const lines = [];
+    for (const { index, name } of slots) {
+      for (const [time, drift] of this.samples.get(index)?.toArray() ?? []) {
+        if (time >= since) lines.push([time, index + 1, name, 'sample', drift]);
+      }
+      for (const time of this.resyncs.get(index)?.toArray() ?? []) {
+        if (time >= since) lines.push([time, index + 1, name, 'resync', '']);
+      }
+    }
+    lines.sort((a, b) => a[0] - b[0]);
+    const rows = lines.map(([time, ...rest]) => [new Date(time).toISOString(), ...rest].map(csvField).join(','));
+    return ['time,slot,name,event,drift', ...rows].join('\r\n') + '\r\n';
+  }
+}
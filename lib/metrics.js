@@ -0,0 +1,137 @@
+/**
+ * Prometheus metrics for Caspar Autosync.
+ *
+ * `Metrics` keeps the counters and histograms the engine updates as things
+ * happen (resyncs, failed AMCP commands, autosync checks) and renders them,
+ * together with gauges the engine reads from its cached state, in the
+ * Prometheus text exposition format.  Nothing here talks to CasparCG, so a
+ * scrape adds no AMCP traffic.
+ */
+
+// Content type of the text exposition format
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Upper bounds, in seconds, of the autosync duration histogram buckets
+export const DURATION_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Type and help text of every metric, in the order they are rendered
+export const METRICS = {
+  caspar_sync_slot_drift_frames: ['gauge', 'Drift of a slot at its last sample in frames, positive when ahead'],
+  caspar_sync_slot_current_frame: ['gauge', 'Position of a slot in its loop at its last sample'],
+  caspar_sync_slot_target_frame: ['gauge', 'Position a slot should have been at when it was last sampled'],
+  caspar_sync_slot_sampled_timestamp_seconds: ['gauge', 'When a slot was last sampled, in seconds since the epoch'],
+  caspar_sync_resyncs_total: ['counter', 'Slot corrections by mode: cut, fade or nudge'],
+  caspar_sync_amcp_errors_total: ['counter', 'AMCP commands that failed unexpectedly, per server, as logged in the amcp-error events'],
+  caspar_sync_connection_up: ['gauge', '1 while the AMCP connection to a server is up, else 0'],
+  caspar_sync_connection_reconnects_total: ['counter', 'Times the AMCP connection to a server came back after a loss'],
+  caspar_sync_autosync_duration_seconds: ['histogram', 'Time one autosync check of a sync group took, including its corrections']
+};
+
+/**
+ * Escape a label value.
+ *
+ * @param {*} value The value.
+ * @returns {string} The escaped text.
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a label set, e.g. `{slot="0",sync_group="default"}`.
+ *
+ * @param {Object} labels Label names and values.
+ * @returns {string} The label set; empty without labels.
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Format a sample value.
+ *
+ * @param {number} value The value.
+ * @returns {string} The value as Prometheus expects it.
+ */
+function formatValue(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (!Number.isFinite(value)) return value > 0 ? '+Inf' : '-Inf';
+  return String(value);
+}
+
+export class Metrics {
+  constructor() {
+    this.series = new Map(); // metric name -> Map(label set -> value, or histogram state)
+  }
+
+  /**
+   * The series of a metric with these labels, created when first needed.
+   *
+   * @param {string} name The metric.
+   * @param {Object} labels Its labels.
+   * @param {Function} create Returns the initial value.
+   * @returns {{labels: Object, value: *}} The series.
+   */
+  entry(name, labels, create) {
+    if (!METRICS[name]) throw new Error(`Unknown metric ${name}`);
+    if (!this.series.has(name)) this.series.set(name, new Map());
+    const series = this.series.get(name);
+    const key = formatLabels(labels);
+    if (!series.has(key)) series.set(key, { labels, value: create() });
+    return series.get(key);
+  }
+
+  /**
+   * Add to a counter.
+   *
+   * @param {string} name The metric.
+   * @param {Object} [labels] Its labels.
+   * @param {number} [by=1] The increment.
+   */
+  inc(name, labels = {}, by = 1) {
+    this.entry(name, labels, () => 0).value += by;
+  }
+
+  /**
+   * Record one observation in a histogram.
+   *
+   * @param {string} name The metric.
+   * @param {Object} labels Its labels.
+   * @param {number} value The observed value.
+   */
+  observe(name, labels, value) {
+    const hist = this.entry(name, labels, () => ({ buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 })).value;
+    DURATION_BUCKETS.forEach((le, i) => { if (value <= le) hist.buckets[i]++; });
+    hist.sum += value;
+    hist.count++;
+  }
+
+  /**
+   * Render every metric in the text exposition format.
+   *
+   * @param {Array<{name: string, labels: Object, value: number}>} [gauges] Samples read from current state at scrape time, e.g. slot positions.  They may also carry counters the engine keeps itself.
+   * @returns {string} The exposition, ending in a newline.
+   */
+  render(gauges = []) {
+    const lines = [];
+    for (const [name, [type, help]] of Object.entries(METRICS)) {
+      const samples = gauges.filter(sample => sample.name === name);
+      const series = [...(this.series.get(name)?.values() ?? [])];
+      if (!samples.length && !series.length) continue;
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      for (const { labels, value } of samples) lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+      for (const { labels, value } of series) {
+        if (type !== 'histogram') {
+          lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+          continue;
+        }
+        DURATION_BUCKETS.forEach((le, i) => lines.push(`${name}_bucket${formatLabels({ ...labels, le })} ${value.buckets[i]}`));
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(value.sum)}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${value.count}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+}
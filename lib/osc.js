@@ -0,0 +1,291 @@
+/**
+ * OSC frame positions for Caspar Autosync.
+ *
+ * CasparCG sends the state of every layer as OSC over UDP once per frame,
+ * including the frame of the clip on it:
+ *
+ *   /channel/1/stage/layer/10/file/frame              (2.0)
+ *   /channel/1/stage/layer/10/foreground/file/frame   (2.1 and later)
+ *   /channel/1/stage/layer/10/foreground/file/time    (seconds, 2.2 and later)
+ *
+ * `OscFrameReceiver` listens for these and keeps the latest position of
+ * every layer, keyed by the address of the server that sent it, so drift
+ * can be measured without a `CALL FRAME` round trip per slot.  Add a
+ * `<predefined-client>` pointing at this machine and port to the `<osc>`
+ * section of each server's casparcg.config.  Only the small subset of OSC
+ * that CasparCG uses is understood: messages and bundles with int32, int64,
+ * float, double, string, blob and the argument‑less types.
+ */
+
+import dgram from 'dgram';
+import dns from 'dns/promises';
+import net from 'net';
+
+// A layer position older than this is ignored and the frame is asked for over AMCP
+export const OSC_MAX_AGE_MS = 500;
+
+const LAYER_ADDRESS = /^\/channel\/(\d+)\/stage\/layer\/(\d+)\/(?:foreground\/)?file\/(frame|time)$/;
+
+/**
+ * Read an OSC string: ASCII, NUL terminated and padded to four bytes.
+ *
+ * @param {Buffer} buf The packet.
+ * @param {number} offset Where the string starts.
+ * @returns {{value: string, next: number}} The string and the offset after its padding.
+ */
+function readString(buf, offset) {
+  const end = buf.indexOf(0, offset);
+  if (end < 0) throw new Error('Unterminated OSC string');
+  return { value: buf.toString('ascii', offset, end), next: (end + 4) & ~3 };
+}
+
+/**
+ * Encode an OSC string with its NUL terminator and padding.
+ *
+ * @param {string} value The string.
+ * @returns {Buffer} The encoded string.
+ */
+function encodeString(value) {
+  const buf = Buffer.alloc((Buffer.byteLength(value) + 4) & ~3);
+  buf.write(value, 'ascii');
+  return buf;
+}
+
+/**
+ * Parse one OSC message.
+ *
+ * @param {Buffer} buf The message.
+ * @returns {{address: string, args: Array<number|string|boolean|null|Buffer>}} The message.
+ */
+function parseMessage(buf) {
+  const { value: address, next } = readString(buf, 0);
+  if (next >= buf.length) return { address, args: [] };
+  const { value: tags, next: start } = readString(buf, next);
+  if (!tags.startsWith(',')) throw new Error('Missing OSC type tags');
+  const args = [];
+  let offset = start;
+  for (const tag of tags.slice(1)) {
+    switch (tag) {
+      case 'i': args.push(buf.readInt32BE(offset)); offset += 4; break;
+      case 'h': args.push(Number(buf.readBigInt64BE(offset))); offset += 8; break;
+      case 'f': args.push(buf.readFloatBE(offset)); offset += 4; break;
+      case 'd': args.push(buf.readDoubleBE(offset)); offset += 8; break;
+      case 's': {
+        const str = readString(buf, offset);
+        args.push(str.value);
+        offset = str.next;
+        break;
+      }
+      case 'b': {
+        const size = buf.readInt32BE(offset);
+        args.push(buf.subarray(offset + 4, offset + 4 + size));
+        offset = (offset + 4 + size + 3) & ~3;
+        break;
+      }
+      case 'T': args.push(true); break;
+      case 'F': args.push(false); break;
+      case 'N': args.push(null); break;
+      case 'I': args.push(Infinity); break;
+      default: throw new Error(`Unsupported OSC type tag ${tag}`);
+    }
+  }
+  return { address, args };
+}
+
+/**
+ * Parse an OSC packet: a message, or a bundle of messages and bundles.
+ *
+ * @param {Buffer} buf The packet as received.
+ * @returns {Array<{address: string, args: Array}>} Every message in the packet, in order.
+ * @throws {Error} If the packet is malformed.
+ */
+export function parseOscPacket(buf) {
+  if (buf.subarray(0, 8).toString('ascii') !== '#bundle\0') return [parseMessage(buf)];
+  const messages = [];
+  // Skip the tag and the time tag; positions are taken when they arrive
+  let offset = 16;
+  while (offset + 4 <= buf.length) {
+    const size = buf.readInt32BE(offset);
+    messages.push(...parseOscPacket(buf.subarray(offset + 4, offset + 4 + size)));
+    offset += 4 + size;
+  }
+  return messages;
+}
+
+/**
+ * Encode an OSC message.  Integers are sent as int32 and other numbers as
+ * float, strings as strings.  Used by the test suite's fake server.
+ *
+ * @param {string} address The OSC address.
+ * @param {Array<number|string>} [args] The arguments.
+ * @returns {Buffer} The message.
+ */
+export function encodeOscMessage(address, args = []) {
+  const tags = args.map(arg => typeof arg === 'string' ? 's' : Number.isInteger(arg) ? 'i' : 'f').join('');
+  const parts = [encodeString(address), encodeString(`,${tags}`)];
+  for (const arg of args) {
+    if (typeof arg === 'string') {
+      parts.push(encodeString(arg));
+      continue;
+    }
+    const num = Buffer.alloc(4);
+    if (Number.isInteger(arg)) num.writeInt32BE(arg); else num.writeFloatBE(arg);
+    parts.push(num);
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Wrap OSC messages in a bundle to be executed immediately.
+ *
+ * @param {Buffer[]} messages Encoded messages.
+ * @returns {Buffer} The bundle.
+ */
+export function encodeOscBundle(messages) {
+  const timeTag = Buffer.alloc(8);
+  timeTag.writeUInt32BE(1, 4);
+  const parts = [encodeString('#bundle'), timeTag];
+  for (const message of messages) {
+    const size = Buffer.alloc(4);
+    size.writeInt32BE(message.length);
+    parts.push(size, message);
+  }
+  return Buffer.concat(parts);
+}
+
+export class OscFrameReceiver {
+  /**
+   * @param {Object} [opts] Options.
+   * @param {number} [opts.port=0] UDP port to listen on; 0 picks a free one.
+   * @param {string} [opts.address='0.0.0.0'] Local address to bind.
+   * @param {number} [opts.maxAgeMs] How long a layer position stays usable.
+   * @param {Object} [opts.logger=console] Receives `error()` calls.
+   */
+  constructor({ port = 0, address = '0.0.0.0', maxAgeMs = OSC_MAX_AGE_MS, logger = console } = {}) {
+    this.requestedPort = port;
+    this.address = address;
+    this.maxAgeMs = maxAgeMs;
+    this.logger = logger;
+    this.socket = null;
+    this.layers = new Map();       // `${sender}/${channel}-${layer}` -> { frame, time, receivedAt }
+    this.hostAddresses = new Map(); // host name -> IPv4 address, once looked up
+    this.messages = 0;
+    this.malformed = 0;
+    this.lastMessageAt = null;
+  }
+
+  /**
+   * Bind the UDP socket.
+   *
+   * @returns {Promise<OscFrameReceiver>} The receiver, for chaining.
+   * @throws {Error} If the port cannot be bound.
+   */
+  async start() {
+    const socket = dgram.createSocket('udp4');
+    socket.on('message', (buf, rinfo) => this.handlePacket(buf, rinfo.address));
+    await new Promise((resolve, reject) => {
+      socket.once('error', reject);
+      socket.bind(this.requestedPort, this.address, () => {
+        socket.off('error', reject);
+        resolve();
+      });
+    });
+    socket.on('error', err => this.logger.error(`OSC receiver: ${err.message}`));
+    this.socket = socket;
+    return this;
+  }
+
+  /**
+   * Close the socket.  Positions received so far are forgotten.
+   */
+  close() {
+    this.socket?.close();
+    this.socket = null;
+    this.layers.clear();
+  }
+
+  /**
+   * The UDP port in use, or null before `start()`.
+   */
+  get port() {
+    return this.socket?.address().port ?? null;
+  }
+
+  /**
+   * Record the layer positions in one packet.
+   *
+   * @param {Buffer} buf The packet.
+   * @param {string} sender The address of the server that sent it.
+   */
+  handlePacket(buf, sender) {
+    let messages;
+    try {
+      messages = parseOscPacket(buf);
+    } catch {
+      this.malformed++;
+      return;
+    }
+    const receivedAt = Date.now();
+    for (const { address, args } of messages) {
+      this.messages++;
+      const m = LAYER_ADDRESS.exec(address);
+      if (!m || typeof args[0] !== 'number') continue;
+      const key = `${sender}/${m[1]}-${m[2]}`;
+      const entry = this.layers.get(key) || { frame: null, time: null, receivedAt };
+      entry[m[3]] = args[0];
+      entry.receivedAt = receivedAt;
+      this.layers.set(key, entry);
+    }
+    this.lastMessageAt = receivedAt;
+  }
+
+  /**
+   * The IPv4 address OSC from a host arrives from.  Host names are looked
+   * up in the background; until the answer is in, null is returned.
+   *
+   * @param {string} host Host name or address, as configured for a slot.
+   * @returns {string|null} The address, or null while unknown.
+   */
+  senderAddress(host) {
+    if (net.isIPv4(host)) return host;
+    if (!this.hostAddresses.has(host)) {
+      this.hostAddresses.set(host, null);
+      dns.lookup(host, { family: 4 })
+        .then(({ address }) => this.hostAddresses.set(host, address))
+        .catch(() => this.hostAddresses.delete(host));
+    }
+    return this.hostAddresses.get(host);
+  }
+
+  /**
+   * The latest position reported for a layer, if it is recent enough.
+   *
+   * @param {string} host The server, as configured for a slot.
+   * @param {number} channel Channel number.
+   * @param {number} layer Layer number.
+   * @param {number} [now] Reference time, defaults to `Date.now()`.
+   * @returns {{frame: number|null, time: number|null, receivedAt: number}|null} The frame and/or clip time in seconds, or null if nothing recent was received.
+   */
+  layerPosition(host, channel, layer, now = Date.now()) {
+    const sender = this.senderAddress(host);
+    if (!sender) return null;
+    const entry = this.layers.get(`${sender}/${channel}-${layer}`);
+    if (!entry || now - entry.receivedAt > this.maxAgeMs) return null;
+    return entry;
+  }
+
+  /**
+   * Describe the receiver for the status snapshot.
+   *
+   * @returns {{port: number|null, listening: boolean, messages: number, malformed: number, lastMessageAt: number|null}} Receiver info.
+   */
+  info() {
+    return {
+      port: this.port,
+      listening: this.socket != null,
+      messages: this.messages,
+      malformed: this.malformed,
+      lastMessageAt: this.lastMessageAt
+    };
+  }
+}
@@ -0,0 +1,171 @@
+/**
+ * Show presets and the cue list for Caspar Autosync.
+ *
+ * A preset is a named snapshot of the slots and the global settings (sync
+ * groups included), i.e. everything needed to put a complete set of clips
+ * on air.  The cue list is an ordered list of presets to step through
+ * during a show.  Both live in a local JSON file (`presets.json` by
+ * default) so they survive a restart; recalling them is the engine's job
+ * (see `recallPreset()` in lib/sync-engine.js).
+ */
+
+import fs from 'fs/promises';
+import { GROUP_SETTINGS } from './config.js';
+
+// Longest preset name
+export const MAX_PRESET_NAME = 64;
+
+/**
+ * The part of a configuration a preset keeps: the global settings, the sync
+ * groups and the slots.  Deep copied, so later changes to the configuration
+ * do not leak into the preset.
+ *
+ * @param {Object} cfg The configuration.
+ * @returns {Object} The snapshot.
+ */
+export function snapshotConfig(cfg) {
+  const snapshot = {};
+  for (const key of GROUP_SETTINGS) {
+    if (cfg[key] !== undefined) snapshot[key] = cfg[key];
+  }
+  snapshot.syncGroups = cfg.syncGroups || [];
+  snapshot.slots = cfg.slots || [];
+  return JSON.parse(JSON.stringify(snapshot));
+}
+
+/**
+ * Check a preset name.
+ *
+ * @param {unknown} name The name.
+ * @returns {string|null} What is wrong with it, or null if it is fine.
+ */
+export function presetNameError(name) {
+  if (typeof name !== 'string' || !name.trim()) return 'A preset name is required';
+  if (name.trim() !== name) return 'A preset name may not start or end with spaces';
+  if (name.length > MAX_PRESET_NAME) return `A preset name may be at most ${MAX_PRESET_NAME} characters`;
+  return null;
+}
+
+export class PresetStore {
+  /**
+   * @param {Object} [opts] Options.
+   * @param {string} [opts.file] The JSON file.  Without it presets and cues are kept in memory only.
+   */
+  constructor({ file = null } = {}) {
+    this.file = file;
+    this.presets = [];  // { name, savedAt, config }
+    this.cues = [];     // { preset, label }
+  }
+
+  /**
+   * Read the presets file.  A missing file means no presets yet.
+   *
+   * @returns {Promise<PresetStore>} The store, for chaining.
+   */
+  async load() {
+    if (!this.file) return this;
+    let data = {};
+    try {
+      data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    this.presets = Array.isArray(data.presets) ? data.presets : [];
+    this.cues = Array.isArray(data.cues) ? data.cues : [];
+    return this;
+  }
+
+  /**
+   * Write presets and cues to `file`, if one was given, then keep them.
+   * Changes are passed in rather than made first, so that a failed write
+   * leaves the store as it is on disk.
+   *
+   * @param {Object} [next] What changes; the rest is written as it is.
+   * @param {Object[]} [next.presets] The new presets.
+   * @param {Object[]} [next.cues] The new cue list.
+   * @throws {Error} If the file cannot be written.
+   */
+  async save({ presets = this.presets, cues = this.cues } = {}) {
+    if (this.file) await fs.writeFile(this.file, JSON.stringify({ presets, cues }, null, 2), 'utf8');
+    this.presets = presets;
+    this.cues = cues;
+  }
+
+  /**
+   * Look up a preset.
+   *
+   * @param {string} name The preset name.
+   * @returns {Object|null} `{ name, savedAt, config }` or null.
+   */
+  get(name) {
+    return this.presets.find(preset => preset.name === name) || null;
+  }
+
+  /**
+   * Store a preset, replacing any preset of the same name in place.
+   *
+   * @param {string} name The preset name (see `presetNameError()`).
+   * @param {Object} config The configuration to snapshot.
+   * @returns {Promise<Object>} The stored preset.
+   * @throws {Error} If the file cannot be written.
+   */
+  async put(name, config) {
+    const preset = { name, savedAt: new Date().toISOString(), config: snapshotConfig(config) };
+    const idx = this.presets.findIndex(p => p.name === name);
+    const presets = idx >= 0 ? this.presets.map((p, i) => i === idx ? preset : p) : [...this.presets, preset];
+    await this.save({ presets });
+    return preset;
+  }
+
+  /**
+   * Delete a preset.  Presets still named by a cue are kept.
+   *
+   * @param {string} name The preset name.
+   * @returns {Promise<boolean>} True if it was deleted.
+   * @throws {Error} If a cue recalls the preset.
+   */
+  async remove(name) {
+    const cue = this.cues.findIndex(c => c.preset === name);
+    if (cue >= 0) throw new Error(`Preset ${name} is used by cue ${cue + 1}`);
+    const presets = this.presets.filter(p => p.name !== name);
+    if (presets.length === this.presets.length) return false;
+    await this.save({ presets });
+    return true;
+  }
+
+  /**
+   * Replace the cue list.  Every cue must name an existing preset; if any
+   * does not nothing changes and the errors are returned.
+   *
+   * @param {Array<{preset: string, label?: string}>} cues The new cue list.
+   * @returns {Promise<Array<{field: string, message: string}>>} Validation errors; empty when saved.
+   */
+  async setCues(cues) {
+    if (!Array.isArray(cues)) return [{ field: 'cues', message: 'The cue list must be an array' }];
+    const errors = [];
+    cues.forEach((cue, i) => {
+      if (!this.get(cue?.preset)) {
+        errors.push({ field: `cues[${i}].preset`, message: `Cue ${i + 1}: unknown preset ${cue?.preset ?? ''}`.trim() });
+      } else if (cue.label != null && typeof cue.label !== 'string') {
+        errors.push({ field: `cues[${i}].label`, message: `Cue ${i + 1}: the label must be text` });
+      }
+    });
+    if (errors.length) return errors;
+    await this.save({ cues: cues.map(cue => ({ preset: cue.preset, label: cue.label || '' })) });
+    return [];
+  }
+
+  /**
+   * Presets without their configuration, for listings: the name, when it
+   * was saved and the clip of every slot.
+   *
+   * @returns {Object[]} `{ name, savedAt, slots: [{ name, clip, enabled }] }` in order.
+   */
+  summary() {
+    return this.presets.map(({ name, savedAt, config }) => ({
+      name,
+      savedAt,
+      slots: (config.slots || []).map(slot => ({ name: slot.name, clip: slot.clip, enabled: slot.enabled }))
+    }));
+  }
+}
@@ -0,0 +1,2775 @@
+/**
+ * The Caspar Autosync engine.
+ *
+ * `SyncEngine` keeps a set of CasparCG playback slots locked to a shared
+ * clock.  It owns the configuration, the AMCP connections, the active/standby
+ * layer pair of every slot and one clock per sync group, and exposes
+ * preload, start, pause, resync and status operations.  Each sync group is
+ * an independent timeline with its own `t0`, autosync mode and autosync
+ * loop; without any `syncGroups` in the configuration every slot runs on
+ * the single `default` group.  The web server in `index.js` is a thin layer
+ * over one engine; other Node tools can import it directly and run as many
+ * independent engines as they need:
+ *
+ *   import { SyncEngine } from 'caspar-sync';
+ *   const engine = new SyncEngine({ configFile: 'config.json' });
+ *   await engine.init();
+ *   engine.on('drift', ({ rows }) => console.log(rows));
+ *   await engine.preloadAll();
+ *   await engine.startAll();
+ *
+ * Events (`group` is the id of the sync group concerned):
+ *  - `status`      A status snapshot, emitted on every autosync tick and after a scheduled start
+ *  - `drift`       `{ group, rows, toleranceFrames }` when slots are found outside the drift tolerance
+ *  - `resync`      `{ group, mode, frame, slots }` after a resync has swapped layers or nudged slots
+ *  - `start`       `{ group, t0, slots }` once playback has been started on some or all slots
+ *  - `pause`       `{ group, slots }` after playback has been paused on some or all slots
+ *  - `connection`  Host info whenever a connection's health, version or last error changes
+ *  - `schedule`    `{ group, schedule }` whenever an armed start changes, and once per second while armed
+ *  - `recall`      `{ preset, cue, t0, swapped, started, stopped }` once a preset has been put on air
+ *  - `item`        `{ group, at, slots }` once playlist slots have cut to their next item
+ *  - `clock`       `{ group, source, slot }` when a group starts or stops following its master slot
+ *  - `log`         Every entry added to the event log (see lib/event-log.js)
+ */
+
+import fs from 'fs/promises';
+import { EventEmitter } from 'events';
+import { AmcpClient } from './amcp-client.js';
+import { timecodeToFrames, framesToTimecode, parseTimecode, validateTimecode } from './timecode.js';
+import {
+  DEFAULT_SYNC_GROUP,
+  SYSTEM_CLOCK,
+  loadConfig,
+  saveConfig,
+  withDefaults,
+  mergeConfigUpdate,
+  syncGroupIds,
+  syncGroupSettings,
+  slotSyncGroup,
+  resolveSlotFps,
+  resolveSlotFrames,
+  slotPlaylist,
+  slotClips,
+  slotSafeWindows,
+  framesToSafeWindow,
+  playlistPosition,
+  validateConfig,
+  RESYNC_POLICIES,
+  RESYNC_MODES,
+  STANDBY_LAYER_OFFSET
+} from './config.js';
+import {
+  defer,
+  resume,
+  loadAndPause,
+  TRANSITION_COMMANDS,
+  cutTransition,
+  fadeTransition,
+  holdLayer,
+  seekLayer,
+  parseFrameReply,
+  parseLayerInfo,
+  listMedia,
+  findMedia,
+  queryMediaInfo,
+  queryVersion
+} from './amcp.js';
+import { DriftHistory } from './history.js';
+import { EventLog } from './event-log.js';
+import { PresetStore, presetNameError } from './presets.js';
+import { OscFrameReceiver } from './osc.js';
+import { createClockSource } from './clock-sources.js';
+import { Metrics } from './metrics.js';
+
+export const AUTOSYNC_MODES = ['off', 'manual', 'auto'];
+
+// Which slots a drift correction swaps and how; defined with the configuration rules
+export { RESYNC_POLICIES, RESYNC_MODES };
+
+// How long before the start time the start batches are sent to the servers
+export const START_LEAD_MS = 2000;
+
+// How long before its switch time an armed recall starts loading the
+// preset's clips, leaving time for the switch batches after them
+export const RECALL_LEAD_MS = 5000;
+
+// How far ahead a recall can be armed
+export const MAX_RECALL_AHEAD_MS = 24 * 3600 * 1000;
+
+// How long before an item change the next playlist items are loaded on the standby layers
+export const PLAYLIST_LEAD_MS = 1000;
+
+// Without a start time, how far ahead a sync group chasing timecode is
+// started, so its slots can be loaded on the frames they will show then
+export const CHASE_START_LEAD_MS = 500;
+
+// Commands queued per slot by `queueSlotStart()`
+const START_COMMANDS = 10;
+
+const DAY_SEC = 24 * 3600;
+
+/**
+ * Resolve after the given wall‑clock time.  Resolves immediately if the time
+ * has already passed.
+ *
+ * @param {number} ms Timestamp in milliseconds since the epoch.
+ * @returns {Promise<void>}
+ */
+export function sleepUntil(ms) {
+  return new Promise(resolve => setTimeout(resolve, Math.max(0, ms - Date.now())));
+}
+
+/**
+ * Signed distance between a measured frame and its target.  Because both
+ * positions wrap at the clip length, a slot that has just looped is reported
+ * as slightly ahead or behind rather than a whole loop away.
+ *
+ * @param {number} current The frame reported by CasparCG.
+ * @param {number} target The expected frame.
+ * @param {number} len Loop length in frames.
+ * @returns {number} Positive when the slot is ahead, negative when behind.
+ */
+export function frameDrift(current, target, len) {
+  let drift = current - target;
+  if (drift > len / 2) drift -= len;
+  else if (drift < -len / 2) drift += len;
+  return drift;
+}
+
+/**
+ * Wrap a position into a loop.  Positions before the start, as on a clock
+ * chasing timecode that has not reached its chase point yet, count back
+ * from the end.
+ *
+ * @param {number} frame The position, possibly negative.
+ * @param {number} len Loop length in frames.
+ * @returns {number} The position in the loop, from 0 to `len`.
+ */
+function wrapFrame(frame, len) {
+  return ((frame % len) + len) % len;
+}
+
+/**
+ * Whether a slot takes part in operations: enabled, with a host and a clip
+ * or playlist.
+ *
+ * @param {Object} slot The slot.
+ * @returns {boolean} True if active.
+ */
+function isActiveSlot(slot) {
+  // A slot is disabled when the user clears the enabled checkbox in the
+  // UI; a blank host or missing clip also means it is skipped.
+  return slot.enabled !== false && Boolean(slot.host) && (Boolean(slot.clip) || Boolean(slotPlaylist(slot)));
+}
+
+/**
+ * What a slot shows at a position in its loop: for a playlist the item
+ * there and the frame within the item's clip, otherwise the slot's clip at
+ * that frame.
+ *
+ * @param {Object} slot The slot.
+ * @param {number} frame Position in the slot's loop.
+ * @returns {{item: number|null, clip: string, frame: number}} The item index (null without a playlist), clip and clip frame.
+ */
+function slotItemAt(slot, frame) {
+  const items = slotPlaylist(slot);
+  return items ? playlistPosition(items, frame) : { item: null, clip: slot.clip, frame };
+}
+
+/**
+ * Identity of the output a slot plays on: server, channel and base layer.
+ * Hosts are compared case‑insensitively, as in `validateConfig()`.
+ *
+ * @param {Object} slot The slot.
+ * @returns {string} The key.
+ */
+function outputKey(slot) {
+  return `${String(slot.host).toLowerCase()}:${slot.port}/${slot.channel}-${slot.baseLayer}`;
+}
+
+/**
+ * Open an AMCP connection with `AmcpClient`.  Replaced through the
+ * `createConnection` option when embedding the engine with another client.
+ *
+ * @param {Object} opts Connection options including the health callbacks.
+ * @returns {AmcpClient} The connection.
+ */
+function defaultCreateConnection(opts) {
+  return new AmcpClient(opts);
+}
+
+export class SyncEngine extends EventEmitter {
+  /**
+   * @param {Object} [opts] Options.
+   * @param {Object} [opts.config] Initial configuration; missing keys are filled in from the sample.  Read from `configFile` when omitted.
+   * @param {string} [opts.configFile] Where the configuration is loaded from and saved to.  Without it changes stay in memory.
+   * @param {string} [opts.stateFile] Where runtime state is persisted for recovery after a restart.  Without it nothing is persisted.
+   * @param {string} [opts.eventLogFile] JSON‑lines file for the event log.  Without it events are kept in memory only.
+   * @param {string} [opts.presetsFile] JSON file for show presets and the cue list.  Without it they are kept in memory only.
+   * @param {number} [opts.oscPort] UDP port to receive CasparCG's OSC layer positions on (0 picks a free one).  Without it frames are always polled with `CALL FRAME`.
+   * @param {Function} [opts.createConnection] Factory `({host, port, onConnectionChanged, onError}) => connection`.
+   * @param {Object} [opts.logger=console] Receives `log()` and `error()` calls.
+   */
+  constructor({ config = null, configFile = null, stateFile = null, eventLogFile = null, presetsFile = null, oscPort = null, createConnection = defaultCreateConnection, logger = console } = {}) {
+    super();
+    this.initialConfig = config;
+    this.configFile = configFile;
+    this.stateFile = stateFile;
+    this.createConnection = createConnection;
+    this.logger = logger;
+    // The in‑memory configuration.  Populated by `init()` and replaced by `updateConfig()`.
+    this.config = null;
+    // Each unique host/port combination is mapped to one connection; slots on
+    // the same host share it.
+    this.connections = new Map();  // `${host}:${port}` -> AmcpClient
+    // Health of each connection, keyed like `connections`.  `state` is
+    // 'disconnected' until the first successful connect and 'reconnecting'
+    // after a connection has been lost (autoReconnect keeps retrying).
+    this.hostHealth = new Map();   // `${host}:${port}` -> { state, everConnected, lastError, lastErrorAt, reconnects, version }
+    // Round‑trip statistics per connection.  Every timed query (CALL FRAME,
+    // INFO) contributes a sample; the smoothed value is used to timestamp
+    // frame samples and to predict when a batch of commands will execute.
+    this.latencyStats = new Map(); // connection -> { rttMs, lastRttMs, minRttMs, samples }
+    // Each slot maintains a pair of layers: `active` and `standby`.  Initially
+    // active is `baseLayer` and standby `baseLayer + 10`; resyncs swap them.
+    // Playlist slots also note which item the active layer plays.
+    this.pairState = new Map();    // slot index -> { active, standby, baseLayer, item? }
+    // Runtime state of each sync group's timeline, created on first use
+    this.clocks = new Map();       // group id -> clock (see `clock()`)
+    this.pausedSlots = new Set();  // Slots paused on their own while their group's clock runs
+    // Autosync corrections held back until the slot reaches a safe window
+    this.pendingResyncs = new Map(); // slot index -> { group, since, at, timer }
+    // Drift samples and resync times of every slot, for trends and statistics
+    this.history = new DriftHistory();
+    // Counters for /metrics, and the last status row of each slot so a
+    // scrape can report positions without querying the servers
+    this.metrics = new Metrics();
+    this.lastRows = new Map();     // slot index -> row from `snapshotStatus()`
+    // Audit trail of operator actions, automatic decisions and failures
+    this.events = new EventLog({ file: eventLogFile, logger });
+    // Show presets and the cue list, and where the show is in it
+    this.presets = new PresetStore({ file: presetsFile });
+    this.currentCue = null;        // Index of the cue recalled last
+    this.recall = null;            // { preset, cue, at } while a recall is being prepared
+    this.scheduledRecall = null;   // { preset, cue, at, mode, armedAt } while a recall is armed
+    this.recallTimer = null;       // Timeout that fires the armed recall
+    this.closed = false;           // Set by `close()`; nothing is planned afterwards
+    // Live layer positions pushed by the servers, when enabled
+    this.osc = oscPort != null ? new OscFrameReceiver({ port: oscPort, logger }) : null;
+    // House timecode the sync groups can chase, opened by `init()`
+    this.clockSources = new Map(); // source id -> clock source (see lib/clock-sources.js)
+    this.on('start', payload => this.logEvent('start', payload));
+    this.on('pause', payload => this.logEvent('pause', payload));
+  }
+
+  /**
+   * Load the configuration.  Must be called (and awaited) before anything
+   * else.  No connections are opened until a slot is used.
+   *
+   * @returns {Promise<SyncEngine>} The engine, for chaining.
+   */
+  async init() {
+    this.config = this.initialConfig
+      ? await withDefaults(this.initialConfig)
+      : await loadConfig(this.configFile);
+    await this.events.load();
+    await this.presets.load();
+    if (this.osc) {
+      // Without the receiver every frame is polled, so carry on
+      try {
+        await this.osc.start();
+        this.logger.log(`OSC: listening on UDP port ${this.osc.port}`);
+      } catch (err) {
+        this.logger.error(`OSC receiver could not start: ${err.message}`);
+      }
+    }
+    await this.startClockSources();
+    return this;
+  }
+
+  /**
+   * Add an entry to the event log and announce it as a `log` event.
+   *
+   * @param {string} type The kind of event, e.g. `resync` or `amcp-error`.
+   * @param {Object} [data] Event details.
+   * @returns {Object} The entry.
+   */
+  logEvent(type, data) {
+    const entry = this.events.append(type, data);
+    this.emit('log', entry);
+    return entry;
+  }
+
+  /**
+   * Stop the autosync loops and playlist timers, disarm any scheduled
+   * starts and the armed recall, and close every connection, the OSC
+   * receiver and the clock sources.  The engine should not be used
+   * afterwards.
+   */
+  close() {
+    this.closed = true;
+    for (const [id, clock] of this.clocks) {
+      this.stopAutosyncLoop(id);
+      this.clearSchedule(id);
+      clearTimeout(clock.itemTimer);
+    }
+    clearTimeout(this.recallTimer);
+    for (const conn of this.connections.values()) conn.disconnect();
+    this.connections.clear();
+    this.osc?.close();
+    this.closeClockSources();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Configuration
+
+  /**
+   * Apply a partial configuration update.  The update is validated as a
+   * whole; if it is invalid nothing changes and the errors are returned.
+   * Otherwise the configuration is saved, layer pairs follow any changed
+   * base layers, newly assigned clips are looked up in the background and
+   * the autosync loops pick up new intervals.  The clocks of removed sync
+   * groups are dropped, changed clock sources are reopened and playlist
+   * item changes are planned again.
+   *
+   * @param {Object} update Partial configuration.
+   * @returns {Promise<Array<{field: string, message: string}>>} Validation errors; empty when applied.
+   */
+  async updateConfig(update) {
+    const next = mergeConfigUpdate(this.config, update || {});
+    const errors = validateConfig(next);
+    if (errors.length) return errors;
+    await this.applyConfig(next);
+    return [];
+  }
+
+  /**
+   * Replace the configuration with a validated one and follow up as
+   * described for `updateConfig()`.
+   *
+   * @param {Object} next The new configuration.
+   * @param {Object} [prev] The configuration it replaces, if already swapped in.
+   */
+  async applyConfig(next, prev = this.config) {
+    // A slot pointed at other media or another output starts a fresh history
+    next.slots.forEach((slot, i) => {
+      const old = prev.slots[i];
+      if (!old || ['host', 'port', 'channel', 'clip'].some(key => old[key] !== slot[key]) ||
+          JSON.stringify(old.playlist) !== JSON.stringify(slot.playlist)) {
+        this.history.clear(i);
+        this.lastRows.delete(i);
+      }
+    });
+    this.config = next;
+    // Update pairState for any changed baseLayer
+    for (let i = 0; i < this.config.slots.length; i++) this.getPair(i);
+    await this.persistConfig();
+    await this.saveState();
+    if (JSON.stringify(prev.clockSources ?? []) !== JSON.stringify(next.clockSources ?? [])) await this.startClockSources();
+    // Look up length and frame rate of any newly assigned clips in the background
+    this.discoverMedia().catch(err => this.logger.error(`Media discovery failed: ${err.message}`));
+    const ids = this.syncGroupIds();
+    for (const [id, clock] of this.clocks) {
+      if (!ids.includes(id)) {
+        this.stopAutosyncLoop(id);
+        this.clearSchedule(id);
+        clearTimeout(clock.itemTimer);
+        this.clocks.delete(id);
+      } else if (clock.autosyncMode === 'auto') {
+        // Restart autosync loop if interval changed or resyncMode/resyncPolicy changed
+        this.startAutosyncLoop(id);
+      }
+    }
+    this.scheduleItemChanges();
+  }
+
+  /**
+   * Write the configuration to `configFile`, if one was given.
+   */
+  async persistConfig() {
+    if (this.configFile) await saveConfig(this.configFile, this.config);
+  }
+
+  /**
+   * Enabled slots that have a host and a clip or playlist, optionally limited to a
+   * subset of indices.  Every operation acts on these.
+   *
+   * @param {Iterable<number>} [only] Restrict to these slot indices.
+   * @returns {number[]} Slot indices in order.
+   */
+  activeSlots(only) {
+    const subset = only ? new Set(only) : null;
+    const indices = [];
+    this.config.slots.forEach((slot, i) => {
+      if (!isActiveSlot(slot)) return;
+      if (subset && !subset.has(i)) return;
+      indices.push(i);
+    });
+    return indices;
+  }
+
+  /**
+   * Active slots that are following the clock, i.e. not paused on their
+   * own.  Resyncs and drift correction only touch these.
+   *
+   * @param {Iterable<number>} [only] Restrict to these slot indices.
+   * @returns {number[]} Slot indices in order.
+   */
+  runningSlots(only) {
+    return this.activeSlots(only).filter(i => !this.pausedSlots.has(i));
+  }
+
+  /**
+   * Named slot groups, from the `group` field of the active slots.  Groups
+   * let operators act on e.g. all screens of one LED wall at once.
+   *
+   * @returns {Array<{name: string, slots: number[]}>} Groups in order of first appearance.
+   */
+  slotGroups() {
+    const groups = new Map();
+    for (const i of this.activeSlots()) {
+      const name = this.config.slots[i].group;
+      if (!name) continue;
+      if (!groups.has(name)) groups.set(name, []);
+      groups.get(name).push(i);
+    }
+    return [...groups].map(([name, slots]) => ({ name, slots }));
+  }
+
+  /**
+   * Active slots belonging to a named group.
+   *
+   * @param {string} name The group name.
+   * @returns {number[]} Slot indices; empty if the group does not exist.
+   */
+  groupSlots(name) {
+    return this.slotGroups().find(group => group.name === name)?.slots ?? [];
+  }
+
+  /**
+   * Ids of all sync groups, the default group first.
+   *
+   * @returns {string[]} Group ids.
+   */
+  syncGroupIds() {
+    return syncGroupIds(this.config);
+  }
+
+  /**
+   * Effective settings of a sync group (see `syncGroupSettings()`).
+   *
+   * @param {string} [id] The group id.  Defaults to the default group.
+   * @returns {Object} Group settings.
+   */
+  groupSettings(id = DEFAULT_SYNC_GROUP) {
+    return syncGroupSettings(this.config, id);
+  }
+
+  /**
+   * The sync group a slot belongs to.
+   *
+   * @param {number} idx The index of the slot in `config.slots`.
+   * @returns {string} The group id.
+   */
+  slotGroup(idx) {
+    return slotSyncGroup(this.config, idx);
+  }
+
+  /**
+   * Active slots of a sync group.
+   *
+   * @param {string} id The group id.
+   * @returns {number[]} Slot indices in order.
+   */
+  syncGroupSlots(id) {
+    return this.activeSlots().filter(i => this.slotGroup(i) === id);
+  }
+
+  /**
+   * The runtime state of a sync group's timeline, created when first needed.
+   *
+   * @param {string} [id] The group id.  Defaults to the default group.
+   * @returns {{id: string, t0: number|null, playing: boolean, autosyncMode: string, autosyncTimer: *, scheduledStart: Object|null, scheduleTimer: *, preload: Promise|null, starting: boolean, countdownTimer: *, itemTimer: *, advancing: boolean}} The clock.
+   */
+  clock(id = DEFAULT_SYNC_GROUP) {
+    let clock = this.clocks.get(id);
+    if (!clock) {
+      clock = {
+        id,
+        t0: null,               // Timestamp (ms) when the group was last started
+        playing: false,         // True between start and a full pause
+        autosyncMode: 'off',    // 'off' | 'manual' | 'auto'
+        autosyncTimer: null,    // Timeout of the next autosync check
+        scheduledStart: null,   // { at, armedAt, preloaded } while a start is armed
+        scheduleTimer: null,    // Timeout that fires the armed start
+        preload: null,          // The preload `armStart()` runs, awaited before the start fires
+        starting: false,        // True once the armed start has fired, until it has run
+        countdownTimer: null,   // Interval emitting countdown updates
+        itemTimer: null,        // Timeout that prepares the next playlist item change
+        advancing: false,       // True while playlist slots are cutting to their next item
+        clockSource: 'wall',    // 'master' while following a master slot, else 'wall'
+        master: null            // { t0, shiftSec, sampledAt }: how far the master moved the clock since `t0`
+      };
+      this.clocks.set(id, clock);
+    }
+    return clock;
+  }
+
+  /**
+   * Group slot indices by the `host:port` of their server so that each host
+   * can be sent one batch.
+   *
+   * @param {number[]} indices Slot indices.
+   * @param {Object[]} [slots] The slots the indices refer to.  Defaults to the configured ones.
+   * @returns {Map<string, number[]>} `host:port` -> slot indices.
+   */
+  groupByHost(indices, slots = this.config.slots) {
+    const grouped = new Map();
+    for (const i of indices) {
+      const { host, port } = slots[i];
+      const key = `${host}:${port}`;
+      if (!grouped.has(key)) grouped.set(key, []);
+      grouped.get(key).push(i);
+    }
+    return grouped;
+  }
+
+  // ---------------------------------------------------------------------------
+  // AMCP connections and connection health
+
+  /**
+   * Ensure a connection exists for the given host/port pair.  If a connection
+   * already exists it is returned; otherwise a new one is created and stored.
+   * Once the engine is closed no connection is opened again, so a check
+   * still running at `close()` cannot leave a client reconnecting behind it.
+   *
+   * @param {string} host The hostname or IP address of the CasparCG server.
+   * @param {number} port The AMCP control port (default 5250).
+   * @returns {AmcpClient} The connection, connected or connecting.
+   * @throws {Error} If the engine is closed.
+   */
+  getConnection(host, port) {
+    const key = `${host}:${port}`;
+    if (this.closed) throw new Error(`Not connecting to ${key}: the engine is closed`);
+    if (this.connections.has(key)) return this.connections.get(key);
+    this.hostHealth.set(key, { state: 'disconnected', everConnected: false, lastError: null, lastErrorAt: null, reconnects: 0, version: null });
+    const conn = this.createConnection({
+      host,
+      port,
+      onConnectionChanged: connected => this.handleConnectionChange(key, connected),
+      onError: err => this.recordConnectionError(key, err)
+    });
+    // Every AMCP command passes through here, so failed ones end up in the
+    // event log.  Queries that fail in normal operation, such as CALL FRAME
+    // on an empty layer, pass `mayFail` and are left to their caller.
+    const send = conn.do.bind(conn);
+    conn.do = (cmd, { mayFail = false } = {}) => send(cmd).catch(err => {
+      if (!mayFail) {
+        this.metrics.inc('caspar_sync_amcp_errors_total', { host: key });
+        this.logEvent('amcp-error', { host: key, command: cmd, error: err?.message || String(err) });
+      }
+      throw err;
+    });
+    this.connections.set(key, conn);
+    return conn;
+  }
+
+  /**
+   * React to a connection coming up or going down.  On every connect the
+   * server version is queried; on a reconnect the slots on that host are
+   * brought back into sync.
+   *
+   * @param {string} key The `host:port` key of the connection.
+   * @param {boolean} connected The new connection state.
+   */
+  handleConnectionChange(key, connected) {
+    const health = this.hostHealth.get(key);
+    if (!health) return;
+    const state = connected ? 'connected' : (health.everConnected ? 'reconnecting' : 'disconnected');
+    if (state === health.state) return;
+    health.state = state;
+    if (connected) {
+      const isReconnect = health.everConnected;
+      health.everConnected = true;
+      if (isReconnect) health.reconnects++;
+      this.refreshVersion(key).catch(() => {});
+      if (isReconnect) {
+        this.recoverHost(key).catch(err => this.recordConnectionError(key, err));
+      }
+    }
+    this.logger.log(`Connection ${key}: ${state}`);
+    this.logEvent('connection', { host: key, state });
+    this.emitConnection(key);
+  }
+
+  /**
+   * Remember the last error reported for a connection.
+   *
+   * @param {string} key The `host:port` key of the connection.
+   * @param {Error|string} err The error.
+   */
+  recordConnectionError(key, err) {
+    const health = this.hostHealth.get(key);
+    if (!health) return;
+    health.lastError = err?.message || String(err);
+    health.lastErrorAt = Date.now();
+    this.emitConnection(key);
+  }
+
+  /**
+   * Ask a freshly connected server for its version.
+   *
+   * @param {string} key The `host:port` key of the connection.
+   */
+  async refreshVersion(key) {
+    this.hostHealth.get(key).version = await queryVersion(this.connections.get(key));
+    this.emitConnection(key);
+  }
+
+  /**
+   * Describe one connection: health, version and latency.
+   *
+   * @param {string} key The `host:port` key of the connection.
+   * @returns {Object} Host info.
+   */
+  hostInfo(key) {
+    const { everConnected, ...health } = this.hostHealth.get(key);
+    const stats = this.latencyStats.get(this.connections.get(key));
+    return { host: key, ...health, rttMs: stats?.rttMs ?? null, minRttMs: stats?.minRttMs ?? null };
+  }
+
+  /**
+   * Emit the state of one connection as a `connection` event.
+   *
+   * @param {string} key The `host:port` key of the connection.
+   */
+  emitConnection(key) {
+    this.emit('connection', this.hostInfo(key));
+  }
+
+  /**
+   * Add a round‑trip sample for a connection.  The running value is an
+   * exponentially weighted average so a single slow reply does not throw off
+   * the compensation.
+   *
+   * @param {AmcpClient} conn The connection the sample was measured on.
+   * @param {number} rttMs Measured round‑trip time in milliseconds.
+   */
+  recordRtt(conn, rttMs) {
+    const stats = this.latencyStats.get(conn);
+    if (!stats) {
+      this.latencyStats.set(conn, { rttMs, lastRttMs: rttMs, minRttMs: rttMs, samples: 1 });
+      return;
+    }
+    stats.rttMs = stats.rttMs * 0.8 + rttMs * 0.2;
+    stats.lastRttMs = rttMs;
+    stats.minRttMs = Math.min(stats.minRttMs, rttMs);
+    stats.samples++;
+  }
+
+  /**
+   * Predict how long until the n‑th of a sequence of awaited commands is
+   * executed by the server: n − 1 full round trips plus the one‑way trip of
+   * the last command.  Returns zero until the connection has been measured.
+   *
+   * @param {AmcpClient} conn The connection.
+   * @param {number} [commands=1] Number of commands sent one after another.
+   * @returns {number} Expected delay in milliseconds.
+   */
+  commandLatencyMs(conn, commands = 1) {
+    const rtt = this.latencyStats.get(conn)?.rttMs ?? 0;
+    return rtt * (commands - 0.5);
+  }
+
+  /**
+   * Send a query and measure its round trip.  The reply is assumed to have
+   * been produced half way through the round trip, which gives the timestamp
+   * of the sample on the shared clock.
+   *
+   * @param {AmcpClient} conn The connection.
+   * @param {string} cmd The AMCP command.
+   * @param {{mayFail?: boolean}} [opts] Passed to `conn.do()`.
+   * @returns {Promise<{res: unknown, sampledAt: number}>} The reply and its timestamp (ms).
+   */
+  async timedQuery(conn, cmd, opts) {
+    const sentAt = Date.now();
+    const start = performance.now();
+    const res = await conn.do(cmd, opts);
+    const rttMs = performance.now() - start;
+    this.recordRtt(conn, rttMs);
+    return { res, sampledAt: sentAt + rttMs / 2 };
+  }
+
+  /**
+   * Query the current frame of a given playing layer.  If the layer is not
+   * currently playing the command may fail; in that case it returns null.
+   * The sample carries the time it was taken so drift can be measured against
+   * the target at that moment rather than when the status round started.
+   *
+   * @param {AmcpClient} conn The connection.
+   * @param {number} ch Channel number.
+   * @param {number} layer Layer number.
+   * @returns {Promise<{frame: number, sampledAt: number}|null>} The frame sample or null on failure.
+   */
+  async getCurrentFrame(conn, ch, layer) {
+    try {
+      const { res, sampledAt } = await this.timedQuery(conn, `CALL ${ch}-${layer} FRAME`, { mayFail: true });
+      const frame = parseFrameReply(res);
+      return frame != null ? { frame, sampledAt } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * The frame a slot's layer is on, from OSC when a recent position has
+   * been received and otherwise with `CALL FRAME`.  An OSC position was
+   * sent when the frame was shown, half a round trip before it arrived.
+   *
+   * @param {number} idx The index of the slot in `config.slots`.
+   * @param {number} layer Layer number.
+   * @returns {Promise<{frame: number, sampledAt: number, source: string}|null>} The frame sample, with `source` `osc` or `amcp`, or null on failure.
+   */
+  async sampleFrame(idx, layer) {
+    const { host, port, channel } = this.config.slots[idx];
+    const conn = this.getConnection(host, port);
+    const position = this.osc?.layerPosition(host, channel, layer);
+    if (position && (position.frame != null || position.time != null)) {
+      // Newer servers report the clip time rather than the frame
+      const frame = position.frame ?? Math.floor(position.time * this.slotFps(idx) + 1e-6);
+      const oneWayMs = (this.latencyStats.get(conn)?.rttMs ?? 0) / 2;
+      return { frame, sampledAt: position.receivedAt - oneWayMs, source: 'osc' };
+    }
+    const sample = await this.getCurrentFrame(conn, channel, layer);
+    return sample && { ...sample, source: 'amcp' };
+  }
+
+  /**
+   * Ask CasparCG what a layer is doing via `INFO`.  Returns null if the
+   * query fails.
+   *
+   * @param {AmcpClient} conn The connection.
+   * @param {number} ch Channel number.
+   * @param {number} layer Layer number.
+   * @returns {Promise<{loaded: boolean, playing: boolean}|null>} Layer state or null.
+   */
+  async getLayerInfo(conn, ch, layer) {
+    try {
+      const { res } = await this.timedQuery(conn, `INFO ${ch}-${layer}`, { mayFail: true });
+      return parseLayerInfo(res);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Retrieve or initialise the layer pair for a given slot.  A missing pair,
+   * or one created for a different `baseLayer`, is reset to
+   * `active = baseLayer` and `standby = baseLayer + 10`.
+   *
+   * @param {number} idx The index of the slot in `config.slots`.
+   * @returns {{ active: number, standby: number, baseLayer: number }} The current pair for the slot.
+   */
+  getPair(idx) {
+    const slot = this.config.slots[idx];
+    let pair = this.pairState.get(idx);
+    if (!pair || pair.baseLayer !== slot.baseLayer) {
+      pair = { active: slot.baseLayer, standby: slot.baseLayer + STANDBY_LAYER_OFFSET, baseLayer: slot.baseLayer };
+      this.pairState.set(idx, pair);
+    }
+    return pair;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Clock and target frame utilities
+  //
+  // Functions to turn a sync group's clock into per‑slot frame positions.
+  // CasparCG uses integer frame indices starting at 0; conversion between
+  // timecodes (NDF and drop‑frame) and frame numbers lives in timecode.js.
+
+  /**
+   * A sync group's frame on its clock: frames elapsed since its `t0` at the
+   * group's frame rate, wrapped by the group's `frames`.  Zero before the
+   * first start.
+   *
+   * @param {string} [id] The group id.  Defaults to the default group.
+   * @returns {number} The expected frame number at the current time.
+   */
+  targetFrame(id = DEFAULT_SYNC_GROUP) {
+    const { fps, frames } = this.groupSettings(id);
+    return Math.floor(wrapFrame(this.clockSeconds(id) * fps, frames));
+  }
+
+  /**
+   * Seconds elapsed on a sync group's clock since its `t0`, or zero before
+   * the first start.  On a group chasing timecode this is the time since
+   * its chase timecode instead.  Slots with different frame rates all
+   * derive their position from this value rather than from a frame count.
+   *
+   * @param {string} [id] The group id.  Defaults to the default group.
+   * @returns {number} Elapsed seconds.
+   */
+  clockSeconds(id = DEFAULT_SYNC_GROUP) {
+    return this.clockSecondsAt(Date.now(), id);
+  }
+
+  /**
+   * Clock position at a given wall‑clock time, e.g. the moment a frame
+   * sample was taken on a remote server.
+   *
+   * @param {number} ms Timestamp in milliseconds since the epoch.
+   * @param {string} [id] The group id.  Defaults to the default group.
+   * @returns {number} Elapsed seconds since `t0` or the chase timecode, or zero before the first start.
+   */
+  clockSecondsAt(ms, id = DEFAULT_SYNC_GROUP) {
+    const { t0, master } = this.clock(id);
+    if (!t0) return 0;
+    // A master slot moves the clock to where its playout really is; a
+    // restart sets a new t0 and starts from the wall clock again
+    const shiftSec = master?.t0 === t0 ? master.shiftSec : 0;
+    const chased = this.chaseSecondsAt(ms, id);
+    if (chased != null) return chased + shiftSec;
+    // A scheduled start sets t0 slightly in the future; hold at zero until then
+    return Math.max(0, (ms - t0) / 1000 + shiftSec);
+  }
+
+  /**
+   * Frame rate of a slot's clip (see `resolveSlotFps()`).
+   *
+   * @param {number} idx The index of the slot in `config.slots`.
+   * @returns {number} Frames per second.
+   */
+  slotFps(idx) {
+    return resolveSlotFps(this.config, idx);
+  }
+
+  /**
+   * Loop length of a slot's clip in frames (see `resolveSlotFrames()`).
+   *
+   * @param {number} idx The index of the slot in `config.slots`.
+   * @returns {number} Number of frames before the clip wraps.
+   */
+  slotFrames(idx) {
+    return resolveSlotFrames(this.config, idx);
+  }
+
+  /**
+   * Compute the frame a particular slot should be showing.  Every slot starts
+   * at its own timecode, so its position is its group's clock (at the slot's
+   * frame rate) plus that offset, wrapped by the slot's clip length.  Before
+   * the first start this is simply the slot's start frame.
+   *
+   * @param {number} idx The index of the slot in `config.slots`.
+   * @param {number} [elapsedSec] Clock position in seconds.  Defaults to the current position of the slot's group.
+   * @returns {number} The expected frame number for the slot.
+   */
+  slotTargetFrame(idx, elapsedSec = this.clockSeconds(this.slotGroup(idx))) {
+    const fps = this.slotFps(idx);
+    const offset = timecodeToFrames(this.config.slots[idx].timecode, fps);
+    return Math.floor(wrapFrame(elapsedSec * fps + offset, this.slotFrames(idx)));
+  }
+
+  /**
+   * Turn a frame reported for a slot's active layer into a position in the
+   * slot's loop.  For a playlist slot the layer plays one item's clip, so
+   * the start of that item in the sequence is added; other slots report
+   * their loop position directly.
+   *
+   * @param {number} idx The index of the slot in `config.slots`.
+   * @param {number|null} clipFrame Frame of the clip on the active layer, or null if unknown.
+   * @returns {number|null} The position in the loop, or null if unknown.
+   */
+  loopFrame(idx, clipFrame) {
+    const items = slotPlaylist(this.config.slots[idx]);
+    const { item } = this.getPair(idx);
+    if (clipFrame == null || !items || !Number.isInteger(item) || item >= items.length) return clipFrame;
+    return items.slice(0, item).reduce((sum, entry) => sum + entry.frames, 0) + clipFrame;
+  }
+
+  /**
+   * Format a slot position as timecode in the slot's own frame rate.  Slots
+   * whose start timecode is drop‑frame are shown in drop‑frame as well.
+   *
+   * @param {number} idx The index of the slot in `config.slots`.
+   * @param {number|null} frame Frame number, or null if unknown.
+   * @returns {string|null} Timecode string or null.
+   */
+  slotTimecode(idx, frame) {
+    if (frame == null) return null;
+    const dropFrame = parseTimecode(this.config.slots[idx].timecode)?.dropFrame ?? false;
+    return framesToTimecode(frame, this.slotFps(idx), dropFrame);
+  }
+
+  /**
+   * Frame a standby layer should be seeked to so that it is correct at the
+   * moment a transition's RESUME executes on the server, rather than at the
+   * moment the command is composed.  The lead time comes from the measured
+   * round‑trip time of the slot's connection.
+   *
+   * @param {number} idx The index of the slot in `config.slots`.
+   * @param {AmcpClient} conn The slot's connection.
+   * @returns {number} The latency‑compensated target frame.
+   */
+  compensatedTargetFrame(idx, conn) {
+    const leadSec = this.commandLatencyMs(conn, TRANSITION_COMMANDS) / 1000;
+    return this.slotTargetFrame(idx, this.clockSeconds(this.slotGroup(idx)) + leadSec);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Master slots
+  //
+  // A sync group with a `master` slot follows that slot's playout instead of
+  // the control machine's clock: whenever the master is sampled the group's
+  // clock is moved by the master's drift, so the master is on target by
+  // definition and the other slots are measured and corrected against it.
+  // The master itself is never resynced.  While the master cannot be read
+  // (its server is offline, its layer is empty or it is paused) the group
+  // carries on from the master's last position on the wall clock.
+
+  /**
+   * The master slot of a sync group.
+   *
+   * @param {string} id The group id.
+   * @returns {number|null} Its index in `config.slots`, or null if the group has none.
+   */
+  masterSlot(id) {
+    return this.syncGroupSlots(id).find(i => this.config.slots[i].master === true) ?? null;
+  }
+
+  /**
+   * Move a sync group's clock to where its master slot is, or fall back to
+   * the wall clock if the master cannot be read.  Logs and emits a `clock`
+   * event whenever the group switches between the two.
+   *
+   * @param {string} id The group id.
+   */
+  async followMaster(id) {
+    const idx = this.masterSlot(id);
+    const clock = this.clock(id);
+    if (idx == null || !clock.playing || !clock.t0) {
+      clock.clockSource = 'wall';
+      return;
+    }
+    const sample = this.pausedSlots.has(idx) ? null : await this.sampleFrame(idx, this.getPair(idx).active);
+    if (sample) {
+      const target = this.slotTargetFrame(idx, this.clockSecondsAt(sample.sampledAt, id));
+      const drift = frameDrift(this.loopFrame(idx, sample.frame), target, this.slotFrames(idx));
+      const shiftSec = clock.master?.t0 === clock.t0 ? clock.master.shiftSec : 0;
+      clock.master = { t0: clock.t0, shiftSec: shiftSec + drift / this.slotFps(idx), sampledAt: sample.sampledAt };
+    }
+    const source = sample ? 'master' : 'wall';
+    if (source === clock.clockSource) return;
+    clock.clockSource = source;
+    if (source === 'wall') this.logger.error(`Sync group ${id}: master slot ${idx + 1} cannot be read, following the wall clock`);
+    this.logEvent('clock', { group: id, source, slot: idx });
+    this.emit('clock', { group: id, source, slot: idx });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Timecode clock sources
+  //
+  // A sync group whose `clock` names one of the configured `clockSources`
+  // chases that source's timecode: its clock reads the time since the
+  // group's `chaseTimecode`, so its slots are where the house timecode says
+  // whenever they were started.  Until the source has received any timecode
+  // the group runs from its `t0` as usual; after the signal is lost the
+  // source freewheels from the last timecode it received.
+
+  /**
+   * Open the configured clock sources, closing any that were open.  A
+   * source that cannot be opened is logged and left out, so the groups
+   * chasing it run from their `t0`.
+   */
+  async startClockSources() {
+    this.closeClockSources();
+    for (const def of this.config.clockSources || []) {
+      const source = createClockSource(def, { logger: this.logger });
+      try {
+        await source.start();
+        this.clockSources.set(def.id, source);
+        this.logger.log(`Clock source ${def.id}: reading ${def.type}`);
+      } catch (err) {
+        this.logger.error(`Clock source ${def.id} could not start: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Close every clock source.
+   */
+  closeClockSources() {
+    for (const source of this.clockSources.values()) source.close();
+    this.clockSources.clear();
+  }
+
+  /**
+   * The clock source a sync group chases.
+   *
+   * @param {string} id The group id.
+   * @returns {Object|null} The source, or null for a group on the system clock or a source that is not open.
+   */
+  chaseSource(id) {
+    const { clock } = this.groupSettings(id);
+    return clock && clock !== SYSTEM_CLOCK ? this.clockSources.get(clock) ?? null : null;
+  }
+
+  /**
+   * How far a sync group chasing timecode is from its chase timecode.
+   * Counted half a day either way, so a group approaching its chase point
+   * runs into its slots' start frames rather than jumping to them.
+   *
+   * @param {number} ms Timestamp in milliseconds since the epoch.
+   * @param {string} id The group id.
+   * @returns {number|null} Seconds since the chase timecode, negative before it, or null if the group is not chasing or its source has no timecode yet.
+   */
+  chaseSecondsAt(ms, id) {
+    const seconds = this.chaseSource(id)?.secondsAt(ms);
+    if (seconds == null) return null;
+    const { fps, chaseTimecode } = this.groupSettings(id);
+    const since = seconds - timecodeToFrames(chaseTimecode, fps) / fps;
+    return since - DAY_SEC * Math.round(since / DAY_SEC);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Runtime state persistence
+  //
+  // The clock, playback flag, autosync mode and armed start of every sync
+  // group and the active/standby pair of every slot are written to
+  // `stateFile` whenever they change.  This
+  // is kept separate from the configuration because it describes what is
+  // happening right now rather than how the installation is set up.  At boot
+  // the state is reloaded and checked against the real CasparCG layers so
+  // that a restart mid‑show does not lose the common timeline.
+
+  /**
+   * Read the persisted runtime state.  Returns null when no state file exists
+   * or it cannot be parsed, in which case the engine starts from scratch.
+   *
+   * @returns {Promise<Object|null>} The saved state or null.
+   */
+  async loadState() {
+    if (!this.stateFile) return null;
+    try {
+      const data = await fs.readFile(this.stateFile, 'utf8');
+      return JSON.parse(data);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Write the current runtime state to disk.  Errors are logged rather than
+   * thrown: failing to persist must never interrupt playback control.
+   */
+  async saveState() {
+    if (!this.stateFile) return;
+    const groups = {};
+    for (const { id, t0, playing, autosyncMode, scheduledStart } of this.clocks.values()) {
+      groups[id] = { t0, playing, autosyncMode, scheduledStart };
+    }
+    const state = {
+      groups,
+      pairs: Object.fromEntries(this.pairState),
+      pausedSlots: [...this.pausedSlots],
+      cue: this.currentCue,
+      savedAt: Date.now()
+    };
+    try {
+      await fs.writeFile(this.stateFile, JSON.stringify(state, null, 2), 'utf8');
+    } catch (err) {
+      this.logger.error(`Failed to save runtime state: ${err.message}`);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Core operations: preload, start, pause, resync
+
+  /**
+   * Query CasparCG for the length and frame rate of a slot's clip and store
+   * the result on the slot as `media`.  The clip name is recorded alongside so
+   * the values are ignored once the clip is changed.
+   *
+   * @param {number} idx The index of the slot in `config.slots`.
+   * @returns {Promise<boolean>} True if new media info was stored.
+   */
+  async refreshMediaInfo(idx) {
+    const slot = this.config.slots[idx];
+    // Playlist items are counted at the slot's or group's frame rate
+    if (!slot.host || !slot.clip || slotPlaylist(slot)) return false;
+    const conn = this.getConnection(slot.host, slot.port);
+    const info = await queryMediaInfo(conn, slot.clip);
+    if (!info) return false;
+    slot.media = { clip: slot.clip, ...info };
+    return true;
+  }
+
+  /**
+   * Confirm that the clip of every given slot, or every clip of its
+   * playlist, exists on its server, so a typo is reported before anything
+   * is loaded rather than as a failed `LOADBG`.  The clip lengths and frame
+   * rates found on the way are stored as with `refreshMediaInfo()`.  Slots whose server cannot be asked (for
+   * example because it is disconnected) are let through.
+   *
+   * @param {number[]} indices Slot indices.
+   * @param {Object} [cfg] The configuration the indices refer to, e.g. a preset about to be recalled.
+   * @throws {Error} If any clip is missing; `err.missing` lists `{ slot, host, clip }`.
+   */
+  async verifyClips(indices, cfg = this.config) {
+    const missing = [];
+    let changed = false;
+    await Promise.all([...this.groupByHost(indices, cfg.slots).values()].map(async items => {
+      for (const i of items) {
+        const slot = cfg.slots[i];
+        for (const clip of slotClips(slot)) {
+          let entry;
+          try {
+            entry = await findMedia(this.getConnection(slot.host, slot.port), clip);
+          } catch {
+            break;
+          }
+          if (!entry) {
+            missing.push({ slot: i, host: `${slot.host}:${slot.port}`, clip });
+          } else if (!slotPlaylist(slot) && entry.frames > 0 && entry.fps &&
+              (slot.media?.clip !== slot.clip || slot.media.fps !== entry.fps || slot.media.frames !== entry.frames)) {
+            slot.media = { clip: slot.clip, fps: entry.fps, frames: entry.frames };
+            changed = true;
+          }
+        }
+      }
+    }));
+    if (changed && cfg === this.config) await this.persistConfig();
+    if (!missing.length) return;
+    missing.sort((a, b) => a.slot - b.slot);
+    this.logEvent('missing-clips', { slots: missing });
+    const err = new Error(`Clip not found: ${missing.map(m => `slot ${m.slot + 1} "${m.clip}" on ${m.host}`).join(', ')}`);
+    err.missing = missing;
+    throw err;
+  }
+
+  /**
+   * The `host:port` of every server named by a slot, enabled or not.
+   *
+   * @returns {string[]} Host keys in slot order.
+   */
+  configuredHosts() {
+    const keys = this.config.slots.filter(slot => slot.host).map(slot => `${slot.host}:${slot.port}`);
+    return [...new Set(keys)];
+  }
+
+  /**
+   * List the clips on one of the configured servers with `CLS`, or look up
+   * a single clip with `CINF`.
+   *
+   * @param {string} host `host:port`, or a bare host for the first port configured with it.
+   * @param {{clip?: string}} [opts] Look up only this clip.
+   * @returns {Promise<{host: string, media: Object[]}|null>} The server's media entries (see `parseMediaList()` in lib/amcp.js), or null if no slot uses the host.
+   */
+  async hostMedia(host, { clip } = {}) {
+    const key = this.configuredHosts().find(k => k === host || k.slice(0, k.lastIndexOf(':')) === host);
+    if (!key) return null;
+    const sep = key.lastIndexOf(':');
+    const conn = this.getConnection(key.slice(0, sep), Number(key.slice(sep + 1)));
+    if (clip) {
+      const entry = await findMedia(conn, clip);
+      return { host: key, media: entry ? [entry] : [] };
+    }
+    return { host: key, media: await listMedia(conn) };
+  }
+
+  /**
+   * Discover media info for every enabled slot and persist any changes.  By
+   * default only slots whose clip has changed since the last lookup are
+   * queried; pass `force` to query them all.
+   *
+   * @param {{force?: boolean, only?: Iterable<number>}} [opts] Options; `only` limits the lookup to these slot indices.
+   */
+  async discoverMedia({ force = false, only } = {}) {
+    let changed = false;
+    for (const i of this.activeSlots(only)) {
+      const slot = this.config.slots[i];
+      if (!force && slot.media?.clip === slot.clip) continue;
+      if (await this.refreshMediaInfo(i)) changed = true;
+    }
+    if (changed) await this.persistConfig();
+  }
+
+  /**
+   * Preload all active slots.  For every slot with both `host` and `clip` set,
+   * this loads both the active and standby layers with the selected clip (for
+   * a playlist, the item its timecode falls in), seeks to frame 0, pauses,
+   * hides, and mutes them.  Preloading warms up the
+   * file caches on each server so that the initial start is glitch‑free.
+   * Nothing is loaded if a clip is missing (see `verifyClips()`).
+   *
+   * @param {Iterable<number>} [only] Restrict the preload to these slot indices.
+   */
+  async preloadAll(only) {
+    const indices = this.activeSlots(only);
+    // Also refreshes clip lengths and frame rates
+    await this.verifyClips(indices);
+    // Group commands per host to minimise network latency.  For each host we
+    // issue a DEFER/RESUME around multiple LOADBG/PAUSE commands.
+    for (const items of this.groupByHost(indices).values()) {
+      const { host, port } = this.config.slots[items[0]];
+      const conn = this.getConnection(host, port);
+      await defer(conn);
+      for (const i of items) {
+        const { channel } = this.config.slots[i];
+        const { clip } = slotItemAt(this.config.slots[i], this.slotTargetFrame(i, 0));
+        const pair = this.getPair(i);
+        // Preload active layer at frame 0
+        await conn.do(`LOADBG ${channel}-${pair.active} "${clip}" SEEK 0 LOOP`);
+        await conn.do(`PAUSE ${channel}-${pair.active}`);
+        await conn.do(`MIXER ${channel}-${pair.active} OPACITY 0 0`);
+        await conn.do(`MIXER ${channel}-${pair.active} VOLUME 1.0 0`);
+        // Preload standby layer at frame 0
+        await conn.do(`LOADBG ${channel}-${pair.standby} "${clip}" SEEK 0 LOOP`);
+        await conn.do(`PAUSE ${channel}-${pair.standby}`);
+        await conn.do(`MIXER ${channel}-${pair.standby} OPACITY 0 0`);
+        await conn.do(`MIXER ${channel}-${pair.standby} VOLUME 0.0 0`);
+      }
+      await resume(conn);
+    }
+  }
+
+  /**
+   * Queue the commands that start one slot on its active layer: both layers
+   * are loaded on `startFrame` and parked, visibility and volume are reset,
+   * then the active layer is played and shown.  Must be sent inside a
+   * DEFER/RESUME batch so the slot starts in a single render cycle.  A
+   * playlist slot is loaded with the item at `startFrame`.
+   *
+   * @param {AmcpClient} conn The slot's connection.
+   * @param {number} idx The index of the slot in `config.slots`.
+   * @param {number} startFrame Position in the slot's loop both layers are loaded on.
+   */
+  async queueSlotStart(conn, idx, startFrame) {
+    const { channel } = this.config.slots[idx];
+    const { item, clip, frame } = slotItemAt(this.config.slots[idx], startFrame);
+    const pair = this.getPair(idx);
+    pair.item = item;
+    // Load active layer at timecode and park it
+    await conn.do(`LOADBG ${channel}-${pair.active} "${clip}" SEEK ${frame} LOOP`);
+    await conn.do(`PAUSE ${channel}-${pair.active}`);
+    // Load standby layer at timecode and park it
+    await conn.do(`LOADBG ${channel}-${pair.standby} "${clip}" SEEK ${frame} LOOP`);
+    await conn.do(`PAUSE ${channel}-${pair.standby}`);
+    // Reset visibility and volume
+    await conn.do(`MIXER ${channel}-${pair.active} OPACITY 0 0`);
+    await conn.do(`MIXER ${channel}-${pair.standby} OPACITY 0 0`);
+    await conn.do(`MIXER ${channel}-${pair.active} VOLUME 1.0 0`);
+    await conn.do(`MIXER ${channel}-${pair.standby} VOLUME 0.0 0`);
+    // Now start the active layer and make it visible
+    await conn.do(`PLAY ${channel}-${pair.active}`);
+    await conn.do(`MIXER ${channel}-${pair.active} OPACITY 1 0`);
+  }
+
+  /**
+   * Start sync groups from the top.  Every active slot of the groups is
+   * loaded on its configured timecode (its target at clock 0) and started,
+   * and the groups' clocks are set to the start time.  Without `groups`
+   * every sync group is started, all on the same `t0`.  Nothing is started
+   * if a clip is missing (see `verifyClips()`).
+   *
+   * @param {number} [at] Start time in milliseconds since the epoch.  Defaults to as soon as every host is prepared.
+   * @param {string[]} [groups] Ids of the sync groups to start.
+   * @returns {Promise<number>} The start time `t0`.
+   */
+  async startAll(at, groups = this.syncGroupIds()) {
+    const indices = this.activeSlots().filter(i => groups.includes(this.slotGroup(i)));
+    await this.verifyClips(indices);
+    return this.launch(at, groups, indices);
+  }
+
+  /**
+   * Start individual slots, e.g. to reload one bad slot.  Slots whose sync
+   * group is already running join its timeline (see `joinSlots()`); for the
+   * others the group's clock is started with only these slots playing and
+   * the rest of the group left paused.  Nothing is started if a clip is
+   * missing.
+   *
+   * @param {Iterable<number>} only Slot indices to start.
+   */
+  async startSlots(only) {
+    const indices = this.activeSlots(only);
+    await this.verifyClips(indices);
+    const joining = indices.filter(i => this.clock(this.slotGroup(i)).playing);
+    const starting = indices.filter(i => !joining.includes(i));
+    if (joining.length) await this.joinSlots(joining);
+    if (starting.length) {
+      const groups = [...new Set(starting.map(i => this.slotGroup(i)))];
+      await this.launch(undefined, groups, starting);
+    }
+  }
+
+  /**
+   * Start slots from the top and set the clock of their sync groups.  This
+   * calculates the start frame for each slot from its configured timecode,
+   * loads both layers on that frame, pauses them, then starts the active
+   * layer and makes it visible.  Active slots of the groups that are not
+   * being started are left paused.
+   *
+   * The commands for each host are batched between DEFER and RESUME and all
+   * hosts are prepared in parallel.  The RESUME for each host is then held
+   * back and sent so that it arrives at the start time, compensating for that
+   * host's measured latency, so every server begins on the same frame.
+   * Slots of groups chasing timecode are loaded on the frames they should
+   * show at the start time, which is therefore fixed up front.
+   *
+   * @param {number} [at] Start time in milliseconds since the epoch.  Defaults to as soon as every host is prepared, or `CHASE_START_LEAD_MS` from now when a group chases timecode.
+   * @param {string[]} groups Ids of the sync groups whose clock is (re)started.
+   * @param {number[]} indices Slot indices to start; all must belong to `groups`.
+   * @returns {Promise<number>} The start time `t0`.
+   */
+  async launch(at, groups, indices) {
+    // Reset pair layers to ensure active/standby align with baseLayer for each slot
+    for (const i of indices) {
+      const slot = this.config.slots[i];
+      this.pairState.set(i, { active: slot.baseLayer, standby: slot.baseLayer + STANDBY_LAYER_OFFSET, baseLayer: slot.baseLayer });
+    }
+    if (at == null && groups.some(id => this.chaseSource(id))) at = Date.now() + CHASE_START_LEAD_MS;
+    const grouped = this.groupByHost(indices);
+    const prepared = await Promise.all([...grouped.values()].map(async items => {
+      const { host, port } = this.config.slots[items[0]];
+      const conn = this.getConnection(host, port);
+      await defer(conn);
+      for (const i of items) await this.queueSlotStart(conn, i, this.slotTargetFrame(i, this.chaseSecondsAt(at, this.slotGroup(i)) ?? 0));
+      return conn;
+    }));
+    // Without a scheduled time, start as soon as the slowest host can receive its RESUME
+    const t0 = at ?? Date.now() + Math.max(0, ...prepared.map(conn => this.commandLatencyMs(conn, 1)));
+    for (const id of groups) {
+      const clock = this.clock(id);
+      clock.t0 = t0;
+      clock.playing = true;
+      // Slots left out of a partial start stay parked until they are started
+      for (const i of this.syncGroupSlots(id)) {
+        if (indices.includes(i)) this.pausedSlots.delete(i); else this.pausedSlots.add(i);
+      }
+    }
+    // Release the batches so they execute on every server at the start time
+    await Promise.all(prepared.map(async conn => {
+      await sleepUntil(t0 - this.commandLatencyMs(conn, 1));
+      await resume(conn);
+    }));
+    await this.saveState();
+    this.scheduleItemChanges(groups);
+    for (const id of groups) {
+      this.emit('start', { group: id, t0, slots: indices.filter(i => this.slotGroup(i) === id) });
+    }
+    return t0;
+  }
+
+  /**
+   * Start slots on the timeline of their running sync group.  Each host's
+   * batch is loaded on the frame the slot should show when the batch's
+   * RESUME is expected to execute, so the slots come up in sync without
+   * touching `t0` or the other slots.
+   *
+   * @param {number[]} indices Slot indices to start.
+   */
+  async joinSlots(indices) {
+    await Promise.all([...this.groupByHost(indices).values()].map(async items => {
+      const { host, port } = this.config.slots[items[0]];
+      const conn = this.getConnection(host, port);
+      // DEFER, the start commands of every slot, then RESUME
+      const resumeAt = Date.now() + this.commandLatencyMs(conn, 2 + items.length * START_COMMANDS);
+      await defer(conn);
+      for (const i of items) {
+        const elapsedSec = this.clockSecondsAt(resumeAt, this.slotGroup(i));
+        await this.queueSlotStart(conn, i, this.slotTargetFrame(i, elapsedSec));
+        this.pausedSlots.delete(i);
+      }
+      await resume(conn);
+    }));
+    await this.saveState();
+    const groups = [...new Set(indices.map(i => this.slotGroup(i)))];
+    this.scheduleItemChanges(groups);
+    for (const id of groups) {
+      this.emit('start', { group: id, t0: this.clock(id).t0, slots: indices.filter(i => this.slotGroup(i) === id) });
+    }
+  }
+
+  /**
+   * Pause playback on the active and standby layers of all active slots, or
+   * of some of them.  This stops decoding on both layers but does not reset
+   * timecodes.  Pausing a subset leaves the clock running; the slots are
+   * left alone by resyncs until they are started again.  Once every slot of
+   * a sync group is paused the group itself stops, and the next start
+   * restarts its clock.
+   *
+   * @param {Iterable<number>} [only] Restrict the pause to these slot indices.
+   */
+  async pauseAll(only) {
+    const indices = this.activeSlots(only);
+    for (const items of this.groupByHost(indices).values()) {
+      const { host, port } = this.config.slots[items[0]];
+      const conn = this.getConnection(host, port);
+      await defer(conn);
+      for (const i of items) {
+        const { channel } = this.config.slots[i];
+        const pair = this.getPair(i);
+        await conn.do(`PAUSE ${channel}-${pair.active}`);
+        await conn.do(`PAUSE ${channel}-${pair.standby}`);
+      }
+      await resume(conn);
+    }
+    indices.forEach(i => {
+      this.pausedSlots.add(i);
+      this.cancelPendingResync(i);
+    });
+    const affected = only ? new Set(indices.map(i => this.slotGroup(i))) : new Set(this.syncGroupIds());
+    for (const id of affected) {
+      const slots = this.syncGroupSlots(id);
+      if (slots.some(i => !this.pausedSlots.has(i))) continue;
+      this.clock(id).playing = false;
+      slots.forEach(i => this.pausedSlots.delete(i));
+    }
+    await this.saveState();
+    this.scheduleItemChanges([...affected]);
+    for (const id of affected) {
+      this.emit('pause', { group: id, slots: indices.filter(i => this.slotGroup(i) === id) });
+    }
+  }
+
+  /**
+   * Perform a resync across all running slots.  The clock frame is either
+   * computed from each group's `t0` or passed explicitly.  Each standby layer
+   * is prepared on its own target (clock frame plus the slot's timecode
+   * offset) and then swapped in via cut or fade transitions.  After the swap
+   * the pair roles are swapped and a `resync` event is emitted per group.
+   * Playlist slots are loaded with the item their target falls in, and
+   * slots of a group that is cutting to its next playlist item are left to
+   * that.  Master slots are never resynced; their groups' clocks are moved
+   * to them first (see `followMaster()`).  In `nudge` mode a slot within
+   * `nudgeMaxFrames` of its target is corrected on its active layer instead
+   * (see `nudgeSlot()`); slots further out, and every slot when `tf` is
+   * given, are swapped with a cut.
+   *
+   * @param {string} [mode] One of `RESYNC_MODES`.  Uses each sync group's `resyncMode` if omitted.
+   * @param {number} [tf] Clock frame, counted at each group's frame rate.  If not provided, each slot's target is computed as it is loaded.
+   * @param {Iterable<number>} [only] Restrict the resync to these slot indices.  Paused slots are always skipped.
+   * @throws {Error} While a preset recall is being prepared.
+   */
+  async resyncAll(mode, tf, only) {
+    // The standby layers hold the clips of the preset being recalled
+    if (this.recall) throw new Error(`Preset ${this.recall.preset} is being recalled`);
+    const groups = new Set(this.runningSlots(only).map(i => this.slotGroup(i)));
+    for (const id of groups) await this.followMaster(id);
+    const indices = this.runningSlots(only).filter(i => {
+      const id = this.slotGroup(i);
+      return !this.clock(id).advancing && this.masterSlot(id) !== i;
+    });
+    indices.forEach(i => this.cancelPendingResync(i));
+    // Frames before and after the swap, for the event log
+    const moves = new Map();
+    // Playlist item loaded on each standby layer
+    const loaded = new Map();
+    // Prepare standby layers on the correct frame first
+    for (const i of indices) {
+      const { host, port, channel } = this.config.slots[i];
+      const conn = this.getConnection(host, port);
+      const pair = this.getPair(i);
+      const elapsedSec = tf == null ? undefined : tf / this.groupSettings(this.slotGroup(i)).fps;
+      const before = await this.sampleFrame(i, pair.active);
+      const from = this.loopFrame(i, before?.frame ?? null);
+      if (tf == null && (mode ?? this.groupSettings(this.slotGroup(i)).resyncMode) === 'nudge') {
+        const drift = this.nudgeDrift(i, before);
+        if (drift != null && await this.nudgeSlot(i, drift)) {
+          moves.set(i, { slot: i, from, to: (from - drift + this.slotFrames(i)) % this.slotFrames(i), nudged: drift });
+          this.history.recordResync(i);
+          this.countResync(i, 'nudge');
+          continue;
+        }
+      }
+      const frame = this.slotTargetFrame(i, elapsedSec);
+      const target = slotItemAt(this.config.slots[i], frame);
+      moves.set(i, { slot: i, from, to: frame });
+      loaded.set(i, target.item);
+      // Preload standby on target frame and pause it, invisibly
+      await loadAndPause(conn, channel, pair.standby, target.clip, target.frame);
+    }
+    // Now transition each slot that was not nudged
+    for (const i of indices.filter(idx => loaded.has(idx))) {
+      const { host, port, channel } = this.config.slots[i];
+      const conn = this.getConnection(host, port);
+      const pair = this.getPair(i);
+      const settings = this.groupSettings(this.slotGroup(i));
+      // Following the live clock, re‑seek just before the swap so the layer
+      // lands on the right frame once the commands reach the server.  A
+      // playlist slot only re‑seeks within the item already loaded.
+      let seekFrame;
+      if (tf == null) {
+        const frame = this.compensatedTargetFrame(i, conn);
+        const target = slotItemAt(this.config.slots[i], frame);
+        if (target.item === loaded.get(i)) {
+          seekFrame = target.frame;
+          moves.get(i).to = frame;
+        }
+      }
+      const transition = (mode ?? settings.resyncMode) === 'fade' ? 'fade' : 'cut';
+      let newPair;
+      if (transition === 'fade') {
+        newPair = await fadeTransition(conn, channel, pair, settings.fadeFrames, seekFrame);
+      } else {
+        newPair = await cutTransition(conn, channel, pair, seekFrame);
+      }
+      this.pairState.set(i, { ...newPair, item: loaded.get(i) });
+      this.history.recordResync(i);
+      this.countResync(i, transition);
+    }
+    await this.saveState();
+    for (const id of new Set(indices.map(i => this.slotGroup(i)))) {
+      const slots = indices.filter(i => this.slotGroup(i) === id);
+      const groupMode = mode ?? this.groupSettings(id).resyncMode;
+      this.logEvent('resync', { group: id, mode: groupMode, frame: tf ?? null, slots: slots.map(i => moves.get(i)) });
+      this.emit('resync', { group: id, mode: groupMode, frame: tf ?? null, slots });
+    }
+  }
+
+  /**
+   * The drift of a slot if it is small enough to nudge: within the sync
+   * group's `nudgeMaxFrames` and with the playlist item that is due already
+   * on the active layer.
+   *
+   * @param {number} idx The index of the slot in `config.slots`.
+   * @param {{frame: number, sampledAt: number}|null} sample The active layer's frame, from `sampleFrame()`.
+   * @returns {number|null} The drift in frames, or null if the slot needs a layer swap.
+   */
+  nudgeDrift(idx, sample) {
+    if (!sample) return null;
+    const group = this.slotGroup(idx);
+    const target = this.slotTargetFrame(idx, this.clockSecondsAt(sample.sampledAt, group));
+    if (slotItemAt(this.config.slots[idx], target).item !== (this.getPair(idx).item ?? null)) return null;
+    const drift = frameDrift(this.loopFrame(idx, sample.frame), target, this.slotFrames(idx));
+    return Math.abs(drift) <= this.groupSettings(group).nudgeMaxFrames ? drift : null;
+  }
+
+  /**
+   * Correct a small drift on a slot's active layer, without the cut or fade
+   * of a layer swap.  A slot that is ahead is held for as many frames as it
+   * is ahead; a slot that is behind skips forward to its target, taken at
+   * the moment the seek reaches the server.  A slot that is on target is
+   * left alone.
+   *
+   * @param {number} idx The index of the slot in `config.slots`.
+   * @param {number} drift The drift from `nudgeDrift()`, positive when ahead.
+   * @returns {Promise<boolean>} False if the slot has meanwhile reached another playlist item and needs a swap instead.
+   */
+  async nudgeSlot(idx, drift) {
+    const { host, port, channel } = this.config.slots[idx];
+    const conn = this.getConnection(host, port);
+    const pair = this.getPair(idx);
+    if (drift > 0) {
+      await holdLayer(conn, channel, pair.active, drift / this.slotFps(idx) * 1000);
+    } else if (drift < 0) {
+      const leadSec = this.commandLatencyMs(conn, 1) / 1000;
+      const target = slotItemAt(this.config.slots[idx], this.slotTargetFrame(idx, this.clockSeconds(this.slotGroup(idx)) + leadSec));
+      if (target.item !== (pair.item ?? null)) return false;
+      await seekLayer(conn, channel, pair.active, target.frame);
+    }
+    return true;
+  }
+
+  /**
+   * Correct drift on sync groups according to a resync policy.  With `all`
+   * every running slot of a group is swapped, as `resyncAll()` does; with
+   * `drifted` only the slots whose drift exceeds the group's tolerance are,
+   * so screens that are in sync see no cut or fade.  With `safe` a slot
+   * that has safe windows and is outside them is queued until it reaches
+   * the next one (see `queueResync()`).  Groups that are paused or stopped
+   * are left alone.
+   *
+   * @param {string} [mode] One of `RESYNC_MODES`.  Uses each sync group's `resyncMode` if omitted.
+   * @param {Object} [opts] Options.
+   * @param {string} [opts.policy] One of `RESYNC_POLICIES`.  Uses each sync group's `resyncPolicy` if omitted.
+   * @param {string[]} [opts.groups] The sync groups to correct.  Defaults to every group.
+   * @param {Object} [opts.status] A fresh snapshot from `snapshotStatus()` to take the drift from.
+   * @param {boolean} [opts.safe=false] Hold corrections back until each slot is in a safe window.
+   * @returns {Promise<number[]>} The slot indices that were resynced; queued slots are not included.
+   */
+  async resyncByPolicy(mode, { policy, groups = this.syncGroupIds(), status, safe = false } = {}) {
+    let drifted = null;
+    const indices = [];
+    for (const id of groups.filter(groupId => this.clock(groupId).playing)) {
+      const slots = this.runningSlots(this.syncGroupSlots(id));
+      if ((policy ?? this.groupSettings(id).resyncPolicy) !== 'drifted') {
+        indices.push(...slots);
+        continue;
+      }
+      // Only measure when a group actually needs it
+      drifted ??= new Set(this.driftedRows(status ?? await this.snapshotStatus()).map(row => row.index));
+      indices.push(...slots.filter(i => drifted.has(i)));
+    }
+    const now = safe ? indices.filter(i => !this.queueResync(i)) : indices;
+    if (now.length) await this.resyncAll(mode, undefined, now);
+    return now;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Safe windows
+  //
+  // Autosync corrections of a slot with safe windows (see lib/config.js) are
+  // held back while the slot plays content and run by a timer once it
+  // reaches the next window.  Manual resyncs are never held back.  A pending
+  // correction is dropped when the slot is resynced or paused in the
+  // meantime, and when its group's autosync loop stops.
+
+  /**
+   * Hold back a slot's correction until its next safe window, unless it is
+   * in one now.  A slot already waiting keeps its place.
+   *
+   * @param {number} idx The index of the slot in `config.slots`.
+   * @returns {boolean} True if the correction is pending, false if the slot may be resynced now.
+   */
+  queueResync(idx) {
+    if (this.pendingResyncs.has(idx)) return true;
+    const wait = framesToSafeWindow(slotSafeWindows(this.config.slots[idx]), this.slotTargetFrame(idx), this.slotFrames(idx));
+    if (wait === 0) return false;
+    const now = Date.now();
+    const delayMs = wait / this.slotFps(idx) * 1000;
+    const timer = setTimeout(() => this.runPendingResync(idx), delayMs);
+    this.pendingResyncs.set(idx, { group: this.slotGroup(idx), since: now, at: Math.round(now + delayMs), timer });
+    return true;
+  }
+
+  /**
+   * Run a correction that was waiting for a safe window.  Nothing happens
+   * if the group has left AUTO mode or stopped in the meantime, or if the
+   * slot, sampled again now, is paused or back within the drift tolerance.
+   *
+   * @param {number} idx The index of the slot in `config.slots`.
+   */
+  async runPendingResync(idx) {
+    const pending = this.pendingResyncs.get(idx);
+    if (!pending) return;
+    this.pendingResyncs.delete(idx);
+    const clock = this.clock(pending.group);
+    if (this.closed || clock.autosyncMode !== 'auto' || !clock.playing) return;
+    try {
+      const status = await this.snapshotStatus({ group: pending.group });
+      if (!this.driftedRows(status).some(row => row.index === idx)) return;
+      await this.resyncAll(undefined, undefined, [idx]);
+    } catch (err) {
+      this.logger.error(`Pending resync failed: ${err.message}`);
+      this.logEvent('autosync', { group: pending.group, error: err.message });
+    }
+  }
+
+  /**
+   * Drop a slot's pending correction, if it has one.
+   *
+   * @param {number} idx The index of the slot in `config.slots`.
+   */
+  cancelPendingResync(idx) {
+    const pending = this.pendingResyncs.get(idx);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    this.pendingResyncs.delete(idx);
+  }
+
+  /**
+   * Describe a slot's pending correction for the status snapshot.
+   *
+   * @param {number} idx The index of the slot in `config.slots`.
+   * @returns {{since: number, at: number}|null} When it was queued and when it will run, or null if none is pending.
+   */
+  pendingInfo(idx) {
+    const pending = this.pendingResyncs.get(idx);
+    return pending ? { since: pending.since, at: pending.at } : null;
+  }
+
+  /**
+   * Restart the clock of one or all sync groups at the current time.
+   * Playback is not touched, but every target frame moves.
+   *
+   * @param {string} [id] The group id.  Resets every group when omitted.
+   * @returns {Promise<number>} The new `t0`.
+   */
+  async resetClock(id) {
+    const t0 = Date.now();
+    const groups = id ? [id] : this.syncGroupIds();
+    for (const groupId of groups) this.clock(groupId).t0 = t0;
+    await this.saveState();
+    this.scheduleItemChanges(groups);
+    return t0;
+  }
+
+  /**
+   * Set the autosync mode of one or all sync groups and start or stop their
+   * autosync loops accordingly.
+   *
+   * @param {string} mode One of `AUTOSYNC_MODES`.
+   * @param {string} [id] The group id.  Applies to every group when omitted.
+   */
+  async setMode(mode, id) {
+    if (!AUTOSYNC_MODES.includes(mode)) throw new Error(`mode must be ${AUTOSYNC_MODES.join('|')}`);
+    for (const groupId of id ? [id] : this.syncGroupIds()) {
+      this.clock(groupId).autosyncMode = mode;
+      if (mode === 'auto') this.startAutosyncLoop(groupId); else this.stopAutosyncLoop(groupId);
+    }
+    await this.saveState();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Playlists
+  //
+  // A playlist slot loops a sequence of clips instead of one.  Its position
+  // in the sequence follows the clock like any slot's frame, so the item on
+  // air is known at every moment.  Shortly before an item ends the next
+  // items of every slot changing at that moment are loaded on the standby
+  // layers; each host then gets one DEFER/RESUME batch that cuts them in,
+  // released so that it executes on the boundary frame.
+
+  /**
+   * Plan the next playlist item change of some or all sync groups.
+   *
+   * @param {string[]} [groups] The sync groups.  Defaults to every group.
+   */
+  scheduleItemChanges(groups = this.syncGroupIds()) {
+    for (const id of groups) this.scheduleItemChange(id);
+  }
+
+  /**
+   * Plan a sync group's next playlist item change: find the earliest
+   * moment any of its running playlist slots reaches the end of an item,
+   * and set a timer to prepare every slot changing then `PLAYLIST_LEAD_MS`
+   * before it.  Any previously planned change is dropped.
+   *
+   * @param {string} [id] The sync group.
+   */
+  scheduleItemChange(id = DEFAULT_SYNC_GROUP) {
+    const clock = this.clock(id);
+    clearTimeout(clock.itemTimer);
+    clock.itemTimer = null;
+    if (!clock.playing || this.closed) return;
+    let next = null;
+    for (const i of this.runningSlots(this.syncGroupSlots(id))) {
+      const at = this.nextItemChange(i);
+      if (at == null) continue;
+      // Slots whose items end within a millisecond of each other change together
+      if (!next || at < next.at - 1) next = { at, slots: [i] };
+      else if (at <= next.at + 1) next.slots.push(i);
+    }
+    if (!next) return;
+    clock.itemTimer = setTimeout(() => this.advanceItems(id, next.at, next.slots), Math.max(0, next.at - PLAYLIST_LEAD_MS - Date.now()));
+  }
+
+  /**
+   * When a playlist slot next reaches the end of an item.
+   *
+   * @param {number} idx The index of the slot in `config.slots`.
+   * @param {number} [now] Reference time, defaults to `Date.now()`.
+   * @returns {number|null} Timestamp in milliseconds, or null if the slot has no playlist or its group has no clock.
+   */
+  nextItemChange(idx, now = Date.now()) {
+    const items = slotPlaylist(this.config.slots[idx]);
+    const id = this.slotGroup(idx);
+    const { t0 } = this.clock(id);
+    if (!items || !t0) return null;
+    const fps = this.slotFps(idx);
+    const from = Math.max(now, t0);
+    const offset = timecodeToFrames(this.config.slots[idx].timecode, fps);
+    const position = wrapFrame(this.clockSecondsAt(from, id) * fps + offset, this.slotFrames(idx));
+    const { start, frames } = playlistPosition(items, position);
+    return from + (start + frames - position) / fps * 1000;
+  }
+
+  /**
+   * Cut playlist slots of a sync group to their next item at `at`.  The
+   * items due then are loaded on the standby layers, and per host one batch
+   * starts and shows them and hides the old layers, released so it executes
+   * at `at`.  A host that can no longer make it in time is resynced
+   * instead, which loads the right item and offset.  The next change is
+   * planned afterwards.
+   *
+   * @param {string} id The sync group.
+   * @param {number} at The moment the items change, in milliseconds since the epoch.
+   * @param {number[]} indices The slots whose items change.
+   */
+  async advanceItems(id, at, indices) {
+    const clock = this.clock(id);
+    clock.itemTimer = null;
+    // A recall replaces the playlists and plans the next change itself
+    if (this.recall) return;
+    clock.advancing = true;
+    const changes = new Map();  // slot index -> the item it changes to
+    const done = [];
+    const late = [];
+    try {
+      for (const i of indices) {
+        const { host, port, channel } = this.config.slots[i];
+        // Half a frame past the boundary keeps rounding on the new item
+        const elapsedSec = this.clockSecondsAt(at, id) + 0.5 / this.slotFps(i);
+        const next = slotItemAt(this.config.slots[i], this.slotTargetFrame(i, elapsedSec));
+        changes.set(i, next);
+        await loadAndPause(this.getConnection(host, port), channel, this.getPair(i).standby, next.clip, next.frame);
+      }
+      await Promise.all([...this.groupByHost(indices).values()].map(async items => {
+        const { host, port } = this.config.slots[items[0]];
+        const conn = this.getConnection(host, port);
+        const resumeAt = at - this.commandLatencyMs(conn, 1);
+        if (Date.now() > resumeAt) {
+          late.push(...items);
+          return;
+        }
+        await defer(conn);
+        for (const i of items) {
+          const { channel } = this.config.slots[i];
+          const pair = this.getPair(i);
+          await conn.do(`PLAY ${channel}-${pair.standby}`);
+          await conn.do(`MIXER ${channel}-${pair.standby} OPACITY 1 0`);
+          await conn.do(`MIXER ${channel}-${pair.standby} VOLUME 1.0 0`);
+          await conn.do(`MIXER ${channel}-${pair.active} OPACITY 0 0`);
+          await conn.do(`MIXER ${channel}-${pair.active} VOLUME 0.0 0`);
+        }
+        await sleepUntil(resumeAt);
+        await resume(conn);
+        // Pause the old layers to stop decoding
+        await defer(conn);
+        for (const i of items) await conn.do(`PAUSE ${this.config.slots[i].channel}-${this.getPair(i).active}`);
+        await resume(conn);
+        for (const i of items) {
+          const pair = this.getPair(i);
+          this.pairState.set(i, { active: pair.standby, standby: pair.active, baseLayer: pair.baseLayer, item: changes.get(i).item });
+          done.push(i);
+        }
+      }));
+    } catch (err) {
+      this.logger.error(`Playlist item change failed: ${err.message}`);
+      this.logEvent('playlist', { group: id, at, error: err.message });
+    } finally {
+      clock.advancing = false;
+    }
+    if (late.length) {
+      this.logEvent('playlist', { group: id, at, late });
+      try {
+        await this.resyncAll('cut', undefined, late);
+      } catch (err) {
+        this.logger.error(`Playlist resync failed: ${err.message}`);
+      }
+    }
+    await this.saveState();
+    if (done.length) {
+      this.emit('item', { group: id, at, slots: done.map(i => ({ slot: i, item: changes.get(i).item, clip: changes.get(i).clip })) });
+    }
+    this.scheduleItemChange(id);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Show presets and cue list
+  //
+  // A preset is a named snapshot of the slots and global settings (see
+  // lib/presets.js).  Recalling one while playing prepares the new clips on
+  // the standby layers, then switches every output in one DEFER/RESUME batch
+  // per host at the chosen moment and restarts the clocks there, so the
+  // whole set changes on the same frame.
+
+  /**
+   * Save the current configuration, or the current configuration with a
+   * partial update applied, as a named preset.  The configuration in use is
+   * not changed.
+   *
+   * @param {string} name The preset name.
+   * @param {Object} [update] Partial configuration, as for `updateConfig()`.
+   * @returns {Promise<Array<{field: string, message: string}>>} Validation errors; empty when saved.
+   */
+  async savePreset(name, update) {
+    const nameError = presetNameError(name);
+    if (nameError) return [{ field: 'name', message: nameError }];
+    const cfg = update ? mergeConfigUpdate(this.config, update) : this.config;
+    const errors = validateConfig(cfg);
+    if (errors.length) return errors;
+    await this.presets.put(name, cfg);
+    return [];
+  }
+
+  /**
+   * Replace the cue list (see `PresetStore.setCues()`).  The show starts
+   * again from the first cue.
+   *
+   * @param {Array<{preset: string, label?: string}>} cues The new cue list.
+   * @returns {Promise<Array<{field: string, message: string}>>} Validation errors; empty when saved.
+   */
+  async setCues(cues) {
+    const errors = await this.presets.setCues(cues);
+    if (errors.length) return errors;
+    this.currentCue = null;
+    await this.saveState();
+    return [];
+  }
+
+  /**
+   * Put a preset on air.  The preset replaces the slots and global settings
+   * and is checked like any configuration update; its clips must exist.
+   *
+   * When nothing is playing the new configuration is simply applied and
+   * preloaded.  Otherwise outputs (server, channel and base layer) that stay
+   * in use keep their layer pair: the new clip is loaded on the standby
+   * layer at its start timecode and swapped in with a cut or a fade, as in a
+   * resync.  Outputs only the preset uses are started from the top, and
+   * outputs it no longer uses are hidden and paused.  All of this is sent in
+   * one DEFER/RESUME batch per host, released so that it executes at `at`
+   * on every server, and the clock of every sync group restarts there.
+   * Resyncs are refused until the switch is done.
+   *
+   * @param {string} name The preset name.
+   * @param {Object} [opts] Options.
+   * @param {number} [opts.at] Switch time in milliseconds since the epoch.  Defaults to as soon as every host is prepared.  The call waits until then, so for a later time use `armRecall()`.
+   * @param {string} [opts.mode='cut'] `cut` or `fade`; a fade lasts each sync group's `fadeFrames`.
+   * @param {number} [opts.cue] The cue being recalled, if any.  Becomes `currentCue`.
+   * @returns {Promise<Object>} `{ preset, cue, live, t0, swapped, started, stopped }`.  `stopped` holds slot indices of the replaced configuration, the others those of the preset.
+   * @throws {Error} If the preset is unknown or invalid (`err.errors`), a clip is missing (`err.missing`) or another recall is under way.
+   */
+  async recallPreset(name, { at, mode = 'cut', cue = null } = {}) {
+    const preset = this.presets.get(name);
+    if (!preset) throw new Error(`Unknown preset ${name}`);
+    if (this.recall) throw new Error(`Preset ${this.recall.preset} is being recalled`);
+    const next = { ...this.config, ...JSON.parse(JSON.stringify(preset.config)) };
+    const errors = validateConfig(next);
+    if (errors.length) {
+      const err = new Error(`Preset ${name} is not a valid configuration`);
+      err.errors = errors;
+      throw err;
+    }
+    this.recall = { preset: name, cue, at: at ?? null };
+    let result;
+    try {
+      const indices = next.slots.map((slot, j) => j).filter(j => isActiveSlot(next.slots[j]));
+      await this.verifyClips(indices, next);
+      if (this.syncGroupIds().some(id => this.clock(id).playing)) {
+        result = { live: true, ...await this.switchConfig(next, indices, { at, mode }) };
+      } else {
+        await this.applyConfig(next);
+        await this.preloadAll();
+        result = { live: false, t0: null, swapped: [], started: [], stopped: [] };
+      }
+    } finally {
+      this.recall = null;
+      // Item changes due during the recall were held back
+      this.scheduleItemChanges();
+    }
+    this.currentCue = cue;
+    await this.saveState();
+    const payload = { preset: name, cue, ...result };
+    this.logEvent('recall', payload);
+    this.emit('recall', payload);
+    if (result.live) {
+      for (const id of this.syncGroupIds()) {
+        const slots = this.syncGroupSlots(id);
+        if (slots.length) this.emit('start', { group: id, t0: result.t0, slots });
+      }
+    }
+    return payload;
+  }
+
+  /**
+   * The live part of `recallPreset()`: prepare the standby layers, switch
+   * every host at once and restart the clocks.  If preparing or sending the
+   * batches fails the configuration in use is kept.
+   *
+   * @param {Object} next The validated configuration to switch to.
+   * @param {number[]} indices Its active slots, with their clips verified.
+   * @param {{at?: number, mode: string}} opts Switch time and transition.
+   * @returns {Promise<{t0: number, swapped: number[], started: number[], stopped: number[]}>} The switch time and what happened to each output.
+   */
+  async switchConfig(next, indices, { at, mode }) {
+    const prev = this.config;
+    const prevPairs = new Map(this.pairState);
+    // Outputs in use now; those on air are handed over via their standby layer
+    const outputs = new Map(this.activeSlots().map(i => [outputKey(prev.slots[i]), i]));
+    const onAir = new Set(this.runningSlots().filter(i => this.clock(this.slotGroup(i)).playing));
+    const swaps = new Map();  // new index -> pair of the old slot on the same output
+    const starts = [];
+    for (const j of indices) {
+      const i = outputs.get(outputKey(next.slots[j]));
+      if (i != null && onAir.has(i)) swaps.set(j, this.getPair(i)); else starts.push(j);
+      outputs.delete(outputKey(next.slots[j]));
+    }
+    const stops = [...outputs.values()];
+    const startFrame = j => timecodeToFrames(next.slots[j].timecode, resolveSlotFps(next, j)) % resolveSlotFrames(next, j);
+    const startItem = j => slotItemAt(next.slots[j], startFrame(j));
+    const fading = (cfg, idx) => {
+      const { fadeFrames } = syncGroupSettings(cfg, slotSyncGroup(cfg, idx));
+      return mode === 'fade' && fadeFrames > 0 ? `${fadeFrames} LINEAR` : '0';
+    };
+
+    // Load the new clips on the standby layers, hidden, while the old ones play on
+    await Promise.all([...this.groupByHost([...swaps.keys()], next.slots).values()].map(async items => {
+      const { host, port } = next.slots[items[0]];
+      const conn = this.getConnection(host, port);
+      for (const j of items) {
+        const { clip, frame } = startItem(j);
+        await loadAndPause(conn, next.slots[j].channel, swaps.get(j).standby, clip, frame);
+      }
+    }));
+    if (at != null) await sleepUntil(at - START_LEAD_MS);
+
+    // The switch commands per host, and the old layers to pause afterwards
+    const batches = new Map();  // `host:port` -> { conn, commands, starts, pauses }
+    const batchFor = ({ host, port }) => {
+      const key = `${host}:${port}`;
+      if (!batches.has(key)) batches.set(key, { conn: this.getConnection(host, port), commands: [], starts: [], pauses: [] });
+      return batches.get(key);
+    };
+    for (const [j, pair] of swaps) {
+      const { channel } = next.slots[j];
+      const timing = fading(next, j);
+      const batch = batchFor(next.slots[j]);
+      batch.commands.push(
+        `PLAY ${channel}-${pair.standby}`,
+        `MIXER ${channel}-${pair.standby} OPACITY 1 ${timing}`,
+        `MIXER ${channel}-${pair.standby} VOLUME 1.0 ${timing}`,
+        `MIXER ${channel}-${pair.active} OPACITY 0 ${timing}`,
+        `MIXER ${channel}-${pair.active} VOLUME 0.0 ${timing}`
+      );
+      batch.pauses.push(`PAUSE ${channel}-${pair.active}`);
+    }
+    for (const i of stops) {
+      const { channel } = prev.slots[i];
+      const timing = fading(prev, i);
+      const batch = batchFor(prev.slots[i]);
+      for (const layer of [this.getPair(i).active, this.getPair(i).standby]) {
+        batch.commands.push(`MIXER ${channel}-${layer} OPACITY 0 ${timing}`, `MIXER ${channel}-${layer} VOLUME 0.0 ${timing}`);
+        batch.pauses.push(`PAUSE ${channel}-${layer}`);
+      }
+    }
+    for (const j of starts) batchFor(next.slots[j]).starts.push(j);
+
+    // Slots of the preset keep the pair of their output or start on a fresh one
+    this.config = next;
+    this.pairState = new Map(swaps);
+    let t0;
+    try {
+      const prepared = await Promise.all([...batches.values()].map(async batch => {
+        await defer(batch.conn);
+        for (const command of batch.commands) await batch.conn.do(command);
+        for (const j of batch.starts) await this.queueSlotStart(batch.conn, j, startFrame(j));
+        return batch;
+      }));
+      // Without a chosen time, switch as soon as the slowest host can receive its RESUME
+      t0 = at ?? Date.now() + Math.max(0, ...prepared.map(({ conn }) => this.commandLatencyMs(conn, 1)));
+      await Promise.all(prepared.map(async ({ conn, pauses }) => {
+        await sleepUntil(t0 - this.commandLatencyMs(conn, 1));
+        await resume(conn);
+        if (!pauses.length) return;
+        // Pause the old layers to stop decoding
+        await defer(conn);
+        for (const command of pauses) await conn.do(command);
+        await resume(conn);
+      }));
+    } catch (err) {
+      this.config = prev;
+      this.pairState = prevPairs;
+      throw err;
+    }
+    for (const [j, pair] of swaps) {
+      this.pairState.set(j, { active: pair.standby, standby: pair.active, baseLayer: pair.baseLayer, item: startItem(j).item });
+    }
+    this.pausedSlots.clear();
+    for (const id of syncGroupIds(next)) {
+      const clock = this.clock(id);
+      clock.t0 = t0;
+      clock.playing = indices.some(j => slotSyncGroup(next, j) === id);
+    }
+    await this.applyConfig(next, prev);
+    return { t0, swapped: [...swaps.keys()], started: starts, stopped: stops };
+  }
+
+  /**
+   * Recall a cue of the cue list (see `recallPreset()`).
+   *
+   * @param {number} index The cue's index.
+   * @param {{at?: number, mode?: string}} [opts] Switch time and transition.
+   * @returns {Promise<Object>} As for `recallPreset()`.
+   */
+  async recallCue(index, opts = {}) {
+    const cue = this.presets.cues[index];
+    if (!cue) throw new Error(`No cue ${index + 1}`);
+    return this.recallPreset(cue.preset, { ...opts, cue: index });
+  }
+
+  /**
+   * Arm a recall for a later time and return straight away.  The preset is
+   * checked now; `RECALL_LEAD_MS` before the switch time the recall runs as
+   * `recallPreset()` would, so resyncs and playlist item changes carry on
+   * until then.  Any previously armed recall is replaced.
+   *
+   * @param {string} name The preset name.
+   * @param {Object} opts Options.
+   * @param {number} opts.at Switch time in milliseconds since the epoch (already aligned), at least `START_LEAD_MS` and at most `MAX_RECALL_AHEAD_MS` ahead.
+   * @param {string} [opts.mode='cut'] `cut` or `fade`.
+   * @param {number} [opts.cue] The cue being recalled, if any.
+   * @returns {Object} The armed recall: `{ preset, cue, at, mode, armedAt }`.
+   * @throws {Error} If the preset is unknown, or it or `at` is invalid (`err.errors`).
+   */
+  armRecall(name, { at, mode = 'cut', cue = null }) {
+    const preset = this.presets.get(name);
+    if (!preset) throw new Error(`Unknown preset ${name}`);
+    const errors = validateConfig({ ...this.config, ...JSON.parse(JSON.stringify(preset.config)) });
+    const ahead = at - Date.now();
+    if (!Number.isFinite(at)) {
+      errors.push({ field: 'at', message: 'at must be a time in milliseconds since the epoch' });
+    } else if (ahead < START_LEAD_MS || ahead > MAX_RECALL_AHEAD_MS) {
+      errors.push({ field: 'at', message: `at must be between ${START_LEAD_MS / 1000}s and ${MAX_RECALL_AHEAD_MS / 3600000}h from now` });
+    }
+    if (errors.length) {
+      const err = new Error(`Cannot arm a recall of preset ${name}`);
+      err.errors = errors;
+      throw err;
+    }
+    clearTimeout(this.recallTimer);
+    this.scheduledRecall = { preset: name, cue, at, mode, armedAt: Date.now() };
+    this.recallTimer = setTimeout(() => this.fireScheduledRecall(), Math.max(0, at - RECALL_LEAD_MS - Date.now()));
+    this.logEvent('recall-schedule', { preset: name, cue, at, mode });
+    return { ...this.scheduledRecall };
+  }
+
+  /**
+   * Run the armed recall.  Called by its timer `RECALL_LEAD_MS` before the
+   * switch time; from then on it can no longer be cancelled.  A failure is
+   * logged, as nobody is waiting for the result.
+   */
+  async fireScheduledRecall() {
+    const { preset, cue, at, mode } = this.scheduledRecall;
+    this.scheduledRecall = null;
+    this.recallTimer = null;
+    try {
+      await this.recallPreset(preset, { at, mode, cue });
+    } catch (err) {
+      this.logger.error(`Scheduled recall of preset ${preset} failed: ${err.message}`);
+      this.logEvent('recall-schedule', { preset, cue, at, error: err.message });
+    }
+  }
+
+  /**
+   * Disarm the armed recall, if any.
+   *
+   * @returns {boolean} True if a recall was armed.
+   * @throws {Error} With `recalling` (the preset) if the armed recall has already begun; nothing is cancelled then.
+   */
+  cancelScheduledRecall() {
+    if (!this.scheduledRecall) {
+      if (this.recall?.at != null) {
+        const err = new Error(`Too late to cancel: preset ${this.recall.preset} is already being recalled`);
+        err.recalling = this.recall.preset;
+        throw err;
+      }
+      return false;
+    }
+    const { preset, cue, at } = this.scheduledRecall;
+    clearTimeout(this.recallTimer);
+    this.scheduledRecall = null;
+    this.recallTimer = null;
+    this.logEvent('recall-schedule', { preset, cue, at, cancelled: true });
+    return true;
+  }
+
+  /**
+   * Index of the cue a GO recalls: the one after `currentCue`, or the first.
+   *
+   * @returns {number|null} The index, or null at the end of the cue list.
+   */
+  nextCue() {
+    const index = this.currentCue == null ? 0 : this.currentCue + 1;
+    return index < this.presets.cues.length ? index : null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Recovery
+
+  /**
+   * Bring the slots on one host back after its connection was re‑established.
+   * The server may have restarted and lost its layers, so while playing the
+   * host's slots are resynced (which reloads the clip on the standby layer and
+   * cuts to it); while stopped they are preloaded again.
+   *
+   * @param {string} key The `host:port` key of the connection.
+   */
+  async recoverHost(key) {
+    const indices = this.activeSlots().filter(i => {
+      const slot = this.config.slots[i];
+      return `${slot.host}:${slot.port}` === key;
+    });
+    if (!indices.length) return;
+    const playing = indices.filter(i => this.clock(this.slotGroup(i)).playing);
+    const stopped = indices.filter(i => !playing.includes(i));
+    if (playing.length) await this.resyncAll(undefined, undefined, playing);
+    if (stopped.length) await this.preloadAll(stopped);
+    this.logger.log(`Connection ${key}: recovered ${indices.length} slot(s)`);
+  }
+
+  /**
+   * Bring a single slot back to a known state after a restart.  The persisted
+   * active layer should be playing.  If only the standby layer is playing (the
+   * process died between a swap and the state write) the roles are swapped.
+   * If neither is playing the clip is reloaded on the standby layer at the
+   * target frame and cut in.
+   *
+   * @param {number} idx The index of the slot in `config.slots`.
+   * @returns {Promise<string>} `"ok"`, `"swapped"`, `"reloaded"` or `"unreachable"`.
+   */
+  async recoverSlot(idx) {
+    const slot = this.config.slots[idx];
+    const conn = this.getConnection(slot.host, slot.port);
+    const pair = this.getPair(idx);
+    const active = await this.getLayerInfo(conn, slot.channel, pair.active);
+    if (!active) return 'unreachable';
+    if (active.playing) return 'ok';
+    const standby = await this.getLayerInfo(conn, slot.channel, pair.standby);
+    if (standby?.playing) {
+      this.pairState.set(idx, { active: pair.standby, standby: pair.active, baseLayer: pair.baseLayer });
+      return 'swapped';
+    }
+    const target = slotItemAt(slot, this.slotTargetFrame(idx));
+    await loadAndPause(conn, slot.channel, pair.standby, target.clip, target.frame);
+    const seek = slotItemAt(slot, this.compensatedTargetFrame(idx, conn));
+    const newPair = await cutTransition(conn, slot.channel, pair, seek.item === target.item ? seek.frame : undefined);
+    this.pairState.set(idx, { ...newPair, item: target.item });
+    return 'reloaded';
+  }
+
+  /**
+   * Restore the runtime state saved before the last shutdown.  The clocks,
+   * autosync modes and layer pairs are reloaded, then every enabled slot of a
+   * playing sync group is checked against CasparCG with `INFO` and
+   * `CALL FRAME`.  If any slot is out of tolerance, or a playlist slot
+   * missed an item change while the engine was down, a resync is performed
+   * so playback continues on the original timeline without anyone pressing
+   * Start again.
+   */
+  async recoverState() {
+    const saved = await this.loadState();
+    if (!saved) return;
+    // State files written before sync groups hold the default group's clock at the top level
+    const groups = saved.groups || { [DEFAULT_SYNC_GROUP]: saved };
+    // Only restore pairs whose base layer still matches the configuration
+    for (const [idx, pair] of Object.entries(saved.pairs || {})) {
+      const slot = this.config.slots[idx];
+      if (slot && pair && pair.baseLayer === slot.baseLayer) {
+        this.pairState.set(Number(idx), pair);
+      }
+    }
+    for (const id of this.syncGroupIds()) {
+      const clock = this.clock(id);
+      const stored = groups[id] || {};
+      clock.autosyncMode = AUTOSYNC_MODES.includes(stored.autosyncMode) ? stored.autosyncMode : 'off';
+      clock.t0 = Number.isFinite(stored.t0) ? stored.t0 : null;
+      clock.playing = Boolean(stored.playing && clock.t0);
+    }
+    this.pausedSlots = new Set(Array.isArray(saved.pausedSlots) ? saved.pausedSlots : []);
+    this.currentCue = Number.isInteger(saved.cue) && saved.cue < this.presets.cues.length ? saved.cue : null;
+    const playing = this.syncGroupIds().filter(id => this.clock(id).playing);
+    for (const id of playing) {
+      for (const i of this.runningSlots(this.syncGroupSlots(id))) {
+        const result = await this.recoverSlot(i);
+        this.logger.log(`Recovery: slot ${i + 1} ${result}`);
+        this.logEvent('recovery', { group: id, slot: i, result });
+      }
+    }
+    if (playing.length) {
+      const status = await this.snapshotStatus();
+      const drifted = this.driftedRows(status);
+      for (const id of playing) {
+        const rows = drifted.filter(r => r.syncGroup === id);
+        if (!rows.length) continue;
+        this.emit('drift', { group: id, rows, toleranceFrames: this.groupSettings(id).driftToleranceFrames });
+        await this.resyncByPolicy(undefined, { groups: [id], status });
+      }
+    }
+    // Re‑arm starts that were scheduled before the restart if they are still ahead
+    for (const id of this.syncGroupIds()) {
+      const pendingAt = groups[id]?.scheduledStart?.at;
+      if (Number.isFinite(pendingAt) && pendingAt - Date.now() > START_LEAD_MS) {
+        this.armStart(pendingAt, { groups: [id] }).catch(err => this.logger.error(`Re-arming scheduled start failed: ${err.message}`));
+      }
+    }
+    await this.saveState();
+    this.scheduleItemChanges();
+    for (const id of this.syncGroupIds()) {
+      if (this.clock(id).autosyncMode === 'auto') this.startAutosyncLoop(id);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Scheduled start
+  //
+  // A start can be armed for an exact time, given either as an ISO date/time
+  // or as a time‑of‑day timecode.  Clips are preloaded as soon as the start is
+  // armed; shortly before the start time the start batches are sent to every
+  // host and released so that they execute together.  While armed, a
+  // `schedule` event with the countdown is emitted once per second.
+
+  /**
+   * Turn a requested start time into a timestamp.  Accepts epoch milliseconds,
+   * an ISO date/time string or a time‑of‑day timecode (`HH:MM:SS:FF`, or
+   * drop‑frame `HH:MM:SS;FF`) counted at the sync group's `fps`.  A time of
+   * day that has already passed today refers to tomorrow.
+   *
+   * @param {number|string} value The requested time.
+   * @param {number} [now] Reference time, defaults to `Date.now()`.
+   * @param {string} [id] The sync group whose frame rate timecodes are counted in.
+   * @returns {number|null} Timestamp in milliseconds, or null if unparseable.
+   */
+  parseStartTime(value, now = Date.now(), id = DEFAULT_SYNC_GROUP) {
+    const { fps } = this.groupSettings(id);
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string' || !value.trim()) return null;
+    if (parseTimecode(value)) {
+      if (validateTimecode(value, fps)) return null;
+      const midnight = new Date(now);
+      midnight.setHours(0, 0, 0, 0);
+      let at = midnight.getTime() + timecodeToFrames(value, fps) / fps * 1000;
+      if (at <= now) at += 24 * 3600 * 1000;
+      return at;
+    }
+    const at = Date.parse(value);
+    return Number.isFinite(at) ? at : null;
+  }
+
+  /**
+   * Round a timestamp to the nearest frame boundary of the day at the sync
+   * group's frame rate, so that its clock starts exactly on a frame.
+   *
+   * @param {number} ms Timestamp in milliseconds since the epoch.
+   * @param {string} [id] The sync group.
+   * @returns {number} The aligned timestamp.
+   */
+  alignToFrameBoundary(ms, id = DEFAULT_SYNC_GROUP) {
+    const midnight = new Date(ms);
+    midnight.setHours(0, 0, 0, 0);
+    const frameMs = 1000 / this.groupSettings(id).fps;
+    return midnight.getTime() + Math.round((ms - midnight.getTime()) / frameMs) * frameMs;
+  }
+
+  /**
+   * Describe a sync group's armed start, including the time remaining.
+   *
+   * @param {string} [id] The sync group.
+   * @returns {Object|null} Schedule info or null when nothing is armed.
+   */
+  scheduleInfo(id = DEFAULT_SYNC_GROUP) {
+    const { scheduledStart } = this.clock(id);
+    if (!scheduledStart) return null;
+    return { ...scheduledStart, remainingMs: Math.max(0, scheduledStart.at - Date.now()) };
+  }
+
+  /**
+   * Emit a sync group's current schedule (or null) as a `schedule` event.
+   *
+   * @param {string} [id] The sync group.
+   */
+  emitSchedule(id = DEFAULT_SYNC_GROUP) {
+    this.emit('schedule', { group: id, schedule: this.scheduleInfo(id) });
+  }
+
+  /**
+   * Arm a start for the given time.  Any previously armed start of the same
+   * sync groups is replaced.  Clips are preloaded straight away unless
+   * `preload` is false; if the preload fails the start is disarmed and the
+   * error is rethrown.
+   *
+   * @param {number} at Start time in milliseconds since the epoch (already aligned).
+   * @param {{preload?: boolean, groups?: string[]}} [opts] Options.  `groups` defaults to every sync group.
+   */
+  async armStart(at, { preload = true, groups = this.syncGroupIds() } = {}) {
+    for (const id of groups) {
+      const clock = this.clock(id);
+      this.clearSchedule(id);
+      clock.scheduledStart = { at, armedAt: Date.now(), preloaded: false };
+      clock.scheduleTimer = setTimeout(() => this.fireScheduledStart(id), Math.max(0, at - START_LEAD_MS - Date.now()));
+      clock.countdownTimer = setInterval(() => this.emitSchedule(id), 1000);
+    }
+    await this.saveState();
+    groups.forEach(id => this.emitSchedule(id));
+    if (!preload) return;
+    const stillArmed = () => groups.filter(id => this.clock(id).scheduledStart?.at === at);
+    const preloading = this.preloadAll(this.activeSlots().filter(i => groups.includes(this.slotGroup(i))));
+    groups.forEach(id => { this.clock(id).preload = preloading; });
+    try {
+      await preloading;
+    } catch (err) {
+      const armed = stillArmed();
+      if (armed.length) {
+        armed.forEach(id => this.clearSchedule(id));
+        await this.saveState();
+        armed.forEach(id => this.emitSchedule(id));
+      }
+      throw err;
+    }
+    for (const id of stillArmed()) {
+      this.clock(id).scheduledStart.preloaded = true;
+      this.emitSchedule(id);
+    }
+  }
+
+  /**
+   * Run a sync group's armed start.  Called by the schedule timer
+   * `START_LEAD_MS` before the start time.  From then on the start can no
+   * longer be cancelled.  It waits for the preload begun by `armStart()`
+   * and is skipped if that failed.
+   *
+   * @param {string} id The sync group.
+   */
+  async fireScheduledStart(id) {
+    const clock = this.clock(id);
+    const { at } = clock.scheduledStart;
+    const { preload } = clock;
+    this.clearSchedule(id);
+    clock.starting = true;
+    try {
+      await preload;
+      try {
+        await this.startAll(at, [id]);
+      } catch (err) {
+        this.logger.error(`Scheduled start failed: ${err.message}`);
+      }
+    } catch (err) {
+      this.logger.error(`Scheduled start skipped, the preload failed: ${err.message}`);
+    } finally {
+      clock.starting = false;
+    }
+    await this.saveState();
+    this.emitSchedule(id);
+    this.emit('status', await this.snapshotStatus());
+  }
+
+  /**
+   * Disarm pending scheduled starts and announce it.  Playback is not
+   * affected.  A start that has already fired cannot be cancelled.
+   *
+   * @param {string[]} [groups] The sync groups.  Defaults to every group.
+   * @returns {Promise<boolean>} True if any start was armed.
+   * @throws {Error} With `starting` (the group ids) if a start is already under way; nothing is cancelled then.
+   */
+  async cancelScheduledStart(groups = this.syncGroupIds()) {
+    const starting = groups.filter(id => this.clock(id).starting);
+    if (starting.length) {
+      const err = new Error(`Too late to cancel: sync group ${starting.join(', ')} is already starting`);
+      err.starting = starting;
+      throw err;
+    }
+    const armed = groups.filter(id => this.clearSchedule(id));
+    await this.saveState();
+    armed.forEach(id => this.emitSchedule(id));
+    return armed.length > 0;
+  }
+
+  /**
+   * Drop a sync group's armed start and its timers without saving or
+   * emitting.
+   *
+   * @param {string} [id] The sync group.
+   * @returns {boolean} True if a start was armed.
+   */
+  clearSchedule(id = DEFAULT_SYNC_GROUP) {
+    const clock = this.clock(id);
+    const wasArmed = clock.scheduledStart != null;
+    clearTimeout(clock.scheduleTimer);
+    clearInterval(clock.countdownTimer);
+    clock.scheduleTimer = null;
+    clock.countdownTimer = null;
+    clock.scheduledStart = null;
+    clock.preload = null;
+    return wasArmed;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Status snapshot and autosync loop
+
+  /**
+   * Collect a status snapshot.  Takes the current frame of each slot's
+   * active layer, from OSC or by asking for it (see `sampleFrame()`), and
+   * computes the drift relative to that slot's expected frame on its sync
+   * group's clock.  Frames of playlist slots are positions in the whole
+   * sequence; `item` is the playlist item that should be on air and
+   * `currentItem` the one on the active layer.  Groups with a master slot
+   * are moved to it before their slots are sampled.  Also returns the
+   * settings and clock of every sync group, including whether it follows
+   * its master or chases timecode, and the state of every clock source.
+   * The top‑level clock fields describe the default group, as before sync
+   * groups existed.
+   *
+   * @param {{group?: string}} [opts] Only sample the slots of this sync group.
+   * @returns {Promise<Object>} A structured status object for the UI and clients.
+   */
+  async snapshotStatus({ group } = {}) {
+    const { config } = this;
+    for (const id of group ? [group] : this.syncGroupIds()) await this.followMaster(id);
+    const rows = [];
+    for (const i of group ? this.syncGroupSlots(group) : this.activeSlots()) {
+      const slot = config.slots[i];
+      const syncGroup = this.slotGroup(i);
+      const pair = this.getPair(i);
+      const conn = this.getConnection(slot.host, slot.port);
+      const sample = await this.sampleFrame(i, pair.active);
+      const current = sample ? this.loopFrame(i, sample.frame) : null;
+      const frames = this.slotFrames(i);
+      // Compare against the target at the moment the frame was sampled
+      const target = this.slotTargetFrame(i, sample ? this.clockSecondsAt(sample.sampledAt, syncGroup) : this.clockSeconds(syncGroup));
+      const { item, clip } = slotItemAt(slot, target);
+      const drift = current != null ? frameDrift(current, target, frames) : null;
+      const paused = this.pausedSlots.has(i);
+      // Only a slot that should be following its clock has a meaningful drift
+      if (drift != null && !paused && this.clock(syncGroup).playing) this.history.record(i, sample.sampledAt, drift);
+      rows.push({
+        index: i,
+        name: slot.name || `Slot ${i + 1}`,
+        host: slot.host,
+        port: slot.port,
+        channel: slot.channel,
+        baseLayer: slot.baseLayer,
+        activeLayer: pair.active,
+        standbyLayer: pair.standby,
+        clip,
+        item,
+        currentItem: item == null ? null : pair.item ?? null,
+        items: slotPlaylist(slot)?.length ?? null,
+        timecode: slot.timecode,
+        fps: this.slotFps(i),
+        frames,
+        currentFrame: current,
+        targetFrame: target,
+        currentTimecode: this.slotTimecode(i, current),
+        targetTimecode: this.slotTimecode(i, target),
+        sampledAt: sample ? Math.round(sample.sampledAt) : null,
+        frameSource: sample?.source ?? null,
+        rttMs: this.latencyStats.get(conn)?.rttMs ?? null,
+        connection: this.hostHealth.get(`${slot.host}:${slot.port}`)?.state ?? null,
+        group: slot.group || null,
+        syncGroup,
+        paused,
+        master: this.masterSlot(syncGroup) === i,
+        drift,
+        pendingResync: this.pendingInfo(i)
+      });
+      this.lastRows.set(i, rows.at(-1));
+    }
+    const syncGroups = this.syncGroupIds().map(id => {
+      const clock = this.clock(id);
+      return {
+        ...this.groupSettings(id),
+        t0: clock.t0,
+        playing: clock.playing,
+        mode: clock.autosyncMode,
+        clockFrame: this.targetFrame(id),
+        clockSource: clock.clockSource,
+        masterSlot: this.masterSlot(id),
+        chasing: this.chaseSecondsAt(Date.now(), id) != null,
+        scheduledStart: this.scheduleInfo(id),
+        slots: this.syncGroupSlots(id)
+      };
+    });
+    const main = this.clock();
+    // The earliest armed start of any group
+    const scheduledStart = syncGroups.map(g => g.scheduledStart).filter(Boolean).sort((x, y) => x.at - y.at)[0] ?? null;
+    return {
+      mode: main.autosyncMode,
+      resyncMode: config.resyncMode,
+      resyncPolicy: config.resyncPolicy,
+      fadeFrames: config.fadeFrames,
+      nudgeMaxFrames: config.nudgeMaxFrames,
+      t0: main.t0,
+      playing: main.playing,
+      clockFrame: this.targetFrame(),
+      fps: config.fps,
+      frames: config.frames,
+      autosyncIntervalSec: config.autosyncIntervalSec,
+      driftToleranceFrames: config.driftToleranceFrames,
+      scheduledStart,
+      currentCue: this.currentCue,
+      recall: this.recall,
+      scheduledRecall: this.scheduledRecall,
+      osc: this.osc?.info() ?? null,
+      clockSources: [...this.clockSources.values()].map(source => source.info()),
+      hosts: [...this.connections.keys()].map(key => this.hostInfo(key)),
+      groups: this.slotGroups(),
+      syncGroups,
+      rows
+    };
+  }
+
+  /**
+   * Labels identifying a slot in the metrics.
+   *
+   * @param {number} idx The index of the slot in `config.slots`.
+   * @returns {{slot: number, name: string, sync_group: string}} The labels.
+   */
+  slotLabels(idx) {
+    const slot = this.config.slots[idx];
+    return { slot: idx, name: slot.name || `Slot ${idx + 1}`, sync_group: this.slotGroup(idx) };
+  }
+
+  /**
+   * Count a resync of one slot for the metrics.
+   *
+   * @param {number} idx The index of the slot in `config.slots`.
+   * @param {string} mode How it was corrected: `cut`, `fade` or `nudge`.
+   */
+  countResync(idx, mode) {
+    const { slot, sync_group } = this.slotLabels(idx);
+    this.metrics.inc('caspar_sync_resyncs_total', { slot, sync_group, mode });
+  }
+
+  /**
+   * All metrics in the Prometheus text format.  Slot positions come from
+   * the last status snapshot (the autosync loop and `/api/status` keep it
+   * fresh) and connection state from the health records, so a scrape sends
+   * no AMCP commands.
+   *
+   * @returns {string} The exposition.
+   */
+  metricsText() {
+    const gauges = [];
+    for (const i of this.activeSlots()) {
+      const row = this.lastRows.get(i);
+      if (!row) continue;
+      const labels = this.slotLabels(i);
+      if (row.drift != null) gauges.push({ name: 'caspar_sync_slot_drift_frames', labels, value: row.drift });
+      if (row.currentFrame != null) gauges.push({ name: 'caspar_sync_slot_current_frame', labels, value: row.currentFrame });
+      gauges.push({ name: 'caspar_sync_slot_target_frame', labels, value: row.targetFrame });
+      if (row.sampledAt != null) gauges.push({ name: 'caspar_sync_slot_sampled_timestamp_seconds', labels, value: row.sampledAt / 1000 });
+    }
+    for (const [host, health] of this.hostHealth) {
+      gauges.push({ name: 'caspar_sync_connection_up', labels: { host }, value: health.state === 'connected' ? 1 : 0 });
+      gauges.push({ name: 'caspar_sync_connection_reconnects_total', labels: { host }, value: health.reconnects });
+    }
+    return this.metrics.render(gauges);
+  }
+
+  /**
+   * Drift statistics of every active slot over a recent window: min, max,
+   * mean and standard deviation of the measured drift, the number of
+   * resyncs and the samples themselves for plotting.
+   *
+   * @param {number} windowSec Length of the window in seconds, ending now.
+   * @returns {{windowSec: number, from: number, to: number, slots: Object[]}} The report.
+   */
+  historyReport(windowSec) {
+    const to = Date.now();
+    const from = to - windowSec * 1000;
+    const slots = this.activeSlots().map(i => ({
+      index: i,
+      name: this.config.slots[i].name || `Slot ${i + 1}`,
+      syncGroup: this.slotGroup(i),
+      ...this.history.slotHistory(i, from)
+    }));
+    return { windowSec, from, to, slots };
+  }
+
+  /**
+   * The drift samples and resyncs of every active slot over a recent window
+   * as CSV (see `DriftHistory.toCsv()`).
+   *
+   * @param {number} windowSec Length of the window in seconds, ending now.
+   * @returns {string} The CSV text.
+   */
+  historyCsv(windowSec) {
+    const slots = this.activeSlots().map(i => ({ index: i, name: this.config.slots[i].name || `Slot ${i + 1}` }));
+    return this.history.toCsv(slots, Date.now() - windowSec * 1000);
+  }
+
+  /**
+   * Rows of a status snapshot whose drift exceeds their sync group's
+   * tolerance, or whose active layer plays another playlist item than the
+   * one due.  Slots that were paused on their own, or whose group is
+   * paused or stopped, are not expected to follow the clock, and master
+   * slots set it.
+   *
+   * @param {Object} status A snapshot from `snapshotStatus()`.
+   * @returns {Object[]} The drifted rows.
+   */
+  driftedRows(status) {
+    return status.rows.filter(row => {
+      if (row.paused || row.master || row.drift == null || !this.clock(row.syncGroup).playing) return false;
+      if (row.currentItem !== row.item) return true;
+      return Math.abs(row.drift) > this.groupSettings(row.syncGroup).driftToleranceFrames;
+    });
+  }
+
+  /**
+   * Start a sync group's automatic resync loop.  Every `autosyncIntervalSec`
+   * it runs `autosyncCheck()`; the next check is only timed once the
+   * previous one has finished, so checks never overlap however long a
+   * snapshot or resync takes.
+   *
+   * @param {string} [id] The sync group.
+   */
+  startAutosyncLoop(id = DEFAULT_SYNC_GROUP) {
+    this.stopAutosyncLoop(id);
+    const clock = this.clock(id);
+    const settings = this.groupSettings(id);
+    const next = () => {
+      const timer = setTimeout(async () => {
+        // A server can drop out mid‑check; log it and try again next tick
+        try {
+          await this.autosyncCheck(id);
+        } catch (err) {
+          this.logger.error(`Autosync check failed: ${err.message}`);
+        }
+        // Unless the loop was stopped or restarted meanwhile
+        if (clock.autosyncTimer === timer) next();
+      }, settings.autosyncIntervalSec * 1000);
+      clock.autosyncTimer = timer;
+    };
+    next();
+  }
+
+  /**
+   * One pass of a sync group's autosync loop.  Checks the drift of each of
+   * the group's slots against the group's tolerance and, when any slot
+   * exceeds it, resyncs the group following its `resyncPolicy`.  Slots
+   * outside their safe windows are queued rather than resynced, and are not
+   * reported again while they wait.  Fresh status is emitted afterwards.
+   *
+   * @param {string} id The sync group.
+   */
+  async autosyncCheck(id) {
+    const clock = this.clock(id);
+    // A paused or stopped group stays as it is
+    if (clock.autosyncMode !== 'auto' || !clock.playing || this.recall || clock.advancing) return;
+    const started = performance.now();
+    const status = await this.snapshotStatus({ group: id });
+    const drifted = this.driftedRows(status).filter(row => !this.pendingResyncs.has(row.index));
+    if (drifted.length) {
+      const { driftToleranceFrames, resyncPolicy } = this.groupSettings(id);
+      this.emit('drift', { group: id, rows: drifted, toleranceFrames: driftToleranceFrames });
+      this.logEvent('autosync', {
+        group: id,
+        toleranceFrames: driftToleranceFrames,
+        policy: resyncPolicy,
+        drifted: drifted.map(row => ({ slot: row.index, drift: row.drift }))
+      });
+      // Record a failed resync in the event log; the loop carries on
+      try {
+        const waiting = new Set(this.pendingResyncs.keys());
+        await this.resyncByPolicy(undefined, { groups: [id], status, safe: true });
+        const queued = [...this.pendingResyncs.keys()].filter(i => !waiting.has(i));
+        if (queued.length) {
+          this.logEvent('pending', { group: id, slots: queued.map(i => ({ slot: i, at: this.pendingResyncs.get(i).at })) });
+        }
+      } catch (err) {
+        this.logger.error(`Autosync resync failed: ${err.message}`);
+        this.logEvent('autosync', { group: id, error: err.message });
+      }
+    }
+    this.metrics.observe('caspar_sync_autosync_duration_seconds', { sync_group: id }, (performance.now() - started) / 1000);
+    this.emit('status', await this.snapshotStatus());
+  }
+
+  /**
+   * Stop a sync group's automatic resync loop if running.
+   *
+   * @param {string} [id] The sync group.
+   */
+  stopAutosyncLoop(id = DEFAULT_SYNC_GROUP) {
+    const clock = this.clock(id);
+    if (clock.autosyncTimer) {
+      clearTimeout(clock.autosyncTimer);
+      clock.autosyncTimer = null;
+    }
+    for (const [idx, pending] of this.pendingResyncs) {
+      if (pending.group === id) this.cancelPendingResync(idx);
+    }
+  }
+}
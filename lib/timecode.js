@@ -0,0 +1,166 @@
+/**
+ * SMPTE timecode conversion for Caspar Autosync.
+ *
+ * Converts between timecode strings and absolute frame numbers for the
+ * broadcast frame rates 23.976, 24, 25, 29.97, 30, 50, 59.94 and 60.
+ * Timecode labels always count at the nominal (rounded) rate, so 29.97
+ * non‑drop‑frame material is labelled as if it ran at 30 fps.
+ *
+ * Drop‑frame (DF) timecode is written with a `;` before the frames field
+ * (`HH:MM:SS;FF`) and is only valid at 29.97 and 59.94.  It skips two (four
+ * at 59.94) frame labels at the start of every minute except each tenth
+ * minute, which keeps the labels in step with wall‑clock time.
+ */
+
+/**
+ * Frame rates with known timecode semantics.
+ */
+export const SUPPORTED_RATES = [23.976, 24, 25, 29.97, 30, 50, 59.94, 60];
+
+const TIMECODE_PATTERN = /^(\d{1,2})[:;.](\d{2})[:;.](\d{2})([:;.])(\d{2})$/;
+
+/**
+ * Nominal (label) rate for a frame rate, e.g. 30 for 29.97.
+ *
+ * @param {number} fps Frames per second.
+ * @returns {number} The integer rate used to count timecode labels.
+ */
+export function nominalRate(fps) {
+  return Math.round(fps);
+}
+
+/**
+ * Whether `fps` is one of the supported broadcast rates.  Fractional rates
+ * are matched with a small tolerance so that 30000/1001 reported by a server
+ * is recognised as 29.97.
+ *
+ * @param {number} fps Frames per second.
+ * @returns {boolean} True if supported.
+ */
+export function isSupportedRate(fps) {
+  return SUPPORTED_RATES.some(rate => Math.abs(rate - fps) < 0.01);
+}
+
+/**
+ * Whether drop‑frame counting is defined for `fps` (29.97 and 59.94 only).
+ *
+ * @param {number} fps Frames per second.
+ * @returns {boolean} True if drop‑frame timecode can be used.
+ */
+export function supportsDropFrame(fps) {
+  return Math.abs(fps - 29.97) < 0.01 || Math.abs(fps - 59.94) < 0.01;
+}
+
+/**
+ * Number of frame labels skipped each minute in drop‑frame mode.
+ *
+ * @param {number} fps Frames per second.
+ * @returns {number} 2 at 29.97, 4 at 59.94.
+ */
+function dropFramesPerMinute(fps) {
+  return Math.round(nominalRate(fps) / 15);
+}
+
+/**
+ * Split a timecode string into its fields.  Only the structure is checked
+ * here; use `validateTimecode()` for range checks.  A `;` before the frames
+ * field marks the timecode as drop‑frame.
+ *
+ * @param {string} tc Timecode such as `01:00:00:00` or `00:59:59;29`.
+ * @returns {{hh: number, mm: number, ss: number, ff: number, dropFrame: boolean}|null}
+ *   The parsed fields, or null if the string is malformed.
+ */
+export function parseTimecode(tc) {
+  if (!tc || typeof tc !== 'string') return null;
+  const m = tc.trim().match(TIMECODE_PATTERN);
+  if (!m) return null;
+  return {
+    hh: parseInt(m[1], 10),
+    mm: parseInt(m[2], 10),
+    ss: parseInt(m[3], 10),
+    ff: parseInt(m[5], 10),
+    dropFrame: m[4] === ';'
+  };
+}
+
+/**
+ * Check a timecode string against a frame rate.  Returns null when valid,
+ * otherwise a short human‑readable reason.
+ *
+ * @param {string} tc Timecode string.
+ * @param {number} fps Frames per second.
+ * @returns {string|null} Error message or null.
+ */
+export function validateTimecode(tc, fps) {
+  const parsed = parseTimecode(tc);
+  if (!parsed) return 'must be HH:MM:SS:FF (or HH:MM:SS;FF for drop-frame)';
+  const { hh, mm, ss, ff, dropFrame } = parsed;
+  if (hh > 23) return 'hours must be 00-23';
+  if (mm > 59) return 'minutes must be 00-59';
+  if (ss > 59) return 'seconds must be 00-59';
+  const nominal = nominalRate(fps);
+  if (ff >= nominal) return `frames must be below ${nominal} at ${fps} fps`;
+  if (dropFrame) {
+    if (!supportsDropFrame(fps)) return `drop-frame timecode is only valid at 29.97 or 59.94 fps, not ${fps}`;
+    if (ss === 0 && mm % 10 !== 0 && ff < dropFramesPerMinute(fps)) {
+      return `frame ${String(ff).padStart(2, '0')} does not exist in drop-frame timecode at minute ${mm}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Convert a timecode string to an absolute frame number.  If the string is
+ * malformed it returns zero.  A drop‑frame timecode at a rate that does not
+ * support it is counted as non‑drop‑frame.
+ *
+ * @param {string} tc Timecode in the format `HH:MM:SS:FF` or `HH:MM:SS;FF`.
+ * @param {number} fps Frames per second.
+ * @returns {number} Total frames from start of file.
+ */
+export function timecodeToFrames(tc, fps) {
+  const parsed = parseTimecode(tc);
+  if (!parsed) return 0;
+  const { hh, mm, ss, ff, dropFrame } = parsed;
+  const nominal = nominalRate(fps);
+  let frames = (hh * 3600 + mm * 60 + ss) * nominal + ff;
+  if (dropFrame && supportsDropFrame(fps)) {
+    const totalMinutes = hh * 60 + mm;
+    frames -= dropFramesPerMinute(fps) * (totalMinutes - Math.floor(totalMinutes / 10));
+  }
+  return frames;
+}
+
+/**
+ * Convert an absolute frame number to a timecode string.  Drop‑frame output
+ * uses `;` before the frames field and is only produced at 29.97 and 59.94;
+ * at other rates the request is ignored and non‑drop‑frame is returned.
+ * Negative frame numbers are clamped to zero and hours wrap at 24.
+ *
+ * @param {number} frames Absolute frame number.
+ * @param {number} fps Frames per second.
+ * @param {boolean} [dropFrame=false] Produce drop‑frame timecode.
+ * @returns {string} Timecode string.
+ */
+export function framesToTimecode(frames, fps, dropFrame = false) {
+  const nominal = nominalRate(fps);
+  let n = Math.max(0, Math.floor(frames));
+  const df = dropFrame && supportsDropFrame(fps);
+  if (df) {
+    // Re‑insert the skipped labels so the count can be split at the nominal rate
+    const drop = dropFramesPerMinute(fps);
+    const perTenMinutes = nominal * 600 - drop * 9;
+    const perMinute = nominal * 60 - drop;
+    const tens = Math.floor(n / perTenMinutes);
+    const rest = n % perTenMinutes;
+    n += drop * 9 * tens;
+    if (rest > drop) n += drop * Math.floor((rest - drop) / perMinute);
+  }
+  const ff = n % nominal;
+  const totalSeconds = Math.floor(n / nominal);
+  const ss = totalSeconds % 60;
+  const mm = Math.floor(totalSeconds / 60) % 60;
+  const hh = Math.floor(totalSeconds / 3600) % 24;
+  const pad = v => String(v).padStart(2, '0');
+  return `${pad(hh)}:${pad(mm)}:${pad(ss)}${df ? ';' : ':'}${pad(ff)}`;
+}
@@ -6,6 +6,87 @@
  * understanding for non‑developers.
  */
 
+// Latest known state of each CasparCG connection, keyed by `host:port`.
+// Filled from status snapshots and kept current by `connection` messages.
+const hosts = new Map();
+
+// Control panel of each sync group, keyed by group id.  The panels are only
+// rebuilt when the set of groups changes so a half‑typed start time survives
+// status updates.
+const syncGroupPanels = new Map();
+
+// How often the drift history is fetched while the page is open
+const HISTORY_REFRESH_MS = 10000;
+
+// Entries shown in the event log panel
+const EVENT_FEED_SIZE = 200;
+
+// Clips listed in the clip picker at most; the search narrows the rest
+const CLIP_PICKER_LIMIT = 500;
+
+// Slot editor row the clip picker is choosing for, and the media listed
+let clipPickerRow = null;
+let clipPickerMedia = [];
+
+// The cue list as last loaded, edited a cue at a time
+let cueList = [];
+
+// Playlist of each slot editor row, and the row the playlist editor is open for
+let slotPlaylists = [];
+let playlistRow = null;
+
+// Ids of the configured clock sources, offered as sync group clocks
+let clockSourceIds = [];
+
+// The settings a sync group can override, as [config key, input id suffix]
+const SYNC_GROUP_FIELDS = [
+  ['fps', 'fps'],
+  ['frames', 'frames'],
+  ['autosyncIntervalSec', 'interval'],
+  ['driftToleranceFrames', 'tolerance'],
+  ['resyncMode', 'resync'],
+  ['resyncPolicy', 'policy'],
+  ['fadeFrames', 'fade'],
+  ['nudgeMaxFrames', 'nudge'],
+  ['clock', 'clock'],
+  ['chaseTimecode', 'chase']
+];
+
+// Settings entered as text rather than numbers
+const TEXT_SETTINGS = ['resyncMode', 'resyncPolicy', 'clock', 'chaseTimecode'];
+
+// Input ids of the global settings, by config key
+const GLOBAL_FIELD_INPUTS = {
+  fps: 'fps',
+  frames: 'frames',
+  autosyncIntervalSec: 'interval',
+  driftToleranceFrames: 'tolerance',
+  resyncMode: 'resyncMode',
+  resyncPolicy: 'resyncPolicy',
+  fadeFrames: 'fadeFrames',
+  nudgeMaxFrames: 'nudgeMaxFrames',
+  clock: 'clock',
+  chaseTimecode: 'chaseTimecode'
+};
+
+// Input id part of each slot field, e.g. `baseLayer` is `slot-base-<row>`
+const SLOT_FIELD_INPUTS = {
+  enabled: 'enabled',
+  name: 'name',
+  group: 'group',
+  syncGroup: 'sync',
+  host: 'host',
+  port: 'port',
+  channel: 'channel',
+  baseLayer: 'base',
+  clip: 'clip',
+  timecode: 'tc',
+  fps: 'fps',
+  frames: 'frames',
+  safeWindows: 'safe',
+  master: 'master'
+};
+
 document.addEventListener('DOMContentLoaded', () => {
   init().catch(err => console.error(err));
 });
@@ -13,12 +94,66 @@ document.addEventListener('DOMContentLoaded', () => {
 /**
  * Initialise the UI: load configuration from the server, render slot
  * editors, attach event handlers, and open a WebSocket for live status.
+ * When the server requires a login and there is no session yet, only the
+ * login screen is shown.
  */
 async function init() {
+  document.getElementById('login-form').addEventListener('submit', onLogin);
+  const session = await fetch('/api/session').then(res => res.json());
+  if (session.enabled && !session.user) return showLogin();
+  if (session.user) showSession(session.user);
   await loadConfig();
   attachGlobalHandlers();
   await refreshStatus();
+  await refreshPresets();
   setupWebSocket();
+  await refreshHistory();
+  setInterval(refreshHistory, HISTORY_REFRESH_MS);
+  await refreshEvents();
+}
+
+/**
+ * Show the login screen.  Used at start and whenever the session has
+ * expired.
+ */
+function showLogin() {
+  document.getElementById('login').hidden = false;
+  document.getElementById('login-name').focus();
+}
+
+/**
+ * Submit the login form.  On success the page is reloaded so that every
+ * panel is loaded with the new session.
+ *
+ * @param {SubmitEvent} ev The submit event.
+ */
+async function onLogin(ev) {
+  ev.preventDefault();
+  const res = await post('/api/login', {
+    name: document.getElementById('login-name').value,
+    password: document.getElementById('login-password').value
+  });
+  if (res?.ok) {
+    location.reload();
+  } else {
+    document.getElementById('login-error').textContent = res?.error || 'Login failed';
+  }
+}
+
+/**
+ * Show who is logged in and hide the controls their role may not use.
+ * The server enforces the roles; this only keeps the page tidy.
+ *
+ * @param {{name: string, role: string}} user The logged‑in user.
+ */
+function showSession(user) {
+  document.body.dataset.role = user.role;
+  document.getElementById('session-user').textContent = `${user.name} (${user.role})`;
+  document.getElementById('session-bar').hidden = false;
+  document.getElementById('logout').addEventListener('click', async () => {
+    await post('/api/logout');
+    location.reload();
+  });
 }
 
 /**
@@ -33,7 +168,18 @@ async function loadConfig() {
   document.getElementById('interval').value = cfg.autosyncIntervalSec;
   document.getElementById('tolerance').value = cfg.driftToleranceFrames;
   document.getElementById('resyncMode').value = cfg.resyncMode;
+  document.getElementById('resyncPolicy').value = cfg.resyncPolicy || 'all';
   document.getElementById('fadeFrames').value = cfg.fadeFrames;
+  document.getElementById('nudgeMaxFrames').value = cfg.nudgeMaxFrames;
+  // Clock sources are set up in config.json; here a clock is chosen from them
+  clockSourceIds = (cfg.clockSources || []).map(source => source.id);
+  document.getElementById('clock').innerHTML = clockOptions(cfg.clock || 'system');
+  document.getElementById('chaseTimecode').value = cfg.chaseTimecode || '00:00:00:00';
+  // Build sync group rows, plus a blank one for adding a group
+  const groupBody = document.getElementById('sync-group-table-body');
+  groupBody.innerHTML = '';
+  const syncGroups = cfg.syncGroups || [];
+  [...syncGroups, {}].forEach((group, idx) => groupBody.appendChild(syncGroupRow(idx, group)));
   // Build slot rows
   const tbody = document.getElementById('slot-table-body');
   tbody.innerHTML = '';
@@ -44,16 +190,28 @@ async function loadConfig() {
     // enabled checkbox defaults to true unless explicitly set to false.
     const tr = document.createElement('tr');
     const enabled = (slot.enabled !== false);
+    // Clip length and frame rate are discovered from CasparCG.  The inputs
+    // hold a manual override only; the discovered value is shown as the
+    // placeholder so an empty field means "auto".
+    const media = (slot.media && slot.media.clip === slot.clip) ? slot.media : {};
+    const fpsHint = media.fps ? `auto (${media.fps})` : 'auto';
+    const framesHint = media.frames ? `auto (${media.frames})` : 'auto';
     tr.innerHTML = `
       <td>${idx + 1}</td>
       <td><input type="checkbox" id="slot-enabled-${idx}" ${enabled ? 'checked' : ''}></td>
       <td><input type="text" id="slot-name-${idx}" value="${slot.name || ''}" placeholder="Slot ${idx + 1}"></td>
+      <td><input type="text" id="slot-group-${idx}" value="${slot.group || ''}" placeholder="none"></td>
+      <td><input type="text" id="slot-sync-${idx}" value="${slot.syncGroup || ''}" placeholder="default"></td>
       <td><input type="text" id="slot-host-${idx}" value="${slot.host || '127.0.0.1'}" placeholder="127.0.0.1"></td>
       <td><input type="number" id="slot-port-${idx}" value="${slot.port || 5250}" min="1"></td>
       <td><input type="number" id="slot-channel-${idx}" value="${slot.channel || 1}" min="1"></td>
       <td><input type="number" id="slot-base-${idx}" value="${slot.baseLayer || 10}" min="1"></td>
-      <td><input type="text" id="slot-clip-${idx}" value="${slot.clip || ''}" placeholder="file.mov"></td>
-      <td><input type="text" id="slot-tc-${idx}" value="${slot.timecode || '00:00:00:00'}" pattern="\\d{2}:\\d{2}:\\d{2}:\\d{2}"></td>
+      <td class="clip-cell"><input type="text" id="slot-clip-${idx}" value="${slot.clip || ''}" placeholder="file.mov"><button type="button" class="btn-browse" data-browse="${idx}" title="Browse the clips on this server">…</button><button type="button" class="btn-browse" data-playlist="${idx}" title="Play a sequence of clips instead">≡</button></td>
+      <td><input type="text" id="slot-tc-${idx}" value="${slot.timecode || '00:00:00:00'}" pattern="\\d{2}:\\d{2}:\\d{2}[:;]\\d{2}"></td>
+      <td><input type="number" id="slot-fps-${idx}" value="${slot.fps || ''}" step="0.001" min="1" placeholder="${fpsHint}"></td>
+      <td><input type="number" id="slot-frames-${idx}" value="${slot.frames || ''}" min="1" placeholder="${framesHint}"></td>
+      <td><input type="text" id="slot-safe-${idx}" value="${formatWindows(slot.safeWindows)}" placeholder="any time"></td>
+      <td><input type="checkbox" id="slot-master-${idx}" ${slot.master ? 'checked' : ''} title="The other slots of the sync group follow this one"></td>
     `;
     tbody.appendChild(tr);
   });
@@ -69,14 +227,22 @@ async function loadConfig() {
     <td>${blankIdx + 1}</td>
     <td><input type="checkbox" id="slot-enabled-${blankIdx}"></td>
     <td><input type="text" id="slot-name-${blankIdx}" value="" placeholder="Slot ${blankIdx + 1}"></td>
+    <td><input type="text" id="slot-group-${blankIdx}" value="" placeholder="none"></td>
+    <td><input type="text" id="slot-sync-${blankIdx}" value="" placeholder="default"></td>
     <td><input type="text" id="slot-host-${blankIdx}" value="127.0.0.1" placeholder="127.0.0.1"></td>
     <td><input type="number" id="slot-port-${blankIdx}" value="5250" min="1"></td>
     <td><input type="number" id="slot-channel-${blankIdx}" value="1" min="1"></td>
     <td><input type="number" id="slot-base-${blankIdx}" value="10" min="1"></td>
-    <td><input type="text" id="slot-clip-${blankIdx}" value="" placeholder="file.mov"></td>
-    <td><input type="text" id="slot-tc-${blankIdx}" value="00:00:00:00" pattern="\\d{2}:\\d{2}:\\d{2}:\\d{2}"></td>
+    <td class="clip-cell"><input type="text" id="slot-clip-${blankIdx}" value="" placeholder="file.mov"><button type="button" class="btn-browse" data-browse="${blankIdx}" title="Browse the clips on this server">…</button><button type="button" class="btn-browse" data-playlist="${blankIdx}" title="Play a sequence of clips instead">≡</button></td>
+    <td><input type="text" id="slot-tc-${blankIdx}" value="00:00:00:00" pattern="\\d{2}:\\d{2}:\\d{2}[:;]\\d{2}"></td>
+    <td><input type="number" id="slot-fps-${blankIdx}" value="" step="0.001" min="1" placeholder="auto"></td>
+    <td><input type="number" id="slot-frames-${blankIdx}" value="" min="1" placeholder="auto"></td>
+    <td><input type="text" id="slot-safe-${blankIdx}" value="" placeholder="any time"></td>
+    <td><input type="checkbox" id="slot-master-${blankIdx}" title="The other slots of the sync group follow this one"></td>
   `;
   tbody.appendChild(trBlank);
+  slotPlaylists = cfg.slots.map(slot => slot.playlist || []);
+  slotPlaylists.forEach((items, idx) => showPlaylist(idx));
   // Highlight the current sync mode button
   setActiveMode(cfg.mode || 'off');
   // Select resync mode in the dropdown
@@ -84,6 +250,62 @@ async function loadConfig() {
   document.getElementById('fadeFrames').value = cfg.fadeFrames;
 }
 
+/**
+ * Build the editor row for one sync group.  Empty setting fields mean the
+ * group uses the global value, which is shown as the placeholder.
+ *
+ * @param {number} idx Row index.
+ * @param {Object} group The group's entry in `syncGroups`, or `{}` for the blank row.
+ * @returns {HTMLTableRowElement} The row.
+ */
+function syncGroupRow(idx, group) {
+  const tr = document.createElement('tr');
+  const value = key => (group[key] != null ? group[key] : '');
+  const resync = value('resyncMode');
+  const policy = value('resyncPolicy');
+  tr.innerHTML = `
+    <td><input type="text" id="sync-id-${idx}" value="${value('id')}" placeholder="id"></td>
+    <td><input type="text" id="sync-name-${idx}" value="${value('name')}" placeholder="${value('id') || 'Name'}"></td>
+    <td><input type="number" id="sync-fps-${idx}" value="${value('fps')}" step="0.01" min="1" placeholder="global"></td>
+    <td><input type="number" id="sync-frames-${idx}" value="${value('frames')}" min="1" placeholder="global"></td>
+    <td><input type="number" id="sync-interval-${idx}" value="${value('autosyncIntervalSec')}" min="1" placeholder="global"></td>
+    <td><input type="number" id="sync-tolerance-${idx}" value="${value('driftToleranceFrames')}" min="0" placeholder="global"></td>
+    <td>
+      <select id="sync-resync-${idx}">
+        <option value="" ${resync === '' ? 'selected' : ''}>Global</option>
+        <option value="cut" ${resync === 'cut' ? 'selected' : ''}>Cut</option>
+        <option value="fade" ${resync === 'fade' ? 'selected' : ''}>Fade</option>
+        <option value="nudge" ${resync === 'nudge' ? 'selected' : ''}>Nudge</option>
+      </select>
+    </td>
+    <td>
+      <select id="sync-policy-${idx}">
+        <option value="" ${policy === '' ? 'selected' : ''}>Global</option>
+        <option value="all" ${policy === 'all' ? 'selected' : ''}>All slots</option>
+        <option value="drifted" ${policy === 'drifted' ? 'selected' : ''}>Drifted only</option>
+      </select>
+    </td>
+    <td><input type="number" id="sync-fade-${idx}" value="${value('fadeFrames')}" min="1" placeholder="global"></td>
+    <td><input type="number" id="sync-nudge-${idx}" value="${value('nudgeMaxFrames')}" min="1" placeholder="global"></td>
+    <td><select id="sync-clock-${idx}"><option value="">Global</option>${clockOptions(value('clock'))}</select></td>
+    <td><input type="text" id="sync-chase-${idx}" value="${value('chaseTimecode')}" placeholder="global"></td>
+  `;
+  return tr;
+}
+
+/**
+ * Options for a clock select: the system clock and every clock source.
+ *
+ * @param {string} selected The clock to select.
+ * @returns {string} HTML for the options.
+ */
+function clockOptions(selected) {
+  const ids = ['system', ...clockSourceIds];
+  // Keep a clock whose source has since been removed, so it is not changed silently
+  if (selected && !ids.includes(selected)) ids.push(selected);
+  return ids.map(id => `<option value="${id}" ${id === selected ? 'selected' : ''}>${id === 'system' ? 'System' : id}</option>`).join('');
+}
+
 /**
  * Attach click listeners to all buttons and input elements.  Delegates
  * actions to helper functions which talk to the server.
@@ -95,12 +317,406 @@ function attachGlobalHandlers() {
   document.getElementById('pause').addEventListener('click', () => post('/api/pause'));
   document.getElementById('resync').addEventListener('click', () => post('/api/resync', { mode: document.getElementById('resyncMode').value }));
   document.getElementById('reset').addEventListener('click', () => post('/api/reset-clock'));
+  document.getElementById('schedule-arm').addEventListener('click', onArmStart);
+  document.getElementById('schedule-cancel').addEventListener('click', () => post('/api/schedule/cancel'));
+  // Per‑slot and per‑group buttons are re‑rendered with every status update,
+  // so their clicks are handled once on the containers
+  document.getElementById('status-table-body').addEventListener('click', onSlotAction);
+  document.getElementById('group-controls').addEventListener('click', onSlotAction);
+  document.getElementById('sync-group-controls').addEventListener('click', onSyncGroupAction);
+  document.getElementById('history-window').addEventListener('change', refreshHistory);
+  document.getElementById('event-filter').addEventListener('change', refreshEvents);
+  // Clip picker and playlist editor, opened from the buttons next to each clip field
+  document.getElementById('slot-table-body').addEventListener('click', ev => {
+    const btn = ev.target.closest('button[data-browse], button[data-playlist]');
+    if (!btn) return;
+    if (btn.dataset.browse != null) openClipPicker(Number(btn.dataset.browse));
+    else openPlaylistEditor(Number(btn.dataset.playlist));
+  });
+  document.getElementById('playlist-add').addEventListener('click', () => addPlaylistRow());
+  document.getElementById('playlist-clear').addEventListener('click', () => { document.getElementById('playlist-body').innerHTML = ''; });
+  document.getElementById('playlist-done').addEventListener('click', onPlaylistDone);
+  document.getElementById('playlist-body').addEventListener('click', ev => {
+    if (ev.target.closest('button[data-remove]')) ev.target.closest('tr').remove();
+  });
+  document.getElementById('clip-search').addEventListener('input', renderClipPicker);
+  document.getElementById('clip-picker-body').addEventListener('click', onPickClip);
+  document.getElementById('clip-picker-close').addEventListener('click', () => document.getElementById('clip-picker').close());
+  // Presets and cue list
+  document.getElementById('preset-save').addEventListener('click', onSavePreset);
+  document.getElementById('preset-table-body').addEventListener('click', onPresetAction);
+  document.getElementById('cue-table-body').addEventListener('click', onCueAction);
+  document.getElementById('cue-add').addEventListener('click', onAddCue);
+  document.getElementById('cue-go').addEventListener('click', ev => recall('/api/cues/go', ev.currentTarget));
+  // A recall that has already begun is refused with 409, which post() reports
+  document.getElementById('cue-cancel').addEventListener('click', () => post('/api/recall/cancel'));
   // Mode toggles
   document.getElementById('mode-off').addEventListener('click', () => setMode('off'));
   document.getElementById('mode-manual').addEventListener('click', () => setMode('manual'));
   document.getElementById('mode-auto').addEventListener('click', () => setMode('auto'));
 }
 
+/**
+ * Load the presets and the cue list and show them.  Called at start, after
+ * every change and whenever a recall is announced.
+ */
+async function refreshPresets() {
+  try {
+    const { presets, cues, currentCue, nextCue, scheduledRecall } = await fetch('/api/presets').then(r => r.json());
+    cueList = cues;
+    renderPresets(presets);
+    renderCues(cues, currentCue, nextCue);
+    renderScheduledRecall(scheduledRecall);
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+/**
+ * Fill the preset table and the preset choice for new cues.
+ *
+ * @param {Object[]} presets Presets from /api/presets.
+ */
+function renderPresets(presets) {
+  const tbody = document.getElementById('preset-table-body');
+  const select = document.getElementById('cue-preset');
+  tbody.innerHTML = '';
+  select.innerHTML = '';
+  for (const preset of presets) {
+    const tr = document.createElement('tr');
+    tr.dataset.preset = preset.name;
+    tr.innerHTML = `
+      <td></td>
+      <td></td>
+      <td>${new Date(preset.savedAt).toLocaleString()}</td>
+      <td>
+        <button class="btn-start" data-action="recall">Recall</button>
+        <button class="btn-pause admin-only" data-action="delete">Delete</button>
+      </td>
+    `;
+    // Names and clips are user input; set them as text
+    tr.cells[0].textContent = preset.name;
+    tr.cells[1].textContent = preset.slots.filter(slot => slot.enabled !== false && slot.clip).map(slot => slot.clip).join(', ');
+    tbody.appendChild(tr);
+    select.add(new Option(preset.name, preset.name));
+  }
+}
+
+/**
+ * Fill the cue list, marking the cue on air and naming the one GO recalls.
+ *
+ * @param {Object[]} cues The cue list.
+ * @param {number|null} currentCue Index of the cue recalled last.
+ * @param {number|null} nextCue Index of the cue GO recalls.
+ */
+function renderCues(cues, currentCue, nextCue) {
+  const tbody = document.getElementById('cue-table-body');
+  tbody.innerHTML = '';
+  cues.forEach((cue, idx) => {
+    const tr = document.createElement('tr');
+    tr.dataset.cue = idx;
+    tr.className = idx === currentCue ? 'cue-current' : '';
+    tr.innerHTML = `
+      <td>${idx + 1}</td>
+      <td></td>
+      <td></td>
+      <td>
+        <button class="btn-start" data-action="recall">Recall</button>
+        <button class="btn-pause admin-only" data-action="remove">Remove</button>
+      </td>
+    `;
+    tr.cells[1].textContent = cue.label;
+    tr.cells[2].textContent = cue.preset;
+    tbody.appendChild(tr);
+  });
+  const next = nextCue == null ? null : cues[nextCue];
+  document.getElementById('cue-next').textContent = next
+    ? `Next: ${nextCue + 1} ${next.label || next.preset}`
+    : (cues.length ? 'End of cue list' : '');
+  document.getElementById('cue-go').disabled = !next;
+}
+
+/**
+ * Show the armed recall, if any, and offer to cancel it.
+ *
+ * @param {Object|null} scheduled The armed recall from /api/presets.
+ */
+function renderScheduledRecall(scheduled) {
+  const cue = scheduled?.cue == null ? '' : `cue ${scheduled.cue + 1}: `;
+  document.getElementById('cue-armed').textContent = scheduled
+    ? `Armed: ${cue}${scheduled.preset} at ${new Date(scheduled.at).toLocaleTimeString()}`
+    : '';
+  document.getElementById('cue-cancel').hidden = !scheduled;
+}
+
+/**
+ * The switch time and transition typed next to the GO button.
+ *
+ * @returns {{at?: string, mode: string}} Body for a recall request.
+ */
+function recallBody() {
+  const at = document.getElementById('cue-at').value.trim();
+  const mode = document.getElementById('cue-mode').value;
+  return at ? { at, mode } : { mode };
+}
+
+/**
+ * Recall a preset or cue.  With a switch time typed the recall is only
+ * armed, and the request returns straight away.
+ *
+ * @param {string} url The recall endpoint.
+ * @param {HTMLButtonElement} btn The button pressed, disabled meanwhile.
+ */
+async function recall(url, btn) {
+  btn.disabled = true;
+  const res = await post(url, recallBody());
+  btn.disabled = false;
+  // Missing clips (409) have been reported by post() already
+  if (res && !res.ok && !res.missing) {
+    alert(res.errors ? [res.error, ...res.errors.map(e => e.message)].join('\n') : res.error);
+  }
+  await refreshPresets();
+}
+
+/**
+ * Save the current configuration under the typed name.  Unsaved edits in
+ * the editors above are not included.
+ */
+async function onSavePreset() {
+  const name = document.getElementById('preset-name').value.trim();
+  const res = await post('/api/presets', { name });
+  if (res && !res.ok) return alert(res.errors ? res.errors.map(e => e.message).join('\n') : res.error);
+  document.getElementById('preset-name').value = '';
+  await refreshPresets();
+}
+
+/**
+ * Handle the Recall and Delete buttons of the preset table.
+ *
+ * @param {MouseEvent} ev The click event.
+ */
+async function onPresetAction(ev) {
+  const btn = ev.target.closest('button[data-action]');
+  if (!btn) return;
+  const name = btn.closest('tr').dataset.preset;
+  const path = `/api/presets/${encodeURIComponent(name)}`;
+  if (btn.dataset.action === 'recall') return recall(`${path}/recall`, btn);
+  if (!confirm(`Delete preset ${name}?`)) return;
+  // A preset still used by a cue is refused with 409, which post() reports
+  await post(`${path}/delete`);
+  await refreshPresets();
+}
+
+/**
+ * Handle the Recall and Remove buttons of the cue list.
+ *
+ * @param {MouseEvent} ev The click event.
+ */
+async function onCueAction(ev) {
+  const btn = ev.target.closest('button[data-action]');
+  if (!btn) return;
+  const idx = Number(btn.closest('tr').dataset.cue);
+  if (btn.dataset.action === 'recall') return recall(`/api/cues/${idx}/recall`, btn);
+  await saveCues(cueList.filter((cue, i) => i !== idx));
+}
+
+/**
+ * Add the chosen preset to the end of the cue list.
+ */
+async function onAddCue() {
+  const preset = document.getElementById('cue-preset').value;
+  if (!preset) return;
+  await saveCues([...cueList, { preset, label: document.getElementById('cue-label').value.trim() }]);
+  document.getElementById('cue-label').value = '';
+}
+
+/**
+ * Replace the cue list on the server and show the result.
+ *
+ * @param {Object[]} cues The new cue list.
+ */
+async function saveCues(cues) {
+  const res = await post('/api/cues', { cues });
+  if (res && !res.ok) alert(res.errors ? res.errors.map(e => e.message).join('\n') : res.error);
+  await refreshPresets();
+}
+
+/**
+ * Open the clip picker for a row of the slot editor and list the clips on
+ * the row's server.  The server must already be saved in the configuration.
+ *
+ * @param {number} row Row index in the slot editor.
+ */
+async function openClipPicker(row) {
+  clipPickerRow = row;
+  clipPickerMedia = [];
+  const host = `${document.getElementById(`slot-host-${row}`).value.trim()}:${document.getElementById(`slot-port-${row}`).value}`;
+  document.getElementById('clip-picker-host').textContent = host;
+  document.getElementById('clip-search').value = '';
+  document.getElementById('clip-picker-message').textContent = 'Loading…';
+  renderClipPicker();
+  document.getElementById('clip-picker').showModal();
+  document.getElementById('clip-search').focus();
+  try {
+    const res = await fetch(`/api/hosts/${encodeURIComponent(host)}/media`);
+    const body = await res.json();
+    if (clipPickerRow !== row) return;
+    if (res.status === 404) {
+      document.getElementById('clip-picker-message').textContent = 'Save the configuration first to browse this server.';
+      return;
+    }
+    if (!res.ok) throw new Error(body.error);
+    clipPickerMedia = body.media;
+    renderClipPicker();
+    if (!clipPickerMedia.length) document.getElementById('clip-picker-message').textContent = 'No clips on this server.';
+  } catch (err) {
+    document.getElementById('clip-picker-message').textContent = `Could not list clips: ${err.message}`;
+  }
+}
+
+/**
+ * Show the clips matching the search text in the clip picker.
+ */
+function renderClipPicker() {
+  const search = document.getElementById('clip-search').value.trim().toUpperCase();
+  const matches = clipPickerMedia.filter(entry => entry.name.toUpperCase().includes(search));
+  const tbody = document.getElementById('clip-picker-body');
+  tbody.innerHTML = '';
+  for (const entry of matches.slice(0, CLIP_PICKER_LIMIT)) {
+    const tr = document.createElement('tr');
+    tr.dataset.clip = entry.name;
+    tr.innerHTML = `
+      <td></td>
+      <td>${entry.type}</td>
+      <td>${formatDuration(entry.durationSec)}</td>
+      <td>${entry.fps ?? '–'}</td>
+      <td>${entry.frames || '–'}</td>
+      <td>${entry.modified.replace('T', ' ')}</td>
+    `;
+    // Clip names come from the server's file system; set them as text
+    tr.firstElementChild.textContent = entry.name;
+    tbody.appendChild(tr);
+  }
+  const message = document.getElementById('clip-picker-message');
+  if (!clipPickerMedia.length) return;
+  message.textContent = matches.length > CLIP_PICKER_LIMIT
+    ? `${matches.length} clips match; showing the first ${CLIP_PICKER_LIMIT}.`
+    : `${matches.length} of ${clipPickerMedia.length} clips`;
+}
+
+/**
+ * Put the clicked clip into the slot editor and close the picker.
+ *
+ * @param {MouseEvent} ev The click event.
+ */
+function onPickClip(ev) {
+  const tr = ev.target.closest('tr[data-clip]');
+  if (!tr) return;
+  document.getElementById(`slot-clip-${clipPickerRow}`).value = tr.dataset.clip;
+  document.getElementById('clip-picker').close();
+}
+
+/**
+ * Open the playlist editor for a row of the slot editor.
+ *
+ * @param {number} row Row index in the slot editor.
+ */
+function openPlaylistEditor(row) {
+  playlistRow = row;
+  document.getElementById('playlist-slot').textContent = row + 1;
+  document.getElementById('playlist-body').innerHTML = '';
+  (slotPlaylists[row] || []).forEach(addPlaylistRow);
+  if (!slotPlaylists[row]?.length) addPlaylistRow();
+  document.getElementById('playlist-editor').showModal();
+}
+
+/**
+ * Add an item row to the playlist editor.
+ *
+ * @param {{clip?: string, frames?: number, safeWindows?: Array}} [item] The item to show.
+ */
+function addPlaylistRow(item = {}) {
+  const tr = document.createElement('tr');
+  tr.innerHTML = `
+    <td><input type="text" class="playlist-clip" placeholder="file.mov"></td>
+    <td><input type="number" class="playlist-frames" min="1" value="${item.frames || ''}"></td>
+    <td><input type="text" class="playlist-safe" value="${formatWindows(item.safeWindows)}" placeholder="any time"></td>
+    <td><button type="button" class="btn-reset" data-remove>Remove</button></td>
+  `;
+  tr.querySelector('.playlist-clip').value = item.clip || '';
+  document.getElementById('playlist-body').appendChild(tr);
+}
+
+/**
+ * Keep the items of the playlist editor for its slot editor row and close
+ * it.  Rows without a clip are dropped; the lengths are checked on save.
+ */
+function onPlaylistDone() {
+  const items = [...document.getElementById('playlist-body').rows]
+    .map(tr => {
+      const item = { clip: tr.querySelector('.playlist-clip').value.trim(), frames: parseInt(tr.querySelector('.playlist-frames').value, 10) || 0 };
+      const safeWindows = parseWindows(tr.querySelector('.playlist-safe').value);
+      return safeWindows ? { ...item, safeWindows } : item;
+    })
+    .filter(item => item.clip);
+  slotPlaylists[playlistRow] = items;
+  showPlaylist(playlistRow);
+  document.getElementById('playlist-editor').close();
+}
+
+/**
+ * Show in the slot editor whether a row plays a playlist: its clip field is
+ * then unused and disabled, and says how many items there are.
+ *
+ * @param {number} row Row index in the slot editor.
+ */
+function showPlaylist(row) {
+  const clipEl = document.getElementById(`slot-clip-${row}`);
+  const count = slotPlaylists[row]?.length || 0;
+  clipEl.disabled = count > 0;
+  clipEl.title = count ? `Plays a playlist of ${count} item${count === 1 ? '' : 's'}` : '';
+}
+
+/**
+ * Show safe windows as text for an input, e.g. `1490-10, 600-650`.
+ *
+ * @param {Array<{from: number, to: number}>} [windows] The windows.
+ * @returns {string} The text; empty without windows.
+ */
+function formatWindows(windows) {
+  return Array.isArray(windows) ? windows.map(w => `${w.from}-${w.to}`).join(', ') : '';
+}
+
+/**
+ * Read safe windows typed as `from-to` ranges separated by commas.  Ranges
+ * that are not two numbers are sent as they are so the server can point
+ * them out.
+ *
+ * @param {string} text The input's text.
+ * @returns {Array<{from: number|null, to: number|null}>|null} The windows, or null if the text is empty.
+ */
+function parseWindows(text) {
+  const parts = text.split(',').map(part => part.trim()).filter(Boolean);
+  if (!parts.length) return null;
+  return parts.map(part => {
+    const match = /^(\d+)\s*-\s*(\d+)$/.exec(part);
+    return match ? { from: Number(match[1]), to: Number(match[2]) } : { from: null, to: null };
+  });
+}
+
+/**
+ * Format a clip duration as H:MM:SS.
+ *
+ * @param {number|null} sec Duration in seconds.
+ * @returns {string} The duration, or a dash for stills.
+ */
+function formatDuration(sec) {
+  if (sec == null) return '–';
+  const total = Math.round(sec);
+  const pad = n => String(n).padStart(2, '0');
+  return `${Math.floor(total / 3600)}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+}
+
 /**
  * Helper to POST JSON to a given endpoint.  Returns the parsed JSON
  * response.  Errors are printed to the console.
@@ -115,12 +731,196 @@ async function post(url, body) {
       headers: { 'Content-Type': 'application/json' },
       body: body ? JSON.stringify(body) : '{}'
     });
-    return await res.json();
+    // The session expired or the server restarted
+    if (res.status === 401 && url !== '/api/login') showLogin();
+    const json = await res.json();
+    // A clip that is missing on its server stops a preload or start
+    if (res.status === 409) alert(json.error);
+    return json;
   } catch (err) {
     console.error(err);
   }
 }
 
+/**
+ * Handle a click on a per‑slot or per‑group button.  The button carries the
+ * operation in `data-op` and its target in `data-slot` or `data-group`.
+ *
+ * @param {MouseEvent} ev The click event.
+ */
+async function onSlotAction(ev) {
+  const btn = ev.target.closest('button[data-op]');
+  if (!btn) return;
+  const { op, slot, group } = btn.dataset;
+  const target = slot != null ? `/api/slots/${slot}` : `/api/groups/${encodeURIComponent(group)}`;
+  const body = op === 'resync' ? { mode: document.getElementById('resyncMode').value } : undefined;
+  btn.disabled = true;
+  const res = await post(`${target}/${op}`, body);
+  btn.disabled = false;
+  if (res && !res.ok) alert(res.error);
+}
+
+/**
+ * Buttons for the operations that can be applied to a slot or a group.
+ *
+ * @param {string} attr `data-slot` or `data-group`.
+ * @param {string|number} value The slot index or group name.
+ * @returns {string} HTML for the buttons.
+ */
+function operationButtons(attr, value) {
+  const target = `${attr}="${String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`;
+  return `
+    <button class="btn-preload" data-op="preload" ${target}>Preload</button>
+    <button class="btn-start" data-op="start" ${target}>Start</button>
+    <button class="btn-pause" data-op="pause" ${target}>Pause</button>
+    <button class="btn-resync" data-op="resync" ${target}>Resync</button>
+  `;
+}
+
+/**
+ * Render one row of buttons per named slot group.
+ *
+ * @param {Array<{name: string, slots: number[]}>} groups Groups from the status snapshot.
+ */
+function renderGroups(groups) {
+  const container = document.getElementById('group-controls');
+  container.innerHTML = '';
+  groups.forEach(group => {
+    const div = document.createElement('div');
+    div.className = 'button-group';
+    div.innerHTML = `
+      <span class="group-name"></span>
+      ${operationButtons('data-group', group.name)}
+    `;
+    div.querySelector('.group-name').textContent = `${group.name} (${group.slots.length})`;
+    container.appendChild(div);
+  });
+}
+
+/**
+ * Show one control panel per sync group: its clock, autosync mode buttons,
+ * playback buttons and a scheduled start.  With only the default group the
+ * global controls above already cover everything and no panel is shown.
+ *
+ * @param {Object[]} syncGroups Sync groups from the status snapshot.
+ * @param {Object[]} clockSources Clock sources from the status snapshot.
+ */
+function renderSyncGroups(syncGroups, clockSources) {
+  const container = document.getElementById('sync-group-controls');
+  const ids = syncGroups.length > 1 ? syncGroups.map(g => g.id) : [];
+  if (ids.join('\n') !== [...syncGroupPanels.keys()].join('\n')) {
+    container.innerHTML = '';
+    syncGroupPanels.clear();
+    ids.forEach(id => {
+      const div = document.createElement('div');
+      div.className = 'sync-group-panel';
+      div.dataset.syncGroup = id;
+      div.innerHTML = `
+        <div class="sync-group-title"><strong></strong><span class="sync-group-clock"></span></div>
+        <div class="button-group">
+          <button class="btn-off" data-op="mode" data-mode="off">Off</button>
+          <button class="btn-manual" data-op="mode" data-mode="manual">Manual</button>
+          <button class="btn-auto" data-op="mode" data-mode="auto">Auto</button>
+          <button class="btn-preload" data-op="preload">Preload</button>
+          <button class="btn-start" data-op="start">Start</button>
+          <button class="btn-pause" data-op="pause">Pause</button>
+          <button class="btn-resync" data-op="resync">Resync</button>
+          <button class="btn-reset" data-op="reset-clock">Reset Clock</button>
+        </div>
+        <div class="button-group schedule">
+          <input type="text" class="sync-group-at" placeholder="HH:MM:SS:FF or ISO time">
+          <button class="btn-start" data-op="schedule">Arm Start</button>
+          <button class="btn-pause" data-op="schedule-cancel">Cancel</button>
+          <span class="countdown"></span>
+        </div>
+      `;
+      container.appendChild(div);
+      syncGroupPanels.set(id, div);
+    });
+  }
+  syncGroups.forEach(group => {
+    const div = syncGroupPanels.get(group.id);
+    if (!div) return;
+    div.querySelector('strong').textContent = `${group.name} (${group.slots.length})`;
+    const t0Text = group.t0 ? new Date(group.t0).toLocaleTimeString() : 'Not started';
+    const clockSource = describeClockSource(group, clockSources);
+    div.querySelector('.sync-group-clock').textContent =
+      `${group.playing ? 'playing' : 'stopped'} · t0: ${t0Text} · ${group.fps} fps · ±${group.driftToleranceFrames}f${clockSource ? ` · ${clockSource}` : ''}`;
+    div.querySelectorAll('button[data-mode]').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.mode === group.mode);
+    });
+    showCountdown(div.querySelector('.countdown'), group.scheduledStart);
+  });
+}
+
+/**
+ * Handle a click in a sync group panel.  The panel carries the group id in
+ * `data-sync-group` and the button the operation in `data-op`.
+ *
+ * @param {MouseEvent} ev The click event.
+ */
+async function onSyncGroupAction(ev) {
+  const btn = ev.target.closest('button[data-op]');
+  if (!btn) return;
+  const panel = btn.closest('[data-sync-group]');
+  const { op, mode } = btn.dataset;
+  let body;
+  if (op === 'mode') body = { mode };
+  else if (op === 'resync') body = { mode: document.getElementById('resyncMode').value };
+  else if (op === 'schedule') body = { at: panel.querySelector('.sync-group-at').value.trim() };
+  btn.disabled = true;
+  const res = await post(`/api/sync-groups/${encodeURIComponent(panel.dataset.syncGroup)}/${op}`, body);
+  btn.disabled = false;
+  if (res && !res.ok) alert(res.error);
+  else if (op === 'mode') refreshStatus();
+}
+
+/**
+ * Arm a scheduled start for the time typed into the schedule input.  The
+ * server accepts an ISO date/time or a time‑of‑day timecode and replies with
+ * an error if the time cannot be parsed or is too close.
+ */
+async function onArmStart() {
+  const at = document.getElementById('schedule-at').value.trim();
+  const res = await post('/api/schedule', { at });
+  if (res && !res.ok) alert(res.error);
+}
+
+/**
+ * Show a sync group's armed start and the time remaining.  Called for every
+ * `schedule` WebSocket message.  The default group's schedule is shown next
+ * to the global schedule controls.
+ *
+ * @param {{group: string, schedule: Object|null}} payload Schedule info from the server.
+ */
+function updateSchedule({ group, schedule }) {
+  if (group === 'default') showCountdown(document.getElementById('schedule-countdown'), schedule);
+  const panel = syncGroupPanels.get(group);
+  if (panel) showCountdown(panel.querySelector('.countdown'), schedule);
+}
+
+/**
+ * Show an armed start and the time remaining, or clear the display when no
+ * start is armed.
+ *
+ * @param {HTMLElement} el The countdown element.
+ * @param {Object|null} schedule Schedule info from the server.
+ */
+function showCountdown(el, schedule) {
+  if (!schedule) {
+    el.textContent = '';
+    return;
+  }
+  const totalSec = Math.ceil(schedule.remainingMs / 1000);
+  const h = Math.floor(totalSec / 3600);
+  const m = Math.floor((totalSec % 3600) / 60);
+  const s = totalSec % 60;
+  const pad = v => String(v).padStart(2, '0');
+  const when = new Date(schedule.at).toLocaleTimeString();
+  const state = schedule.preloaded ? 'preloaded' : 'preloading…';
+  el.textContent = `Start at ${when} – T‑${pad(h)}:${pad(m)}:${pad(s)} (${state})`;
+}
+
 /**
  * Send the current mode to the server and update the UI to reflect the new
  * state.  Modes are 'off', 'manual', or 'auto'.
@@ -158,7 +958,29 @@ async function onSave() {
   cfg.autosyncIntervalSec = parseInt(document.getElementById('interval').value, 10) || 10;
   cfg.driftToleranceFrames = parseInt(document.getElementById('tolerance').value, 10) || 1;
   cfg.resyncMode = document.getElementById('resyncMode').value || 'cut';
+  cfg.resyncPolicy = document.getElementById('resyncPolicy').value || 'all';
   cfg.fadeFrames = parseInt(document.getElementById('fadeFrames').value, 10) || 2;
+  cfg.nudgeMaxFrames = parseInt(document.getElementById('nudgeMaxFrames').value, 10) || 2;
+  cfg.clock = document.getElementById('clock').value || 'system';
+  cfg.chaseTimecode = document.getElementById('chaseTimecode').value.trim() || '00:00:00:00';
+  // Sync groups need an id; empty settings are left out so the global value applies
+  cfg.syncGroups = [];
+  // Table row of each sent group and slot, to place the server's errors
+  const groupRows = [];
+  const slotRows = [];
+  const groupRowCount = document.getElementById('sync-group-table-body').rows.length;
+  for (let i = 0; i < groupRowCount; i++) {
+    const id = document.getElementById(`sync-id-${i}`).value.trim();
+    if (!id) continue;
+    const group = { id, name: document.getElementById(`sync-name-${i}`).value.trim() || id };
+    SYNC_GROUP_FIELDS.forEach(([key, suffix]) => {
+      const raw = document.getElementById(`sync-${suffix}-${i}`).value.trim();
+      if (raw === '') return;
+      group[key] = TEXT_SETTINGS.includes(key) ? raw : Number(raw);
+    });
+    cfg.syncGroups.push(group);
+    groupRows.push(i);
+  }
   // Gather slot fields from all rows currently rendered.  The table body
   // always contains one extra blank row at the end.  We iterate through
   // each row and extract input values.  Slots that are completely
@@ -172,45 +994,127 @@ async function onSave() {
   for (let i = 0; i < rowCount; i++) {
     const enabledEl = document.getElementById(`slot-enabled-${i}`);
     const nameEl    = document.getElementById(`slot-name-${i}`);
+    const groupEl   = document.getElementById(`slot-group-${i}`);
+    const syncEl    = document.getElementById(`slot-sync-${i}`);
     const hostEl    = document.getElementById(`slot-host-${i}`);
     const portEl    = document.getElementById(`slot-port-${i}`);
     const channelEl = document.getElementById(`slot-channel-${i}`);
     const baseEl    = document.getElementById(`slot-base-${i}`);
     const clipEl    = document.getElementById(`slot-clip-${i}`);
     const tcEl      = document.getElementById(`slot-tc-${i}`);
-    if (!nameEl || !hostEl || !portEl || !channelEl || !baseEl || !clipEl || !tcEl || !enabledEl) {
+    const fpsEl     = document.getElementById(`slot-fps-${i}`);
+    const framesEl  = document.getElementById(`slot-frames-${i}`);
+    const safeEl    = document.getElementById(`slot-safe-${i}`);
+    const masterEl  = document.getElementById(`slot-master-${i}`);
+    if (!nameEl || !groupEl || !syncEl || !hostEl || !portEl || !channelEl || !baseEl || !clipEl || !tcEl || !enabledEl || !fpsEl || !framesEl || !safeEl || !masterEl) {
       continue;
     }
     const enabled = enabledEl.checked;
     const name    = nameEl.value.trim();
+    const group   = groupEl.value.trim();
+    const syncGroup = syncEl.value.trim();
     let host      = hostEl.value.trim();
     const port    = parseInt(portEl.value, 10) || 5250;
     const channel = parseInt(channelEl.value, 10) || 1;
     const base    = parseInt(baseEl.value, 10) || 10;
     const clip    = clipEl.value.trim();
     let tc        = tcEl.value.trim();
-    // Normalise timecode; if invalid, default to 00:00:00:00
-    if (!/^\d{2}:\d{2}:\d{2}:\d{2}$/.test(tc)) tc = '00:00:00:00';
+    // Empty override fields mean "use the value discovered from CasparCG"
+    const fps     = parseFloat(fpsEl.value) || null;
+    const frames  = parseInt(framesEl.value, 10) || null;
+    const safeWindows = parseWindows(safeEl.value);
+    const master  = masterEl.checked;
+    // Normalise timecode; if empty, default to 00:00:00:00.  A ';' before
+    // the frames field marks drop‑frame.  Range checks happen on the server.
+    if (!tc) tc = '00:00:00:00';
     // Apply default for host if empty
     if (!host) host = '127.0.0.1';
     // Determine whether this row is effectively blank.  If the user has
     // unticked the enabled checkbox and left all other fields at their
     // defaults, then this slot is ignored.
+    const playlist = slotPlaylists[i]?.length ? slotPlaylists[i] : null;
     const isBlank = !enabled &&
+                    playlist === null &&
                     name === '' &&
+                    group === '' &&
+                    syncGroup === '' &&
                     (host === '127.0.0.1' || host === '') &&
                     clip === '' &&
                     tc === '00:00:00:00' &&
+                    fps === null &&
+                    frames === null &&
+                    safeWindows === null &&
+                    !master &&
                     port === 5250 &&
                     channel === 1 &&
                     base === 10;
     if (isBlank) continue;
-    cfg.slots.push({ name, host, port, channel, baseLayer: base, clip, timecode: tc, enabled });
+    cfg.slots.push({ name, group, syncGroup, host, port, channel, baseLayer: base, clip, playlist, timecode: tc, fps, frames, safeWindows, master, enabled });
+    slotRows.push(i);
   }
   const res = await post('/api/config', cfg);
   if (res && res.ok) {
+    showConfigErrors([]);
     // Apply returned config to inputs to reflect any normalisation
     await loadConfig();
+  } else if (res) {
+    showConfigErrors(res.errors || [{ field: '', message: res.error || 'Saving failed' }], { slotRows, groupRows });
+  }
+}
+
+/**
+ * The input that holds a configuration field, e.g. `slots[2].port`.
+ *
+ * @param {string} field The field path from the server.
+ * @param {{slotRows: number[], groupRows: number[]}} rows Table row of each sent slot and sync group.
+ * @returns {HTMLElement|null} The input, or null if the field has none.
+ */
+function configFieldInput(field, { slotRows, groupRows }) {
+  const match = /^(slots|syncGroups)\[(\d+)\]\.(\w+)$/.exec(field);
+  if (!match) return document.getElementById(GLOBAL_FIELD_INPUTS[field]);
+  const [, list, idx, key] = match;
+  if (list === 'slots') {
+    return document.getElementById(`slot-${SLOT_FIELD_INPUTS[key]}-${slotRows[idx]}`);
+  }
+  const suffix = key === 'id' || key === 'name' ? key : SYNC_GROUP_FIELDS.find(([k]) => k === key)?.[1];
+  return document.getElementById(`sync-${suffix}-${groupRows[idx]}`);
+}
+
+/**
+ * Show the server's validation errors next to the inputs they concern.
+ * Errors without an input are listed next to the Save button.  An empty
+ * list clears all errors.
+ *
+ * @param {Array<{field: string, message: string}>} errors The errors.
+ * @param {{slotRows: number[], groupRows: number[]}} [rows] Table row of each sent slot and sync group.
+ */
+function showConfigErrors(errors, rows = { slotRows: [], groupRows: [] }) {
+  document.querySelectorAll('.field-error').forEach(el => el.remove());
+  document.querySelectorAll('.invalid').forEach(el => {
+    el.classList.remove('invalid');
+    el.removeAttribute('title');
+  });
+  const summary = document.getElementById('config-errors');
+  summary.innerHTML = '';
+  for (const { field, message } of errors) {
+    const input = configFieldInput(field, rows);
+    if (input) {
+      input.classList.add('invalid');
+      input.title = message;
+      const note = document.createElement('div');
+      note.className = 'field-error';
+      note.textContent = message;
+      input.insertAdjacentElement('afterend', note);
+    } else {
+      const line = document.createElement('div');
+      line.textContent = message;
+      summary.appendChild(line);
+    }
+  }
+  if (errors.length) {
+    const heading = document.createElement('div');
+    heading.textContent = `Configuration not saved: ${errors.length} problem${errors.length === 1 ? '' : 's'}`;
+    summary.prepend(heading);
   }
 }
 
@@ -240,6 +1144,18 @@ function setupWebSocket() {
       const msg = JSON.parse(ev.data);
       if (msg.type === 'status') {
         updateStatus(msg.payload);
+      } else if (msg.type === 'schedule') {
+        updateSchedule(msg.payload);
+      } else if (msg.type === 'connection') {
+        hosts.set(msg.payload.host, msg.payload);
+        renderHosts();
+      } else if (msg.type === 'event') {
+        addEvent(msg.payload);
+        // A recall replaces the configuration; show the new one
+        if (msg.payload.type === 'recall' || msg.payload.type === 'recall-schedule') {
+          loadConfig();
+          refreshPresets();
+        }
       }
     } catch {}
   };
@@ -260,6 +1176,7 @@ function updateStatus(status) {
   if (!status) return;
   // Update mode highlight
   setActiveMode(status.mode);
+  showCountdown(document.getElementById('schedule-countdown'), status.scheduledStart);
   // Update meta info: display key parameters
   const meta = document.getElementById('meta');
   const t0Text = status.t0 ? new Date(status.t0).toLocaleTimeString() : 'Not started';
@@ -267,39 +1184,310 @@ function updateStatus(status) {
   const items = [
     `Mode: ${status.mode.toUpperCase()}`,
     `Resync: ${status.resyncMode.toUpperCase()}`,
+    `Policy: ${status.resyncPolicy === 'drifted' ? 'DRIFTED ONLY' : 'ALL'}`,
     `Fade Frames: ${status.fadeFrames}`,
+    `Nudge Limit: ${status.nudgeMaxFrames}f`,
     `FPS: ${status.fps}`,
     `Loop Frames: ${status.frames}`,
     `Interval: ${status.autosyncIntervalSec}s`,
     `Tolerance: ±${status.driftToleranceFrames}f`,
     `t0: ${t0Text}`
   ];
+  const clockSource = describeClockSource((status.syncGroups || [])[0] || {}, status.clockSources || []);
+  if (clockSource) items.push(`Clock: ${clockSource}`);
+  // Frames pushed over OSC replace polling where they arrive
+  if (status.osc) items.push(`OSC: ${status.osc.listening ? `UDP ${status.osc.port}` : 'not listening'}`);
   items.forEach(text => {
     const span = document.createElement('span');
     span.textContent = text;
     meta.appendChild(span);
   });
+  // Refresh the servers table
+  (status.hosts || []).forEach(h => hosts.set(h.host, h));
+  renderHosts();
+  renderGroups(status.groups || []);
+  renderSyncGroups(status.syncGroups || [], status.clockSources || []);
   // Build status rows
   const tbody = document.getElementById('status-table-body');
   tbody.innerHTML = '';
-  const tol = status.driftToleranceFrames;
+  // Drift is judged against the tolerance of each slot's sync group
+  const tolerances = new Map((status.syncGroups || []).map(g => [g.id, g.driftToleranceFrames]));
   status.rows.forEach(row => {
     const tr = document.createElement('tr');
     const drift = row.drift;
-    const driftClass = (drift == null) ? '' : (Math.abs(drift) > tol ? 'bad' : 'ok');
+    const tol = tolerances.get(row.syncGroup) ?? status.driftToleranceFrames;
+    const driftClass = (drift == null || row.paused) ? '' : (Math.abs(drift) > tol ? 'bad' : 'ok');
+    // A slot paused on its own is not following the clock; show it muted
+    if (row.paused) tr.className = 'paused';
     tr.innerHTML = `
       <td>${row.index + 1}</td>
-      <td>${row.name || ''}</td>
-      <td>${row.host}</td>
+      <td></td>
+      <td></td>
       <td>${row.channel}</td>
       <td>${row.activeLayer}</td>
       <td>${row.standbyLayer}</td>
-      <td>${row.clip}</td>
-      <td>${row.timecode}</td>
-      <td>${row.currentFrame != null ? row.currentFrame : '-'}</td>
-      <td>${row.targetFrame}</td>
-      <td class="${driftClass}">${drift != null ? drift : '-'}</td>
+      <td></td>
+      <td></td>
+      <td>${formatPosition(row.currentTimecode, row.currentFrame)}${row.frameSource === 'osc' ? '<span class="rtt">OSC</span>' : ''}</td>
+      <td>${formatPosition(row.targetTimecode, row.targetFrame)}</td>
+      <td class="${driftClass}">${row.paused ? 'paused' : (drift != null ? drift : '-')}${row.pendingResync ? `<span class="rtt" title="Resync waiting for a safe window">resync ${new Date(row.pendingResync.at).toLocaleTimeString()}</span>` : ''}</td>
+      <td class="row-actions">${operationButtons('data-slot', row.index)}</td>
+    `;
+    // Names, hosts, clips and timecodes are user input; set them as text
+    setCellText(tr.cells[1], row.name, row.master ? 'MASTER' : null);
+    setCellText(tr.cells[2], row.host, row.rttMs != null ? `${row.rttMs.toFixed(1)} ms` : null);
+    setCellText(tr.cells[6], row.clip, row.items ? `${row.item + 1}/${row.items}` : null);
+    setCellText(tr.cells[7], row.timecode);
+    tbody.appendChild(tr);
+  });
+}
+
+/**
+ * Fill a table cell with text, followed by a muted note such as the round
+ * trip after a host name.
+ *
+ * @param {HTMLTableCellElement} cell The cell.
+ * @param {string|null} text The text.
+ * @param {string|null} [note] The note; none when null.
+ */
+function setCellText(cell, text, note = null) {
+  cell.textContent = text ?? '';
+  if (note == null) return;
+  const span = document.createElement('span');
+  span.className = 'rtt';
+  span.textContent = note;
+  cell.appendChild(span);
+}
+
+/**
+ * Render a playback position as timecode with the raw frame number beneath
+ * it in a muted style.  Unknown positions are shown as a dash.
+ *
+ * @param {string|null} tc Timecode supplied by the server.
+ * @param {number|null} frame Frame number supplied by the server.
+ * @returns {string} HTML for a table cell.
+ */
+function formatPosition(tc, frame) {
+  if (frame == null) return '-';
+  return `${tc || ''}<span class="frame-no">${frame}</span>`;
+}
+
+/**
+ * What a sync group's clock follows, for groups chasing timecode or with a
+ * master slot.
+ *
+ * @param {Object} group A sync group from the status snapshot.
+ * @param {Object[]} clockSources Clock sources from the status snapshot.
+ * @returns {string} The description; empty for groups on the wall clock without a master.
+ */
+function describeClockSource(group, clockSources) {
+  const parts = [];
+  if (group.clock && group.clock !== 'system') {
+    const source = clockSources.find(s => s.id === group.clock);
+    if (!group.chasing) {
+      parts.push(`no timecode from ${group.clock}, on wall clock`);
+    } else {
+      const timecode = source?.timecode ? ` ${source.timecode}` : '';
+      parts.push(`chasing ${group.clock}${timecode}${source && !source.receiving ? ' (freewheeling)' : ''}`);
+    }
+  }
+  if (group.masterSlot != null) {
+    const master = `master #${group.masterSlot + 1}`;
+    parts.push(group.clockSource === 'master' || !group.playing ? `following ${master}` : `${master} lost, on wall clock`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Rebuild the servers table from the `hosts` map.  Each row shows the
+ * connection state (colour coded), CasparCG version, smoothed round‑trip
+ * time, reconnect count and the last error reported for that server.
+ */
+function renderHosts() {
+  const tbody = document.getElementById('hosts-table-body');
+  tbody.innerHTML = '';
+  [...hosts.values()].forEach(h => {
+    const tr = document.createElement('tr');
+    const errorTime = h.lastErrorAt ? ` (${new Date(h.lastErrorAt).toLocaleTimeString()})` : '';
+    tr.innerHTML = `
+      <td></td>
+      <td class="${h.state}">${h.state}</td>
+      <td></td>
+      <td>${h.rttMs != null ? `${h.rttMs.toFixed(1)} ms` : '-'}</td>
+      <td>${h.reconnects}</td>
+      <td></td>
+    `;
+    // Host names, and the versions and errors the servers report, are set as text
+    setCellText(tr.cells[0], h.host);
+    setCellText(tr.cells[2], h.version || '-');
+    setCellText(tr.cells[5], h.lastError ? h.lastError + errorTime : '-');
+    tbody.appendChild(tr);
+  });
+}
+
+/**
+ * Fetch the drift history for the selected window and render one row per
+ * slot with a trend line and the statistics.  Also points the CSV link at
+ * the same window.
+ */
+async function refreshHistory() {
+  const windowSec = document.getElementById('history-window').value;
+  document.getElementById('history-csv').href = `/api/history.csv?windowSec=${windowSec}`;
+  let history;
+  try {
+    history = await fetch(`/api/history?windowSec=${windowSec}`).then(r => r.json());
+  } catch (err) {
+    console.error(err);
+    return;
+  }
+  const tbody = document.getElementById('history-table-body');
+  tbody.innerHTML = '';
+  const fmt = v => (v == null ? '-' : v);
+  history.slots.forEach(slot => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td>${slot.index + 1}</td>
+      <td></td>
+      <td>${sparkline(slot, history.from, history.to)}</td>
+      <td>${slot.count}</td>
+      <td>${fmt(slot.min)}</td>
+      <td>${fmt(slot.max)}</td>
+      <td>${fmt(slot.mean)}</td>
+      <td>${fmt(slot.stddev)}</td>
+      <td>${slot.resyncs}</td>
     `;
+    setCellText(tr.cells[1], slot.name);
     tbody.appendChild(tr);
   });
-}
\ No newline at end of file
+}
+
+/**
+ * Draw a slot's drift over the window as a small SVG line.  Time runs left
+ * to right across the whole window, zero drift is the grey middle line and
+ * each resync is marked with a vertical tick.
+ *
+ * @param {Object} slot The slot's entry from /api/history.
+ * @param {number} from Start of the window (ms since the epoch).
+ * @param {number} to End of the window (ms since the epoch).
+ * @returns {string} SVG markup.
+ */
+function sparkline(slot, from, to) {
+  const width = 240;
+  const height = 40;
+  const mid = height / 2;
+  // Scale symmetrically so that the zero line stays in the middle
+  const range = Math.max(1, ...slot.samples.map(([, drift]) => Math.abs(drift)));
+  const x = t => ((t - from) / (to - from) * width).toFixed(1);
+  const y = drift => (mid - drift / range * (mid - 2)).toFixed(1);
+  const points = slot.samples.map(([t, drift]) => `${x(t)},${y(drift)}`).join(' ');
+  const marks = slot.resyncTimes.map(t => `<line class="resync-mark" x1="${x(t)}" x2="${x(t)}" y1="0" y2="${height}"></line>`).join('');
+  return `
+    <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+      <line class="zero-line" x1="0" x2="${width}" y1="${mid}" y2="${mid}"></line>
+      ${marks}
+      <polyline class="sparkline" points="${points}"></polyline>
+    </svg>
+  `;
+}
+
+/**
+ * Load the most recent entries of the event log matching the selected
+ * filter.  New entries then arrive over the WebSocket.
+ */
+async function refreshEvents() {
+  const filter = document.getElementById('event-filter').value;
+  const query = filter ? `&type=${encodeURIComponent(filter)}` : '';
+  try {
+    const events = await fetch(`/api/events?limit=${EVENT_FEED_SIZE}${query}`).then(r => r.json());
+    document.getElementById('events-table-body').innerHTML = '';
+    events.forEach(addEvent);
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+/**
+ * Show one event log entry at the top of the feed if it matches the
+ * selected filter, dropping the oldest beyond `EVENT_FEED_SIZE`.
+ *
+ * @param {Object} entry The entry from /api/events or a WebSocket message.
+ */
+function addEvent(entry) {
+  const filter = document.getElementById('event-filter').value;
+  if (filter && !filter.split(',').includes(entry.type)) return;
+  const tbody = document.getElementById('events-table-body');
+  const tr = document.createElement('tr');
+  const failed = entry.error || entry.status >= 400;
+  tr.innerHTML = `
+    <td>${new Date(entry.time).toLocaleTimeString()}</td>
+    <td class="type-${entry.type}">${entry.type}</td>
+    <td class="${failed ? 'failed' : ''}"></td>
+  `;
+  // Details may contain user input such as clip names; set them as text
+  tr.lastElementChild.textContent = describeEvent(entry);
+  tbody.prepend(tr);
+  while (tbody.rows.length > EVENT_FEED_SIZE) tbody.deleteRow(-1);
+}
+
+/**
+ * How a resync moved one slot: the frames of a layer swap, or the frames a
+ * nudge held it back or skipped it forward.
+ *
+ * @param {{from: number|null, to: number, nudged?: number}} move A slot of a `resync` entry.
+ * @returns {string} Human readable move.
+ */
+function describeMove(move) {
+  if (move.nudged == null) return `${move.from ?? '?'}→${move.to}`;
+  if (move.nudged === 0) return 'on target';
+  return `nudged ${move.nudged > 0 ? 'back' : 'forward'} ${Math.abs(move.nudged)}f`;
+}
+
+/**
+ * A one‑line summary of an event log entry.
+ *
+ * @param {Object} entry The entry.
+ * @returns {string} Human readable details.
+ */
+function describeEvent(entry) {
+  const slot = i => `#${i + 1}`;
+  switch (entry.type) {
+    case 'api':
+      return `${entry.method} ${entry.path} → ${entry.status} from ${entry.ip}`;
+    case 'autosync':
+      if (entry.error) return `[${entry.group}] resync failed: ${entry.error}`;
+      return `[${entry.group}] drift over ±${entry.toleranceFrames}f on ${entry.drifted.map(d => `${slot(d.slot)} (${d.drift})`).join(', ')}, policy ${entry.policy}`;
+    case 'resync':
+      return `[${entry.group}] ${entry.mode}: ${entry.slots.map(s => `${slot(s.slot)} ${describeMove(s)}`).join(', ')}`;
+    case 'start':
+      return `[${entry.group}] ${entry.slots.map(slot).join(', ')} at ${new Date(entry.t0).toLocaleTimeString()}`;
+    case 'pause':
+      return `[${entry.group}] ${entry.slots.map(slot).join(', ')}`;
+    case 'connection':
+      return `${entry.host} ${entry.state}`;
+    case 'recovery':
+      return `[${entry.group}] ${slot(entry.slot)} ${entry.result}`;
+    case 'amcp-error':
+      return `${entry.host}: ${entry.command} – ${entry.error}`;
+    case 'missing-clips':
+      return entry.slots.map(s => `${slot(s.slot)} "${s.clip}" not on ${s.host}`).join(', ');
+    case 'clock':
+      return `[${entry.group}] ${entry.source === 'master' ? `following master ${slot(entry.slot)}` : `master ${slot(entry.slot)} lost, following the wall clock`}`;
+    case 'pending':
+      return `[${entry.group}] ${entry.slots.map(s => `${slot(s.slot)} at ${new Date(s.at).toLocaleTimeString()}`).join(', ')} waiting for a safe window`;
+    case 'playlist':
+      if (entry.error) return `[${entry.group}] item change failed: ${entry.error}`;
+      return `[${entry.group}] ${entry.late.map(slot).join(', ')} too late for the item change, resynced`;
+    case 'recall': {
+      const cue = entry.cue == null ? '' : `cue ${entry.cue + 1}: `;
+      if (!entry.live) return `${cue}${entry.preset} applied and preloaded`;
+      return `${cue}${entry.preset} at ${new Date(entry.t0).toLocaleTimeString()} – swapped ${entry.swapped.map(slot).join(', ') || 'none'}, started ${entry.started.map(slot).join(', ') || 'none'}, stopped ${entry.stopped.length}`;
+    }
+    case 'recall-schedule': {
+      const what = `${entry.cue == null ? '' : `cue ${entry.cue + 1}: `}${entry.preset} at ${new Date(entry.at).toLocaleTimeString()}`;
+      if (entry.error) return `${what} failed: ${entry.error}`;
+      return entry.cancelled ? `${what} cancelled` : `${what} armed (${entry.mode})`;
+    }
+    default:
+      return JSON.stringify(entry);
+  }
+}
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { AmcpClient } from '../lib/amcp-client.js';
+import { waitFor } from './harness.js';
+
+/**
+ * A TCP server answering each command line with a canned reply, written a
+ * few bytes at a time to exercise reassembly.  An empty reply is never sent.
+ *
+ * @param {Object<string, string>} replies Reply text per command.
+ * @returns {Promise<{server: net.Server, port: number, sockets: net.Socket[]}>} The server.
+ */
+async function replyServer(replies) {
+  const sockets = [];
+  const server = net.createServer(socket => {
+    sockets.push(socket);
+    let buffer = '';
+    socket.on('data', data => {
+      buffer += data;
+      let idx;
+      while ((idx = buffer.indexOf('\r\n')) !== -1) {
+        const reply = replies[buffer.slice(0, idx)] ?? '400 ERROR\r\n';
+        buffer = buffer.slice(idx + 2);
+        for (let i = 0; i < reply.length; i += 3) socket.write(reply.slice(i, i + 3));
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, port: server.address().port, sockets };
+}
+
+test('replies are read by status code and errors reject', async () => {
+  const { server, port } = await replyServer({
+    CLS: '200 CLS OK\r\n"A" MOVIE 1 2 250 1/25\r\n"B" MOVIE 1 2 500 1/25\r\n\r\n',
+    'CALL 1-10 FRAME': '201 CALL OK\r\n42\r\n',
+    'PLAY 1-10': '202 PLAY OK\r\n',
+    'PLAY 1-20': '404 PLAY ERROR\r\n'
+  });
+  const changes = [];
+  const client = new AmcpClient({ host: '127.0.0.1', port, onConnectionChanged: up => changes.push(up) });
+  try {
+    // Sent back to back, answered in order
+    const replies = await Promise.allSettled(['CLS', 'CALL 1-10 FRAME', 'PLAY 1-10', 'PLAY 1-20', 'NOPE'].map(cmd => client.do(cmd)));
+    assert.deepEqual(replies.slice(0, 3).map(r => r.value), ['"A" MOVIE 1 2 250 1/25\n"B" MOVIE 1 2 500 1/25', '42', '202 PLAY OK']);
+    assert.equal(replies[3].reason.message, '404 PLAY ERROR');
+    assert.equal(replies[3].reason.amcpCode, 404);
+    assert.equal(replies[4].reason.amcpCode, 400);
+    assert.deepEqual(changes, [true]);
+  } finally {
+    client.disconnect();
+    server.close();
+  }
+});
+
+test('a lost connection rejects what is outstanding and reconnects', async () => {
+  // PAUSE is never answered
+  const { server, port, sockets } = await replyServer({ 'PLAY 1-10': '202 PLAY OK\r\n', 'PAUSE 1-10': '' });
+  const changes = [];
+  const client = new AmcpClient({ host: '127.0.0.1', port, reconnectDelayMs: 50, onConnectionChanged: up => changes.push(up) });
+  try {
+    await client.do('PLAY 1-10');
+    const pending = client.do('PAUSE 1-10');
+    await waitFor(() => sockets.length === 1, { message: 'connection' });
+    sockets[0].destroy();
+    await assert.rejects(pending, /Connection to 127\.0\.0\.1:\d+ lost/);
+    await waitFor(() => changes.length === 3, { message: 'reconnect' });
+    assert.deepEqual(changes, [true, false, true]);
+    assert.equal(await client.do('PLAY 1-10'), '202 PLAY OK');
+  } finally {
+    client.disconnect();
+    server.close();
+  }
+  await assert.rejects(client.do('PLAY 1-10'), /is closed/);
+});
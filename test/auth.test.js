@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import WebSocket from 'ws';
+import { Auth, hashPassword, verifyPassword, hashToken, roleAllows, readCookie, SESSION_COOKIE } from '../lib/auth.js';
+import { startSyncServer } from './harness.js';
+
+/**
+ * Open a WebSocket and report whether the server accepted it.
+ *
+ * @param {string} url The server URL.
+ * @param {Object} [headers] Upgrade request headers.
+ * @returns {Promise<boolean>} True if the connection opened.
+ */
+function wsAccepted(url, headers = {}) {
+  return new Promise(resolve => {
+    const ws = new WebSocket(url.replace('http', 'ws'), { headers });
+    ws.once('open', () => { ws.close(); resolve(true); });
+    ws.once('error', () => resolve(false));
+  });
+}
+
+test('passwords and tokens are stored hashed and roles include lower ones', () => {
+  const stored = hashPassword('secret');
+  assert.notEqual(stored.hash, 'secret');
+  assert.ok(verifyPassword('secret', stored));
+  assert.ok(!verifyPassword('Secret', stored));
+  assert.notEqual(hashPassword('secret').salt, stored.salt);
+  assert.equal(hashToken('abc'), hashToken('abc'));
+  assert.ok(roleAllows('admin', 'operator'));
+  assert.ok(roleAllows('operator', 'operator'));
+  assert.ok(!roleAllows('viewer', 'operator'));
+  assert.ok(!roleAllows('guest', 'viewer'));
+  assert.equal(readCookie(`a=1; ${SESSION_COOKIE}=xyz`, SESSION_COOKIE), 'xyz');
+});
+
+test('sessions and tokens identify the caller', () => {
+  const auth = new Auth();
+  assert.ok(!auth.enabled);
+  auth.users.push({ name: 'ann', role: 'operator', ...hashPassword('pw') });
+  auth.tokens.push({ name: 'panel', role: 'viewer', hash: hashToken('tok') });
+  assert.ok(auth.enabled);
+  assert.equal(auth.login('ann', 'wrong'), null);
+  assert.equal(auth.login('bob', 'pw'), null);
+  const session = auth.login('ann', 'pw');
+  assert.deepEqual(auth.authenticate({ cookie: `${SESSION_COOKIE}=${session.id}` }), { name: 'ann', role: 'operator', via: 'session' });
+  assert.deepEqual(auth.authenticate({ authorization: 'Bearer tok' }), { name: 'panel', role: 'viewer', via: 'token' });
+  assert.equal(auth.authenticate({ authorization: 'Bearer nope' }), null);
+  auth.logout(session.id);
+  assert.equal(auth.authenticate({ cookie: `${SESSION_COOKIE}=${session.id}` }), null);
+});
+
+test('a login hashes once whether or not the name exists', t => {
+  const auth = new Auth();
+  auth.users.push({ name: 'ann', role: 'operator', ...hashPassword('pw') });
+  const scrypt = t.mock.method(crypto, 'scryptSync');
+  auth.login('ann', 'wrong');
+  assert.equal(scrypt.mock.callCount(), 1);
+  auth.login('bob', 'wrong');
+  assert.equal(scrypt.mock.callCount(), 2);
+});
+
+test('the API and WebSocket enforce roles when accounts exist', async () => {
+  const server = await startSyncServer({ slots: [] }, {
+    credentials: {
+      users: [{ name: 'admin', role: 'admin', ...hashPassword('letmein') }],
+      tokens: [
+        { name: 'wall', role: 'viewer', hash: hashToken('viewer-token') },
+        { name: 'panel', role: 'operator', hash: hashToken('operator-token') }
+      ]
+    }
+  });
+  try {
+    const viewer = { Authorization: 'Bearer viewer-token' };
+    const operator = { Authorization: 'Bearer operator-token' };
+
+    assert.deepEqual((await server.api('/api/session')).body, { enabled: true, user: null });
+    assert.equal((await server.api('/api/status')).status, 401);
+    assert.equal((await server.api('/api/status', undefined, { Authorization: 'Bearer wrong' })).status, 401);
+
+    assert.equal((await server.api('/api/status', undefined, viewer)).status, 200);
+    assert.equal((await fetch(`${server.url}/metrics`)).status, 401);
+    assert.equal((await fetch(`${server.url}/metrics`, { headers: viewer })).status, 200);
+    assert.equal((await server.api('/api/mode', { mode: 'manual' }, viewer)).status, 403);
+    assert.equal((await server.api('/api/mode', { mode: 'manual' }, operator)).status, 200);
+    assert.equal((await server.api('/api/config', { fps: 25 }, operator)).status, 403);
+    assert.equal((await server.api('/api/settings', { fps: 25 }, operator)).status, 403);
+
+    assert.equal((await server.api('/api/login', { name: 'admin', password: 'nope' })).status, 401);
+    const login = await server.api('/api/login', { name: 'admin', password: 'letmein' });
+    assert.deepEqual(login.body, { ok: true, user: { name: 'admin', role: 'admin' } });
+    const cookie = { Cookie: login.headers.get('set-cookie').split(';')[0] };
+    assert.deepEqual((await server.api('/api/session', undefined, cookie)).body.user, { name: 'admin', role: 'admin' });
+    assert.equal((await server.api('/api/config', { fps: 25 }, cookie)).status, 200);
+
+    assert.ok(!await wsAccepted(server.url));
+    assert.ok(await wsAccepted(server.url, viewer));
+    assert.ok(await wsAccepted(server.url, cookie));
+
+    // The audit trail names the caller but never the password
+    const events = (await server.api('/api/events?type=api', undefined, viewer)).body;
+    const byPath = p => events.filter(e => e.path === p);
+    assert.equal(byPath('/api/mode').at(-1).user, 'panel');
+    assert.equal(byPath('/api/config').at(-1).user, 'admin');
+    assert.ok(byPath('/api/login').every(e => !('password' in e.body)));
+
+    await server.api('/api/logout', {}, cookie);
+    assert.equal((await server.api('/api/status', undefined, cookie)).status, 401);
+  } finally {
+    await server.dispose();
+  }
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import dgram from 'dgram';
+import { encodeLtc, LtcDecoder, MtcDecoder, createClockSource } from '../lib/clock-sources.js';
+import { freePort, waitFor } from './harness.js';
+
+const logger = { log() {}, error() {} };
+
+/**
+ * Decode LTC audio in blocks of an awkward size, as it arrives from a pipe.
+ *
+ * @param {Buffer} pcm Mono 16‑bit samples.
+ * @param {Object} [opts] Decoder options.
+ * @returns {string[]} The timecodes read.
+ */
+function decodeInBlocks(pcm, opts) {
+  const decoder = new LtcDecoder(opts);
+  const samples = new Int16Array(pcm.buffer, pcm.byteOffset, pcm.length / 2);
+  const timecodes = [];
+  for (let i = 0; i < samples.length; i += 1000) {
+    timecodes.push(...decoder.decode(samples.subarray(i, i + 1000)).map(frame => frame.timecode));
+  }
+  return timecodes;
+}
+
+test('LTC is decoded frame by frame, drop-frame included', () => {
+  // The last bit of a frame ends with the first edge of the next, so the final frame is not read
+  assert.deepEqual(decodeInBlocks(encodeLtc('09:59:59:23', 4)), ['09:59:59:23', '09:59:59:24', '10:00:00:00']);
+  assert.deepEqual(decodeInBlocks(encodeLtc('00:00:59;28', 4, { fps: 29.97 }), { fps: 29.97 }), ['00:00:59;28', '00:00:59;29', '00:01:00;02']);
+  // Silence decodes nothing
+  assert.deepEqual(new LtcDecoder().decode(new Int16Array(48000)), []);
+});
+
+test('MTC is read from quarter frames and full-frame messages', () => {
+  const decoder = new MtcDecoder();
+  // 01:02:03:04 at 25 fps, with a timing clock byte in between
+  const pieces = [0x04, 0x10, 0x23, 0x30, 0x42, 0x50, 0x61, 0xF8, 0x72];
+  const quarter = pieces.flatMap(byte => byte === 0xF8 ? [byte] : [0xF1, byte]);
+  const full = [0xF0, 0x7F, 0x7F, 0x01, 0x01, 0x40 | 10, 0, 0, 2, 0xF7];
+  const times = decoder.decode(Buffer.from([...quarter, ...full]));
+  assert.deepEqual(times.map(({ timecode, fps, offsetFrames }) => [timecode, fps, offsetFrames]), [
+    ['01:02:03:04', 25, 1.75],
+    ['10:00:00;02', 29.97, 0]
+  ]);
+});
+
+test('a UDP source takes timecode from datagrams and freewheels between them', async () => {
+  const port = await freePort();
+  const source = await createClockSource({ id: 'feed', type: 'udp', port, fps: 25 }, { logger }).start();
+  const socket = dgram.createSocket('udp4');
+  try {
+    socket.send('garbage', port, '127.0.0.1');
+    socket.send('10:00:00:00\n', port, '127.0.0.1');
+    await waitFor(() => source.info().received === 1, { message: 'timecode datagram' });
+    const { receivedAt } = source.last;
+    assert.equal(source.secondsAt(receivedAt + 2000), 36002);
+    assert.equal(source.info(receivedAt + 2000).timecode, '10:00:02:00');
+    assert.equal(source.info(receivedAt + 2000).receiving, false);
+    assert.equal(source.info().malformed, 1);
+  } finally {
+    socket.close();
+    source.close();
+  }
+});
@@ -0,0 +1,171 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateConfig, mergeConfigUpdate, playlistPosition, resolveSlotFrames, slotSafeWindows, framesToSafeWindow, MAX_SLOTS } from '../lib/config.js';
+
+/**
+ * A valid configuration with two active slots on one server, changed by
+ * `edit`.
+ *
+ * @param {Function} [edit] Receives the configuration to modify.
+ * @returns {Object} The configuration.
+ */
+function config(edit = () => {}) {
+  const cfg = {
+    fps: 50,
+    frames: 30000,
+    autosyncIntervalSec: 10,
+    driftToleranceFrames: 1,
+    resyncMode: 'cut',
+    resyncPolicy: 'all',
+    fadeFrames: 2,
+    nudgeMaxFrames: 2,
+    clock: 'system',
+    chaseTimecode: '00:00:00:00',
+    syncGroups: [{ id: 'foyer', name: 'Foyer', fps: 25 }],
+    slots: [
+      { name: 'A', host: '10.0.0.1', port: 5250, channel: 1, baseLayer: 10, clip: 'a.mov', timecode: '00:00:00:00', enabled: true },
+      { name: 'B', host: '10.0.0.1', port: 5250, channel: 1, baseLayer: 30, clip: 'b.mov', timecode: '00:00:01:00', syncGroup: 'foyer', enabled: true }
+    ]
+  };
+  edit(cfg);
+  return cfg;
+}
+
+const fields = errors => errors.map(e => e.field);
+
+test('a sound configuration passes', () => {
+  assert.deepEqual(validateConfig(config()), []);
+});
+
+test('wrong types and out-of-range values are reported per field', () => {
+  const errors = validateConfig(config(cfg => {
+    cfg.fps = '50';
+    cfg.frames = 0;
+    cfg.resyncMode = 'wipe';
+    cfg.syncGroups.push({ id: 'foyer', driftToleranceFrames: -1 });
+    cfg.slots[0].port = 70000;
+    cfg.slots[0].baseLayer = -5;
+    cfg.slots[1].channel = '2';
+    cfg.slots[1].fps = -25;
+  }));
+  assert.deepEqual(fields(errors), [
+    'fps',
+    'frames',
+    'resyncMode',
+    'syncGroups[1].id',
+    'syncGroups[1].driftToleranceFrames',
+    'slots[0].port',
+    'slots[0].baseLayer',
+    'slots[1].channel',
+    'slots[1].fps'
+  ]);
+  assert.match(errors[0].message, /^FPS must be/);
+  assert.match(errors[3].message, /foyer is used twice/);
+});
+
+test('an update with too many slots is reported rather than cut short', () => {
+  const slots = Array.from({ length: MAX_SLOTS + 1 }, (_, idx) => ({ ...config().slots[0], name: `S${idx}`, enabled: false }));
+  const next = mergeConfigUpdate(config(), { slots });
+  assert.equal(next.slots.length, MAX_SLOTS + 1);
+  const errors = validateConfig(next);
+  assert.deepEqual(fields(errors), ['slots']);
+  assert.match(errors[0].message, new RegExp(`At most ${MAX_SLOTS} slots`));
+});
+
+test('slots may not share layers, including the standby layer ten above', () => {
+  const same = validateConfig(config(cfg => { cfg.slots[1].baseLayer = 10; }));
+  assert.deepEqual(fields(same), ['slots[1].baseLayer']);
+  assert.match(same[0].message, /same host, channel and layer as slot 1/);
+
+  const standby = validateConfig(config(cfg => { cfg.slots[1].baseLayer = 20; }));
+  assert.deepEqual(fields(standby), ['slots[1].baseLayer']);
+  assert.match(standby[0].message, /standby layer of slot 1/);
+
+  // Another channel, another server or a disabled slot is fine
+  assert.deepEqual(validateConfig(config(cfg => { cfg.slots[1].baseLayer = 10; cfg.slots[1].channel = 2; })), []);
+  assert.deepEqual(validateConfig(config(cfg => { cfg.slots[1].baseLayer = 10; cfg.slots[1].host = '10.0.0.2'; })), []);
+  assert.deepEqual(validateConfig(config(cfg => { cfg.slots[1].baseLayer = 10; cfg.slots[1].enabled = false; })), []);
+});
+
+test('timecodes are checked in the slot frame rate and sync groups must exist', () => {
+  // 00:00:00:30 is fine at 50 fps but not in the foyer group at 25 fps
+  const errors = validateConfig(config(cfg => {
+    cfg.slots[0].timecode = '00:00:00:30';
+    cfg.slots[1].timecode = '00:00:00:30';
+  }));
+  assert.deepEqual(fields(errors), ['slots[1].timecode']);
+
+  const unknown = validateConfig(config(cfg => { cfg.slots[1].syncGroup = 'stage'; }));
+  assert.deepEqual(fields(unknown), ['slots[1].syncGroup']);
+});
+
+test('playlists are checked item by item and loop after their total length', () => {
+  const items = [{ clip: 'a.mov', frames: 100 }, { clip: 'b.mov', frames: 50 }];
+  const cfg = config(c => { c.slots[0].playlist = items; });
+  assert.deepEqual(validateConfig(cfg), []);
+  assert.equal(resolveSlotFrames(cfg, 0), 150);
+  assert.deepEqual(playlistPosition(items, 99), { item: 0, clip: 'a.mov', frame: 99, start: 0, frames: 100 });
+  assert.deepEqual(playlistPosition(items, 120), { item: 1, clip: 'b.mov', frame: 20, start: 100, frames: 50 });
+
+  const errors = validateConfig(config(c => { c.slots[0].playlist = [{ clip: '', frames: 10 }, { clip: 'b.mov', frames: 2.5 }]; }));
+  assert.deepEqual(fields(errors), ['slots[0].playlist[0].clip', 'slots[0].playlist[1].frames']);
+  assert.deepEqual(fields(validateConfig(config(c => { c.slots[0].playlist = 'a.mov'; }))), ['slots[0].playlist']);
+});
+
+test('safe windows may wrap round the loop point and items add their own', () => {
+  const slot = {
+    safeWindows: [{ from: 140, to: 9 }],
+    playlist: [{ clip: 'a.mov', frames: 100 }, { clip: 'b.mov', frames: 50, safeWindows: [{ from: 0, to: 4 }] }]
+  };
+  const windows = slotSafeWindows(slot);
+  assert.deepEqual(windows, [{ from: 140, to: 9 }, { from: 100, to: 104 }]);
+  assert.equal(framesToSafeWindow(windows, 145, 150), 0);
+  assert.equal(framesToSafeWindow(windows, 5, 150), 0);
+  assert.equal(framesToSafeWindow(windows, 10, 150), 90);
+  assert.equal(framesToSafeWindow(windows, 120, 150), 20);
+  assert.equal(framesToSafeWindow([], 120, 150), 0);
+
+  const errors = validateConfig(config(c => {
+    c.slots[0].safeWindows = [{ from: 10, to: 'end' }];
+    c.slots[1].playlist = [{ clip: 'b.mov', frames: 50, safeWindows: [{ from: 40, to: 60 }] }];
+  }));
+  assert.deepEqual(fields(errors), ['slots[0].safeWindows', 'slots[1].playlist[0].safeWindows']);
+  assert.match(errors[1].message, /within the item's 50 frames/);
+});
+
+test('a sync group can have only one master slot', () => {
+  assert.deepEqual(validateConfig(config(cfg => { cfg.slots[0].master = true; cfg.slots[1].master = true; })), []);
+  const errors = validateConfig(config(cfg => {
+    cfg.slots[0].master = true;
+    cfg.slots.push({ ...cfg.slots[0], name: 'C', baseLayer: 50 });
+  }));
+  assert.deepEqual(fields(errors), ['slots[2].master']);
+  assert.match(errors[0].message, /slot 1 is already the master of sync group default/);
+  assert.deepEqual(fields(validateConfig(config(cfg => { cfg.slots[0].master = 'yes'; }))), ['slots[0].master']);
+});
+
+test('sync groups can only chase configured clock sources', () => {
+  const sources = [{ id: 'house', type: 'ltc', input: '-', fps: 25 }, { id: 'feed', type: 'udp', port: 9999 }];
+  assert.deepEqual(validateConfig(config(cfg => {
+    cfg.clockSources = sources;
+    cfg.clock = 'house';
+    cfg.syncGroups[0].clock = 'feed';
+    cfg.syncGroups[0].chaseTimecode = '10:00:00:00';
+  })), []);
+
+  const errors = validateConfig(config(cfg => {
+    cfg.clock = 'house';
+    cfg.syncGroups[0].chaseTimecode = '10:00:00:40';
+    cfg.clockSources = [{ id: 'system', type: 'ltc' }, { id: 'feed', type: 'smpte', port: 9999 }, { id: 'desk', type: 'mtc' }];
+  }));
+  assert.deepEqual(fields(errors), [
+    'clock',
+    'clockSources[0].id',
+    'clockSources[0].input',
+    'clockSources[1].type',
+    'clockSources[2].input',
+    'syncGroups[0].chaseTimecode'
+  ]);
+  assert.match(errors[0].message, /^Clock source house does not exist/);
+  assert.match(errors[5].message, /frames must be below 25/);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { EventLog } from '../lib/event-log.js';
+
+test('entries are numbered and can be filtered by type, time and count', () => {
+  const log = new EventLog();
+  log.append('api', { path: '/api/start' });
+  log.append('resync', { slots: [] });
+  log.append('api', { path: '/api/pause' });
+  assert.deepEqual(log.query().map(e => e.id), [1, 2, 3]);
+  assert.deepEqual(log.query({ types: ['api'] }).map(e => e.path), ['/api/start', '/api/pause']);
+  assert.deepEqual(log.query({ limit: 1 }).map(e => e.id), [3]);
+  assert.equal(log.query({ since: Date.now() + 60000 }).length, 0);
+});
+
+test('the log file is JSON lines, rotated and reloaded after a restart', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'caspar-events-'));
+  const file = path.join(dir, 'logs', 'events.jsonl');
+  try {
+    const log = new EventLog({ file, maxBytes: 200, maxFiles: 2 });
+    for (let i = 0; i < 10; i++) log.append('api', { n: i });
+    await log.flush();
+    const files = (await fs.readdir(path.dirname(file))).sort();
+    assert.deepEqual(files, ['events.jsonl', 'events.jsonl.1', 'events.jsonl.2']);
+    const lines = (await fs.readFile(file, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(lines.at(-1).n, 9);
+    // A new instance picks up the current file and continues the numbering
+    const reopened = new EventLog({ file });
+    await reopened.load();
+    assert.deepEqual(reopened.query().map(e => e.n), lines.map(e => e.n));
+    assert.equal(reopened.append('pause').id, 11);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
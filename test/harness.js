@@ -0,0 +1,163 @@
+/**
+ * Helpers for running the control server against mock CasparCG servers.
+ *
+ * `startSyncServer()` launches `index.js` in a child process on a free port
+ * with its configuration, runtime state, event log, credentials and presets
+ * in a temporary directory, so the tests never touch a real `config.json`,
+ * `state.json`, `logs/`, `users.json` or `presets.json`.
+ */
+
+import { spawn } from 'child_process';
+import { once } from 'events';
+import fs from 'fs/promises';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+/**
+ * Find a free TCP port on the loopback interface.
+ *
+ * @returns {Promise<number>} A port number.
+ */
+export function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once('error', reject);
+    srv.listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Resolve after `ms` milliseconds.
+ *
+ * @param {number} ms Delay.
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Poll `fn` until it returns a truthy value or the timeout expires.
+ *
+ * @param {Function} fn Sync or async predicate; its truthy result is returned.
+ * @param {{timeout?: number, interval?: number, message?: string}} [opts] Options.
+ * @returns {Promise<unknown>} The first truthy result.
+ */
+export async function waitFor(fn, { timeout = 5000, interval = 50, message = 'condition' } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await fn();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${message}`);
+    await sleep(interval);
+  }
+}
+
+/**
+ * Wait for the next `name` event of `emitter`, failing instead of hanging
+ * if it does not come.
+ *
+ * @param {EventEmitter} emitter The emitter.
+ * @param {string} name The event.
+ * @param {{timeout?: number}} [opts] Options.
+ * @returns {Promise<Array>} The event's arguments.
+ */
+export async function nextEvent(emitter, name, { timeout = 5000 } = {}) {
+  try {
+    return await once(emitter, name, { signal: AbortSignal.timeout(timeout) });
+  } catch (err) {
+    if (err.name === 'AbortError') throw new Error(`Timed out waiting for the ${name} event`);
+    throw err;
+  }
+}
+
+/**
+ * Start the control server with the given configuration.
+ *
+ * @param {Object} config Contents for the temporary `config.json`.
+ * @param {Object} [opts] Options.
+ * @param {Object} [opts.credentials] Contents for the temporary `users.json`.  Without it authentication is off.
+ * @returns {Promise<Object>} Handle with `api()`, `restart()` and `stop()`.
+ */
+export async function startSyncServer(config, { credentials } = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'caspar-sync-'));
+  const configFile = path.join(dir, 'config.json');
+  const stateFile = path.join(dir, 'state.json');
+  const eventLogFile = path.join(dir, 'events.jsonl');
+  const authFile = path.join(dir, 'users.json');
+  const presetsFile = path.join(dir, 'presets.json');
+  await fs.writeFile(configFile, JSON.stringify(config, null, 2), 'utf8');
+  if (credentials) await fs.writeFile(authFile, JSON.stringify(credentials, null, 2), 'utf8');
+  const port = await freePort();
+  const url = `http://127.0.0.1:${port}`;
+  let child = null;
+  const output = [];
+
+  async function launch() {
+    child = spawn(process.execPath, ['index.js'], {
+      cwd: ROOT,
+      env: { ...process.env, PORT: String(port), CONFIG_FILE: configFile, STATE_FILE: stateFile, EVENT_LOG_FILE: eventLogFile, AUTH_FILE: authFile, PRESETS_FILE: presetsFile },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', chunk => output.push(chunk));
+    await new Promise((resolve, reject) => {
+      child.stdout.on('data', chunk => {
+        output.push(chunk);
+        if (chunk.includes('listening on port')) resolve();
+      });
+      child.once('exit', code => reject(new Error(`Server exited with code ${code}:\n${output.join('')}`)));
+    });
+  }
+
+  async function stop() {
+    if (!child || child.exitCode != null) return;
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    child.kill('SIGINT');
+    // The server waits for open HTTP connections on shutdown; don't let that stall the suite
+    const timer = setTimeout(() => child.kill('SIGKILL'), 2000);
+    await exited;
+    clearTimeout(timer);
+  }
+
+  /**
+   * Call the REST API.  GET when no body is given, POST otherwise.  Extra
+   * headers (e.g. `Authorization` or `Cookie`) may be passed; the reply's
+   * headers are returned with the status and body.
+   */
+  async function api(pathname, body, headers = {}) {
+    const res = await fetch(url + pathname, body === undefined ? { headers } : {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+  }
+
+  await launch();
+  return {
+    url,
+    output,
+    configFile,
+    stateFile,
+    eventLogFile,
+    presetsFile,
+    api,
+    stop,
+    async restart() {
+      await stop();
+      await launch();
+    },
+    async dispose() {
+      await stop();
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  };
+}
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RingBuffer, DriftHistory, driftStats } from '../lib/history.js';
+
+test('a full ring buffer overwrites its oldest entries', () => {
+  const ring = new RingBuffer(3);
+  [1, 2].forEach(v => ring.push(v));
+  assert.deepEqual(ring.toArray(), [1, 2]);
+  [3, 4, 5].forEach(v => ring.push(v));
+  assert.deepEqual(ring.toArray(), [3, 4, 5]);
+});
+
+test('statistics summarise the drift values', () => {
+  assert.deepEqual(driftStats([2, 4, 4, 4, 5, 5, 7, 9]), { count: 8, min: 2, max: 9, mean: 5, stddev: 2 });
+  assert.deepEqual(driftStats([]), { count: 0, min: null, max: null, mean: null, stddev: null });
+});
+
+test('slot history only covers the requested window', () => {
+  const history = new DriftHistory(10);
+  history.record(0, 1000, 5);
+  history.record(0, 2000, 1);
+  history.record(0, 3000, -1);
+  history.recordResync(0, 1500);
+  history.recordResync(0, 2500);
+  const recent = history.slotHistory(0, 2000);
+  assert.equal(recent.count, 2);
+  assert.equal(recent.mean, 0);
+  assert.equal(recent.resyncs, 1);
+  assert.deepEqual(recent.resyncTimes, [2500]);
+  assert.deepEqual(recent.samples, [[2000, 1], [3000, -1]]);
+  assert.equal(history.slotHistory(1, 0).count, 0);
+  history.clear(0);
+  assert.equal(history.slotHistory(0, 0).count, 0);
+});
+
+test('CSV export lists samples and resyncs in time order', () => {
+  const history = new DriftHistory();
+  history.record(1, 2000, 3);
+  history.recordResync(1, 1000);
+  const csv = history.toCsv([{ index: 1, name: 'Wall, left' }], 0);
+  assert.deepEqual(csv.trim().split('\r\n'), [
+    'time,slot,name,event,drift',
+    '1970-01-01T00:00:01.000Z,2,"Wall, left",resync,',
+    '1970-01-01T00:00:02.000Z,2,"Wall, left",sample,3'
+  ]);
+});
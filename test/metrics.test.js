@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Metrics } from '../lib/metrics.js';
+
+test('counters, histograms and gauges render in the text exposition format', () => {
+  const metrics = new Metrics();
+  metrics.inc('caspar_sync_amcp_errors_total', { host: 'a:5250' });
+  metrics.inc('caspar_sync_amcp_errors_total', { host: 'a:5250' }, 2);
+  metrics.observe('caspar_sync_autosync_duration_seconds', { sync_group: 'wall' }, 0.02);
+  metrics.observe('caspar_sync_autosync_duration_seconds', { sync_group: 'wall' }, 20);
+  const text = metrics.render([{ name: 'caspar_sync_slot_drift_frames', labels: { slot: 0, name: 'Say "hi"\\' }, value: -3 }]);
+  const lines = text.split('\n');
+  assert.deepEqual(lines.slice(0, 3), [
+    '# HELP caspar_sync_slot_drift_frames Drift of a slot at its last sample in frames, positive when ahead',
+    '# TYPE caspar_sync_slot_drift_frames gauge',
+    'caspar_sync_slot_drift_frames{slot="0",name="Say \\"hi\\"\\\\"} -3'
+  ]);
+  assert.ok(lines.includes('caspar_sync_amcp_errors_total{host="a:5250"} 3'));
+  // Buckets are cumulative and the +Inf bucket holds every observation
+  assert.ok(lines.includes('caspar_sync_autosync_duration_seconds_bucket{sync_group="wall",le="0.01"} 0'));
+  assert.ok(lines.includes('caspar_sync_autosync_duration_seconds_bucket{sync_group="wall",le="0.025"} 1'));
+  assert.ok(lines.includes('caspar_sync_autosync_duration_seconds_bucket{sync_group="wall",le="10"} 1'));
+  assert.ok(lines.includes('caspar_sync_autosync_duration_seconds_bucket{sync_group="wall",le="+Inf"} 2'));
+  assert.ok(lines.includes('caspar_sync_autosync_duration_seconds_sum{sync_group="wall"} 20.02'));
+  assert.ok(lines.includes('caspar_sync_autosync_duration_seconds_count{sync_group="wall"} 2'));
+  // Metrics without samples are left out
+  assert.ok(!text.includes('caspar_sync_resyncs_total'));
+  assert.ok(text.endsWith('\n'));
+  assert.throws(() => metrics.inc('caspar_sync_unknown'), /Unknown metric/);
+});
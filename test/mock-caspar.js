@@ -0,0 +1,418 @@
+/**
+ * Fake CasparCG server for the test suite.
+ *
+ * Listens on a local TCP port and speaks enough AMCP for the sync engine:
+ * LOADBG, PLAY, PAUSE, MIXER, DEFER/RESUME, CALL FRAME/SEEK, INFO, CINF, CLS
+ * and VERSION.  Clips "play" against the wall clock at their configured
+ * frame rate, so frame numbers advance exactly as they would on a real
+ * server.  Tests can inject drift (a clock rate other than 1 or a sudden
+ * jump), response latency and dropped connections, and inspect every
+ * command received.  Like a real server it can also send the frame of every
+ * loaded layer as OSC over UDP.
+ */
+
+import dgram from 'dgram';
+import net from 'net';
+import { EventEmitter } from 'events';
+import { encodeOscMessage, encodeOscBundle } from '../lib/osc.js';
+
+/**
+ * Split an AMCP command line into tokens, keeping quoted strings together.
+ *
+ * @param {string} line The command line.
+ * @returns {string[]} Tokens with quotes removed.
+ */
+function tokenize(line) {
+  const tokens = [];
+  const re = /"([^"]*)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(line))) tokens.push(m[1] ?? m[2]);
+  return tokens;
+}
+
+export class MockCasparServer extends EventEmitter {
+  /**
+   * @param {Object} [opts] Options.
+   * @param {Object<string, {frames: number, fps: number}>} [opts.media] Clips available on the server, keyed by upper‑case name without extension.
+   * @param {number} [opts.latencyMs=0] Round‑trip delay added to every command.
+   * @param {number} [opts.rate=1] Playback speed relative to the wall clock; 1.001 gains a frame every 1000.
+   * @param {string} [opts.version] Reply to `VERSION`.
+   */
+  constructor({ media = {}, latencyMs = 0, rate = 1, version = '2.3.3.0 Stable' } = {}) {
+    super();
+    this.media = media;
+    this.latencyMs = latencyMs;
+    this.rate = rate;
+    this.version = version;
+    this.commands = [];          // Every command received: { at, line }
+    this.layers = new Map();     // `${ch}-${layer}` -> { foreground, background, opacity, volume }
+    this.sockets = new Set();
+    this.deferred = null;        // Commands queued between DEFER and RESUME
+    this.server = net.createServer(socket => this.handleSocket(socket));
+    this.osc = null;             // { socket, timer } while sending OSC
+  }
+
+  /**
+   * Send the frame of every loaded layer to a UDP port as OSC, one bundle
+   * per interval, as CasparCG 2.1 and later do once per frame.
+   *
+   * @param {number} port The receiving port on 127.0.0.1.
+   * @param {number} [intervalMs=20] Time between bundles.
+   */
+  startOsc(port, intervalMs = 20) {
+    this.stopOsc();
+    const socket = dgram.createSocket('udp4');
+    const timer = setInterval(() => {
+      const messages = [];
+      for (const [key, { foreground }] of this.layers) {
+        if (!foreground) continue;
+        const [ch, layer] = key.split('-');
+        messages.push(encodeOscMessage(`/channel/${ch}/stage/layer/${layer}/foreground/file/frame`, [this.position(foreground), foreground.frames]));
+      }
+      if (messages.length) socket.send(encodeOscBundle(messages), port, '127.0.0.1');
+    }, intervalMs);
+    this.osc = { socket, timer };
+  }
+
+  /**
+   * Stop sending OSC.
+   */
+  stopOsc() {
+    if (!this.osc) return;
+    clearInterval(this.osc.timer);
+    this.osc.socket.close();
+    this.osc = null;
+  }
+
+  /**
+   * Start listening.  Pass a port to reuse one after `stop()`.
+   *
+   * @param {number} [port=0] Port to listen on; 0 picks a free one.
+   * @returns {Promise<number>} The port in use.
+   */
+  start(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => {
+        this.server.off('error', reject);
+        resolve(this.port);
+      });
+    });
+  }
+
+  /**
+   * Stop listening and drop all clients.  A new server object is prepared
+   * so that `start()` can be called again to simulate a server restart.
+   */
+  stop() {
+    this.stopOsc();
+    this.disconnectAll();
+    return new Promise(resolve => {
+      this.server.close(() => {
+        this.server = net.createServer(socket => this.handleSocket(socket));
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Drop every client connection while keeping the server listening, as a
+   * network interruption would.
+   */
+  disconnectAll() {
+    for (const socket of this.sockets) socket.destroy();
+    this.sockets.clear();
+  }
+
+  get port() {
+    return this.server.address()?.port;
+  }
+
+  /**
+   * Forget all recorded commands.
+   */
+  clearCommands() {
+    this.commands = [];
+  }
+
+  /**
+   * Recorded command lines, optionally filtered by a prefix or pattern.
+   *
+   * @param {string|RegExp} [match] Prefix or pattern to filter by.
+   * @returns {string[]} Matching command lines in the order received.
+   */
+  received(match) {
+    const lines = this.commands.map(c => c.line);
+    if (match == null) return lines;
+    if (match instanceof RegExp) return lines.filter(l => match.test(l));
+    return lines.filter(l => l.startsWith(match));
+  }
+
+  /**
+   * Current frame of the foreground clip on a layer, or null if empty.
+   *
+   * @param {number} ch Channel.
+   * @param {number} layer Layer.
+   * @returns {number|null} Frame number.
+   */
+  frameOf(ch, layer) {
+    const fg = this.layers.get(`${ch}-${layer}`)?.foreground;
+    return fg ? this.position(fg) : null;
+  }
+
+  /**
+   * Name of the foreground clip on a layer (upper case, without extension),
+   * or null if empty.
+   *
+   * @param {number} ch Channel.
+   * @param {number} layer Layer.
+   * @returns {string|null} Clip name.
+   */
+  clipOf(ch, layer) {
+    return this.layers.get(`${ch}-${layer}`)?.foreground?.clip ?? null;
+  }
+
+  /**
+   * Whether the foreground clip on a layer is playing.
+   *
+   * @param {number} ch Channel.
+   * @param {number} layer Layer.
+   * @returns {boolean} True if playing.
+   */
+  isPlaying(ch, layer) {
+    return Boolean(this.layers.get(`${ch}-${layer}`)?.foreground?.playing);
+  }
+
+  /**
+   * Mixer opacity of a layer (1 when never set).
+   *
+   * @param {number} ch Channel.
+   * @param {number} layer Layer.
+   * @returns {number} Opacity.
+   */
+  opacityOf(ch, layer) {
+    return this.layers.get(`${ch}-${layer}`)?.opacity ?? 1;
+  }
+
+  /**
+   * Make a playing layer jump by a number of frames, e.g. to simulate a
+   * dropped or repeated frame burst.
+   *
+   * @param {number} ch Channel.
+   * @param {number} layer Layer.
+   * @param {number} frames Frames to jump (negative jumps back).
+   */
+  jump(ch, layer, frames) {
+    const fg = this.layers.get(`${ch}-${layer}`)?.foreground;
+    if (!fg) return;
+    this.rebase(fg);
+    fg.startFrame = this.wrap(fg, fg.startFrame + frames);
+  }
+
+  /**
+   * Empty a layer, e.g. to simulate a server whose playout has stopped.
+   * Frame queries on the layer fail afterwards.
+   *
+   * @param {number} ch Channel.
+   * @param {number} layer Layer.
+   */
+  clearLayer(ch, layer) {
+    this.layers.delete(`${ch}-${layer}`);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Playback model
+
+  /**
+   * Position of a producer, advancing with the wall clock while playing.
+   */
+  position(producer) {
+    if (!producer.playing) return producer.startFrame;
+    const elapsed = (Date.now() - producer.anchor) / 1000;
+    return this.wrap(producer, producer.startFrame + Math.floor(elapsed * producer.fps * this.rate));
+  }
+
+  /**
+   * Freeze the current position into `startFrame` and restart the anchor.
+   */
+  rebase(producer) {
+    producer.startFrame = this.position(producer);
+    producer.anchor = Date.now();
+  }
+
+  wrap(producer, frame) {
+    if (!producer.loop) return Math.min(frame, producer.frames - 1);
+    return ((frame % producer.frames) + producer.frames) % producer.frames;
+  }
+
+  layer(key) {
+    if (!this.layers.has(key)) {
+      this.layers.set(key, { foreground: null, background: null, opacity: 1, volume: 1 });
+    }
+    return this.layers.get(key);
+  }
+
+  lookupMedia(name) {
+    const key = name.replace(/\.[^./\\]+$/, '').toUpperCase();
+    const info = this.media[key];
+    return info ? { name: key, ...info } : null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Protocol
+
+  handleSocket(socket) {
+    this.sockets.add(socket);
+    socket.setEncoding('utf8');
+    let buffer = '';
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let idx;
+      while ((idx = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, idx).trim();
+        buffer = buffer.slice(idx + 2);
+        if (line) this.receive(socket, line);
+      }
+    });
+    socket.on('close', () => this.sockets.delete(socket));
+    socket.on('error', () => {});
+    this.emit('connection', socket);
+  }
+
+  receive(socket, line) {
+    const half = this.latencyMs / 2;
+    setTimeout(() => {
+      this.commands.push({ at: Date.now(), line });
+      this.emit('command', line);
+      const reply = this.execute(line);
+      setTimeout(() => {
+        if (!socket.destroyed) socket.write(reply);
+      }, half);
+    }, half);
+  }
+
+  /**
+   * Run one command and return the raw reply.  Between DEFER and RESUME,
+   * state‑changing commands are queued and applied together on RESUME.
+   */
+  execute(line) {
+    const tokens = tokenize(line);
+    const cmd = (tokens[0] || '').toUpperCase();
+    if (cmd === 'DEFER') {
+      this.deferred = this.deferred || [];
+      return '202 DEFER OK\r\n';
+    }
+    if (cmd === 'RESUME') {
+      const queued = this.deferred || [];
+      this.deferred = null;
+      for (const t of queued) this.apply(t);
+      return '202 RESUME OK\r\n';
+    }
+    // Queries are answered immediately even inside a deferred batch
+    const isQuery = ['INFO', 'CINF', 'CLS', 'VERSION'].includes(cmd) ||
+      (cmd === 'CALL' && (tokens[2] || '').toUpperCase() === 'FRAME');
+    if (!isQuery && this.deferred) {
+      if (!this.validate(tokens)) return `401 ${cmd} ERROR\r\n`;
+      this.deferred.push(tokens);
+      return `202 ${cmd} OK\r\n`;
+    }
+    return this.apply(tokens);
+  }
+
+  validate(tokens) {
+    const cmd = tokens[0].toUpperCase();
+    if (['LOADBG', 'PLAY', 'PAUSE', 'MIXER', 'CALL'].includes(cmd)) {
+      return /^\d+-\d+$/.test(tokens[1] || '');
+    }
+    return true;
+  }
+
+  apply(tokens) {
+    const cmd = (tokens[0] || '').toUpperCase();
+    const target = tokens[1];
+    switch (cmd) {
+      case 'LOADBG': {
+        const media = this.lookupMedia(tokens[2] || '');
+        if (!media) return '404 LOADBG ERROR\r\n';
+        const upper = tokens.map(t => t.toUpperCase());
+        const seekIdx = upper.indexOf('SEEK');
+        const seek = seekIdx > 0 ? parseInt(tokens[seekIdx + 1], 10) || 0 : 0;
+        const producer = { clip: media.name, frames: media.frames, fps: media.fps, loop: upper.includes('LOOP'), playing: false, anchor: Date.now(), startFrame: 0 };
+        producer.startFrame = this.wrap(producer, seek);
+        this.layer(target).background = producer;
+        return '202 LOADBG OK\r\n';
+      }
+      case 'PLAY': {
+        const layer = this.layer(target);
+        if (layer.background) {
+          layer.foreground = layer.background;
+          layer.background = null;
+        }
+        if (!layer.foreground) return '404 PLAY ERROR\r\n';
+        if (!layer.foreground.playing) {
+          layer.foreground.playing = true;
+          layer.foreground.anchor = Date.now();
+        }
+        return '202 PLAY OK\r\n';
+      }
+      case 'PAUSE': {
+        const fg = this.layer(target).foreground;
+        if (fg && fg.playing) {
+          this.rebase(fg);
+          fg.playing = false;
+        }
+        return '202 PAUSE OK\r\n';
+      }
+      case 'MIXER': {
+        const layer = this.layer(target);
+        const prop = (tokens[2] || '').toUpperCase();
+        const value = parseFloat(tokens[3]);
+        if (prop === 'OPACITY' && Number.isFinite(value)) layer.opacity = value;
+        if (prop === 'VOLUME' && Number.isFinite(value)) layer.volume = value;
+        return '202 MIXER OK\r\n';
+      }
+      case 'CALL': {
+        const layer = this.layer(target);
+        const fn = (tokens[2] || '').toUpperCase();
+        if (fn === 'FRAME') {
+          if (!layer.foreground) return '404 CALL ERROR\r\n';
+          return `201 CALL OK\r\n${this.position(layer.foreground)}\r\n`;
+        }
+        if (fn === 'SEEK') {
+          const producer = layer.background || layer.foreground;
+          if (!producer) return '404 CALL ERROR\r\n';
+          producer.startFrame = this.wrap(producer, parseInt(tokens[3], 10) || 0);
+          producer.anchor = Date.now();
+          return '202 CALL OK\r\n';
+        }
+        return '400 CALL ERROR\r\n';
+      }
+      case 'INFO': {
+        const fg = this.layers.get(target)?.foreground;
+        const producer = fg
+          ? `<producer><type>ffmpeg-producer</type><filename>${fg.clip}</filename><paused>${!fg.playing}</paused></producer>`
+          : '<producer><type>empty-producer</type></producer>';
+        return `201 INFO OK\r\n<layer><foreground>${producer}</foreground></layer>\r\n`;
+      }
+      case 'CINF': {
+        const media = this.lookupMedia(tokens[1] || '');
+        if (!media) return '404 CINF ERROR\r\n';
+        return `200 CINF OK\r\n${this.mediaLine(media)}\r\n\r\n`;
+      }
+      case 'CLS': {
+        const lines = Object.keys(this.media).map(name => this.mediaLine(this.lookupMedia(name)));
+        return `200 CLS OK\r\n${lines.map(l => `${l}\r\n`).join('')}\r\n`;
+      }
+      case 'VERSION':
+        return `201 VERSION OK\r\n${this.version}\r\n`;
+      default:
+        return '400 ERROR\r\n';
+    }
+  }
+
+  mediaLine({ name, frames, fps }) {
+    // Time base is expressed as a fraction, e.g. 1/25 or 1001/30000
+    const timebase = Number.isInteger(fps) ? `1/${fps}` : `1001/${Math.round(fps * 1001)}`;
+    return `"${name}" MOVIE 1024 20240101000000 ${frames} ${timebase}`;
+  }
+}
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseOscPacket, encodeOscMessage, encodeOscBundle, OscFrameReceiver } from '../lib/osc.js';
+
+test('messages and nested bundles are parsed in order', () => {
+  const frame = encodeOscMessage('/channel/1/stage/layer/10/foreground/file/frame', [125, 250]);
+  const time = encodeOscMessage('/channel/1/stage/layer/10/foreground/file/time', [5, 10.5]);
+  const name = encodeOscMessage('/channel/1/stage/layer/10/foreground/file/name', ['clip.mov']);
+  const packets = parseOscPacket(encodeOscBundle([frame, encodeOscBundle([time, name])]));
+  assert.deepEqual(packets, [
+    { address: '/channel/1/stage/layer/10/foreground/file/frame', args: [125, 250] },
+    { address: '/channel/1/stage/layer/10/foreground/file/time', args: [5, 10.5] },
+    { address: '/channel/1/stage/layer/10/foreground/file/name', args: ['clip.mov'] }
+  ]);
+  assert.throws(() => parseOscPacket(Buffer.from('/no/terminator')), /Unterminated/);
+});
+
+test('layer positions are kept per sender and expire', () => {
+  const receiver = new OscFrameReceiver({ maxAgeMs: 100 });
+  receiver.handlePacket(encodeOscMessage('/channel/2/stage/layer/20/file/frame', [42, 250]), '10.0.0.5');
+  receiver.handlePacket(encodeOscMessage('/channel/2/stage/layer/20/foreground/file/time', [1.5, 10]), '10.0.0.5');
+  receiver.handlePacket(Buffer.from('garbage'), '10.0.0.5');
+  const position = receiver.layerPosition('10.0.0.5', 2, 20);
+  assert.deepEqual([position.frame, position.time], [42, 1.5]);
+  assert.equal(receiver.layerPosition('10.0.0.6', 2, 20), null);
+  assert.equal(receiver.layerPosition('10.0.0.5', 2, 20, Date.now() + 200), null);
+  assert.deepEqual([receiver.messages, receiver.malformed], [2, 1]);
+});
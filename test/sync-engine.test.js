@@ -0,0 +1,622 @@
+/**
+ * Tests for using `SyncEngine` directly, without the web server: events,
+ * in‑memory configuration and several engines side by side.
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import dgram from 'dgram';
+import { SyncEngine, START_LEAD_MS } from '../lib/sync-engine.js';
+import { MockCasparServer } from './mock-caspar.js';
+import { waitFor, freePort, nextEvent } from './harness.js';
+
+const MEDIA = { CLIPA: { frames: 250, fps: 25 } };
+
+// Keep the engines quiet during the run
+const logger = { log() {}, error() {} };
+
+function engineConfig(port, timecode) {
+  return {
+    fps: 25,
+    frames: 250,
+    autosyncIntervalSec: 1,
+    driftToleranceFrames: 2,
+    resyncMode: 'cut',
+    slots: [
+      { name: 'A', host: '127.0.0.1', port, channel: 1, baseLayer: 10, clip: 'clipa.mov', timecode, enabled: true }
+    ]
+  };
+}
+
+describe('SyncEngine embedded in another process', () => {
+  const first = new MockCasparServer({ media: MEDIA });
+  const second = new MockCasparServer({ media: MEDIA });
+  let a;
+  let b;
+
+  before(async () => {
+    a = await new SyncEngine({ config: engineConfig(await first.start(), '00:00:00:00'), logger }).init();
+    b = await new SyncEngine({ config: engineConfig(await second.start(), '00:00:04:00'), logger }).init();
+  });
+
+  after(async () => {
+    a?.close();
+    b?.close();
+    await first.stop();
+    await second.stop();
+  });
+
+  test('configuration is completed from the sample without touching disk', () => {
+    assert.equal(a.config.slots.length, 1);
+    assert.equal(a.config.fadeFrames, 2);
+    assert.equal(a.configFile, null);
+  });
+
+  test('connection events report each host coming up', async () => {
+    const connected = [];
+    a.on('connection', info => connected.push(info));
+    await a.preloadAll();
+    await waitFor(() => connected.some(info => info.state === 'connected'), { message: 'connection event' });
+    assert.equal(connected[0].host, `127.0.0.1:${first.port}`);
+  });
+
+  test('two engines keep independent clocks and layer pairs', async () => {
+    await b.preloadAll();
+    await a.startAll();
+    assert.equal(a.clock().playing, true);
+    assert.equal(b.clock().playing, false);
+    assert.equal(b.clock().t0, null);
+    assert.equal(first.isPlaying(1, 10), true);
+    assert.equal(second.isPlaying(1, 10), false);
+    await b.startAll();
+    // The second engine's slot starts four seconds into the clip
+    const frame = second.frameOf(1, 10);
+    assert.ok(frame >= 100 && frame < 115, `frame ${frame}`);
+  });
+
+  test('resync emits the mode and the slots that were swapped', async () => {
+    const event = nextEvent(a, 'resync');
+    await a.resyncAll('cut');
+    const [payload] = await event;
+    assert.deepEqual(payload, { group: 'default', mode: 'cut', frame: null, slots: [0] });
+    assert.equal(a.getPair(0).active, 20);
+    assert.equal(b.getPair(0).active, 10);
+  });
+
+  test('the autosync loop emits drift and status events', async () => {
+    const drift = nextEvent(a, 'drift');
+    const status = nextEvent(a, 'status');
+    first.jump(1, a.getPair(0).active, 30);
+    await a.setMode('auto');
+    const [{ rows, toleranceFrames }] = await drift;
+    assert.equal(toleranceFrames, 2);
+    assert.equal(rows[0].index, 0);
+    assert.ok(rows[0].drift >= 28, `drift ${rows[0].drift}`);
+    const [snapshot] = await status;
+    assert.ok(Math.abs(snapshot.rows[0].drift) <= 2, `drift after resync ${snapshot.rows[0].drift}`);
+    await a.setMode('manual');
+  });
+
+  test('autosync checks never overlap and a failed one does not stop the loop', async () => {
+    let running = 0;
+    let overlapped = false;
+    let calls = 0;
+    // Slower than the one-second interval, and failing every other time
+    a.autosyncCheck = async () => {
+      overlapped ||= running > 0;
+      running++;
+      calls++;
+      await new Promise(resolve => setTimeout(resolve, 1500));
+      running--;
+      if (calls % 2) throw new Error('INFO failed');
+    };
+    try {
+      await a.setMode('auto');
+      await waitFor(() => calls >= 3, { timeout: 8000, message: 'three autosync checks' });
+      assert.equal(overlapped, false);
+    } finally {
+      await a.setMode('manual');
+      delete a.autosyncCheck;
+    }
+  });
+
+  test('invalid configuration updates are rejected and leave the engine unchanged', async () => {
+    const errors = await a.updateConfig({ slots: [{ timecode: '00:00:00:30' }] });
+    assert.equal(errors[0].field, 'slots[0].timecode');
+    assert.equal(a.config.slots[0].timecode, '00:00:00:00');
+    const collision = await a.updateConfig({ slots: [{}, { ...a.config.slots[0], name: 'A2', baseLayer: 20 }] });
+    assert.deepEqual(collision.map(e => e.field), ['slots[1].baseLayer']);
+    assert.equal(a.config.slots.length, 1);
+  });
+
+  test('a missing clip stops a preload or start before anything is loaded', async () => {
+    assert.deepEqual(await a.updateConfig({ slots: [{}, { ...a.config.slots[0], name: 'A2', channel: 2, clip: 'missing.mov' }] }), []);
+    first.clearCommands();
+    const missing = [{ slot: 1, host: `127.0.0.1:${first.port}`, clip: 'missing.mov' }];
+    await assert.rejects(a.preloadAll(), err => assert.deepEqual(err.missing, missing) ?? true);
+    await assert.rejects(a.startSlots([1]), /Clip not found: slot 2 "missing.mov"/);
+    assert.deepEqual(first.received(/^LOADBG/), []);
+    assert.deepEqual(a.events.query({ types: ['missing-clips'] }).at(-1).slots, missing);
+    await a.updateConfig({ slots: [{}] });
+  });
+
+  test('queries that fail in normal operation are not logged as AMCP errors', async () => {
+    // CINF of a missing clip before the CLS fallback, CALL FRAME on an empty layer
+    first.clearCommands();
+    assert.deepEqual((await a.hostMedia(`127.0.0.1:${first.port}`, { clip: 'missing.mov' })).media, []);
+    assert.equal(await a.getCurrentFrame(a.getConnection('127.0.0.1', first.port), 1, 99), null);
+    assert.deepEqual(first.received(/^(CINF|CLS|CALL)/), ['CINF "missing"', 'CLS', 'CALL 1-99 FRAME']);
+    assert.deepEqual(a.events.query({ types: ['amcp-error'] }), []);
+    assert.equal(a.metricsText().includes('caspar_sync_amcp_errors_total'), false);
+  });
+});
+
+describe('SyncEngine running a scheduled start', () => {
+  // Slow enough that the preload is still running when the start fires
+  const caspar = new MockCasparServer({ media: MEDIA, latencyMs: 40 });
+  let engine;
+
+  before(async () => {
+    engine = await new SyncEngine({ config: engineConfig(await caspar.start(), '00:00:00:00'), logger }).init();
+  });
+
+  after(async () => {
+    engine?.close();
+    await caspar.stop();
+  });
+
+  test('the start waits for its preload and can no longer be cancelled once it fires', async () => {
+    const at = engine.alignToFrameBoundary(Date.now() + START_LEAD_MS + 100);
+    const arming = engine.armStart(at);
+    await waitFor(() => engine.clock().starting, { message: 'scheduled start to fire' });
+    await assert.rejects(engine.cancelScheduledStart(), err => assert.deepEqual(err.starting, ['default']) ?? true);
+    await arming;
+    await waitFor(() => engine.clock().playing && !engine.clock().starting, { message: 'group to start' });
+    assert.equal(engine.clock().t0, at);
+    // The start's batch follows the preload's instead of interleaving with it
+    const batches = caspar.received(/^(DEFER|RESUME)/);
+    assert.ok(batches.every((cmd, i) => cmd === (i % 2 ? 'RESUME' : 'DEFER')), batches.join(' '));
+    assert.equal(await engine.cancelScheduledStart(), false);
+  });
+});
+
+describe('SyncEngine with several sync groups', () => {
+  const caspar = new MockCasparServer({ media: MEDIA });
+  let engine;
+
+  before(async () => {
+    const config = engineConfig(await caspar.start(), '00:00:00:00');
+    config.syncGroups = [{ id: 'stage', name: 'Stage', driftToleranceFrames: 5 }];
+    config.slots.push({ ...config.slots[0], name: 'B', channel: 2, syncGroup: 'stage' });
+    engine = await new SyncEngine({ config, logger }).init();
+    await engine.preloadAll();
+  });
+
+  after(async () => {
+    engine?.close();
+    await caspar.stop();
+  });
+
+  test('groups take their own settings and fall back to the global ones', () => {
+    assert.deepEqual(engine.syncGroupIds(), ['default', 'stage']);
+    assert.equal(engine.groupSettings('stage').driftToleranceFrames, 5);
+    assert.equal(engine.groupSettings('stage').fps, 25);
+    assert.deepEqual(engine.syncGroupSlots('stage'), [1]);
+  });
+
+  test('starting one group leaves the other stopped', async () => {
+    const event = nextEvent(engine, 'start');
+    const t0 = await engine.startAll(undefined, ['stage']);
+    const [payload] = await event;
+    assert.deepEqual(payload, { group: 'stage', t0, slots: [1] });
+    assert.equal(engine.clock('stage').t0, t0);
+    assert.equal(engine.clock().playing, false);
+    assert.equal(caspar.isPlaying(2, 10), true);
+    assert.equal(caspar.isPlaying(1, 10), false);
+  });
+
+  test('each group runs on its own clock', async () => {
+    await new Promise(resolve => setTimeout(resolve, 400));
+    await engine.startAll(undefined, ['default']);
+    // The stage group was started ~10 frames earlier and keeps its timeline
+    const lead = engine.targetFrame('stage') - engine.targetFrame();
+    assert.ok(lead >= 8, `stage leads by ${lead} frames`);
+    const status = await engine.snapshotStatus();
+    assert.deepEqual(status.rows.map(row => row.syncGroup), ['default', 'stage']);
+    assert.deepEqual(status.syncGroups.map(group => group.playing), [true, true]);
+  });
+
+  test('pausing every slot of a group stops only that group', async () => {
+    await engine.pauseAll(engine.syncGroupSlots('default'));
+    assert.equal(engine.clock().playing, false);
+    assert.equal(engine.clock('stage').playing, true);
+    assert.equal(caspar.isPlaying(1, 10), false);
+    assert.equal(caspar.isPlaying(2, 10), true);
+  });
+
+  test('autosync leaves a paused group paused', async () => {
+    await engine.setMode('auto', 'default');
+    try {
+      // Twice the autosync interval, while the paused slot falls behind the clock
+      await new Promise(resolve => setTimeout(resolve, 2200));
+      assert.equal(engine.clock().playing, false);
+      assert.equal(caspar.isPlaying(1, 10) || caspar.isPlaying(1, 20), false);
+    } finally {
+      await engine.setMode('manual', 'default');
+    }
+  });
+
+  test('resyncing by policy leaves a paused group paused', async () => {
+    assert.deepEqual(await engine.resyncByPolicy('cut', { policy: 'drifted', groups: ['default'] }), []);
+    assert.deepEqual(await engine.resyncByPolicy('cut', { policy: 'all' }), [1]);
+    assert.equal(engine.clock().playing, false);
+    assert.equal(caspar.isPlaying(1, 10) || caspar.isPlaying(1, 20), false);
+  });
+});
+
+describe('SyncEngine recalling presets', () => {
+  const caspar = new MockCasparServer({ media: { ...MEDIA, CLIPB: { frames: 250, fps: 25 } } });
+  let engine;
+
+  before(async () => {
+    const config = engineConfig(await caspar.start(), '00:00:00:00');
+    config.slots.push({ ...config.slots[0], name: 'B', channel: 2 });
+    engine = await new SyncEngine({ config, logger }).init();
+  });
+
+  after(async () => {
+    engine?.close();
+    await caspar.stop();
+  });
+
+  test('presets are snapshots and the cue list must name existing ones', async () => {
+    assert.deepEqual(await engine.savePreset('Opening'), []);
+    // A plays another clip from two seconds in and B moves to channel 3
+    const update = { slots: [{ clip: 'clipb.mov', timecode: '00:00:02:00' }, { channel: 3 }] };
+    assert.deepEqual(await engine.savePreset('Finale', update), []);
+    assert.equal(engine.config.slots[0].clip, 'clipa.mov');
+    assert.deepEqual((await engine.savePreset(' Finale')).map(e => e.field), ['name']);
+    assert.deepEqual((await engine.setCues([{ preset: 'Finale' }, { preset: 'Encore' }])).map(e => e.field), ['cues[1].preset']);
+    assert.deepEqual(await engine.setCues([{ preset: 'Opening' }, { preset: 'Finale', label: 'Finale' }]), []);
+    await assert.rejects(engine.presets.remove('Finale'), /used by cue 2/);
+  });
+
+  test('a preset or cue list that cannot be written is not kept', async () => {
+    const { file } = engine.presets;
+    engine.presets.file = '/nonexistent/presets.json';
+    try {
+      await assert.rejects(engine.savePreset('Encore'), { code: 'ENOENT' });
+      await assert.rejects(engine.setCues([{ preset: 'Finale' }]), { code: 'ENOENT' });
+      assert.equal(engine.presets.get('Encore'), null);
+      assert.deepEqual(engine.presets.cues.map(cue => cue.preset), ['Opening', 'Finale']);
+    } finally {
+      engine.presets.file = file;
+    }
+  });
+
+  test('a recall while stopped applies the preset and preloads it', async () => {
+    const result = await engine.recallCue(engine.nextCue());
+    assert.deepEqual([result.preset, result.live], ['Opening', false]);
+    assert.equal(engine.currentCue, 0);
+    assert.ok(caspar.received('LOADBG 2-20 "clipa.mov"').length);
+  });
+
+  test('a recall while playing switches every output in one go', async () => {
+    await engine.startAll();
+    await new Promise(resolve => setTimeout(resolve, 200));
+    const event = nextEvent(engine, 'recall');
+    const result = await engine.recallCue(engine.nextCue());
+    const [payload] = await event;
+    assert.deepEqual(payload, result);
+    assert.deepEqual([result.swapped, result.started, result.stopped], [[0], [1], [1]]);
+    assert.ok(caspar.received('LOADBG 1-20 "clipb.mov" SEEK 50').length, 'new clip prepared on the standby layer');
+    // A continues on its standby layer with the new clip from its timecode
+    assert.equal(engine.getPair(0).active, 20);
+    assert.deepEqual([caspar.isPlaying(1, 20), caspar.opacityOf(1, 20)], [true, 1]);
+    assert.deepEqual([caspar.isPlaying(1, 10), caspar.opacityOf(1, 10)], [false, 0]);
+    const frame = caspar.frameOf(1, 20);
+    assert.ok(frame >= 50 && frame < 60, `frame ${frame}`);
+    // B's old output is hidden and paused and its new one started
+    assert.deepEqual([caspar.isPlaying(2, 10), caspar.opacityOf(2, 10)], [false, 0]);
+    assert.deepEqual([caspar.isPlaying(3, 10), caspar.opacityOf(3, 10)], [true, 1]);
+    assert.equal(engine.clock().t0, result.t0);
+    assert.equal(engine.config.slots[1].channel, 3);
+    assert.equal(engine.nextCue(), null);
+  });
+
+  test('an armed recall returns at once and can be cancelled until it begins', async () => {
+    const later = Date.now() + 3600 * 1000;
+    const armed = engine.armRecall('Opening', { at: later, cue: 0 });
+    assert.deepEqual(armed, { preset: 'Opening', cue: 0, at: later, mode: 'cut', armedAt: armed.armedAt });
+    assert.equal(engine.recall, null);
+    assert.equal(engine.cancelScheduledRecall(), true);
+    assert.equal(engine.cancelScheduledRecall(), false);
+    const tooLate = Date.now() + 2 * 24 * 3600 * 1000;
+    assert.throws(() => engine.armRecall('Opening', { at: tooLate }), err => assert.deepEqual(err.errors.map(e => e.field), ['at']) ?? true);
+
+    // Close enough that the recall begins straight away
+    const at = engine.alignToFrameBoundary(Date.now() + START_LEAD_MS + 500);
+    const event = nextEvent(engine, 'recall');
+    engine.armRecall('Opening', { at, cue: 0 });
+    await waitFor(() => engine.recall, { message: 'armed recall to begin' });
+    assert.throws(() => engine.cancelScheduledRecall(), err => assert.equal(err.recalling, 'Opening') ?? true);
+    const [payload] = await event;
+    assert.deepEqual([payload.cue, payload.t0], [0, at]);
+    assert.equal(engine.config.slots[1].channel, 2);
+  });
+});
+
+describe('SyncEngine playing playlists', () => {
+  const caspar = new MockCasparServer({ media: { ...MEDIA, CLIPB: { frames: 250, fps: 25 } } });
+  let engine;
+
+  before(async () => {
+    const config = engineConfig(await caspar.start(), '00:00:00:00');
+    // Two seconds of each clip, then round again
+    config.slots[0].playlist = [{ clip: 'clipa.mov', frames: 50 }, { clip: 'clipb.mov', frames: 50 }];
+    engine = await new SyncEngine({ config, logger }).init();
+  });
+
+  after(async () => {
+    engine?.close();
+    await caspar.stop();
+  });
+
+  test('the sequence starts on the item its timecode falls in', async () => {
+    assert.equal(engine.slotFrames(0), 100);
+    await engine.startAll();
+    assert.equal(caspar.clipOf(1, 10), 'CLIPA');
+    const [row] = (await engine.snapshotStatus()).rows;
+    assert.deepEqual([row.item, row.currentItem, row.items, row.clip], [0, 0, 2, 'clipa.mov']);
+  });
+
+  test('every slot cuts to the next item on the clock', async () => {
+    const [payload] = await nextEvent(engine, 'item');
+    assert.deepEqual(payload.slots, [{ slot: 0, item: 1, clip: 'clipb.mov' }]);
+    assert.equal(payload.at, engine.clock().t0 + 2000);
+    assert.deepEqual([engine.getPair(0).active, engine.getPair(0).item], [20, 1]);
+    assert.deepEqual([caspar.clipOf(1, 20), caspar.isPlaying(1, 20), caspar.opacityOf(1, 20)], ['CLIPB', true, 1]);
+    assert.deepEqual([caspar.isPlaying(1, 10), caspar.opacityOf(1, 10)], [false, 0]);
+    const [row] = (await engine.snapshotStatus()).rows;
+    assert.deepEqual([row.item, row.currentItem, row.clip], [1, 1, 'clipb.mov']);
+    assert.ok(Math.abs(row.drift) <= 2, `drift ${row.drift}`);
+  });
+
+  test('a resync loads the item due and the offset within it', async () => {
+    caspar.jump(1, 20, 20);
+    await engine.resyncAll('cut');
+    assert.ok(caspar.received('LOADBG 1-10 "clipb.mov"').length);
+    assert.deepEqual([engine.getPair(0).active, engine.getPair(0).item, caspar.clipOf(1, 10)], [10, 1, 'CLIPB']);
+    const [row] = (await engine.snapshotStatus()).rows;
+    assert.ok(Math.abs(row.drift) <= 2, `drift ${row.drift}`);
+    await engine.pauseAll();
+    assert.equal(engine.clock().itemTimer, null);
+  });
+});
+
+describe('SyncEngine with OSC frame positions', () => {
+  const caspar = new MockCasparServer({ media: MEDIA });
+  let engine;
+
+  before(async () => {
+    engine = await new SyncEngine({ config: engineConfig(await caspar.start(), '00:00:00:00'), oscPort: 0, logger }).init();
+    await engine.startAll();
+  });
+
+  after(async () => {
+    engine?.close();
+    await caspar.stop();
+  });
+
+  test('frames come from OSC while it arrives, without polling', async () => {
+    assert.ok(engine.osc.port > 0);
+    caspar.startOsc(engine.osc.port);
+    await waitFor(async () => (await engine.snapshotStatus()).rows[0].frameSource === 'osc', { message: 'OSC frame' });
+    caspar.clearCommands();
+    const status = await engine.snapshotStatus();
+    assert.deepEqual(caspar.received('CALL'), []);
+    assert.ok(Math.abs(status.rows[0].drift) <= 2, `drift ${status.rows[0].drift}`);
+    assert.ok(status.osc.messages > 0);
+  });
+
+  test('polling takes over once OSC stops', async () => {
+    caspar.stopOsc();
+    await new Promise(resolve => setTimeout(resolve, 600));
+    const [row] = (await engine.snapshotStatus()).rows;
+    assert.equal(row.frameSource, 'amcp');
+    assert.ok(Math.abs(row.drift) <= 2, `drift ${row.drift}`);
+  });
+});
+
+describe('SyncEngine nudging small drift', () => {
+  const caspar = new MockCasparServer({ media: MEDIA });
+  let engine;
+
+  before(async () => {
+    const config = { ...engineConfig(await caspar.start(), '00:00:00:00'), resyncMode: 'nudge', nudgeMaxFrames: 3 };
+    engine = await new SyncEngine({ config, logger }).init();
+    await engine.startAll();
+  });
+
+  after(async () => {
+    engine?.close();
+    await caspar.stop();
+  });
+
+  test('a slot a few frames off is held or skipped on its active layer', async () => {
+    caspar.jump(1, 10, 3);
+    caspar.clearCommands();
+    await engine.resyncAll();
+    assert.deepEqual(caspar.received(/^(PAUSE|PLAY) /), ['PAUSE 1-10', 'PLAY 1-10']);
+    caspar.jump(1, 10, -3);
+    caspar.clearCommands();
+    await engine.resyncAll();
+    assert.equal(caspar.received('CALL 1-10 SEEK').length, 1);
+    assert.deepEqual(caspar.received('LOADBG'), []);
+    assert.equal(engine.getPair(0).active, 10);
+    const [row] = (await engine.snapshotStatus()).rows;
+    assert.ok(Math.abs(row.drift) <= 1, `drift ${row.drift}`);
+  });
+
+  test('larger drift falls back to a layer swap', async () => {
+    caspar.jump(1, 10, 30);
+    const event = nextEvent(engine, 'resync');
+    await engine.resyncAll();
+    const [payload] = await event;
+    assert.equal(payload.mode, 'nudge');
+    assert.equal(caspar.received('LOADBG').length, 1);
+    assert.equal(engine.getPair(0).active, 20);
+    const [row] = (await engine.snapshotStatus()).rows;
+    assert.ok(Math.abs(row.drift) <= 1, `drift ${row.drift}`);
+  });
+});
+
+describe('SyncEngine waiting for safe windows', () => {
+  const caspar = new MockCasparServer({ media: MEDIA });
+  let engine;
+
+  before(async () => {
+    const config = { ...engineConfig(await caspar.start(), '00:00:00:00'), autosyncIntervalSec: 0.2 };
+    engine = await new SyncEngine({ config, logger }).init();
+    await engine.startAll();
+  });
+
+  after(async () => {
+    engine?.close();
+    await caspar.stop();
+  });
+
+  test('autosync queues a correction during content and runs it in the next window', async () => {
+    // A window starting about a second from now
+    const from = (engine.targetFrame() + 25) % 250;
+    assert.deepEqual(await engine.updateConfig({ slots: [{ safeWindows: [{ from, to: (from + 10) % 250 }] }] }), []);
+    caspar.jump(1, 10, 30);
+    caspar.clearCommands();
+    await engine.setMode('auto');
+    const pending = await waitFor(async () => (await engine.snapshotStatus()).rows[0].pendingResync, { message: 'pending resync' });
+    assert.ok(pending.at > Date.now(), `due at ${pending.at}`);
+    assert.deepEqual(caspar.received('LOADBG'), []);
+    assert.deepEqual(engine.events.query({ types: ['pending'] }).map(e => e.slots[0].slot), [0]);
+
+    await waitFor(() => engine.getPair(0).active === 20, { timeout: 3000, message: 'resync in the window' });
+    const [row] = (await engine.snapshotStatus()).rows;
+    assert.equal(row.pendingResync, null);
+    assert.ok(Math.abs(row.drift) <= 2, `drift ${row.drift}`);
+    await engine.setMode('manual');
+  });
+
+  test('a pending correction is dropped if the slot is back in sync by its window', async () => {
+    const from = (engine.targetFrame() + 25) % 250;
+    assert.deepEqual(await engine.updateConfig({ slots: [{ safeWindows: [{ from, to: (from + 10) % 250 }] }] }), []);
+    const { active } = engine.getPair(0);
+    caspar.jump(1, active, 30);
+    await engine.setMode('auto');
+    const pending = await waitFor(async () => (await engine.snapshotStatus()).rows[0].pendingResync, { message: 'pending resync' });
+    caspar.jump(1, active, -30);
+    caspar.clearCommands();
+    await waitFor(async () => Date.now() > pending.at && !(await engine.snapshotStatus()).rows[0].pendingResync, { timeout: 3000, message: 'window' });
+    assert.deepEqual(caspar.received('LOADBG'), []);
+    assert.equal(engine.getPair(0).active, active);
+    await engine.setMode('manual');
+  });
+});
+
+describe('SyncEngine following a master slot', () => {
+  const caspar = new MockCasparServer({ media: MEDIA });
+  let engine;
+
+  before(async () => {
+    const config = engineConfig(await caspar.start(), '00:00:00:00');
+    config.slots[0].master = true;
+    config.slots.push({ ...config.slots[0], name: 'B', baseLayer: 30, master: false });
+    engine = await new SyncEngine({ config, logger }).init();
+    await engine.startAll();
+  });
+
+  after(async () => {
+    engine?.close();
+    await caspar.stop();
+  });
+
+  test('the clock moves with the master and the other slots are corrected to it', async () => {
+    caspar.jump(1, 10, 20);
+    const status = await engine.snapshotStatus();
+    assert.equal(status.syncGroups[0].clockSource, 'master');
+    assert.equal(status.syncGroups[0].masterSlot, 0);
+    assert.equal(status.rows[0].master, true);
+    assert.ok(Math.abs(status.rows[0].drift) <= 1, `master drift ${status.rows[0].drift}`);
+    assert.ok(Math.abs(status.rows[1].drift + 20) <= 1, `follower drift ${status.rows[1].drift}`);
+    assert.deepEqual(engine.driftedRows(status).map(row => row.index), [1]);
+
+    await engine.resyncAll();
+    assert.equal(engine.getPair(0).active, 10);
+    assert.equal(engine.getPair(1).active, 40);
+    const gap = caspar.frameOf(1, 40) - caspar.frameOf(1, 10);
+    assert.ok(Math.abs(gap) <= 1, `follower ${gap} frames from the master`);
+  });
+
+  test('a master that cannot be read leaves the group on the wall clock', async () => {
+    const event = nextEvent(engine, 'clock');
+    caspar.clearLayer(1, 10);
+    const status = await engine.snapshotStatus();
+    assert.deepEqual((await event)[0], { group: 'default', source: 'wall', slot: 0 });
+    assert.equal(status.syncGroups[0].clockSource, 'wall');
+    // The clock carries on from where the master was
+    assert.ok(Math.abs(status.rows[1].drift) <= 1, `follower drift ${status.rows[1].drift}`);
+  });
+});
+
+describe('SyncEngine chasing timecode', () => {
+  const caspar = new MockCasparServer({ media: MEDIA });
+  const socket = dgram.createSocket('udp4');
+  let engine;
+  let port;
+
+  // Send the house timecode and wait until the engine has it
+  async function sendTimecode(timecode) {
+    socket.send(timecode, port, '127.0.0.1');
+    await waitFor(() => engine.clockSources.get('house').last?.timecode === timecode, { message: `timecode ${timecode}` });
+  }
+
+  // Frames the house timecode has moved on since it was last received
+  function sinceReceived() {
+    return Math.floor((Date.now() - engine.clockSources.get('house').last.receivedAt) / 40);
+  }
+
+  before(async () => {
+    port = await freePort();
+    const config = {
+      ...engineConfig(await caspar.start(), '00:00:00:00'),
+      clock: 'house',
+      chaseTimecode: '10:00:00:00',
+      clockSources: [{ id: 'house', type: 'udp', port, fps: 25 }]
+    };
+    engine = await new SyncEngine({ config, logger }).init();
+  });
+
+  after(async () => {
+    socket.close();
+    engine?.close();
+    await caspar.stop();
+  });
+
+  test('slots start where the timecode is past the chase point', async () => {
+    await sendTimecode('10:00:04:00');
+    await engine.startAll();
+    const status = await engine.snapshotStatus();
+    assert.equal(status.syncGroups[0].chasing, true);
+    assert.equal(status.clockSources[0].id, 'house');
+    assert.ok(Math.abs(status.rows[0].targetFrame - 100 - sinceReceived()) <= 2, `target ${status.rows[0].targetFrame}`);
+    assert.ok(Math.abs(status.rows[0].drift) <= 2, `drift ${status.rows[0].drift}`);
+  });
+
+  test('a jump in the timecode is followed by a resync', async () => {
+    await sendTimecode('10:00:08:00');
+    const [before] = (await engine.snapshotStatus()).rows;
+    assert.ok(before.drift < -50, `drift ${before.drift}`);
+    await engine.resyncAll();
+    const [row] = (await engine.snapshotStatus()).rows;
+    assert.ok(Math.abs(row.targetFrame - 200 - sinceReceived()) <= 2, `target ${row.targetFrame}`);
+    assert.ok(Math.abs(row.drift) <= 2, `drift ${row.drift}`);
+  });
+});
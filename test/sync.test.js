@@ -0,0 +1,331 @@
+/**
+ * End‑to‑end tests for the sync engine.  The control server runs in a child
+ * process and talks to two mock CasparCG servers; the tests drive it through
+ * the REST API and check the AMCP traffic and simulated layer state.
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { MockCasparServer } from './mock-caspar.js';
+import { startSyncServer, waitFor, sleep } from './harness.js';
+
+const MEDIA = {
+  CLIPA: { frames: 250, fps: 25 },
+  CLIPB: { frames: 500, fps: 25 }
+};
+
+describe('sync engine against mock CasparCG servers', () => {
+  // Slot 1 runs on a local, instant server; slot 2 on a "remote" one with latency
+  const local = new MockCasparServer({ media: MEDIA });
+  const remote = new MockCasparServer({ media: MEDIA, latencyMs: 30 });
+  let server;
+
+  const status = async () => (await server.api('/api/status')).body;
+  const row = async idx => (await status()).rows.find(r => r.index === idx);
+
+  before(async () => {
+    const localPort = await local.start();
+    const remotePort = await remote.start();
+    server = await startSyncServer({
+      fps: 25,
+      frames: 250,
+      autosyncIntervalSec: 1,
+      driftToleranceFrames: 2,
+      resyncMode: 'cut',
+      fadeFrames: 2,
+      slots: [
+        { name: 'A', host: '127.0.0.1', port: localPort, channel: 1, baseLayer: 10, clip: 'clipa.mov', timecode: '00:00:01:00', enabled: true },
+        { name: 'B', host: '127.0.0.1', port: remotePort, channel: 2, baseLayer: 10, clip: 'clipb.mov', timecode: '00:00:00:00', group: 'Wall', enabled: true }
+      ]
+    });
+  });
+
+  after(async () => {
+    await server?.dispose();
+    await local.stop();
+    await remote.stop();
+  });
+
+  test('preload parks both layers of every slot inside one DEFER/RESUME batch', async () => {
+    const res = await server.api('/api/preload', {});
+    assert.equal(res.body.ok, true);
+    const batch = local.received(/^(DEFER|RESUME|LOADBG|PAUSE)/);
+    assert.deepEqual(batch.slice(-6), [
+      'DEFER',
+      'LOADBG 1-10 "clipa.mov" SEEK 0 LOOP',
+      'PAUSE 1-10',
+      'LOADBG 1-20 "clipa.mov" SEEK 0 LOOP',
+      'PAUSE 1-20',
+      'RESUME'
+    ]);
+    assert.equal(local.isPlaying(1, 10), false);
+    assert.equal(remote.isPlaying(2, 10), false);
+  });
+
+  test('preload discovers clip length and frame rate', async () => {
+    const { body: cfg } = await server.api('/api/config');
+    assert.deepEqual(cfg.slots[0].media, { clip: 'clipa.mov', fps: 25, frames: 250 });
+    assert.deepEqual(cfg.slots[1].media, { clip: 'clipb.mov', fps: 25, frames: 500 });
+  });
+
+  test('the media endpoint lists the clips on a configured server', async () => {
+    const { status: ok, body } = await server.api(`/api/hosts/127.0.0.1:${local.port}/media`);
+    assert.equal(ok, 200);
+    assert.deepEqual(body.media.map(m => m.name).sort(), ['CLIPA', 'CLIPB']);
+    const clipa = body.media.find(m => m.name === 'CLIPA');
+    assert.equal(clipa.type, 'MOVIE');
+    assert.equal(clipa.fps, 25);
+    assert.equal(clipa.durationSec, 10);
+    // A bare host picks the first port configured with it; ?clip= asks CINF for one clip
+    const single = await server.api('/api/hosts/127.0.0.1/media?clip=clipb.mov');
+    assert.equal(single.body.host, `127.0.0.1:${local.port}`);
+    assert.deepEqual(single.body.media.map(m => m.frames), [500]);
+    assert.ok(local.received(/^CINF/).includes('CINF "clipb"'));
+    assert.equal((await server.api('/api/hosts/10.9.9.9/media')).status, 404);
+  });
+
+  test('start plays the active layer from the slot timecode and hides standby', async () => {
+    const res = await server.api('/api/start', {});
+    assert.equal(res.body.ok, true);
+    assert.equal(local.isPlaying(1, 10), true);
+    assert.equal(local.isPlaying(1, 20), false);
+    assert.equal(local.opacityOf(1, 10), 1);
+    assert.equal(local.opacityOf(1, 20), 0);
+    // Slot A starts one second (25 frames) into its clip
+    const frame = local.frameOf(1, 10);
+    assert.ok(frame >= 25 && frame < 40, `frame ${frame}`);
+  });
+
+  test('status reports per-slot targets and small drift after start', async () => {
+    // Both rows from one snapshot, so the targets are compared at the same moment
+    const { rows } = await status();
+    const a = rows.find(r => r.index === 0);
+    const b = rows.find(r => r.index === 1);
+    assert.ok(Math.abs(a.drift) <= 2, `slot A drift ${a.drift}`);
+    assert.ok(Math.abs(b.drift) <= 2, `slot B drift ${b.drift}`);
+    assert.ok(a.targetFrame - b.targetFrame >= 24, 'slot A target includes its timecode offset');
+    assert.match(a.currentTimecode, /^00:00:0\d:\d\d$/);
+  });
+
+  test('round-trip time is measured per host', async () => {
+    const { hosts } = await status();
+    const remoteHost = hosts.find(h => h.host.endsWith(`:${remote.port}`));
+    assert.ok(remoteHost.rttMs >= 25, `rtt ${remoteHost.rttMs}`);
+    assert.equal(remoteHost.state, 'connected');
+    assert.equal(remoteHost.version, '2.3.3.0 Stable');
+  });
+
+  test('resync swaps active and standby layers', async () => {
+    const res = await server.api('/api/resync', { mode: 'cut' });
+    assert.equal(res.body.ok, true);
+    const a = await row(0);
+    assert.equal(a.activeLayer, 20);
+    assert.equal(a.standbyLayer, 10);
+    assert.equal(local.isPlaying(1, 20), true);
+    assert.equal(local.isPlaying(1, 10), false);
+    assert.equal(local.opacityOf(1, 20), 1);
+    assert.equal(local.opacityOf(1, 10), 0);
+  });
+
+  test('resync on a high-latency host lands on the live target frame', async () => {
+    const b = await row(1);
+    assert.ok(Math.abs(b.drift) <= 2, `slot B drift ${b.drift}`);
+  });
+
+  test('auto mode detects injected drift and corrects it', async () => {
+    const before = await row(0);
+    local.jump(1, before.activeLayer, 40);
+    const drifted = await row(0);
+    assert.ok(drifted.drift >= 38, `drift ${drifted.drift}`);
+    await server.api('/api/mode', { mode: 'auto' });
+    const fixed = await waitFor(async () => {
+      const r = await row(0);
+      return r.activeLayer !== before.activeLayer && r.drift != null && Math.abs(r.drift) <= 2 && r;
+    }, { timeout: 5000, message: 'autosync to correct drift' });
+    assert.ok(Math.abs(fixed.drift) <= 2);
+    await server.api('/api/mode', { mode: 'manual' });
+  });
+
+  test('a dropped connection is reported and the host recovers', async () => {
+    remote.disconnectAll();
+    const host = await waitFor(async () => {
+      const { hosts } = await status();
+      const h = hosts.find(x => x.host.endsWith(`:${remote.port}`));
+      return h.reconnects >= 1 && h.state === 'connected' && h;
+    }, { timeout: 10000, message: 'remote host to reconnect' });
+    assert.ok(host.reconnects >= 1);
+    // The host's slot is resynced after reconnecting
+    await waitFor(() => remote.isPlaying(2, 10) || remote.isPlaying(2, 20), { message: 'slot B playing' });
+  });
+
+  test('runtime state survives a restart of the control server', async () => {
+    const beforeRestart = await status();
+    local.clearCommands();
+    await server.restart();
+    const after = await waitFor(async () => {
+      const s = await status();
+      return s.playing && s;
+    }, { message: 'recovered playback state' });
+    assert.equal(after.t0, beforeRestart.t0);
+    assert.ok(local.received('INFO').length > 0, 'layers were checked with INFO');
+    const a = after.rows.find(r => r.index === 0);
+    assert.equal(a.activeLayer, beforeRestart.rows.find(r => r.index === 0).activeLayer);
+    await sleep(100);
+    assert.ok(Math.abs((await row(0)).drift) <= 2);
+  });
+
+  test('the drifted-only policy swaps only the slots out of tolerance', async () => {
+    await server.api('/api/config', { resyncPolicy: 'drifted' });
+    const a = await row(0);
+    const b = await row(1);
+    remote.jump(2, b.activeLayer, 30);
+    const res = await server.api('/api/resync', { mode: 'cut' });
+    assert.equal(res.body.policy, 'drifted');
+    assert.deepEqual(res.body.slots, [1]);
+    assert.equal((await row(0)).activeLayer, a.activeLayer);
+    const fixed = await row(1);
+    assert.equal(fixed.activeLayer, b.standbyLayer);
+    assert.ok(Math.abs(fixed.drift) <= 2, `slot B drift ${fixed.drift}`);
+    assert.equal((await server.api('/api/resync', { policy: 'some' })).status, 400);
+    await server.api('/api/config', { resyncPolicy: 'all' });
+  });
+
+  test('drift history reports statistics, resyncs and a CSV export', async () => {
+    await status();
+    const { body: history } = await server.api('/api/history?windowSec=60');
+    assert.equal(history.windowSec, 60);
+    const b = history.slots.find(s => s.index === 1);
+    assert.ok(b.count > 0, 'samples were recorded');
+    assert.ok(b.resyncs >= 1, `resyncs ${b.resyncs}`);
+    assert.ok(b.max >= b.mean && b.mean >= b.min);
+    assert.equal(b.samples.length, b.count);
+    const res = await fetch(`${server.url}/api/history.csv?windowSec=60`);
+    assert.match(res.headers.get('content-type'), /^text\/csv/);
+    const lines = (await res.text()).trim().split('\r\n');
+    assert.equal(lines[0], 'time,slot,name,event,drift');
+    assert.ok(lines.some(line => line.includes(',B,resync,')), 'resync of slot B exported');
+  });
+
+  test('metrics are served in Prometheus format without querying the servers', async () => {
+    const b = await row(1);
+    local.clearCommands();
+    remote.clearCommands();
+    const res = await fetch(`${server.url}/metrics`);
+    assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    const lines = (await res.text()).split('\n');
+    assert.deepEqual(local.received('CALL'), []);
+    assert.deepEqual(remote.received('CALL'), []);
+    const labels = 'slot="1",name="B",sync_group="default"';
+    assert.ok(lines.includes('# TYPE caspar_sync_slot_drift_frames gauge'));
+    assert.ok(lines.includes(`caspar_sync_slot_drift_frames{${labels}} ${b.drift}`));
+    assert.ok(lines.includes(`caspar_sync_slot_current_frame{${labels}} ${b.currentFrame}`));
+    assert.ok(lines.includes(`caspar_sync_slot_target_frame{${labels}} ${b.targetFrame}`));
+    assert.ok(lines.includes(`caspar_sync_connection_up{host="127.0.0.1:${remote.port}"} 1`));
+    // Counters start from zero with the process, which was restarted above
+    assert.ok(lines.includes(`caspar_sync_connection_reconnects_total{host="127.0.0.1:${remote.port}"} 0`));
+    assert.ok(lines.some(line => /^caspar_sync_resyncs_total\{slot="1",sync_group="default",mode="cut"\} [1-9]/.test(line)));
+  });
+
+  test('a single slot can be paused and rejoin the running timeline', async () => {
+    const res = await server.api('/api/slots/0/pause', {});
+    assert.deepEqual(res.body, { ok: true, slots: [0] });
+    const paused = await row(0);
+    assert.equal(paused.paused, true);
+    assert.equal(local.isPlaying(1, paused.activeLayer), false);
+    assert.equal((await status()).playing, true, 'the clock keeps running');
+    await server.api('/api/slots/0/start', {});
+    const a = await row(0);
+    assert.equal(a.paused, false);
+    assert.equal(local.isPlaying(1, a.activeLayer), true);
+    assert.ok(Math.abs(a.drift) <= 2, `slot A drift ${a.drift}`);
+    assert.equal((await server.api('/api/slots/7/start', {})).status, 404);
+  });
+
+  test('group operations only act on the slots in the group', async () => {
+    const { body: groups } = await server.api('/api/groups');
+    assert.deepEqual(groups, [{ name: 'Wall', slots: [1] }]);
+    const a = await row(0);
+    const b = await row(1);
+    const res = await server.api('/api/groups/Wall/resync', { mode: 'cut' });
+    assert.deepEqual(res.body, { ok: true, slots: [1] });
+    assert.equal((await row(0)).activeLayer, a.activeLayer);
+    assert.equal((await row(1)).activeLayer, b.standbyLayer);
+    assert.equal((await server.api('/api/groups/Nope/resync', {})).status, 404);
+    assert.equal((await server.api('/api/groups/Wall/explode', {})).status, 404);
+  });
+
+  test('sync group endpoints address the default clock', async () => {
+    const { body: groups } = await server.api('/api/sync-groups');
+    assert.equal(groups.length, 1);
+    assert.equal(groups[0].id, 'default');
+    assert.deepEqual(groups[0].slots, [0, 1]);
+    assert.equal(groups[0].playing, true);
+    const res = await server.api('/api/sync-groups/default/mode', { mode: 'manual' });
+    assert.deepEqual(res.body, { ok: true, group: 'default', mode: 'manual' });
+    assert.equal((await status()).mode, 'manual');
+    assert.equal((await server.api('/api/sync-groups/nope/start', {})).status, 404);
+    assert.equal((await server.api('/api/sync-groups/default/explode', {})).status, 404);
+  });
+
+  test('operator actions and resyncs are recorded in the event log', async () => {
+    await server.api('/api/resync', { mode: 'cut' });
+    const { body: api } = await server.api('/api/events?type=api');
+    const start = api.find(e => e.path === '/api/start');
+    assert.equal(start.method, 'POST');
+    assert.equal(start.status, 200);
+    assert.ok(start.ip, 'client address recorded');
+    const { body: [resync] } = await server.api('/api/events?type=resync&limit=1');
+    assert.equal(resync.mode, 'cut');
+    assert.deepEqual(resync.slots.map(s => s.slot), [0, 1]);
+    assert.ok(resync.slots.every(s => Number.isInteger(s.from) && Number.isInteger(s.to)));
+    assert.equal((await server.api('/api/events?since=yesterday')).status, 400);
+    // The same entries are written to the JSON-lines file
+    const lines = await waitFor(async () => {
+      const text = await fs.readFile(server.eventLogFile, 'utf8').catch(() => '');
+      const entries = text.trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+      return entries.some(e => e.id === resync.id) && entries;
+    }, { message: 'event log file' });
+    assert.ok(lines.some(e => e.type === 'connection'));
+  });
+
+  test('a cue swaps the clips of every slot on the shared clock', async () => {
+    const saved = await server.api('/api/presets', { name: 'Swapped', config: { slots: [{ clip: 'clipb.mov' }, { clip: 'clipa.mov' }] } });
+    assert.deepEqual(saved.body.preset.slots.map(s => s.clip), ['clipb.mov', 'clipa.mov']);
+    assert.equal((await server.api('/api/presets', { name: '' })).status, 400);
+    assert.equal((await server.api('/api/cues', { cues: [{ preset: 'Nope' }] })).status, 400);
+    await server.api('/api/cues', { cues: [{ preset: 'Swapped', label: 'Second half' }] });
+    assert.equal((await server.api('/api/cues/go', { mode: 'wipe' })).status, 400);
+
+    const before = await status();
+    const go = await server.api('/api/cues/go', {});
+    assert.equal(go.body.ok, true);
+    assert.deepEqual([go.body.cue, go.body.live, go.body.swapped, go.body.started, go.body.stopped], [0, true, [0, 1], [], []]);
+    const after = await status();
+    assert.deepEqual(after.rows.map(r => r.clip), ['clipb.mov', 'clipa.mov']);
+    assert.deepEqual(after.rows.map(r => r.activeLayer), before.rows.map(r => r.standbyLayer));
+    assert.equal(after.t0, go.body.t0);
+    assert.ok(after.rows.every(r => Math.abs(r.drift) <= 2), 'slots in sync after the switch');
+    assert.equal(local.isPlaying(1, after.rows[0].standbyLayer), false);
+
+    const { body: list } = await server.api('/api/presets');
+    assert.deepEqual([list.currentCue, list.nextCue], [0, null]);
+    assert.equal((await server.api('/api/cues/go', {})).status, 409);
+    assert.equal((await server.api('/api/presets/Swapped/delete', {})).status, 409);
+    assert.equal((await server.api('/api/presets/Nope/recall', {})).status, 404);
+
+    // With a time the recall is only armed
+    const armed = await server.api('/api/cues/0/recall', { at: new Date(Date.now() + 600000).toISOString() });
+    assert.deepEqual([armed.status, armed.body.scheduledRecall.preset, armed.body.scheduledRecall.cue], [200, 'Swapped', 0]);
+    assert.equal((await server.api('/api/presets')).body.scheduledRecall.at, armed.body.scheduledRecall.at);
+    assert.deepEqual((await server.api('/api/recall/cancel', {})).body, { ok: true, cancelled: true });
+    assert.equal((await server.api('/api/presets')).body.scheduledRecall, null);
+  });
+
+  test('pause stops both layers', async () => {
+    await server.api('/api/pause', {});
+    assert.equal(local.isPlaying(1, 10), false);
+    assert.equal(local.isPlaying(1, 20), false);
+    assert.equal((await status()).playing, false);
+  });
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  timecodeToFrames,
+  framesToTimecode,
+  parseTimecode,
+  validateTimecode,
+  isSupportedRate
+} from '../lib/timecode.js';
+
+test('non-drop-frame timecode counts at the nominal rate', () => {
+  assert.equal(timecodeToFrames('00:00:01:00', 25), 25);
+  assert.equal(timecodeToFrames('01:00:00:00', 50), 180000);
+  assert.equal(timecodeToFrames('00:01:00:00', 29.97), 1800);
+  assert.equal(timecodeToFrames('00:00:01:00', 23.976), 24);
+  assert.equal(framesToTimecode(90000, 25), '01:00:00:00');
+  assert.equal(framesToTimecode(1799, 29.97), '00:00:59:29');
+});
+
+test('drop-frame timecode skips labels at each minute except every tenth', () => {
+  assert.equal(timecodeToFrames('00:01:00;02', 29.97), 1800);
+  assert.equal(timecodeToFrames('00:10:00;00', 29.97), 17982);
+  assert.equal(timecodeToFrames('00:01:00;04', 59.94), 3600);
+  assert.equal(framesToTimecode(1800, 29.97, true), '00:01:00;02');
+  assert.equal(framesToTimecode(17982, 29.97, true), '00:10:00;00');
+  assert.equal(framesToTimecode(3600, 59.94, true), '00:01:00;04');
+});
+
+test('frames and timecode round-trip at every supported rate', () => {
+  for (const fps of [23.976, 24, 25, 29.97, 30, 50, 59.94, 60]) {
+    const dropFrame = fps === 29.97 || fps === 59.94;
+    for (let frame = 0; frame < fps * 3600; frame += 997) {
+      const tc = framesToTimecode(frame, fps, dropFrame);
+      assert.equal(validateTimecode(tc, fps), null, `${tc} at ${fps}`);
+      assert.equal(timecodeToFrames(tc, fps), frame, `${tc} at ${fps}`);
+    }
+  }
+});
+
+test('drop-frame is ignored at rates that do not define it', () => {
+  assert.equal(framesToTimecode(1500, 25, true), '00:01:00:00');
+  assert.equal(timecodeToFrames('00:01:00;00', 25), 1500);
+});
+
+test('validation reports malformed and out-of-range timecodes', () => {
+  assert.equal(validateTimecode('00:00:00:00', 25), null);
+  assert.match(validateTimecode('0:0:0', 25), /HH:MM:SS:FF/);
+  assert.match(validateTimecode('00:60:00:00', 25), /minutes/);
+  assert.match(validateTimecode('00:00:00:25', 25), /frames must be below 25/);
+  assert.match(validateTimecode('00:00:00;00', 25), /only valid at 29.97 or 59.94/);
+  assert.match(validateTimecode('00:01:00;01', 29.97), /does not exist/);
+  assert.equal(validateTimecode('00:10:00;00', 29.97), null);
+});
+
+test('parsing recognises the drop-frame separator', () => {
+  assert.deepEqual(parseTimecode('01:02:03;04'), { hh: 1, mm: 2, ss: 3, ff: 4, dropFrame: true });
+  assert.equal(parseTimecode('01:02:03:04').dropFrame, false);
+  assert.equal(parseTimecode('garbage'), null);
+  assert.equal(timecodeToFrames('garbage', 25), 0);
+});
+
+test('fractional rates reported by a server are recognised', () => {
+  assert.ok(isSupportedRate(30000 / 1001));
+  assert.ok(isSupportedRate(24000 / 1001));
+  assert.ok(!isSupportedRate(12));
+});